@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+/**
+ * Admin CLI
+ * Operator commands against Firestore, through the same services the API uses.
+ *
+ * Usage: node scripts/admin.js <command> [options] [--dry-run] [--json]
+ * Run with --help for the command list. Results go to stdout, logs to stderr.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { parseArgs } = require('util');
+
+// Loads .env before the database config reads it; keep dotenv's banner off stdout
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+const { usesFirebase } = require('../src/config/env');
+
+const { initializeDatabase } = require('../src/config/database');
+const { getStorage } = require('../src/repositories');
+const { createUser, getUserStats, userExists } = require('../src/services/userService');
+const {
+    applyCreditTransaction,
+    applyOrganizationCreditTransaction,
+    reconcileUserBalance
+} = require('../src/services/ledgerService');
+const { createApiKey, validateScopes, validateKeyRestrictions } = require('../src/services/apiKeyService');
+const { getAdminUser, setUserStatus } = require('../src/services/adminService');
+const { setOrganizationPlan } = require('../src/services/organizationService');
+const { recordAuditEvent } = require('../src/services/auditService');
+
+const ACTOR = `cli:${os.userInfo().username}`;
+
+// Credit changes an operator can make; usage and transfers are recorded by the services that cause them
+const CLI_CREDIT_TYPES = ['grant', 'purchase', 'refund', 'adjustment'];
+
+// Columns of the request export, in order
+const REQUEST_CSV_COLUMNS = [
+    'requestId', 'timestamp', 'userId', 'model', 'promptTokens', 'candidatesTokens',
+    'totalTokens', 'tokensEstimated', 'creditsUsed', 'responseTime', 'conversationId', 'streamed', 'aborted'
+];
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Print a message for humans (suppressed in --json mode)
+ * @param {Object} context - Command context
+ * @param {string} message - Message
+ */
+const say = (context, message) => {
+    if (!context.json) {
+        process.stdout.write(`${message}\n`);
+    }
+};
+
+/**
+ * Fail with a usage error
+ * @param {string} message - What is wrong
+ */
+const usageError = (message) => {
+    const error = new Error(message);
+    error.code = 'USAGE_ERROR';
+    throw error;
+};
+
+/**
+ * Read a required option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @returns {string} Option value
+ */
+const required = (options, name) => {
+    if (options[name] === undefined || options[name] === '') {
+        usageError(`--${name} is required`);
+    }
+    return options[name];
+};
+
+/**
+ * Split a comma-separated option into a list
+ * @param {string} value - Option value
+ * @returns {Array<string>|undefined} Trimmed entries, or undefined if the option is missing
+ */
+const splitList = (value) => (value === undefined
+    ? undefined
+    : value.split(',').map(entry => entry.trim()).filter(Boolean));
+
+/**
+ * Read a numeric option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value when the option is missing (undefined makes it required)
+ * @returns {number} Option value
+ */
+const numberOption = (options, name, defaultValue) => {
+    if (options[name] === undefined && defaultValue !== undefined) {
+        return defaultValue;
+    }
+    const value = Number(required(options, name));
+    if (!Number.isFinite(value)) {
+        usageError(`--${name} must be a number`);
+    }
+    return value;
+};
+
+/**
+ * Read a date option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @returns {Date|undefined} Date, if given
+ */
+const dateOption = (options, name) => {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    const date = new Date(options[name]);
+    if (Number.isNaN(date.getTime())) {
+        usageError(`--${name} must be a date (e.g. 2024-01-31)`);
+    }
+    return date;
+};
+
+/**
+ * Read a credit change (--amount and --type)
+ * @param {Object} options - Parsed options
+ * @returns {{type: string, amount: number}} Credit change
+ */
+const creditChangeOption = (options) => {
+    const amount = numberOption(options, 'amount');
+    const type = options.type || (amount > 0 ? 'grant' : 'adjustment');
+
+    if (amount === 0) {
+        usageError('--amount must not be 0');
+    }
+    if (!CLI_CREDIT_TYPES.includes(type)) {
+        usageError(`--type must be one of: ${CLI_CREDIT_TYPES.join(', ')}`);
+    }
+    if (type !== 'adjustment' && amount < 0) {
+        usageError(`A ${type} must have a positive amount; use --type adjustment to remove credits`);
+    }
+    return { type, amount };
+};
+
+/**
+ * Fail unless the user exists
+ * @param {string} userId - User ID
+ */
+const assertUserExists = async (userId) => {
+    if (!(await userExists(userId))) {
+        usageError(`User ${userId} not found`);
+    }
+};
+
+/**
+ * Record an audit event for a CLI change
+ * @param {Object} event - Audit event (action, userId, targetType, targetId, details)
+ * @returns {Promise<string|null>} Audit entry ID
+ */
+const audit = (event) => recordAuditEvent({ actor: ACTOR, userAgent: 'admin-cli', ...event });
+
+/**
+ * Format a value for a CSV cell
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Available commands
+ * Commands that change data check --dry-run and report what they would do.
+ */
+const COMMANDS = {
+    'create-user': {
+        usage: '--uid <uid> --email <email> [--credits <n>] [--plan <plan>] [--admin]',
+        description: 'Create a user document (starting credits are recorded as a ledger grant)',
+        run: async (options, context) => {
+            const userId = required(options, 'uid');
+            const change = {
+                email: required(options, 'email'),
+                credits: numberOption(options, 'credits', 0),
+                plan: options.plan,
+                isAdmin: Boolean(options.admin),
+                actor: ACTOR
+            };
+
+            if (await userExists(userId)) {
+                usageError(`User ${userId} already exists`);
+            }
+            if (context.dryRun) {
+                return { dry_run: true, action: 'create-user', user_id: userId, ...change };
+            }
+
+            const user = await createUser(userId, change);
+            await audit({ action: 'cli.user_create', userId, targetType: 'user', targetId: userId, details: { email: user.email, credits: user.credits, is_admin: user.isAdmin } });
+
+            say(context, `✅ Created user ${userId} (${user.email}, ${user.credits} credits)`);
+            return { user_id: userId, email: user.email, credits: user.credits, is_admin: user.isAdmin };
+        }
+    },
+
+    'issue-key': {
+        usage: '--user <uid> --name <name> [--scopes chat,stats:read] [--signed] [--allowed-ips <cidr,...>] [--allowed-origins <origin,...>]',
+        description: 'Issue an API key (the key is printed once); --signed keys only accept signed requests',
+        run: async (options, context) => {
+            const userId = required(options, 'user');
+            const name = required(options, 'name');
+            const scopes = validateScopes(splitList(options.scopes));
+            const requireSignature = Boolean(options.signed);
+            const { allowedIps = [], allowedOrigins = [] } = validateKeyRestrictions({
+                allowedIps: splitList(options['allowed-ips']),
+                allowedOrigins: splitList(options['allowed-origins'])
+            });
+            const restrictions = { allowed_ips: allowedIps, allowed_origins: allowedOrigins };
+
+            await assertUserExists(userId);
+            if (context.dryRun) {
+                return { dry_run: true, action: 'issue-key', user_id: userId, name, scopes, require_signature: requireSignature, ...restrictions };
+            }
+
+            const key = await createApiKey(userId, { name, scopes, requireSignature, allowedIps, allowedOrigins });
+            await audit({ action: 'cli.api_key_create', userId, targetType: 'api_key', targetId: key.id, details: { name, prefix: key.prefix, scopes, require_signature: requireSignature, ...restrictions } });
+
+            say(context, `🔑 Issued key ${key.id} for ${userId} (${scopes.join(', ')})`);
+            say(context, `   ${key.apiKey}`);
+            if (key.signingSecret) {
+                say(context, `   Signing key ID: ${key.prefix}`);
+                say(context, `   Signing secret: ${key.signingSecret}`);
+            }
+            say(context, '   Store this key now. It will not be shown again.');
+            return {
+                user_id: userId,
+                key_id: key.id,
+                api_key: key.apiKey,
+                prefix: key.prefix,
+                scopes,
+                require_signature: requireSignature,
+                ...restrictions,
+                signing_secret: key.signingSecret
+            };
+        }
+    },
+
+    'grant-credits': {
+        usage: '--user <uid> --amount <n> [--type grant|purchase|refund|adjustment] [--reason <text>]',
+        description: 'Add credits (or remove them with a negative adjustment) through the ledger',
+        run: async (options, context) => {
+            const userId = required(options, 'user');
+            const { type, amount } = creditChangeOption(options);
+
+            const user = await getAdminUser(userId);
+            if (context.dryRun) {
+                return { dry_run: true, action: 'grant-credits', user_id: userId, type, amount, balance_before: user.credits, balance_after: user.credits + amount };
+            }
+
+            const result = await applyCreditTransaction(userId, { type, amount, actor: ACTOR, description: options.reason || null });
+            await audit({ action: 'cli.credits_change', userId, targetType: 'user', targetId: userId, details: { type, amount, reason: options.reason || null, transaction_id: result.transactionId } });
+
+            say(context, `💳 ${type} of ${amount} credits for ${userId} (balance ${result.balance})`);
+            return { user_id: userId, type, amount, transaction_id: result.transactionId, balance: result.balance };
+        }
+    },
+
+    'grant-org-credits': {
+        usage: '--org <orgId> --amount <n> [--type grant|purchase|refund|adjustment] [--reason <text>]',
+        description: 'Add credits to an organization\'s pool (or remove them with a negative adjustment) through the ledger',
+        run: async (options, context) => {
+            const orgId = required(options, 'org');
+            const { type, amount } = creditChangeOption(options);
+
+            const organization = await getStorage().organizations.get(orgId);
+            if (!organization) {
+                usageError(`Organization ${orgId} not found`);
+            }
+            const balance = organization.credits || 0;
+            if (context.dryRun) {
+                return { dry_run: true, action: 'grant-org-credits', organization_id: orgId, type, amount, balance_before: balance, balance_after: balance + amount };
+            }
+
+            const result = await applyOrganizationCreditTransaction(orgId, { type, amount, actor: ACTOR, description: options.reason || null });
+            await audit({ action: 'cli.organization_credits_change', targetType: 'organization', targetId: orgId, details: { type, amount, reason: options.reason || null, transaction_id: result.transactionId } });
+
+            say(context, `💳 ${type} of ${amount} credits for organization ${orgId} (balance ${result.balance})`);
+            return { organization_id: orgId, type, amount, transaction_id: result.transactionId, balance: result.balance };
+        }
+    },
+
+    'set-org-plan': {
+        usage: '--org <orgId> --plan <plan>',
+        description: 'Move an organization to another plan (its members\' quotas)',
+        run: async (options, context) => {
+            const orgId = required(options, 'org');
+            const plan = required(options, 'plan');
+
+            const organization = await getStorage().organizations.get(orgId);
+            if (!organization) {
+                usageError(`Organization ${orgId} not found`);
+            }
+            if (context.dryRun) {
+                return { dry_run: true, action: 'set-org-plan', organization_id: orgId, plan_before: organization.plan || null, plan_after: plan };
+            }
+
+            const { before } = await setOrganizationPlan(orgId, plan);
+            await audit({ action: 'cli.organization_plan_change', targetType: 'organization', targetId: orgId, details: { plan, previous_plan: before.plan } });
+
+            say(context, `🏫 Organization ${orgId} moved from the ${before.plan} plan to ${plan}`);
+            return { organization_id: orgId, plan, previous_plan: before.plan };
+        }
+    },
+
+    suspend: {
+        usage: '--user <uid> [--reason <text>] [--reactivate]',
+        description: 'Suspend an account (or reactivate it with --reactivate)',
+        run: async (options, context) => {
+            const userId = required(options, 'user');
+            const status = options.reactivate ? 'active' : 'suspended';
+
+            const current = await getAdminUser(userId);
+            if (context.dryRun) {
+                return { dry_run: true, action: 'suspend', user_id: userId, status_before: current.status, status_after: status };
+            }
+
+            const { user } = await setUserStatus(userId, status, { reason: options.reason || null });
+            await audit({ action: options.reactivate ? 'cli.user_reactivate' : 'cli.user_suspend', userId, targetType: 'user', targetId: userId, details: { reason: options.reason || null, previous_status: current.status } });
+
+            say(context, `${status === 'suspended' ? '⛔ Suspended' : '✅ Reactivated'} ${userId}`);
+            return { user_id: userId, status: user.status };
+        }
+    },
+
+    usage: {
+        usage: '--user <uid>',
+        description: 'Show a user\'s balance and usage',
+        run: async (options, context) => {
+            const userId = required(options, 'user');
+            const [user, stats] = await Promise.all([getAdminUser(userId), getUserStats(userId)]);
+
+            say(context, `👤 ${userId} (${user.email || 'no email'}) - ${user.status}${user.is_admin ? ', admin' : ''}`);
+            say(context, `   Credits: ${stats.credits_remaining} (${stats.credits_reserved} reserved)`);
+            say(context, `   Requests: ${stats.total_requests}`);
+            say(context, `   Last used: ${user.last_used ? user.last_used.toISOString() : 'never'}`);
+            if (user.organization_id) {
+                say(context, `   Organization: ${user.organization_id}`);
+            }
+            return { user, stats };
+        }
+    },
+
+    'export-requests': {
+        usage: '[--user <uid>] [--since <date>] [--until <date>] [--output <file.csv>]',
+        description: 'Export logged requests to CSV, newest first (stdout unless --output)',
+        run: async (options, context) => {
+            const since = dateOption(options, 'since');
+            const until = dateOption(options, 'until');
+
+            const { requests } = getStorage();
+            const rows = [];
+            let lastId = null;
+            do {
+                const page = await requests.list({
+                    userId: options.user,
+                    since,
+                    until,
+                    limit: EXPORT_PAGE_SIZE,
+                    startAfter: lastId
+                });
+                page.forEach(request => rows.push(REQUEST_CSV_COLUMNS.map(column => request[column])));
+                lastId = page.length === EXPORT_PAGE_SIZE ? page[page.length - 1].id : null;
+            } while (lastId);
+
+            const csv = [REQUEST_CSV_COLUMNS, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n') + '\n';
+
+            if (options.output) {
+                fs.writeFileSync(options.output, csv);
+                say(context, `📄 Exported ${rows.length} requests to ${options.output}`);
+                return { rows: rows.length, output: options.output };
+            }
+            if (context.json) {
+                return { rows: rows.length, csv };
+            }
+            process.stdout.write(csv);
+            return { rows: rows.length };
+        }
+    },
+
+    reconcile: {
+        usage: '[--user <uid>]',
+        description: 'Compare balances with the credit ledger (all users unless --user), opening the ledger of users created before it; exits 1 on drift',
+        run: async (options, context) => {
+            const reports = [];
+
+            if (options.user) {
+                reports.push(await reconcileUserBalance(options.user));
+            } else {
+                const { users } = getStorage();
+                let lastId = null;
+                do {
+                    const page = await users.search({ limit: 100, startAfter: lastId });
+                    for (const user of page) {
+                        reports.push(await reconcileUserBalance(user.id));
+                    }
+                    lastId = page.length === 100 ? page[page.length - 1].id : null;
+                } while (lastId);
+            }
+
+            const drifted = reports.filter(report => !report.consistent);
+            drifted.forEach(report => say(context, `⚠️  ${report.userId}: recorded ${report.recordedBalance}, ledger ${report.ledgerBalance} (drift ${report.drift})`));
+            say(context, `📒 Reconciled ${reports.length} users, ${drifted.length} with drift`);
+
+            context.exitCode = drifted.length > 0 ? 1 : 0;
+            return { checked: reports.length, drifted: drifted.length, reports: options.user ? reports : drifted };
+        }
+    }
+};
+
+/**
+ * Print usage
+ */
+const printHelp = () => {
+    const lines = [
+        'Usage: node scripts/admin.js <command> [options] [--dry-run] [--json]',
+        '',
+        'Commands:'
+    ];
+    Object.entries(COMMANDS).forEach(([name, command]) => {
+        lines.push(`  ${name} ${command.usage}`);
+        lines.push(`      ${command.description}`);
+    });
+    lines.push('', 'Global options:');
+    lines.push('  --dry-run   Show what would change without writing anything');
+    lines.push('  --json      Print the result as JSON');
+    process.stdout.write(`${lines.join('\n')}\n`);
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (argv) => {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            uid: { type: 'string' },
+            user: { type: 'string' },
+            org: { type: 'string' },
+            email: { type: 'string' },
+            name: { type: 'string' },
+            scopes: { type: 'string' },
+            signed: { type: 'boolean' },
+            'allowed-ips': { type: 'string' },
+            'allowed-origins': { type: 'string' },
+            credits: { type: 'string' },
+            plan: { type: 'string' },
+            admin: { type: 'boolean' },
+            amount: { type: 'string' },
+            type: { type: 'string' },
+            reason: { type: 'string' },
+            reactivate: { type: 'boolean' },
+            since: { type: 'string' },
+            until: { type: 'string' },
+            output: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const command = COMMANDS[positionals[0]];
+    if (options.help || !command) {
+        printHelp();
+        return options.help ? 0 : 2;
+    }
+
+    const context = { dryRun: Boolean(options['dry-run']), json: Boolean(options.json), exitCode: 0 };
+
+    // Keep stdout for results (JSON, CSV): service logs go to stderr
+    console.log = console.error;
+
+    if (usesFirebase()) {
+        initializeDatabase();
+    } else {
+        console.warn('⚠️  STORAGE=memory: changes only last for this command');
+    }
+    const result = await command.run(options, context);
+
+    if (context.json) {
+        process.stdout.write(`${JSON.stringify({ success: true, command: positionals[0], result }, null, 2)}\n`);
+    } else if (context.dryRun) {
+        say(context, `🧪 Dry run, nothing was changed:\n${JSON.stringify(result, null, 2)}`);
+    }
+
+    return context.exitCode;
+};
+
+if (require.main === module) {
+    const json = process.argv.includes('--json');
+
+    main(process.argv.slice(2))
+        .then(exitCode => process.exit(exitCode))
+        .catch((error) => {
+            const usage = error.code === 'USAGE_ERROR' || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION';
+            if (json) {
+                process.stdout.write(`${JSON.stringify({ success: false, error: error.message, code: error.code || 'ERROR' }, null, 2)}\n`);
+            } else {
+                console.error(`💥 ${error.message}`);
+            }
+            process.exit(usage ? 2 : 1);
+        });
+}
+
+module.exports = { COMMANDS, main, toCsvCell };
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/**
+ * Mock Gemini Server
+ * Answers the Gemini generateContent, streamGenerateContent (SSE) and
+ * countTokens wire formats locally, so development and tests don't need the
+ * real API. Responses can be scripted, delayed, or replaced with 429, 500, 503
+ * and timeout faults; usageMetadata is reported like Gemini does.
+ *
+ * Usage: node scripts/mock-gemini.js [--port 8787] [--latency <ms>] [--script <steps.json>]
+ * Then start the API with the printed GEMINI_API_URL and GEMINI_API_BASE_URL.
+ *
+ * A step (scripted through enqueue() or a --script file) answers one request:
+ *   { text, chunks: [..], usageMetadata, finishReason, latencyMs }  a response
+ *   { fault: 429, retryAfterSeconds }                               RESOURCE_EXHAUSTED
+ *   { fault: 500 }                                                  INTERNAL
+ *   { fault: 503, retryAfterSeconds }                               UNAVAILABLE
+ *   { fault: 'timeout' }                                            never answers
+ * Requests without a scripted step get an echo of the last user message.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('util');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+const API_PATH = '/v1beta/models';
+const MODEL_METHOD_PATTERN = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent|countTokens)$/;
+
+// Gemini's error bodies for each injected fault
+const FAULTS = {
+    429: { status: 'RESOURCE_EXHAUSTED', message: 'Resource has been exhausted (e.g. check quota).' },
+    500: { status: 'INTERNAL', message: 'An internal error has occurred. Please retry or report in https://developers.generativeai.google/guide/troubleshooting' },
+    503: { status: 'UNAVAILABLE', message: 'The model is overloaded. Please try again later.' }
+};
+
+/**
+ * Estimate tokens the way the mock reports them (about 4 characters per token)
+ * @param {string} text - Text to count
+ * @returns {number} Token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Join the text of every part in a request's contents
+ * @param {Array<Object>} contents - Gemini contents
+ * @returns {string} All request text
+ */
+const getContentsText = (contents = []) => contents
+    .flatMap(content => content.parts || [])
+    .map(part => part.text || '')
+    .join('\n');
+
+/**
+ * Get the text of the last user turn, without the system prompt
+ * @param {Array<Object>} contents - Gemini contents
+ * @returns {string} Last user message
+ */
+const getLastUserMessage = (contents = []) => {
+    const lastUserTurn = [...contents].reverse().find(content => content.role !== 'model');
+    const text = getContentsText(lastUserTurn ? [lastUserTurn] : []);
+    // The first turn carries the system prompt, ending in "User: <message>"
+    const marker = text.lastIndexOf('User: ');
+    return marker === -1 ? text : text.substring(marker + 6);
+};
+
+/**
+ * Split a response into stream chunks of a few words
+ * @param {string} text - Response text
+ * @returns {Array<string>} Chunks that join back into text
+ */
+const splitIntoChunks = (text) => text.match(/\S+\s*(\S+\s*)?(\S+\s*)?|\s+/g) || [''];
+
+/**
+ * Read a request's JSON body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object>} Parsed body ({} if empty)
+ */
+const readJsonBody = async (req) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+    return raw ? JSON.parse(raw) : {};
+};
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+const sendJson = (res, statusCode, body, headers = {}) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=UTF-8', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Send a Gemini error
+ * @param {Object} res - HTTP response
+ * @param {number} code - HTTP status
+ * @param {string} status - Gemini error status (e.g. RESOURCE_EXHAUSTED)
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ */
+const sendError = (res, code, status, message, headers = {}) => {
+    sendJson(res, code, { error: { code, message, status } }, headers);
+};
+
+/**
+ * Create a mock Gemini server
+ * @param {Object} options - Server options
+ * @param {number} options.latencyMs - Delay before every response (default 0)
+ * @param {number} options.chunkDelayMs - Delay between stream chunks (default 0)
+ * @param {Array<Object>} options.script - Steps to answer the first requests with
+ * @returns {Object} Mock server ({ start, stop, enqueue, reset, requests, ... })
+ */
+const createMockGeminiServer = (options = {}) => {
+    const latencyMs = options.latencyMs || 0;
+    const chunkDelayMs = options.chunkDelayMs || 0;
+    const script = [...(options.script || [])];
+    const requests = [];
+    let server = null;
+    let port = null;
+
+    /**
+     * Wait before answering
+     * @param {number} ms - Delay
+     * @returns {Promise<void>}
+     */
+    const delay = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+    /**
+     * Build the response for a generate request
+     * @param {Object} step - Scripted step ({} for the default echo)
+     * @param {Object} body - Request body
+     * @returns {{chunks: Array<string>, usageMetadata: Object|null, finishReason: string}} Response parts
+     */
+    const buildResponse = (step, body) => {
+        const text = step.text !== undefined
+            ? step.text
+            : (step.chunks ? step.chunks.join('') : `Mock response to: ${getLastUserMessage(body.contents)}`);
+        const promptTokenCount = estimateTokens(getContentsText(body.contents));
+        const candidatesTokenCount = estimateTokens(text);
+
+        return {
+            chunks: step.chunks || splitIntoChunks(text),
+            usageMetadata: step.usageMetadata !== undefined
+                ? step.usageMetadata
+                : { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount },
+            finishReason: step.finishReason || 'STOP'
+        };
+    };
+
+    /**
+     * Build one generateContent payload
+     * @param {string} model - Model ID
+     * @param {string} text - Candidate text
+     * @param {Object|null} usageMetadata - Usage to report, if any
+     * @param {string|null} finishReason - Finish reason, if this is the last payload
+     * @returns {Object} Gemini response payload
+     */
+    const toPayload = (model, text, usageMetadata, finishReason) => {
+        const candidate = { content: { parts: [{ text }], role: 'model' }, index: 0 };
+        if (finishReason) {
+            candidate.finishReason = finishReason;
+        }
+
+        const payload = { candidates: [candidate], modelVersion: model };
+        if (usageMetadata) {
+            payload.usageMetadata = usageMetadata;
+        }
+        return payload;
+    };
+
+    /**
+     * Answer a generateContent or streamGenerateContent request
+     * @param {Object} res - HTTP response
+     * @param {Object} request - Recorded request ({ model, method, body, query })
+     * @param {Object} step - Scripted step
+     */
+    const answerGenerate = async (res, request, step) => {
+        const { model, method, body, query } = request;
+        const { chunks, usageMetadata, finishReason } = buildResponse(step, body);
+
+        if (method === 'generateContent') {
+            sendJson(res, 200, toPayload(model, chunks.join(''), usageMetadata, finishReason));
+            return;
+        }
+
+        // Without alt=sse, Gemini returns the stream as one JSON array
+        if (query.get('alt') !== 'sse') {
+            sendJson(res, 200, chunks.map((chunk, index) => toPayload(
+                model, chunk, usageMetadata, index === chunks.length - 1 ? finishReason : null
+            )));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        for (const [index, chunk] of chunks.entries()) {
+            if (index > 0) {
+                await delay(chunkDelayMs);
+            }
+            if (res.destroyed) {
+                return;
+            }
+            // Gemini reports cumulative usage on every event
+            const payload = toPayload(model, chunk, usageMetadata, index === chunks.length - 1 ? finishReason : null);
+            res.write(`data: ${JSON.stringify(payload)}\r\n\r\n`);
+        }
+        res.end();
+    };
+
+    /**
+     * Handle one HTTP request
+     * @param {Object} req - HTTP request
+     * @param {Object} res - HTTP response
+     */
+    const handleRequest = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = MODEL_METHOD_PATTERN.exec(url.pathname);
+
+        if (!match || req.method !== 'POST') {
+            sendError(res, 404, 'NOT_FOUND', `Unknown mock Gemini route: ${req.method} ${url.pathname}`);
+            return;
+        }
+        if (!url.searchParams.get('key')) {
+            sendError(res, 400, 'INVALID_ARGUMENT', 'API key not valid. Please pass a valid API key.');
+            return;
+        }
+
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            sendError(res, 400, 'INVALID_ARGUMENT', `Invalid JSON payload received. ${error.message}`);
+            return;
+        }
+
+        const [, model, method] = match;
+        const request = { model, method, body, query: url.searchParams, receivedAt: Date.now() };
+        requests.push(request);
+
+        if (method === 'countTokens') {
+            sendJson(res, 200, { totalTokens: estimateTokens(getContentsText(body.contents)) });
+            return;
+        }
+
+        const step = script.shift() || {};
+        await delay(step.latencyMs !== undefined ? step.latencyMs : latencyMs);
+
+        if (step.fault === 'timeout') {
+            // Hold the connection open until the client gives up or the server stops
+            return;
+        }
+        if (FAULTS[step.fault]) {
+            const headers = step.retryAfterSeconds !== undefined ? { 'Retry-After': String(step.retryAfterSeconds) } : {};
+            sendError(res, step.fault, FAULTS[step.fault].status, FAULTS[step.fault].message, headers);
+            return;
+        }
+
+        await answerGenerate(res, request, step);
+    };
+
+    return {
+        requests,
+
+        /**
+         * Start listening
+         * @param {number} listenPort - Port (0 picks a free one)
+         * @returns {Promise<string>} Base URL for GEMINI_API_BASE_URL
+         */
+        start: (listenPort = 0) => new Promise((resolve, reject) => {
+            server = http.createServer((req, res) => {
+                handleRequest(req, res).catch((error) => {
+                    if (!res.headersSent) {
+                        sendError(res, 500, 'INTERNAL', error.message);
+                    }
+                });
+            });
+            server.once('error', reject);
+            server.listen(listenPort, '127.0.0.1', () => {
+                port = server.address().port;
+                resolve(`http://127.0.0.1:${port}${API_PATH}`);
+            });
+        }),
+
+        /**
+         * Stop listening and drop open connections (including timed-out ones)
+         * @returns {Promise<void>}
+         */
+        stop: () => new Promise((resolve) => {
+            if (!server) {
+                resolve();
+                return;
+            }
+            server.closeAllConnections();
+            server.close(() => resolve());
+            server = null;
+        }),
+
+        /**
+         * Get the base URL (GEMINI_API_BASE_URL)
+         * @returns {string} Base URL
+         */
+        getBaseUrl: () => `http://127.0.0.1:${port}${API_PATH}`,
+
+        /**
+         * Get a model's generateContent URL (GEMINI_API_URL)
+         * @param {string} model - Model ID
+         * @returns {string} Endpoint URL
+         */
+        getApiUrl: (model = DEFAULT_MODEL) => `http://127.0.0.1:${port}${API_PATH}/${model}:generateContent`,
+
+        /**
+         * Script the answers to the next requests, in order
+         * @param {...Object} steps - Steps (see the top of this file)
+         */
+        enqueue: (...steps) => {
+            script.push(...steps);
+        },
+
+        /**
+         * Drop scripted steps and recorded requests
+         */
+        reset: () => {
+            script.length = 0;
+            requests.length = 0;
+        }
+    };
+};
+
+/**
+ * Run the mock server from the command line
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Promise<Object>} Running mock server
+ */
+const main = async (argv) => {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string' },
+            latency: { type: 'string' },
+            'chunk-delay': { type: 'string' },
+            script: { type: 'string' }
+        }
+    });
+
+    const mock = createMockGeminiServer({
+        latencyMs: parseInt(options.latency) || 0,
+        chunkDelayMs: parseInt(options['chunk-delay']) || 0,
+        script: options.script ? JSON.parse(fs.readFileSync(options.script, 'utf8')) : []
+    });
+    await mock.start(options.port !== undefined ? parseInt(options.port) : DEFAULT_PORT);
+
+    console.log(`🧪 Mock Gemini listening at ${mock.getBaseUrl()}`);
+    console.log(`   GEMINI_API_URL=${mock.getApiUrl()}`);
+    console.log(`   GEMINI_API_BASE_URL=${mock.getBaseUrl()}`);
+    return mock;
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((mock) => {
+            const shutdown = () => mock.stop().then(() => process.exit(0));
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+        })
+        .catch((error) => {
+            console.error(`💥 ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { createMockGeminiServer, DEFAULT_PORT };
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Seed Script
+ * Loads fixture users, API keys, credits and request history from JSON into
+ * the Firestore emulator, through the same services the API uses.
+ *
+ * Usage: FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/seed.js [--file <fixtures.json>]
+ * Users that already exist are skipped, so seeding twice is safe.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { usesFirebase, usesFirestoreEmulator } = require('../src/config/env');
+const { initializeDatabase } = require('../src/config/database');
+const { getStorage, serverTimestamp } = require('../src/repositories');
+const { createUser, userExists, logUserRequest } = require('../src/services/userService');
+const { importApiKey } = require('../src/services/apiKeyService');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'tests', 'fixtures', 'seed.json');
+
+/**
+ * Read and check a fixtures file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Fixtures ({ users: [...] })
+ */
+const loadFixtures = (filePath = DEFAULT_FIXTURES_PATH) => {
+    const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!Array.isArray(fixtures.users)) {
+        throw new Error(`${filePath}: "users" must be an array`);
+    }
+    for (const user of fixtures.users) {
+        if (!user.uid || !user.email) {
+            throw new Error(`${filePath}: every user needs a uid and an email`);
+        }
+    }
+
+    return fixtures;
+};
+
+/**
+ * Create one fixture user with its keys and request history
+ * @param {Object} user - Fixture user
+ * @returns {Promise<boolean>} Whether the user was created (false if it already existed)
+ */
+const seedUser = async (user) => {
+    if (await userExists(user.uid)) {
+        console.log(`⏭️  ${user.uid} already exists, skipping`);
+        return false;
+    }
+
+    await createUser(user.uid, {
+        email: user.email,
+        displayName: user.displayName,
+        plan: user.plan,
+        isAdmin: user.isAdmin,
+        credits: user.credits,
+        actor: 'seed'
+    });
+
+    for (const key of user.apiKeys || []) {
+        await importApiKey(user.uid, key.apiKey, key);
+    }
+
+    const requests = user.requests || [];
+    for (const request of requests) {
+        await logUserRequest(user.uid, request);
+    }
+    if (requests.length > 0) {
+        await getStorage().users.update(user.uid, { totalRequests: requests.length, lastUsed: serverTimestamp() });
+    }
+
+    return true;
+};
+
+/**
+ * Seed every fixture user
+ * @param {Object} fixtures - Fixtures from loadFixtures
+ * @returns {Promise<{created: Array<string>, skipped: Array<string>}>} User IDs by outcome
+ */
+const seedFixtures = async (fixtures) => {
+    const summary = { created: [], skipped: [] };
+
+    for (const user of fixtures.users) {
+        const created = await seedUser(user);
+        summary[created ? 'created' : 'skipped'].push(user.uid);
+    }
+
+    return summary;
+};
+
+/**
+ * Run the script
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (argv) => {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            file: { type: 'string' }
+        }
+    });
+
+    // Fixture keys are public, so they must never reach a real project
+    if (usesFirebase() && !usesFirestoreEmulator()) {
+        throw new Error('Refusing to seed a live Firestore project: set FIRESTORE_EMULATOR_HOST (or STORAGE=memory)');
+    }
+
+    const fixtures = loadFixtures(options.file ? path.resolve(options.file) : DEFAULT_FIXTURES_PATH);
+
+    if (usesFirebase()) {
+        initializeDatabase();
+    } else {
+        console.warn('⚠️  STORAGE=memory: seeded data only lasts for this command');
+    }
+
+    const { created, skipped } = await seedFixtures(fixtures);
+    console.log(`🌱 Seeded ${created.length} users (${skipped.length} already existed)`);
+    return 0;
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(exitCode => process.exit(exitCode))
+        .catch((error) => {
+            console.error(`💥 ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { loadFixtures, seedFixtures, DEFAULT_FIXTURES_PATH };
@@ -7,18 +7,27 @@ const express = require('express');
 const path = require('path');
 
 // Configuration imports
-const { config, validateEnvironment } = require('./config/env');
+const { config, validateEnvironment, usesFirebase } = require('./config/env');
 const { initializeDatabase } = require('./config/database');
+const { getStorage } = require('./repositories');
 
 // Middleware imports
 const { getCorsMiddleware, corsErrorHandler, handlePreflight } = require('./middleware/cors');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { requestLogger, logStartup, logShutdown } = require('./utils/logger');
 const { setupChoreoMemoryMonitoring } = require('./utils/memoryMonitor');
+const { rateLimitByIp } = require('./middleware/rateLimit');
+const { listAvailableModels } = require('./services/geminiService');
+const { getPlan, toPublicRateLimits, PLAN_CATALOG } = require('./config/plans');
+const { isSigningEnabled } = require('./services/requestSigningService');
 
 // Route imports
 const chatRoutes = require('./routes/chat');
 const statsRoutes = require('./routes/stats');
+const keysRoutes = require('./routes/keys');
+const authRoutes = require('./routes/auth');
+const organizationRoutes = require('./routes/organizations');
+const adminRoutes = require('./routes/admin');
 const healthRoutes = require('./routes/health');
 
 // Initialize Express app
@@ -35,9 +44,12 @@ const initializeApp = async () => {
         console.log('🔧 Validating environment...');
         validateEnvironment();
 
-        // 2. Initialize database connection
-        console.log('🗄️  Initializing database...');
-        initializeDatabase();
+        // 2. Initialize storage (Firebase isn't needed with STORAGE=memory)
+        console.log('🗄️  Initializing storage...');
+        if (usesFirebase()) {
+            initializeDatabase();
+        }
+        console.log(`✅ Storage backend: ${getStorage().name}`);
 
         console.log('✅ Application initialized successfully\n');
     } catch (error) {
@@ -46,6 +58,17 @@ const initializeApp = async () => {
     }
 };
 
+/**
+ * Keep the exact bytes of a parsed request body
+ * Signed requests are verified against them, so every body parser uses this.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw request body
+ */
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+
 /**
  * Configure middleware
  */
@@ -68,11 +91,13 @@ const configureMiddleware = () => {
     // Body parsing middleware
     app.use(express.json({ 
         limit: '1mb',
-        strict: true
+        strict: true,
+        verify: captureRawBody
     }));
     app.use(express.urlencoded({ 
         extended: true, 
-        limit: '1mb' 
+        limit: '1mb',
+        verify: captureRawBody
     }));
 
     // Static files
@@ -107,20 +132,42 @@ const configureRoutes = () => {
     // API routes
     app.use('/api/chat', chatRoutes);
     app.use('/api/stats', statsRoutes);
+    app.use('/api/auth', authRoutes);
+    app.use('/api/keys', keysRoutes);
+    app.use('/api/orgs', organizationRoutes);
+    app.use('/api/admin', adminRoutes);
     app.use('/api/health', healthRoutes);
 
     // API documentation endpoint
-    app.get('/api/docs', (req, res) => {
+    app.get('/api/docs', rateLimitByIp, (req, res) => {
         res.json({
             name: "Apilage AI Platform",
             version: "2.0.0",
             description: "AI-powered educational platform for Sri Lankan students",
             documentation: {
                 base_url: `${req.protocol}://${req.get('host')}`,
-                authentication: "Bearer token required for most endpoints",
+                authentication: "Bearer API key or Firebase ID token required for most endpoints (admin: API key only; /api/auth: ID token only)",
+                request_signing: {
+                    description: "API keys can sign requests instead of sending the key (see README); signed requests are accepted wherever an API key is",
+                    enabled: isSigningEnabled(),
+                    header: "Authorization: APL-HMAC-SHA256 keyId=<key prefix>, timestamp=<unix seconds>, nonce=<random>, signature=<hex>",
+                    max_skew_seconds: config.requestSigning.maxSkewSeconds
+                },
                 rate_limits: {
-                    requests_per_minute: 60,
-                    requests_per_hour: 1000
+                    ...toPublicRateLimits(getPlan()),
+                    scope: "per API key; see plans for other tiers",
+                    headers: ["X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "Retry-After"],
+                    plans: Object.values(PLAN_CATALOG).map(plan => ({
+                        plan: plan.id,
+                        ...toPublicRateLimits(plan)
+                    }))
+                },
+                quotas: {
+                    description: "Daily/monthly caps per plan (UTC calendar periods); for organization members, scope member counts each member and scope organization the whole organization. Exceeding one returns 429 QUOTA_EXCEEDED with resets_at",
+                    plans: Object.values(PLAN_CATALOG).map(plan => ({
+                        plan: plan.id,
+                        quotas: plan.quotas
+                    }))
                 }
             },
             endpoints: {
@@ -132,17 +179,46 @@ const configureRoutes = () => {
                         "Content-Type": "application/json"
                     },
                     body: {
-                        message: "string (required, max 10000 chars)"
+                        message: "string (required, max 10000 chars)",
+                        model: "string (optional, see GET /api/chat/models)",
+                        conversation_id: "string (optional, continue an existing conversation)",
+                        stream: "boolean (optional, respond with Server-Sent Events)"
                     },
                     response: {
                         success: "boolean",
                         response: "string",
+                        credits_used: "number",
                         credits_remaining: "number",
+                        usage: "object (prompt_tokens, candidate_tokens, total_tokens, input_credits, output_credits, total_credits)",
                         request_id: "string",
+                        conversation_id: "string",
                         model: "string",
                         response_time_ms: "number"
                     }
                 },
+                "POST /api/chat/stream": {
+                    description: "Send a message to the AI and stream the response as Server-Sent Events",
+                    authentication: "required",
+                    headers: {
+                        "Authorization": "Bearer YOUR_API_KEY",
+                        "Content-Type": "application/json",
+                        "Accept": "text/event-stream"
+                    },
+                    body: {
+                        message: "string (required, max 10000 chars)",
+                        model: "string (optional, see GET /api/chat/models)",
+                        conversation_id: "string (optional, continue an existing conversation)"
+                    },
+                    events: {
+                        chunk: "{ text } - partial response text",
+                        done: "{ credits_used, credits_remaining, usage, request_id, conversation_id, model, first_chunk_time_ms, response_time_ms, total_time_ms }",
+                        error: "{ error, code } - the stream failed after it started"
+                    }
+                },
+                "GET /api/chat/models": {
+                    description: "List the models you can pass as `model` to POST /api/chat",
+                    authentication: "none"
+                },
                 "GET /api/stats": {
                     description: "Get your account statistics",
                     authentication: "required",
@@ -156,6 +232,23 @@ const configureRoutes = () => {
                         email: "string"
                     }
                 },
+                "GET /api/stats/summary": {
+                    description: "Get a quick account summary, including plan quota consumption and reset times",
+                    authentication: "required"
+                },
+                "GET /api/stats/organization": {
+                    description: "Usage rollups for your organization: pool balance and spend per member",
+                    authentication: "required (organization member)"
+                },
+                "GET /api/stats/organization/transactions": {
+                    description: "Page through your organization pool's credit ledger, newest first",
+                    authentication: "required (organization member)",
+                    query_params: {
+                        limit: "number (optional, max 100, default 20)",
+                        cursor: "string (optional, next_cursor from the previous page)",
+                        type: "string (optional, one of opening_balance, grant, purchase, usage, refund, adjustment, transfer)"
+                    }
+                },
                 "GET /api/stats/usage": {
                     description: "Get detailed usage statistics",
                     authentication: "required",
@@ -163,6 +256,182 @@ const configureRoutes = () => {
                         limit: "number (optional, max 50, default 10)"
                     }
                 },
+                "GET /api/stats/transactions": {
+                    description: "Page through your credit ledger (opening balances, grants, purchases, usage, refunds, adjustments, transfers), newest first",
+                    authentication: "required",
+                    query_params: {
+                        limit: "number (optional, max 100, default 20)",
+                        cursor: "string (optional, next_cursor from the previous page)",
+                        type: "string (optional, opening_balance|grant|purchase|usage|refund|adjustment|transfer)"
+                    }
+                },
+                "POST /api/keys": {
+                    description: "Create a named API key (the key is only shown in this response)",
+                    authentication: "required (keys:manage scope)",
+                    body: {
+                        name: "string (required, max 100 chars)",
+                        scopes: "array (optional, chat|stats:read|keys:manage|orgs:manage|admin, default [chat, stats:read])",
+                        require_signature: "boolean (optional, only accept signed requests)",
+                        allowed_ips: "array (optional, CIDRs the key can be used from)",
+                        allowed_origins: "array (optional, browser origins the key can be used from)"
+                    }
+                },
+                "GET /api/keys": {
+                    description: "List your API keys with masked values",
+                    authentication: "required (keys:manage scope)",
+                    query_params: {
+                        include_revoked: "boolean (optional, include revoked and expired keys)"
+                    }
+                },
+                "POST /api/keys/:keyId/rotate": {
+                    description: "Issue a replacement key; the old key keeps working during the grace period",
+                    authentication: "required (keys:manage scope)",
+                    body: {
+                        grace_period_seconds: "number (optional, default 86400, max 2592000)"
+                    }
+                },
+                "PATCH /api/keys/:keyId": {
+                    description: "Replace a key's IP and origin allowlists; requests from elsewhere get 403 KEY_RESTRICTED",
+                    authentication: "required (keys:manage scope)",
+                    body: {
+                        allowed_ips: "array (optional, CIDRs; [] removes the restriction)",
+                        allowed_origins: "array (optional, e.g. https://school.example; [] removes the restriction)"
+                    }
+                },
+                "DELETE /api/keys/:keyId": {
+                    description: "Revoke a key immediately",
+                    authentication: "required (keys:manage scope)"
+                },
+                "POST /api/auth/register": {
+                    description: "Create your account with starting credits and a first API key (shown once)",
+                    authentication: "Firebase ID token",
+                    body: {
+                        display_name: "string (optional)"
+                    }
+                },
+                "GET /api/auth/me": {
+                    description: "Get your account and keys (masked)",
+                    authentication: "Firebase ID token"
+                },
+                "POST /api/auth/keys": {
+                    description: "Issue a new API key (shown once)",
+                    authentication: "Firebase ID token",
+                    body: {
+                        name: "string (optional, default Dashboard)"
+                    }
+                },
+                "POST /api/orgs": {
+                    description: "Create an organization with a shared credit pool; you become its owner",
+                    authentication: "required (orgs:manage scope)",
+                    body: {
+                        name: "string (required)"
+                    }
+                },
+                "GET /api/orgs/:orgId": {
+                    description: "Get an organization and your role in it",
+                    authentication: "required (any member)"
+                },
+                "GET /api/orgs/:orgId/members": {
+                    description: "List members with roles, spending caps and spend",
+                    authentication: "required (any member)"
+                },
+                "GET /api/orgs/invites": {
+                    description: "List the organization invites you can accept",
+                    authentication: "required (stats:read scope)"
+                },
+                "POST /api/orgs/:orgId/invites": {
+                    description: "Invite a user by user_id or email; they join once they accept",
+                    authentication: "required (orgs:manage scope, admin or owner role)",
+                    body: {
+                        user_id: "string (user_id or email required)",
+                        email: "string (user_id or email required)",
+                        role: "string (optional: viewer, member, admin or owner; default member)",
+                        spending_cap: "number|null (optional, credits the member may spend from the pool)"
+                    }
+                },
+                "GET /api/orgs/:orgId/invites": {
+                    description: "List invites that haven't been accepted yet",
+                    authentication: "required (stats:read scope, admin or owner role)"
+                },
+                "POST /api/orgs/:orgId/invites/accept": {
+                    description: "Accept your invite and join the organization; your available credits move into its pool",
+                    authentication: "required (orgs:manage scope, invited user)"
+                },
+                "DELETE /api/orgs/:orgId/invites/:userId": {
+                    description: "Revoke an invite, or decline your own",
+                    authentication: "required (orgs:manage scope; admin or owner role to revoke others)"
+                },
+                "PATCH /api/orgs/:orgId/members/:userId": {
+                    description: "Change a member's role or spending cap",
+                    authentication: "required (orgs:manage scope, admin or owner role)"
+                },
+                "DELETE /api/orgs/:orgId/members/:userId": {
+                    description: "Remove a member, or leave the organization",
+                    authentication: "required (orgs:manage scope; admin or owner role to remove others)"
+                },
+                "GET /api/admin/users": {
+                    description: "Search users by email prefix or status",
+                    authentication: "required (admin account, admin scope)",
+                    query_params: {
+                        email: "string (optional, email prefix)",
+                        status: "string (optional, active or suspended)",
+                        limit: "number (optional, max 100, default 20)",
+                        cursor: "string (optional, next_cursor from the previous page)"
+                    }
+                },
+                "GET /api/admin/users/:userId": {
+                    description: "Get a user's account and stats",
+                    authentication: "required (admin account, admin scope)"
+                },
+                "GET /api/admin/users/:userId/requests": {
+                    description: "Get a user's recent requests",
+                    authentication: "required (admin account, admin scope)"
+                },
+                "GET /api/admin/users/:userId/transactions": {
+                    description: "Page through a user's credit ledger, with a balance reconciliation",
+                    authentication: "required (admin account, admin scope)"
+                },
+                "POST /api/admin/users/:userId/credits": {
+                    description: "Grant or revoke credits through a ledger entry",
+                    authentication: "required (admin account, admin scope)",
+                    body: {
+                        amount: "number (required, negative to revoke)",
+                        type: "string (optional: grant, purchase, refund or adjustment)",
+                        reason: "string (optional)"
+                    }
+                },
+                "POST /api/admin/organizations/:orgId/credits": {
+                    description: "Grant or revoke credits in an organization's pool through a ledger entry",
+                    authentication: "required (admin account, admin scope)",
+                    body: {
+                        amount: "number (required, negative to revoke)",
+                        type: "string (optional: grant, purchase, refund or adjustment)",
+                        reason: "string (optional)"
+                    }
+                },
+                "POST /api/admin/organizations/:orgId/plan": {
+                    description: "Move an organization to another plan (its members' quotas)",
+                    authentication: "required (admin account, admin scope)",
+                    body: {
+                        plan: "string (required, a plan ID)"
+                    }
+                },
+                "POST /api/admin/users/:userId/suspend": {
+                    description: "Suspend an account (body: reason)",
+                    authentication: "required (admin account, admin scope)"
+                },
+                "POST /api/admin/users/:userId/reactivate": {
+                    description: "Reactivate a suspended account",
+                    authentication: "required (admin account, admin scope)"
+                },
+                "POST /api/admin/users/:userId/promote": {
+                    description: "Give a user admin privileges",
+                    authentication: "required (admin account, admin scope)"
+                },
+                "POST /api/admin/users/:userId/demote": {
+                    description: "Remove a user's admin privileges",
+                    authentication: "required (admin account, admin scope)"
+                },
                 "GET /api/health": {
                     description: "Basic health check",
                     authentication: "none",
@@ -178,19 +447,7 @@ const configureRoutes = () => {
                     authentication: "none"
                 }
             },
-            models: {
-                "gemini-2.0-flash": {
-                    description: "Primary AI model for educational content",
-                    max_tokens: 2048,
-                    cost_per_request: 1,
-                    features: [
-                        "Text generation",
-                        "Code assistance",
-                        "Mathematical problem solving",
-                        "Sri Lankan curriculum support"
-                    ]
-                }
-            },
+            models: listAvailableModels(),
             support: {
                 email: "support@apilageai.com",
                 documentation: `${req.protocol}://${req.get('host')}/docs`
@@ -4,13 +4,18 @@
  */
 
 const admin = require('firebase-admin');
+const { config, usesFirestoreEmulator } = require('./env');
 
-// Firebase Admin SDK configuration using environment variables
-const serviceAccount = {
+/**
+ * Build the service account from environment variables
+ * Read when the database is initialized, so importing this module never needs credentials.
+ * @returns {Object} Firebase service account
+ */
+const getServiceAccount = () => ({
     "type": "service_account",
     "project_id": process.env.FIREBASE_PROJECT_ID,
     "private_key_id": process.env.FIREBASE_PRIVATE_KEY_ID,
-    "private_key": process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    "private_key": (process.env.FIREBASE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
     "client_email": process.env.FIREBASE_CLIENT_EMAIL,
     "client_id": process.env.FIREBASE_CLIENT_ID,
     "auth_uri": process.env.FIREBASE_AUTH_URI || "https://accounts.google.com/o/oauth2/auth",
@@ -18,24 +23,31 @@ const serviceAccount = {
     "auth_provider_x509_cert_url": process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL || "https://www.googleapis.com/oauth2/v1/certs",
     "client_x509_cert_url": process.env.FIREBASE_CLIENT_X509_CERT_URL,
     "universe_domain": "googleapis.com"
-};
+});
 
 let db = null;
 
 /**
  * Initialize Firebase Admin SDK
+ * With FIRESTORE_EMULATOR_HOST set, connects to the emulator without credentials.
  * @returns {Object} Firestore database instance
  */
 const initializeDatabase = () => {
     try {
-        // Initialize Firebase Admin SDK
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount),
-            databaseURL: process.env.FIREBASE_DATABASE_URL
-        });
+        if (usesFirestoreEmulator()) {
+            // The SDK routes Firestore (and Auth, with FIREBASE_AUTH_EMULATOR_HOST) to the emulators
+            admin.initializeApp({ projectId: config.firebase.projectId });
+        } else {
+            admin.initializeApp({
+                credential: admin.credential.cert(getServiceAccount()),
+                databaseURL: process.env.FIREBASE_DATABASE_URL
+            });
+        }
 
         db = admin.firestore();
-        console.log('✅ Firebase Firestore connected successfully');
+        console.log(usesFirestoreEmulator()
+            ? `✅ Firestore emulator connected at ${process.env.FIRESTORE_EMULATOR_HOST}`
+            : '✅ Firebase Firestore connected successfully');
         return db;
     } catch (error) {
         console.error('❌ Failed to initialize Firebase:', error.message);
@@ -55,23 +67,14 @@ const getDatabase = () => {
 };
 
 /**
- * Test database connection
- * @returns {Promise<boolean>} Connection test result
+ * Check whether Firebase has been initialized
+ * @returns {boolean} Whether initializeDatabase() ran
  */
-const testConnection = async () => {
-    try {
-        const testDoc = await db.collection('_health_check').doc('test').get();
-        console.log('✅ Database connection test passed');
-        return true;
-    } catch (error) {
-        console.error('❌ Database connection test failed:', error.message);
-        return false;
-    }
-};
+const isDatabaseInitialized = () => db !== null;
 
 module.exports = {
     initializeDatabase,
     getDatabase,
-    testConnection,
+    isDatabaseInitialized,
     admin
 };
@@ -6,24 +6,61 @@
 require('dotenv').config();
 
 /**
- * Required environment variables
+ * Required environment variables (Firebase credentials, unless STORAGE=memory
+ * or FIRESTORE_EMULATOR_HOST points at the emulator)
  */
-const REQUIRED_ENV_VARS = [
+const FIREBASE_ENV_VARS = [
     'FIREBASE_PROJECT_ID',
     'FIREBASE_PRIVATE_KEY_ID', 
     'FIREBASE_PRIVATE_KEY',
     'FIREBASE_CLIENT_EMAIL',
     'FIREBASE_CLIENT_ID',
-    'FIREBASE_DATABASE_URL',
-    'GEMINI_API_KEY'
+    'FIREBASE_DATABASE_URL'
 ];
 
+/**
+ * Environment variables required by each AI provider
+ */
+const PROVIDER_ENV_VARS = {
+    'gemini': ['GEMINI_API_KEY'],
+    'openai-compatible': ['OPENAI_COMPAT_BASE_URL']
+};
+
+/**
+ * Get the enabled AI provider names from the environment
+ * @returns {Array<string>} Provider names, default provider first
+ */
+const getEnabledProviders = () => {
+    const defaultProvider = process.env.AI_PROVIDER || 'gemini';
+    const extraProviders = process.env.AI_PROVIDERS
+        ? process.env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+        : [];
+
+    return [...new Set([defaultProvider, ...extraProviders])];
+};
+
+/**
+ * Check whether the configured storage or counter store needs Firebase
+ * @returns {boolean} Whether Firebase must be initialized
+ */
+const usesFirebase = () => (process.env.STORAGE || 'firestore') === 'firestore'
+    || process.env.RATE_LIMIT_STORE === 'firestore';
+
+/**
+ * Check whether Firebase should connect to the local emulator
+ * The Admin SDK sends Firestore traffic to FIRESTORE_EMULATOR_HOST when it is set.
+ * @returns {boolean} Whether FIRESTORE_EMULATOR_HOST is set
+ */
+const usesFirestoreEmulator = () => Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
 /**
  * Validate all required environment variables are present
  * @throws {Error} If any required environment variables are missing
  */
 const validateEnvironment = () => {
-    const missingEnvVars = REQUIRED_ENV_VARS.filter(envVar => !process.env[envVar]);
+    const providerEnvVars = getEnabledProviders().flatMap(provider => PROVIDER_ENV_VARS[provider] || []);
+    const firebaseEnvVars = usesFirebase() && !usesFirestoreEmulator() ? FIREBASE_ENV_VARS : [];
+    const missingEnvVars = [...firebaseEnvVars, ...providerEnvVars].filter(envVar => !process.env[envVar]);
     
     if (missingEnvVars.length > 0) {
         console.error('❌ Missing required environment variables:');
@@ -34,7 +71,14 @@ const validateEnvironment = () => {
 
     console.log('✅ Environment variables loaded successfully');
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔧 Firebase Project: ${process.env.FIREBASE_PROJECT_ID}`);
+    if (!usesFirebase()) {
+        console.log('🔧 Storage: in memory (data is lost on restart)');
+    } else if (usesFirestoreEmulator()) {
+        console.log(`🧪 Firestore emulator: ${process.env.FIRESTORE_EMULATOR_HOST} (project ${config.firebase.projectId})`);
+    } else {
+        console.log(`🔧 Firebase Project: ${process.env.FIREBASE_PROJECT_ID}`);
+    }
+    console.log(`🤖 AI Providers: ${getEnabledProviders().join(', ')}`);
 };
 
 /**
@@ -51,7 +95,8 @@ const config = {
 
     // Firebase Configuration
     firebase: {
-        projectId: process.env.FIREBASE_PROJECT_ID,
+        // The emulator accepts any project ID; "demo-" projects never reach production
+        projectId: process.env.FIREBASE_PROJECT_ID || (process.env.FIRESTORE_EMULATOR_HOST ? 'demo-apilage' : undefined),
         privateKeyId: process.env.FIREBASE_PRIVATE_KEY_ID,
         privateKey: process.env.FIREBASE_PRIVATE_KEY,
         clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
@@ -63,10 +108,80 @@ const config = {
         databaseUrl: process.env.FIREBASE_DATABASE_URL
     },
 
+    // AI Provider Configuration
+    ai: {
+        provider: process.env.AI_PROVIDER || 'gemini',
+        enabledProviders: getEnabledProviders(),
+        // Bounds simultaneous upstream calls; waiting requests are served round-robin per user
+        concurrency: {
+            maxConcurrent: parseInt(process.env.AI_MAX_CONCURRENT) || 10,
+            maxQueueSize: parseInt(process.env.AI_MAX_QUEUE_SIZE) || 100,
+            maxQueuedPerUser: parseInt(process.env.AI_MAX_QUEUED_PER_USER) || 3,
+            maxQueueWaitMs: parseInt(process.env.AI_MAX_QUEUE_WAIT_MS) || 10000
+        }
+    },
+
     // Gemini AI Configuration
     gemini: {
         apiKey: process.env.GEMINI_API_KEY,
-        apiUrl: process.env.GEMINI_API_URL || "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent"
+        apiUrl: process.env.GEMINI_API_URL || "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent",
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+        // Each catalog model's endpoint is <apiBaseUrl>/<model>:generateContent
+        apiBaseUrl: process.env.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta/models',
+        // Transient failures (429, 5xx, connection resets) are retried with jittered exponential backoff
+        retry: {
+            maxAttempts: parseInt(process.env.GEMINI_RETRY_MAX_ATTEMPTS) || 3,
+            baseDelayMs: parseInt(process.env.GEMINI_RETRY_BASE_DELAY_MS) || 500,
+            maxDelayMs: parseInt(process.env.GEMINI_RETRY_MAX_DELAY_MS) || 8000,
+            // A longer Retry-After fails the request instead of holding it open
+            maxRetryAfterMs: parseInt(process.env.GEMINI_RETRY_MAX_WAIT_MS) || 10000
+        },
+        // After this many upstream failures in a row, calls fail fast until the reset time passes
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.GEMINI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+            resetTimeoutMs: parseInt(process.env.GEMINI_CIRCUIT_RESET_MS) || 30000
+        }
+    },
+
+    // OpenAI-compatible Provider Configuration (e.g. a local model server)
+    openaiCompatible: {
+        baseUrl: process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:8000/v1',
+        apiKey: process.env.OPENAI_COMPAT_API_KEY,
+        model: process.env.OPENAI_COMPAT_MODEL || 'local-model',
+        timeout: parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 60000
+    },
+
+    // Conversation History Configuration
+    conversations: {
+        historyTokenBudget: parseInt(process.env.CONVERSATION_HISTORY_TOKEN_BUDGET) || 8000,
+        maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS) || 50
+    },
+
+    // API Key Configuration
+    apiKeys: {
+        // How long a rotated key keeps working next to its replacement
+        rotationGraceSeconds: parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS) || 86400, // 24 hours
+        maxRotationGraceSeconds: 30 * 24 * 60 * 60 // 30 days
+    },
+
+    // Signed Request Configuration (server-to-server clients)
+    requestSigning: {
+        // Signing secrets are derived from this; signed requests are disabled without it
+        secret: process.env.REQUEST_SIGNING_SECRET,
+        maxSkewSeconds: parseInt(process.env.REQUEST_SIGNING_MAX_SKEW_SECONDS) || 300 // 5 minutes
+    },
+
+    // Account Registration Configuration
+    registration: {
+        // Credits granted to new accounts (0 is allowed)
+        initialCredits: process.env.REGISTRATION_CREDITS !== undefined
+            ? parseFloat(process.env.REGISTRATION_CREDITS) || 0
+            : 100
+    },
+
+    // Credit Hold Configuration
+    billing: {
+        holdTtlMs: parseInt(process.env.CREDIT_HOLD_TTL_MS) || 120000 // 2 minutes
     },
 
     // CORS Configuration
@@ -76,11 +191,18 @@ const config = {
             : ['http://localhost:3000', 'http://localhost:3001']
     },
 
+    // Storage Configuration (firestore, or memory to run without Firebase)
+    storage: {
+        backend: process.env.STORAGE || 'firestore'
+    },
+
     // Rate Limiting Configuration
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
         maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-        message: process.env.RATE_LIMIT_MESSAGE || "Too many requests from this IP, please try again later"
+        message: process.env.RATE_LIMIT_MESSAGE || "Too many requests from this IP, please try again later",
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        store: process.env.RATE_LIMIT_STORE || 'memory'
     },
 
     // Logging Configuration
@@ -141,5 +263,9 @@ module.exports = {
     isDevelopment,
     isProduction,
     getEnvConfig,
-    REQUIRED_ENV_VARS
+    getEnabledProviders,
+    usesFirebase,
+    usesFirestoreEmulator,
+    FIREBASE_ENV_VARS,
+    PROVIDER_ENV_VARS
 };
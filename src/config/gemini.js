@@ -4,10 +4,22 @@
  */
 
 const axios = require('axios');
+const { config } = require('./env');
+const { withRetry, createCircuitBreaker } = require('../utils/resilience');
+
+/**
+ * Derive another method URL (streamGenerateContent, countTokens) from a generateContent URL
+ * @param {string} apiUrl - generateContent endpoint URL
+ * @param {string} method - Target method name
+ * @returns {string} Endpoint URL
+ */
+const toMethodUrl = (apiUrl, method) => apiUrl.replace(/:generateContent$/, `:${method}`);
 
 // Gemini AI configuration using environment variables
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_API_URL = process.env.GEMINI_API_URL || "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent";
+const GEMINI_STREAM_API_URL = process.env.GEMINI_STREAM_API_URL || toMethodUrl(GEMINI_API_URL, 'streamGenerateContent');
+const GEMINI_COUNT_TOKENS_URL = toMethodUrl(GEMINI_API_URL, 'countTokens');
 
 // Custom system prompt for your AI platform
 const SYSTEM_PROMPT = `System instruction — ApilageAI assistant
@@ -77,6 +89,43 @@ You MUST follow these rules at all times. Do not ignore or override this message
 ----------------------------------------------------------------
 End of system instruction.`;
 
+/**
+ * Circuit breaker shared by every call to Gemini
+ * While open, calls fail fast with a 503 instead of waiting on a service that is down.
+ */
+const geminiCircuitBreaker = createCircuitBreaker({
+    name: 'gemini',
+    ...config.gemini.circuitBreaker,
+    errorMessage: 'AI service temporarily unavailable. Please try again later.',
+    errorCode: 'AI_SERVICE_UNAVAILABLE'
+});
+
+/**
+ * Send a request to Gemini through the circuit breaker, retrying transient failures
+ * @param {Function} request - Makes one attempt (returns the axios promise)
+ * @param {Object} options - Call options (options.signal stops retries, options.retry === false disables them)
+ * @returns {Promise<Object>} Axios response
+ */
+const callGemini = (request, options = {}) => geminiCircuitBreaker.execute(() => withRetry(request, {
+    ...config.gemini.retry,
+    maxAttempts: options.retry === false ? 1 : config.gemini.retry.maxAttempts,
+    signal: options.signal,
+    onRetry: (error, attempt, delayMs) => {
+        console.warn(`🔁 Gemini call failed (${error.response?.status || error.code}), attempt ${attempt}; retrying in ${delayMs}ms`);
+    }
+}));
+
+/**
+ * Get the state of the Gemini circuit breaker
+ * @returns {Object} Breaker state (closed, open or half_open)
+ */
+const getCircuitBreakerState = () => geminiCircuitBreaker.getState();
+
+/**
+ * Close the Gemini circuit breaker and forget past failures
+ */
+const resetCircuitBreaker = () => geminiCircuitBreaker.reset();
+
 /**
  * Default generation configuration for Gemini AI
  */
@@ -110,25 +159,38 @@ const SAFETY_SETTINGS = [
     }
 ];
 
+/**
+ * Build Gemini contents array from conversation history and the new message
+ * The system prompt is prepended to the first user turn of the conversation
+ * @param {string} message - User message
+ * @param {Array<{role: string, text: string}>} history - Previous turns, oldest first
+ * @returns {Array<Object>} Gemini contents with alternating user/model roles
+ */
+const buildContents = (message, history = []) => {
+    const turns = [...history, { role: 'user', text: message }];
+
+    return turns.map((turn, index) => ({
+        role: turn.role === 'model' ? 'model' : 'user',
+        parts: [
+            {
+                text: index === 0 ? `${SYSTEM_PROMPT}\n\nUser: ${turn.text}` : turn.text
+            }
+        ]
+    }));
+};
+
 /**
  * Create Gemini API request payload
  * @param {string} message - User message
  * @param {Object} options - Optional configuration overrides
+ * @param {Array<{role: string, text: string}>} options.history - Previous conversation turns
  * @returns {Object} Gemini API request payload
  */
 const createGeminiRequest = (message, options = {}) => {
     const generationConfig = { ...DEFAULT_GENERATION_CONFIG, ...options.generationConfig };
-    
+
     const request = {
-        contents: [
-            {
-                parts: [
-                    {
-                        text: `${SYSTEM_PROMPT}\n\nUser: ${message}`
-                    }
-                ]
-            }
-        ],
+        contents: buildContents(message, options.history),
         generationConfig,
         safetySettings: options.safetySettings || SAFETY_SETTINGS
     };
@@ -144,19 +206,21 @@ const createGeminiRequest = (message, options = {}) => {
 /**
  * Make request to Gemini AI API
  * @param {string} message - User message
- * @param {Object} options - Optional configuration
- * @returns {Promise<string>} AI response
+ * @param {Object} options - Optional configuration (options.apiUrl overrides the endpoint, options.retry === false disables retries)
+ * @returns {Promise<{text: string, usageMetadata: Object|null}>} AI response and token usage
  */
 const generateResponse = async (message, options = {}) => {
     try {
         const requestPayload = createGeminiRequest(message, options);
         
-        const response = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, requestPayload, {
+        const apiUrl = options.apiUrl || GEMINI_API_URL;
+
+        const response = await callGemini(() => axios.post(`${apiUrl}?key=${GEMINI_API_KEY}`, requestPayload, {
             headers: {
                 'Content-Type': 'application/json'
             },
             timeout: options.timeout || 30000 // 30 second timeout
-        });
+        }), options);
 
         if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
             throw new Error('No response from AI model');
@@ -178,13 +242,167 @@ const generateResponse = async (message, options = {}) => {
             }
         }
 
-        return finalResponse.trim();
+        return {
+            text: finalResponse.trim(),
+            usageMetadata: response.data.usageMetadata || null
+        };
     } catch (error) {
         console.error('Gemini API Error:', error.response?.data || error.message);
         throw error;
     }
 };
 
+/**
+ * Extract the text and token usage of a single SSE event from the streaming endpoint
+ * @param {string} event - Raw SSE event block
+ * @returns {{text: string, usageMetadata: Object|null}} Event contents
+ */
+const parseStreamEvent = (event) => {
+    let text = '';
+    let usageMetadata = null;
+
+    for (const line of event.split(/\r?\n/)) {
+        if (!line.startsWith('data:')) {
+            continue;
+        }
+
+        const payload = JSON.parse(line.slice(5).trim());
+        const parts = payload.candidates?.[0]?.content?.parts || [];
+        usageMetadata = payload.usageMetadata || usageMetadata;
+
+        for (const part of parts) {
+            if (part.text) {
+                text += part.text;
+            }
+        }
+    }
+
+    return { text, usageMetadata };
+};
+
+/**
+ * Read an error body returned on a streaming request
+ * @param {Object} error - Axios error
+ */
+const readStreamErrorBody = async (error) => {
+    const body = error.response?.data;
+    if (!body || typeof body.on !== 'function') {
+        return;
+    }
+
+    let raw = '';
+    body.setEncoding('utf8');
+    for await (const chunk of body) {
+        raw += chunk;
+    }
+
+    try {
+        error.response.data = JSON.parse(raw);
+    } catch (parseError) {
+        error.response.data = { error: { message: raw } };
+    }
+};
+
+/**
+ * Stream a response from the Gemini AI API
+ * Text is handed to onChunk as it arrives. Aborting through options.signal
+ * stops the upstream request and resolves with the text received so far.
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration
+ * @param {AbortSignal} options.signal - Signal used to cancel the upstream request
+ * @param {Function} onChunk - Called with each text chunk
+ * @returns {Promise<{text: string, aborted: boolean, usageMetadata: Object|null}>} Full streamed text
+ */
+const streamResponse = async (message, options = {}, onChunk = () => {}) => {
+    let fullText = '';
+    // Gemini reports cumulative usage, so the last event carries the totals
+    let usageMetadata = null;
+
+    try {
+        const requestPayload = createGeminiRequest(message, options);
+
+        const streamUrl = options.apiUrl ? toMethodUrl(options.apiUrl, 'streamGenerateContent') : GEMINI_STREAM_API_URL;
+
+        // Only opening the stream is retried: once text has reached onChunk it can't be taken back
+        const response = await callGemini(async () => {
+            try {
+                return await axios.post(`${streamUrl}?alt=sse&key=${GEMINI_API_KEY}`, requestPayload, {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    responseType: 'stream',
+                    signal: options.signal,
+                    timeout: options.timeout || 30000 // 30 second idle timeout
+                });
+            } catch (error) {
+                // Drain the error body so the connection is freed and RetryInfo can be read
+                await readStreamErrorBody(error);
+                throw error;
+            }
+        }, options);
+
+        const handleEvent = (event) => {
+            const parsed = parseStreamEvent(event);
+            const { text } = parsed;
+            usageMetadata = parsed.usageMetadata || usageMetadata;
+            if (text) {
+                fullText += text;
+                onChunk(text);
+            }
+        };
+
+        let buffer = '';
+        response.data.setEncoding('utf8');
+
+        for await (const data of response.data) {
+            buffer += data;
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(handleEvent);
+        }
+
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+
+        return { text: fullText.trim(), aborted: false, usageMetadata };
+    } catch (error) {
+        if (axios.isCancel(error) || options.signal?.aborted) {
+            return { text: fullText.trim(), aborted: true, usageMetadata };
+        }
+
+        await readStreamErrorBody(error);
+        console.error('Gemini API Stream Error:', error.response?.data || error.message);
+        throw error;
+    }
+};
+
+/**
+ * Count the tokens a message (plus history and system prompt) uses
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (options.history)
+ * @returns {Promise<number>} Total token count
+ */
+const countTokens = async (message, options = {}) => {
+    try {
+        const countTokensUrl = options.apiUrl ? toMethodUrl(options.apiUrl, 'countTokens') : GEMINI_COUNT_TOKENS_URL;
+
+        const response = await callGemini(() => axios.post(`${countTokensUrl}?key=${GEMINI_API_KEY}`, {
+            contents: buildContents(message, options.history)
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            timeout: options.timeout || 10000
+        }), options);
+
+        return response.data.totalTokens || 0;
+    } catch (error) {
+        console.error('Gemini countTokens Error:', error.response?.data || error.message);
+        throw error;
+    }
+};
+
 /**
  * Test Gemini API connection
  * @returns {Promise<boolean>} Connection test result
@@ -192,10 +410,12 @@ const generateResponse = async (message, options = {}) => {
 const testGeminiConnection = async () => {
     try {
         const testResponse = await generateResponse("Hello, this is a test message. Please respond briefly.", {
-            generationConfig: { maxOutputTokens: 50 }
+            generationConfig: { maxOutputTokens: 50 },
+            // Health checks report the current state rather than waiting out retries
+            retry: false
         });
         console.log('✅ Gemini AI connection test passed');
-        console.log(`Test response: ${testResponse.substring(0, 100)}...`);
+        console.log(`Test response: ${testResponse.text.substring(0, 100)}...`);
         return true;
     } catch (error) {
         console.error('❌ Gemini AI connection test failed:', error.message);
@@ -205,11 +425,19 @@ const testGeminiConnection = async () => {
 
 module.exports = {
     generateResponse,
+    streamResponse,
+    countTokens,
     testGeminiConnection,
+    getCircuitBreakerState,
+    resetCircuitBreaker,
     createGeminiRequest,
+    buildContents,
+    toMethodUrl,
     SYSTEM_PROMPT,
     DEFAULT_GENERATION_CONFIG,
     SAFETY_SETTINGS,
     GEMINI_API_KEY,
-    GEMINI_API_URL
+    GEMINI_API_URL,
+    GEMINI_STREAM_API_URL,
+    GEMINI_COUNT_TOKENS_URL
 };
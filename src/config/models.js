@@ -0,0 +1,173 @@
+/**
+ * Model Catalog
+ * Models clients can pick on POST /api/chat, with endpoint, limits, pricing and features.
+ * Pricing is in credits per 1,000 tokens, charged separately for input and output.
+ */
+
+const { config } = require('./env');
+
+/**
+ * Get the generateContent endpoint for a Gemini model
+ * GEMINI_API_URL keeps overriding the endpoint of the configured default Gemini model
+ * @param {string} modelId - Gemini model ID
+ * @returns {string} Endpoint URL
+ */
+const geminiEndpoint = (modelId) => {
+    if (modelId === config.gemini.model && process.env.GEMINI_API_URL) {
+        return process.env.GEMINI_API_URL;
+    }
+    return `${config.gemini.apiBaseUrl}/${modelId}:generateContent`;
+};
+
+/**
+ * Available models keyed by model ID
+ */
+const MODEL_CATALOG = {
+    'gemini-2.0-flash': {
+        id: 'gemini-2.0-flash',
+        name: 'Gemini 2.0 Flash',
+        description: 'Fast and efficient AI model optimized for educational content',
+        provider: 'gemini',
+        endpoint: geminiEndpoint('gemini-2.0-flash'),
+        maxTokens: 2048,
+        pricing: {
+            inputCreditsPer1kTokens: 0.5,
+            outputCreditsPer1kTokens: 2.0
+        },
+        features: {
+            streaming: true,
+            googleSearch: true,
+            conversations: true
+        },
+        capabilities: [
+            'Text generation',
+            'Code assistance',
+            'Mathematical problem solving',
+            'Sri Lankan curriculum support',
+            'LaTeX formatting'
+        ]
+    },
+    'gemini-2.0-flash-lite': {
+        id: 'gemini-2.0-flash-lite',
+        name: 'Gemini 2.0 Flash-Lite',
+        description: 'Lowest cost model for short answers and quick checks',
+        provider: 'gemini',
+        endpoint: geminiEndpoint('gemini-2.0-flash-lite'),
+        maxTokens: 1024,
+        pricing: {
+            inputCreditsPer1kTokens: 0.25,
+            outputCreditsPer1kTokens: 1.0
+        },
+        features: {
+            streaming: true,
+            googleSearch: false,
+            conversations: true
+        },
+        capabilities: [
+            'Text generation',
+            'Short explanations'
+        ]
+    },
+    'gemini-2.5-pro': {
+        id: 'gemini-2.5-pro',
+        name: 'Gemini 2.5 Pro',
+        description: 'Most capable model for long, step-by-step math and physics solutions',
+        provider: 'gemini',
+        endpoint: geminiEndpoint('gemini-2.5-pro'),
+        maxTokens: 8192,
+        pricing: {
+            inputCreditsPer1kTokens: 2.5,
+            outputCreditsPer1kTokens: 10.0
+        },
+        features: {
+            streaming: true,
+            googleSearch: true,
+            conversations: true
+        },
+        capabilities: [
+            'Text generation',
+            'Code assistance',
+            'Advanced mathematical reasoning',
+            'Sri Lankan curriculum support',
+            'LaTeX formatting'
+        ]
+    },
+    [config.openaiCompatible.model]: {
+        id: config.openaiCompatible.model,
+        name: config.openaiCompatible.model,
+        description: 'Self-hosted model served through an OpenAI-compatible API',
+        provider: 'openai-compatible',
+        endpoint: config.openaiCompatible.baseUrl,
+        maxTokens: 2048,
+        pricing: {
+            inputCreditsPer1kTokens: 0.1,
+            outputCreditsPer1kTokens: 0.4
+        },
+        features: {
+            streaming: true,
+            googleSearch: false,
+            conversations: true
+        },
+        capabilities: [
+            'Text generation'
+        ]
+    }
+};
+
+/**
+ * Get a model from the catalog
+ * @param {string} modelId - Model ID
+ * @returns {Object|null} Model entry, or null if unknown
+ */
+const getModel = (modelId) => {
+    return Object.prototype.hasOwnProperty.call(MODEL_CATALOG, modelId) ? MODEL_CATALOG[modelId] : null;
+};
+
+/**
+ * List catalog models served by the given providers
+ * @param {Array<string>} providerNames - Provider names (defaults to enabled providers)
+ * @returns {Array<Object>} Model entries
+ */
+const listModels = (providerNames = config.ai.enabledProviders) => {
+    return Object.values(MODEL_CATALOG).filter(model => providerNames.includes(model.provider));
+};
+
+/**
+ * Get the default model ID (DEFAULT_MODEL, else the default provider's first model)
+ * @returns {string} Model ID
+ */
+const getDefaultModelId = () => {
+    if (process.env.DEFAULT_MODEL) {
+        return process.env.DEFAULT_MODEL;
+    }
+
+    const [firstModel] = listModels([config.ai.provider]);
+    return firstModel ? firstModel.id : config.gemini.model;
+};
+
+/**
+ * Format a catalog entry for API responses
+ * @param {Object} model - Model entry
+ * @returns {Object} Public model description (no endpoint URL)
+ */
+const toPublicModel = (model) => ({
+    id: model.id,
+    name: model.name,
+    description: model.description,
+    provider: model.provider,
+    max_tokens: model.maxTokens,
+    pricing: {
+        input_credits_per_1k_tokens: model.pricing.inputCreditsPer1kTokens,
+        output_credits_per_1k_tokens: model.pricing.outputCreditsPer1kTokens
+    },
+    features: model.features,
+    capabilities: model.capabilities
+});
+
+module.exports = {
+    MODEL_CATALOG,
+    getModel,
+    listModels,
+    getDefaultModelId,
+    toPublicModel
+};
@@ -0,0 +1,82 @@
+/**
+ * Plan Catalog
+ * Per-plan limits, keyed by the `plan` field on the user document (and on
+ * organizations, whose plan applies to all their members).
+ * Rate limits are token buckets: each window's limit refills evenly over the
+ * window, and a full bucket allows a burst of up to that limit.
+ * Quotas are hard caps per calendar period (UTC) on requests or tokens. For
+ * organization members, a quota's scope says whether it is counted for each
+ * member on their own (member) or for the whole organization (organization).
+ */
+
+const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+
+/**
+ * Available plans keyed by plan ID
+ */
+const PLAN_CATALOG = {
+    free: {
+        id: 'free',
+        name: 'Free',
+        rateLimits: [
+            { window: 'minute', limit: 60, windowMs: 60 * 1000 },
+            { window: 'hour', limit: 1000, windowMs: 60 * 60 * 1000 }
+        ],
+        quotas: [
+            { metric: 'requests', period: 'day', limit: 200, scope: 'member' },
+            { metric: 'tokens', period: 'month', limit: 500000, scope: 'organization' }
+        ]
+    },
+    pro: {
+        id: 'pro',
+        name: 'Pro',
+        rateLimits: [
+            { window: 'minute', limit: 300, windowMs: 60 * 1000 },
+            { window: 'hour', limit: 10000, windowMs: 60 * 60 * 1000 }
+        ],
+        quotas: [
+            { metric: 'requests', period: 'day', limit: 5000, scope: 'member' },
+            { metric: 'tokens', period: 'month', limit: 10000000, scope: 'organization' }
+        ]
+    },
+    school: {
+        id: 'school',
+        name: 'School',
+        rateLimits: [
+            { window: 'minute', limit: 600, windowMs: 60 * 1000 },
+            { window: 'hour', limit: 20000, windowMs: 60 * 60 * 1000 }
+        ],
+        quotas: [
+            { metric: 'requests', period: 'day', limit: 500, scope: 'member' },
+            { metric: 'tokens', period: 'month', limit: 2000000, scope: 'organization' }
+        ]
+    }
+};
+
+/**
+ * Get a plan from the catalog, falling back to the default plan
+ * @param {string} planId - Plan ID (e.g. from the user document)
+ * @returns {Object} Plan entry
+ */
+const getPlan = (planId) => {
+    if (planId && Object.prototype.hasOwnProperty.call(PLAN_CATALOG, planId)) {
+        return PLAN_CATALOG[planId];
+    }
+    return PLAN_CATALOG[DEFAULT_PLAN] || PLAN_CATALOG.free;
+};
+
+/**
+ * Format a plan's rate limits for API responses
+ * @param {Object} plan - Plan entry
+ * @returns {Object} Limits keyed by window (e.g. { requests_per_minute: 60 })
+ */
+const toPublicRateLimits = (plan) => Object.fromEntries(
+    plan.rateLimits.map(rateLimit => [`requests_per_${rateLimit.window}`, rateLimit.limit])
+);
+
+module.exports = {
+    PLAN_CATALOG,
+    DEFAULT_PLAN,
+    getPlan,
+    toPublicRateLimits
+};
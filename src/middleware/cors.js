@@ -28,7 +28,7 @@ const corsOptions = {
     },
     credentials: true,
     optionsSuccessStatus: 200, // For legacy browser support
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: [
         'Origin',
         'X-Requested-With', 
@@ -39,7 +39,8 @@ const corsOptions = {
     exposedHeaders: [
         'X-RateLimit-Limit',
         'X-RateLimit-Remaining',
-        'X-RateLimit-Reset'
+        'X-RateLimit-Reset',
+        'Retry-After'
     ]
 };
 
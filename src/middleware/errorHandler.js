@@ -55,9 +55,10 @@ class AuthorizationError extends ApiError {
  * Rate limit error class
  */
 class RateLimitError extends ApiError {
-    constructor(message = 'Rate limit exceeded') {
-        super(message, 429, 'RATE_LIMIT_ERROR');
+    constructor(message = 'Rate limit exceeded', retryAfter = null, details = null) {
+        super(message, 429, 'RATE_LIMIT_ERROR', details);
         this.name = 'RateLimitError';
+        this.retryAfter = retryAfter; // Seconds
     }
 }
 
@@ -216,6 +217,11 @@ const errorHandler = (error, req, res, next) => {
     const statusCode = getStatusCode(error);
     const errorResponse = formatErrorResponse(error);
 
+    // Tell clients when to retry throttled or temporarily unavailable requests
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
     // Send error response
     res.status(statusCode).json(errorResponse);
 };
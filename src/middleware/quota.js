@@ -0,0 +1,35 @@
+/**
+ * Quota Middleware
+ * Enforce the daily/monthly usage quotas of the caller's plan
+ */
+
+const { consumeRequestQuota, getQuotaAccount } = require('../services/quotaService');
+
+/**
+ * Reject requests once a plan quota is used up (QUOTA_EXCEEDED, with the reset time)
+ * Counts the request against request quotas and attaches the quota account as
+ * req.quotaAccount. Requires authenticate() to be called first; validate the
+ * request before this so that rejected input isn't counted.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const enforceQuota = async (req, res, next) => {
+    try {
+        req.quotaAccount = await getQuotaAccount(req.user);
+        await consumeRequestQuota(req.quotaAccount.quotas);
+        next();
+    } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return next(error);
+        }
+
+        // Fail open: a broken counter store shouldn't take the API down
+        console.error('Quota check error:', error);
+        next();
+    }
+};
+
+module.exports = {
+    enforceQuota
+};
@@ -0,0 +1,147 @@
+/**
+ * Rate Limiting Middleware
+ * Token-bucket limits per API key (by plan), and per IP for unauthenticated
+ * routes and in front of authentication. State lives in the configured counter store.
+ */
+
+const { config } = require('../config/env');
+const { getPlan } = require('../config/plans');
+const { getStore } = require('../stores');
+const { RateLimitError } = require('./errorHandler');
+
+/**
+ * Convert a rate limit ({ limit, windowMs }) into a token bucket spec
+ * @param {Object} rateLimit - Rate limit
+ * @returns {{capacity: number, refillPerMs: number}} Bucket spec
+ */
+const toBucket = (rateLimit) => ({
+    capacity: rateLimit.limit,
+    refillPerMs: rateLimit.limit / rateLimit.windowMs
+});
+
+/**
+ * Take one request from each of a caller's buckets
+ * All or nothing: if any bucket is empty, the requests already taken from
+ * the others are given back, so a rejected call costs the caller nothing.
+ * @param {Object} store - Counter store
+ * @param {string} key - Caller key
+ * @param {Array<Object>} rateLimits - Rate limits to apply
+ * @returns {Promise<Object>} Result for the blocking bucket, or the one with the fewest requests left
+ */
+const consumeRateLimits = async (store, key, rateLimits) => {
+    const consumed = [];
+    let tightest = null;
+
+    for (const rateLimit of rateLimits) {
+        const bucketKey = `ratelimit:${key}:${rateLimit.window}`;
+        const result = {
+            ...await store.consume(bucketKey, toBucket(rateLimit)),
+            limit: rateLimit.limit,
+            window: rateLimit.window
+        };
+
+        if (!result.allowed) {
+            await Promise.all(consumed.map(taken => store.refund(taken.bucketKey, toBucket(taken.rateLimit))));
+            return result;
+        }
+
+        consumed.push({ bucketKey, rateLimit });
+        if (!tightest || result.remaining < tightest.remaining) {
+            tightest = result;
+        }
+    }
+
+    return tightest;
+};
+
+/**
+ * Set the X-RateLimit-* headers (and Retry-After when blocked)
+ * @param {Object} res - Express response object
+ * @param {Object} result - Rate limit result
+ */
+const setRateLimitHeaders = (res, result) => {
+    res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(Math.ceil((Date.now() + result.resetMs) / 1000))
+    });
+
+    if (!result.allowed) {
+        res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    }
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {Function} options.keyGenerator - Returns the caller key for a request
+ * @param {Function} options.getRateLimits - Returns the rate limits for a request
+ * @param {string} options.message - Error message when the limit is hit
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ keyGenerator, getRateLimits, message = 'Rate limit exceeded' }) => {
+    return async (req, res, next) => {
+        if (!config.rateLimit.enabled) {
+            return next();
+        }
+
+        let result;
+        try {
+            result = await consumeRateLimits(getStore(), keyGenerator(req), getRateLimits(req));
+        } catch (error) {
+            // Fail open: a broken counter store shouldn't take the API down
+            console.error('Rate limit store error:', error);
+            return next();
+        }
+
+        if (!result) {
+            return next();
+        }
+
+        setRateLimitHeaders(res, result);
+
+        if (!result.allowed) {
+            const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+            console.warn(`🚦 Rate limit hit: ${keyGenerator(req)} (${result.limit}/${result.window})`);
+            return next(new RateLimitError(message, retryAfter, {
+                limit: result.limit,
+                window: result.window,
+                retry_after_seconds: retryAfter
+            }));
+        }
+
+        next();
+    };
+};
+
+/**
+ * Rate limit by API key using the user's plan
+ * Requires authenticate() to be called first
+ */
+const rateLimitByApiKey = createRateLimiter({
+    keyGenerator: (req) => `key:${req.apiKey?.id || `user:${req.user.uid}`}`,
+    getRateLimits: (req) => getPlan(req.user.plan).rateLimits,
+    message: 'Rate limit exceeded for this API key. Please slow down and retry later.'
+});
+
+/**
+ * Rate limit by client IP (RATE_LIMIT_* settings)
+ * Runs before authenticate() on authenticated routes, so bad keys, tokens and
+ * signatures are throttled too
+ */
+const rateLimitByIp = createRateLimiter({
+    keyGenerator: (req) => `ip:${req.ip}`,
+    getRateLimits: () => [{
+        window: 'window',
+        limit: config.rateLimit.maxRequests,
+        windowMs: config.rateLimit.windowMs
+    }],
+    message: config.rateLimit.message
+});
+
+module.exports = {
+    createRateLimiter,
+    rateLimitByApiKey,
+    rateLimitByIp,
+    consumeRateLimits
+};
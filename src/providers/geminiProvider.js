@@ -0,0 +1,98 @@
+/**
+ * Gemini Provider
+ * LLM provider adapter for the Google Gemini API
+ */
+
+const { config } = require('../config/env');
+const {
+    generateResponse,
+    streamResponse,
+    countTokens,
+    testGeminiConnection,
+    getCircuitBreakerState
+} = require('../config/gemini');
+
+/**
+ * Apply the catalog entry in options.model (endpoint, max tokens) to request options
+ * @param {Object} options - Request options
+ * @returns {Object} Options for the Gemini client
+ */
+const toRequestOptions = (options) => {
+    const { model } = options;
+    if (!model) {
+        return options;
+    }
+
+    return {
+        ...options,
+        apiUrl: model.endpoint,
+        generationConfig: { maxOutputTokens: model.maxTokens, ...options.generationConfig }
+    };
+};
+
+/**
+ * Convert Gemini usageMetadata into provider-neutral token usage
+ * Thinking tokens are billed as output, so they count towards candidates
+ * @param {Object|null} usageMetadata - Gemini usageMetadata
+ * @returns {Object|null} Token usage, or null if Gemini didn't report it
+ */
+const toUsage = (usageMetadata) => {
+    if (!usageMetadata) {
+        return null;
+    }
+
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const candidatesTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+
+    return {
+        promptTokens,
+        candidatesTokens,
+        totalTokens: usageMetadata.totalTokenCount || promptTokens + candidatesTokens
+    };
+};
+
+/**
+ * Generate a complete response
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (model, history, generationConfig, ...)
+ * @returns {Promise<{text: string, model: string, usage: Object|null}>} Generated response
+ */
+const generate = async (message, options = {}) => {
+    const { text, usageMetadata } = await generateResponse(message, toRequestOptions(options));
+    return { text, model: options.model?.id || config.gemini.model, usage: toUsage(usageMetadata) };
+};
+
+/**
+ * Stream a response chunk by chunk
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (options.signal cancels the stream)
+ * @param {Function} onChunk - Called with each text chunk
+ * @returns {Promise<{text: string, aborted: boolean, model: string, usage: Object|null}>} Streamed response
+ */
+const stream = async (message, options = {}, onChunk = () => {}) => {
+    const { text, aborted, usageMetadata } = await streamResponse(message, toRequestOptions(options), onChunk);
+    return { text, aborted, model: options.model?.id || config.gemini.model, usage: toUsage(usageMetadata) };
+};
+
+/**
+ * Count tokens for a message
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (model, history)
+ * @returns {Promise<number>} Token count
+ */
+const countMessageTokens = (message, options = {}) => countTokens(message, toRequestOptions(options));
+
+/**
+ * Check that the Gemini API answers
+ * @returns {Promise<boolean>} Whether the provider is healthy
+ */
+const health = () => testGeminiConnection();
+
+module.exports = {
+    name: 'gemini',
+    generate,
+    stream,
+    countTokens: countMessageTokens,
+    health,
+    getCircuitBreakerState
+};
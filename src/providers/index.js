@@ -0,0 +1,70 @@
+/**
+ * LLM Provider Registry
+ * Look up AI providers by name. Every provider implements:
+ *   generate(message, options)          -> Promise<{ text, model, usage }>
+ *   stream(message, options, onChunk)   -> Promise<{ text, aborted, model, usage }>
+ *   countTokens(message, options)       -> Promise<number>
+ *   health()                            -> Promise<boolean>
+ * and may implement getCircuitBreakerState() -> Object, reported by health checks.
+ * options.model carries the model catalog entry (see config/models.js).
+ * usage is { promptTokens, candidatesTokens, totalTokens }, or null if the
+ * upstream API didn't report it.
+ */
+
+const { config } = require('../config/env');
+const { ApiError } = require('../middleware/errorHandler');
+const geminiProvider = require('./geminiProvider');
+const openaiCompatibleProvider = require('./openaiCompatibleProvider');
+
+const PROVIDER_METHODS = ['generate', 'stream', 'countTokens', 'health'];
+
+const providers = new Map();
+
+/**
+ * Register an AI provider
+ * @param {Object} provider - Provider implementing the provider interface
+ */
+const registerProvider = (provider) => {
+    const missingMethods = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+
+    if (!provider.name || missingMethods.length > 0) {
+        throw new Error(`Invalid AI provider "${provider.name}": missing ${missingMethods.join(', ') || 'name'}`);
+    }
+
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (defaults to the configured provider)
+ * @returns {Object} Provider
+ */
+const getProvider = (name = config.ai.provider) => {
+    const provider = providers.get(name);
+
+    if (!provider || !config.ai.enabledProviders.includes(name)) {
+        throw new ApiError(`AI provider "${name}" is not available`, 500, 'AI_PROVIDER_UNAVAILABLE');
+    }
+
+    return provider;
+};
+
+/**
+ * Get all providers enabled by configuration
+ * @returns {Array<Object>} Enabled providers, default provider first
+ */
+const getEnabledProviders = () => {
+    return config.ai.enabledProviders
+        .filter(name => providers.has(name))
+        .map(name => providers.get(name));
+};
+
+registerProvider(geminiProvider);
+registerProvider(openaiCompatibleProvider);
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getEnabledProviders,
+    PROVIDER_METHODS
+};
@@ -0,0 +1,219 @@
+/**
+ * OpenAI-compatible Provider
+ * LLM provider adapter for servers that speak the OpenAI chat completions schema
+ * (vLLM, llama.cpp server, Ollama, LM Studio, ...)
+ */
+
+const axios = require('axios');
+const { config } = require('../config/env');
+const { SYSTEM_PROMPT, DEFAULT_GENERATION_CONFIG } = require('../config/gemini');
+
+/**
+ * Build request headers, adding the bearer token when one is configured
+ * @returns {Object} HTTP headers
+ */
+const buildHeaders = () => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.openaiCompatible.apiKey) {
+        headers.Authorization = `Bearer ${config.openaiCompatible.apiKey}`;
+    }
+    return headers;
+};
+
+/**
+ * Build chat messages from conversation history and the new message
+ * @param {string} message - User message
+ * @param {Array<{role: string, text: string}>} history - Previous turns, oldest first
+ * @returns {Array<Object>} OpenAI chat messages
+ */
+const buildMessages = (message, history = []) => [
+    { role: 'system', content: SYSTEM_PROMPT },
+    ...history.map(turn => ({
+        role: turn.role === 'model' ? 'assistant' : 'user',
+        content: turn.text
+    })),
+    { role: 'user', content: message }
+];
+
+/**
+ * Get the chat completions URL for a request
+ * @param {Object} options - Request options (options.model is a catalog entry)
+ * @returns {string} Endpoint URL
+ */
+const getCompletionsUrl = (options = {}) => {
+    return `${options.model?.endpoint || config.openaiCompatible.baseUrl}/chat/completions`;
+};
+
+/**
+ * Convert OpenAI usage into provider-neutral token usage
+ * @param {Object|null} usage - OpenAI usage object
+ * @returns {Object|null} Token usage, or null if the server didn't report it
+ */
+const toUsage = (usage) => {
+    if (!usage) {
+        return null;
+    }
+
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        candidatesTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+};
+
+/**
+ * Create chat completions request payload
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration overrides (options.model is a catalog entry)
+ * @returns {Object} Request payload
+ */
+const createChatRequest = (message, options = {}) => {
+    const generationConfig = {
+        ...DEFAULT_GENERATION_CONFIG,
+        ...(options.model && { maxOutputTokens: options.model.maxTokens }),
+        ...options.generationConfig
+    };
+
+    return {
+        model: options.model?.id || config.openaiCompatible.model,
+        messages: buildMessages(message, options.history),
+        temperature: generationConfig.temperature,
+        top_p: generationConfig.topP,
+        max_tokens: generationConfig.maxOutputTokens
+    };
+};
+
+/**
+ * Generate a complete response
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration
+ * @returns {Promise<{text: string, model: string, usage: Object|null}>} Generated response
+ */
+const generate = async (message, options = {}) => {
+    try {
+        const response = await axios.post(getCompletionsUrl(options), createChatRequest(message, options), {
+            headers: buildHeaders(),
+            timeout: options.timeout || config.openaiCompatible.timeout
+        });
+
+        const choice = response.data?.choices?.[0];
+        if (!choice) {
+            throw new Error('No response from AI model');
+        }
+
+        return {
+            text: (choice.message?.content || '').trim(),
+            model: options.model?.id || config.openaiCompatible.model,
+            usage: toUsage(response.data.usage)
+        };
+    } catch (error) {
+        console.error('OpenAI-compatible API Error:', error.response?.data || error.message);
+        throw error;
+    }
+};
+
+/**
+ * Stream a response chunk by chunk
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (options.signal cancels the stream)
+ * @param {Function} onChunk - Called with each text chunk
+ * @returns {Promise<{text: string, aborted: boolean, model: string, usage: Object|null}>} Streamed response
+ */
+const stream = async (message, options = {}, onChunk = () => {}) => {
+    let fullText = '';
+    let usage = null;
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) {
+            return;
+        }
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+            return;
+        }
+
+        const chunk = JSON.parse(payload);
+        // With include_usage the final chunk has no choices, only usage
+        usage = toUsage(chunk.usage) || usage;
+
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) {
+            fullText += text;
+            onChunk(text);
+        }
+    };
+
+    try {
+        const response = await axios.post(getCompletionsUrl(options), {
+            ...createChatRequest(message, options),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, {
+            headers: buildHeaders(),
+            responseType: 'stream',
+            signal: options.signal,
+            timeout: options.timeout || config.openaiCompatible.timeout
+        });
+
+        let buffer = '';
+        response.data.setEncoding('utf8');
+
+        for await (const data of response.data) {
+            buffer += data;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        handleLine(buffer);
+
+        return { text: fullText.trim(), aborted: false, model: options.model?.id || config.openaiCompatible.model, usage };
+    } catch (error) {
+        if (axios.isCancel(error) || options.signal?.aborted) {
+            return { text: fullText.trim(), aborted: true, model: options.model?.id || config.openaiCompatible.model, usage };
+        }
+
+        console.error('OpenAI-compatible API Stream Error:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Estimate tokens for a message (the chat schema has no token counting endpoint)
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (options.history)
+ * @returns {Promise<number>} Estimated token count (~4 characters per token)
+ */
+const countTokens = async (message, options = {}) => {
+    const characters = buildMessages(message, options.history)
+        .reduce((sum, chatMessage) => sum + chatMessage.content.length, 0);
+    return Math.ceil(characters / 4);
+};
+
+/**
+ * Check that the model server answers
+ * @returns {Promise<boolean>} Whether the provider is healthy
+ */
+const health = async () => {
+    try {
+        await axios.get(`${config.openaiCompatible.baseUrl}/models`, {
+            headers: buildHeaders(),
+            timeout: 5000
+        });
+        console.log('✅ OpenAI-compatible provider connection test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ OpenAI-compatible provider connection test failed:', error.message);
+        return false;
+    }
+};
+
+module.exports = {
+    name: 'openai-compatible',
+    generate,
+    stream,
+    countTokens,
+    health,
+    createChatRequest
+};
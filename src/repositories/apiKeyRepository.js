@@ -0,0 +1,78 @@
+/**
+ * API Key Repository
+ * Hashed keys in users/{uid}/api_keys/{keyId}; records carry the owner's userId
+ */
+
+const { toRecord, getParentDocumentId } = require('./documents');
+
+const COLLECTION_ID = 'api_keys';
+
+/**
+ * Get the key collection of a user
+ * @param {string} userId - User ID
+ * @returns {string} Collection path
+ */
+const keysPath = (userId) => `users/${userId}/${COLLECTION_ID}`;
+
+/**
+ * Flatten a key document, adding its owner
+ * @param {Object|null} doc - Key document
+ * @returns {Object|null} Key record
+ */
+const toKeyRecord = (doc) => (doc ? { ...toRecord(doc), userId: getParentDocumentId(doc.path) } : null);
+
+/**
+ * Create the API key repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} API key repository
+ */
+const createApiKeyRepository = (access) => ({
+    /**
+     * Get one of a user's keys
+     * @param {string} userId - User ID
+     * @param {string} keyId - Key ID
+     * @returns {Promise<Object|null>} Key record
+     */
+    get: async (userId, keyId) => toKeyRecord(await access.get(`${keysPath(userId)}/${keyId}`)),
+
+    /**
+     * Store a new key
+     * @param {string} userId - User ID
+     * @param {Object} data - Key fields
+     * @returns {Promise<string>|string} Key ID
+     */
+    create: (userId, data) => access.add(keysPath(userId), data),
+
+    /**
+     * Update a key
+     * @param {string} userId - User ID
+     * @param {string} keyId - Key ID
+     * @param {Object} patch - Fields to change
+     */
+    update: (userId, keyId, patch) => access.update(`${keysPath(userId)}/${keyId}`, patch),
+
+    /**
+     * Find keys by public prefix across all users
+     * @param {string} prefix - Public prefix
+     * @param {number} limit - Maximum keys to return
+     * @returns {Promise<Array<Object>>} Key records
+     */
+    findByPrefix: async (prefix, limit = 10) => {
+        const docs = await access.query(COLLECTION_ID, { group: true, where: [['prefix', '==', prefix]], limit });
+        return docs.map(toKeyRecord);
+    },
+
+    /**
+     * List a user's keys, newest first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Object>>} Key records
+     */
+    listForUser: async (userId) => {
+        const docs = await access.query(keysPath(userId), { orderBy: [['createdAt', 'desc']] });
+        return docs.map(toKeyRecord);
+    }
+});
+
+module.exports = {
+    createApiKeyRepository
+};
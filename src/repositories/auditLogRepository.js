@@ -0,0 +1,24 @@
+/**
+ * Audit Log Repository
+ * Append-only audit entries in audit_logs/{id}
+ */
+
+const COLLECTION = 'audit_logs';
+
+/**
+ * Create the audit log repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Audit log repository
+ */
+const createAuditLogRepository = (access) => ({
+    /**
+     * Append an entry
+     * @param {Object} entry - Entry fields
+     * @returns {Promise<string>|string} Entry ID
+     */
+    add: (entry) => access.add(COLLECTION, entry)
+});
+
+module.exports = {
+    createAuditLogRepository
+};
@@ -0,0 +1,67 @@
+/**
+ * Conversation Repository
+ * Conversations in conversations/{id} and their turns in
+ * conversations/{id}/turns/{turnId}
+ */
+
+const { toRecord } = require('./documents');
+
+const COLLECTION = 'conversations';
+
+/**
+ * Get the turn collection of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {string} Collection path
+ */
+const turnsPath = (conversationId) => `${COLLECTION}/${conversationId}/turns`;
+
+/**
+ * Create the conversation repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Conversation repository
+ */
+const createConversationRepository = (access) => ({
+    /**
+     * Store a new conversation
+     * @param {Object} data - Conversation fields
+     * @returns {Promise<string>|string} Conversation ID
+     */
+    create: (data) => access.add(COLLECTION, data),
+
+    /**
+     * Get a conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object|null>} Conversation record
+     */
+    get: async (conversationId) => toRecord(await access.get(`${COLLECTION}/${conversationId}`)),
+
+    /**
+     * Update a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} patch - Fields to change
+     */
+    update: (conversationId, patch) => access.update(`${COLLECTION}/${conversationId}`, patch),
+
+    /**
+     * Append a turn
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} turn - Turn fields (index, role, text, ...)
+     * @returns {Promise<string>|string} Turn ID
+     */
+    addTurn: (conversationId, turn) => access.add(turnsPath(conversationId), turn),
+
+    /**
+     * List the latest turns, newest first
+     * @param {string} conversationId - Conversation ID
+     * @param {number} limit - Maximum turns to return
+     * @returns {Promise<Array<Object>>} Turn records
+     */
+    listRecentTurns: async (conversationId, limit) => {
+        const docs = await access.query(turnsPath(conversationId), { orderBy: [['index', 'desc']], limit });
+        return docs.map(toRecord);
+    }
+});
+
+module.exports = {
+    createConversationRepository
+};
@@ -0,0 +1,138 @@
+/**
+ * Document Helpers
+ * Field sentinels, paths and value ordering shared by the storage drivers
+ */
+
+/**
+ * A field value the driver fills in when the write is applied
+ */
+class FieldSentinel {
+    /**
+     * @param {string} kind - serverTimestamp or deleteField
+     */
+    constructor(kind) {
+        this.kind = kind;
+        Object.freeze(this);
+    }
+}
+
+const SERVER_TIMESTAMP = new FieldSentinel('serverTimestamp');
+const DELETE_FIELD = new FieldSentinel('deleteField');
+
+/**
+ * Field value set to the time the write is applied
+ * @returns {FieldSentinel} Sentinel
+ */
+const serverTimestamp = () => SERVER_TIMESTAMP;
+
+/**
+ * Field value that removes the field (updates only)
+ * @returns {FieldSentinel} Sentinel
+ */
+const deleteField = () => DELETE_FIELD;
+
+/**
+ * Replace a sentinel with the driver's own value
+ * @param {any} value - Field value
+ * @param {Object} handlers - { serverTimestamp, deleteField } functions returning the driver value
+ * @returns {any} Driver value, or the value unchanged if it isn't a sentinel
+ */
+const resolveSentinel = (value, handlers) => {
+    return value instanceof FieldSentinel ? handlers[value.kind]() : value;
+};
+
+/**
+ * Get the collection path a document belongs to
+ * @param {string} path - Document path (e.g. users/u1/api_keys/k1)
+ * @returns {string} Collection path (e.g. users/u1/api_keys)
+ */
+const getParentPath = (path) => path.substring(0, path.lastIndexOf('/'));
+
+/**
+ * Get the collection ID a document belongs to (its collection group)
+ * @param {string} path - Document path
+ * @returns {string} Collection ID (e.g. api_keys)
+ */
+const getCollectionId = (path) => {
+    const segments = path.split('/');
+    return segments[segments.length - 2];
+};
+
+/**
+ * Get the ID of the document that owns a subcollection document
+ * @param {string} path - Document path (e.g. users/u1/api_keys/k1)
+ * @returns {string} Parent document ID (e.g. u1)
+ */
+const getParentDocumentId = (path) => {
+    const segments = path.split('/');
+    return segments[segments.length - 3];
+};
+
+/**
+ * Flatten a driver document into a record
+ * @param {Object|null} doc - Document ({ id, path, data })
+ * @returns {Object|null} Record ({ id, ...data }), or null if the document is missing
+ */
+const toRecord = (doc) => (doc ? { id: doc.id, ...doc.data } : null);
+
+// Firestore orders values of different types by type first
+const TYPE_ORDER = ['null', 'boolean', 'number', 'date', 'string', 'array', 'object'];
+
+/**
+ * Get the ordering type of a value
+ * @param {any} value - Field value
+ * @returns {string} One of TYPE_ORDER
+ */
+const getValueType = (value) => {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (value instanceof Date) {
+        return 'date';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+};
+
+/**
+ * Compare two field values the way Firestore orders them
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+    const typeA = getValueType(a);
+    const typeB = getValueType(b);
+
+    if (typeA !== typeB) {
+        return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+    }
+
+    switch (typeA) {
+        case 'null':
+            return 0;
+        case 'date':
+            return a.getTime() - b.getTime();
+        case 'number':
+        case 'boolean':
+            return Number(a) - Number(b);
+        case 'string':
+            return a < b ? -1 : a > b ? 1 : 0;
+        default:
+            return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+    }
+};
+
+module.exports = {
+    FieldSentinel,
+    serverTimestamp,
+    deleteField,
+    resolveSentinel,
+    getParentPath,
+    getCollectionId,
+    getParentDocumentId,
+    toRecord,
+    compareValues
+};
@@ -0,0 +1,172 @@
+/**
+ * Firestore Storage Driver
+ * Document access on Firebase Firestore. Timestamps are read back as Dates,
+ * so repositories see the same values as with the memory driver.
+ */
+
+const { getDatabase, admin } = require('../config/database');
+const { resolveSentinel } = require('./documents');
+
+/**
+ * Convert Firestore values in read data to plain values
+ * @param {any} value - Field value
+ * @returns {any} Value with Timestamps converted to Dates
+ */
+const fromFirestoreValue = (value) => {
+    if (value instanceof admin.firestore.Timestamp) {
+        return value.toDate();
+    }
+    if (Array.isArray(value)) {
+        return value.map(fromFirestoreValue);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, fromFirestoreValue(item)]));
+    }
+    return value;
+};
+
+/**
+ * Convert write data to Firestore values
+ * @param {Object} data - Fields to write (may contain sentinels)
+ * @returns {Object} Firestore fields
+ */
+const toFirestoreData = (data) => {
+    return Object.fromEntries(Object.entries(data).map(([field, value]) => [field, resolveSentinel(value, {
+        serverTimestamp: () => admin.firestore.FieldValue.serverTimestamp(),
+        deleteField: () => admin.firestore.FieldValue.delete()
+    })]));
+};
+
+/**
+ * Convert a document snapshot to a driver document
+ * @param {Object} snapshot - Firestore document snapshot
+ * @returns {Object|null} Document ({ id, path, data }), or null if missing
+ */
+const toDocument = (snapshot) => {
+    if (!snapshot.exists) {
+        return null;
+    }
+    return { id: snapshot.id, path: snapshot.ref.path, data: fromFirestoreValue(snapshot.data()) };
+};
+
+/**
+ * Map a query field to a Firestore field path
+ * @param {string} field - Field name; "id" is the document ID
+ * @returns {string|Object} Firestore field path
+ */
+const toFieldPath = (field) => (field === 'id' ? admin.firestore.FieldPath.documentId() : field);
+
+/**
+ * Build a Firestore query
+ * @param {Object} db - Firestore instance
+ * @param {string} collection - Collection path, or collection ID for group queries
+ * @param {Object} options - Query options (see index.js)
+ * @returns {Promise<Object>} Firestore query
+ */
+const buildQuery = async (db, collection, options = {}) => {
+    const { where = [], orderBy = [], limit, startAfter, select, group = false } = options;
+    let query = group ? db.collectionGroup(collection) : db.collection(collection);
+
+    for (const [field, operator, value] of where) {
+        query = query.where(toFieldPath(field), operator, value);
+    }
+    for (const [field, direction = 'asc'] of orderBy) {
+        query = query.orderBy(toFieldPath(field), direction);
+    }
+    if (select) {
+        query = query.select(...select);
+    }
+    if (startAfter) {
+        const cursor = await db.doc(startAfter).get();
+        if (!cursor.exists) {
+            throw new Error(`Query cursor ${startAfter} does not exist`);
+        }
+        query = query.startAfter(cursor);
+    }
+    if (limit !== undefined) {
+        query = query.limit(limit);
+    }
+
+    return query;
+};
+
+/**
+ * Create a Firestore driver
+ * The database is looked up on each call, so the driver can be created before initializeDatabase().
+ * @returns {Object} Driver implementing the storage driver interface (see index.js)
+ */
+const createFirestoreDriver = () => {
+    /**
+     * Create document access for a Firestore transaction
+     * @param {Object} db - Firestore instance
+     * @param {Object} transaction - Firestore transaction
+     * @returns {Object} Document access with buffered writes
+     */
+    const createTransactionAccess = (db, transaction) => ({
+        get: async (path) => toDocument(await transaction.get(db.doc(path))),
+        query: async (collection, options) => {
+            const snapshot = await transaction.get(await buildQuery(db, collection, options));
+            return snapshot.docs.map(toDocument);
+        },
+        add: (collection, data) => {
+            const ref = db.collection(collection).doc();
+            transaction.set(ref, toFirestoreData(data));
+            return ref.id;
+        },
+        set: (path, data) => {
+            transaction.set(db.doc(path), toFirestoreData(data));
+        },
+        update: (path, data) => {
+            transaction.update(db.doc(path), toFirestoreData(data));
+        },
+        delete: (path) => {
+            transaction.delete(db.doc(path));
+        }
+    });
+
+    return {
+        name: 'firestore',
+
+        get: async (path) => toDocument(await getDatabase().doc(path).get()),
+
+        query: async (collection, options) => {
+            const db = getDatabase();
+            const snapshot = await (await buildQuery(db, collection, options)).get();
+            return snapshot.docs.map(toDocument);
+        },
+
+        add: async (collection, data) => {
+            const ref = await getDatabase().collection(collection).add(toFirestoreData(data));
+            return ref.id;
+        },
+
+        set: async (path, data) => {
+            await getDatabase().doc(path).set(toFirestoreData(data));
+        },
+
+        update: async (path, data) => {
+            await getDatabase().doc(path).update(toFirestoreData(data));
+        },
+
+        delete: async (path) => {
+            await getDatabase().doc(path).delete();
+        },
+
+        runTransaction: (fn) => {
+            const db = getDatabase();
+            return db.runTransaction(transaction => fn(createTransactionAccess(db, transaction)));
+        },
+
+        ping: async () => {
+            await getDatabase().collection('_health_check').doc('test').get();
+            return true;
+        },
+
+        // The Firebase app is shared with the counter store and ID-token auth, so it stays open
+        close: async () => {}
+    };
+};
+
+module.exports = {
+    createFirestoreDriver
+};
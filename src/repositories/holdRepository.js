@@ -0,0 +1,53 @@
+/**
+ * Credit Hold Repository
+ * Credits reserved by in-flight requests, in credit_holds/{id}
+ */
+
+const { toRecord } = require('./documents');
+
+const COLLECTION = 'credit_holds';
+
+/**
+ * Create the credit hold repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Credit hold repository
+ */
+const createHoldRepository = (access) => ({
+    /**
+     * Get a hold
+     * @param {string} holdId - Hold ID
+     * @returns {Promise<Object|null>} Hold record
+     */
+    get: async (holdId) => toRecord(await access.get(`${COLLECTION}/${holdId}`)),
+
+    /**
+     * Store a new hold
+     * @param {Object} data - Hold fields
+     * @returns {Promise<string>|string} Hold ID
+     */
+    create: (data) => access.add(COLLECTION, data),
+
+    /**
+     * Update a hold
+     * @param {string} holdId - Hold ID
+     * @param {Object} patch - Fields to change
+     */
+    update: (holdId, patch) => access.update(`${COLLECTION}/${holdId}`, patch),
+
+    /**
+     * Find a user's active holds that expired before a time
+     * @param {string} userId - User ID
+     * @param {Date} now - Expiry cut-off
+     * @returns {Promise<Array<Object>>} Hold records
+     */
+    findExpired: async (userId, now) => {
+        const docs = await access.query(COLLECTION, {
+            where: [['userId', '==', userId], ['status', '==', 'held'], ['expiresAt', '<=', now]]
+        });
+        return docs.map(toRecord);
+    }
+});
+
+module.exports = {
+    createHoldRepository
+};
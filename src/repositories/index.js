@@ -0,0 +1,129 @@
+/**
+ * Storage Registry
+ * Repositories for users, API keys, requests, the credit ledger, holds,
+ * organizations, conversations and audit logs, over a storage driver
+ * selected with STORAGE (firestore or memory). Services never touch the
+ * driver; they call getStorage().<repository>.<method>.
+ *
+ * Repositories return records ({ id, ...fields }) with timestamps as Dates.
+ * Writes can use serverTimestamp() and deleteField() as field values.
+ *
+ * Every driver implements document access:
+ *   get(path)                   -> Promise<{ id, path, data } | null>
+ *   query(collection, options)  -> Promise<Array<{ id, path, data }>>
+ *       options: { where: [[field, op, value]], orderBy: [[field, 'asc'|'desc']],
+ *                  limit, startAfter: <document path>, select: [fields], group }
+ *       op is ==, <, <=, > or >=; the field "id" is the document ID. With
+ *       group: true, collection is a collection ID matched at any depth.
+ *   add(collection, data)       -> Promise<id>
+ *   set(path, data)             -> Promise<void>   (creates or replaces)
+ *   update(path, data)          -> Promise<void>   (fails if the document is missing)
+ *   delete(path)                -> Promise<void>
+ *   runTransaction(fn)          -> Promise<result of fn>
+ *       fn(access) gets the same access, reading through the transaction
+ *       and buffering writes: writes return nothing and add returns the new
+ *       ID synchronously. Reads must come before writes. fn may be retried.
+ *   ping()                      -> Promise<boolean>
+ *   close()                     -> Promise<void>
+ * tests/unit/storage.test.js checks every driver against this contract.
+ */
+
+const { config } = require('../config/env');
+const { serverTimestamp, deleteField } = require('./documents');
+const { createMemoryDriver } = require('./memoryDriver');
+const { createFirestoreDriver } = require('./firestoreDriver');
+const { createUserRepository } = require('./userRepository');
+const { createApiKeyRepository } = require('./apiKeyRepository');
+const { createRequestRepository } = require('./requestRepository');
+const { createLedgerRepository } = require('./ledgerRepository');
+const { createHoldRepository } = require('./holdRepository');
+const { createOrganizationRepository } = require('./organizationRepository');
+const { createConversationRepository } = require('./conversationRepository');
+const { createAuditLogRepository } = require('./auditLogRepository');
+
+const DRIVER_METHODS = ['get', 'query', 'add', 'set', 'update', 'delete', 'runTransaction', 'ping', 'close'];
+
+const driverFactories = new Map();
+const storageInstances = new Map();
+
+/**
+ * Register a storage driver
+ * @param {string} name - Storage name
+ * @param {Function} factory - Creates the driver
+ */
+const registerStorage = (name, factory) => {
+    driverFactories.set(name, factory);
+};
+
+/**
+ * Build every repository over one document access
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Repositories
+ */
+const createRepositories = (access) => ({
+    users: createUserRepository(access),
+    apiKeys: createApiKeyRepository(access),
+    requests: createRequestRepository(access),
+    ledger: createLedgerRepository(access),
+    holds: createHoldRepository(access),
+    organizations: createOrganizationRepository(access),
+    conversations: createConversationRepository(access),
+    auditLogs: createAuditLogRepository(access)
+});
+
+/**
+ * Wrap a driver in repositories
+ * @param {Object} driver - Storage driver
+ * @returns {Object} Storage ({ name, ...repositories, runTransaction, ping, close })
+ */
+const createStorage = (driver) => ({
+    name: driver.name,
+    ...createRepositories(driver),
+
+    /**
+     * Run a function in a transaction
+     * @param {Function} fn - Called with transactional repositories
+     * @returns {Promise<any>} Result of fn
+     */
+    runTransaction: (fn) => driver.runTransaction(access => fn(createRepositories(access))),
+
+    ping: () => driver.ping(),
+    close: () => driver.close()
+});
+
+/**
+ * Get the shared instance of a storage backend
+ * @param {string} name - Storage name (defaults to the configured backend)
+ * @returns {Object} Storage
+ */
+const getStorage = (name = config.storage.backend) => {
+    if (storageInstances.has(name)) {
+        return storageInstances.get(name);
+    }
+
+    const factory = driverFactories.get(name);
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${name}"`);
+    }
+
+    const driver = factory();
+    const missingMethods = DRIVER_METHODS.filter(method => typeof driver[method] !== 'function');
+    if (missingMethods.length > 0) {
+        throw new Error(`Invalid storage driver "${name}": missing ${missingMethods.join(', ')}`);
+    }
+
+    const storage = createStorage(driver);
+    storageInstances.set(name, storage);
+    return storage;
+};
+
+registerStorage('memory', createMemoryDriver);
+registerStorage('firestore', createFirestoreDriver);
+
+module.exports = {
+    registerStorage,
+    getStorage,
+    serverTimestamp,
+    deleteField,
+    DRIVER_METHODS
+};
@@ -0,0 +1,64 @@
+/**
+ * Ledger Repository
+ * Append-only credit ledger entries in credit_transactions/{id}
+ */
+
+const { toRecord } = require('./documents');
+
+const COLLECTION = 'credit_transactions';
+
+/**
+ * Create the ledger repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Ledger repository
+ */
+const createLedgerRepository = (access) => ({
+    /**
+     * Append an entry
+     * @param {Object} entry - Entry fields
+     * @returns {Promise<string>|string} Entry ID
+     */
+    add: (entry) => access.add(COLLECTION, entry),
+
+    /**
+     * Get an entry
+     * @param {string} entryId - Entry ID
+     * @returns {Promise<Object|null>} Entry record
+     */
+    get: async (entryId) => toRecord(await access.get(`${COLLECTION}/${entryId}`)),
+
+    /**
+     * List the entries of one account, newest first
+     * @param {Object} account - { userId } or { organizationId }
+     * @param {Object} options - { type, limit, startAfter (entry ID) }
+     * @returns {Promise<Array<Object>>} Entry records
+     */
+    listForAccount: async (account, { type, limit, startAfter } = {}) => {
+        const where = Object.entries(account).map(([field, value]) => [field, '==', value]);
+        if (type) {
+            where.push(['type', '==', type]);
+        }
+
+        const docs = await access.query(COLLECTION, {
+            where,
+            orderBy: [['createdAt', 'desc']],
+            limit,
+            startAfter: startAfter ? `${COLLECTION}/${startAfter}` : undefined
+        });
+        return docs.map(toRecord);
+    },
+
+    /**
+     * Get the amount and type of every entry of a user, for reconciliation
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<{id: string, amount: number, type: string}>>} Entry amounts
+     */
+    listAmountsForUser: async (userId) => {
+        const docs = await access.query(COLLECTION, { where: [['userId', '==', userId]], select: ['amount', 'type'] });
+        return docs.map(toRecord);
+    }
+});
+
+module.exports = {
+    createLedgerRepository
+};
@@ -0,0 +1,285 @@
+/**
+ * In-memory Storage Driver
+ * Documents kept in process memory, for running the server and tests offline
+ * (STORAGE=memory). Nothing is persisted and each process has its own data.
+ *
+ * Transactions run one at a time, as Firestore's locks would order them. Every
+ * document and collection read is also versioned, and the transaction is
+ * retried if a write outside any transaction changed one of them before its
+ * writes are applied.
+ */
+
+const crypto = require('crypto');
+const { resolveSentinel, getParentPath, getCollectionId, compareValues } = require('./documents');
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generate a document ID like Firestore's (20 random alphanumeric characters)
+ * @returns {string} Document ID
+ */
+const generateId = () => {
+    const bytes = crypto.randomBytes(20);
+    return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+};
+
+/**
+ * Check a document against a where clause
+ * @param {Object} doc - Document ({ id, data })
+ * @param {Array} clause - [field, operator, value]; field "id" is the document ID
+ * @returns {boolean} Whether the document matches
+ */
+const matchesClause = (doc, [field, operator, value]) => {
+    const actual = field === 'id' ? doc.id : doc.data[field];
+    if (actual === undefined) {
+        return false;
+    }
+
+    const comparison = compareValues(actual, value);
+    switch (operator) {
+        case '==': return comparison === 0;
+        case '<': return comparison < 0;
+        case '<=': return comparison <= 0;
+        case '>': return comparison > 0;
+        case '>=': return comparison >= 0;
+        default: throw new Error(`Unsupported query operator "${operator}"`);
+    }
+};
+
+/**
+ * Build a comparator for a query's ordering, with the document path as the final tie-breaker
+ * @param {Array<Array<string>>} orderBy - [field, direction] pairs
+ * @returns {Function} Comparator over documents
+ */
+const createComparator = (orderBy = []) => (a, b) => {
+    for (const [field, direction = 'asc'] of orderBy) {
+        const comparison = field === 'id'
+            ? compareValues(a.id, b.id)
+            : compareValues(a.data[field] ?? null, b.data[field] ?? null);
+        if (comparison !== 0) {
+            return direction === 'desc' ? -comparison : comparison;
+        }
+    }
+    return compareValues(a.path, b.path);
+};
+
+/**
+ * Apply a patch to document data
+ * @param {Object} data - Current data
+ * @param {Object} patch - Fields to set (sentinels resolved here)
+ * @returns {Object} New data
+ */
+const applyPatch = (data, patch) => {
+    const next = { ...data };
+    for (const [field, value] of Object.entries(patch)) {
+        const resolved = resolveSentinel(value, { serverTimestamp: () => new Date(), deleteField: () => undefined });
+        if (resolved === undefined) {
+            delete next[field];
+        } else {
+            next[field] = structuredClone(resolved);
+        }
+    }
+    return next;
+};
+
+/**
+ * Create an in-memory driver
+ * @returns {Object} Driver implementing the storage driver interface (see index.js)
+ */
+const createMemoryDriver = () => {
+    const documents = new Map();
+    const versions = new Map();
+    let transactionQueue = Promise.resolve();
+    let clock = 0;
+
+    /**
+     * Version keys a write to a path changes: the document, its collection and its collection group
+     * @param {string} path - Document path
+     * @returns {Array<string>} Version keys
+     */
+    const getVersionKeys = (path) => [
+        `doc:${path}`,
+        `collection:${getParentPath(path)}`,
+        `group:${getCollectionId(path)}`
+    ];
+
+    /**
+     * Read a document
+     * @param {string} path - Document path
+     * @returns {Object|null} Document ({ id, path, data }) copy
+     */
+    const readDocument = (path) => {
+        const data = documents.get(path);
+        return data ? { id: path.split('/').pop(), path, data: structuredClone(data) } : null;
+    };
+
+    /**
+     * Run a query
+     * @param {string} collection - Collection path, or collection ID for group queries
+     * @param {Object} options - Query options (see index.js)
+     * @returns {Array<Object>} Matching documents
+     */
+    const runQuery = (collection, options = {}) => {
+        const { where = [], orderBy = [], limit, startAfter, select, group = false } = options;
+        const comparator = createComparator(orderBy);
+
+        let results = [];
+        for (const path of documents.keys()) {
+            const inCollection = group ? getCollectionId(path) === collection : getParentPath(path) === collection;
+            if (!inCollection) {
+                continue;
+            }
+            const doc = readDocument(path);
+            if (where.every(clause => matchesClause(doc, clause))) {
+                results.push(doc);
+            }
+        }
+
+        results.sort(comparator);
+
+        if (startAfter) {
+            const cursor = readDocument(startAfter);
+            if (!cursor) {
+                throw new Error(`Query cursor ${startAfter} does not exist`);
+            }
+            results = results.filter(doc => comparator(doc, cursor) > 0);
+        }
+
+        if (limit !== undefined) {
+            results = results.slice(0, limit);
+        }
+        if (select) {
+            results.forEach(doc => {
+                doc.data = Object.fromEntries(select.filter(field => field in doc.data).map(field => [field, doc.data[field]]));
+            });
+        }
+        return results;
+    };
+
+    /**
+     * Apply a list of writes atomically
+     * @param {Array<Object>} writes - Writes ({ type, path, data })
+     */
+    const applyWrites = (writes) => {
+        // Check every update's precondition first, so a failed write applies nothing
+        const existing = new Set(writes.map(({ path }) => path).filter(path => documents.has(path)));
+        for (const { type, path } of writes) {
+            if (type === 'update' && !existing.has(path)) {
+                const error = new Error(`No document to update: ${path}`);
+                error.code = 'not-found';
+                throw error;
+            }
+            if (type === 'delete') {
+                existing.delete(path);
+            } else {
+                existing.add(path);
+            }
+        }
+
+        for (const { type, path, data } of writes) {
+            if (type === 'delete') {
+                documents.delete(path);
+            } else {
+                documents.set(path, applyPatch(type === 'update' ? documents.get(path) : {}, data));
+            }
+
+            clock++;
+            getVersionKeys(path).forEach(key => versions.set(key, clock));
+        }
+    };
+
+    /**
+     * Create document access that reads now and buffers or applies writes
+     * @param {Function} write - Called with each write
+     * @param {Function} onRead - Called with the version key of each read
+     * @returns {Object} Document access
+     */
+    const createAccess = (write, onRead = () => {}) => ({
+        get: async (path) => {
+            onRead(`doc:${path}`);
+            return readDocument(path);
+        },
+        query: async (collection, options = {}) => {
+            onRead(options.group ? `group:${collection}` : `collection:${collection}`);
+            return runQuery(collection, options);
+        },
+        add: (collection, data) => {
+            const id = generateId();
+            return { id, result: write({ type: 'set', path: `${collection}/${id}`, data }) };
+        },
+        set: (path, data) => write({ type: 'set', path, data }),
+        update: (path, data) => write({ type: 'update', path, data }),
+        delete: (path) => write({ type: 'delete', path })
+    });
+
+    /**
+     * Run a transaction once the ones before it have finished
+     * @param {Function} fn - Called with transactional document access
+     * @returns {Promise<any>} Result of fn
+     */
+    const runQueuedTransaction = async (fn) => {
+        for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+            const readVersions = new Map();
+            const writes = [];
+            const access = createAccess(
+                (change) => {
+                    writes.push(change);
+                },
+                (key) => {
+                    if (!readVersions.has(key)) {
+                        readVersions.set(key, versions.get(key) || 0);
+                    }
+                }
+            );
+
+            const result = await fn({
+                ...access,
+                add: (collection, data) => access.add(collection, data).id
+            });
+
+            // Check and commit without yielding, so no other write can slip in between
+            const conflict = [...readVersions].some(([key, version]) => (versions.get(key) || 0) !== version);
+            if (!conflict) {
+                applyWrites(writes);
+                return result;
+            }
+        }
+
+        const error = new Error('Transaction failed: too much contention');
+        error.code = 'aborted';
+        throw error;
+    };
+
+    const directAccess = createAccess(async (change) => applyWrites([change]));
+
+    return {
+        name: 'memory',
+        get: directAccess.get,
+        query: directAccess.query,
+        add: async (collection, data) => {
+            const { id, result } = directAccess.add(collection, data);
+            await result;
+            return id;
+        },
+        set: directAccess.set,
+        update: directAccess.update,
+        delete: directAccess.delete,
+
+        runTransaction: (fn) => {
+            const run = transactionQueue.then(() => runQueuedTransaction(fn));
+            transactionQueue = run.catch(() => {});
+            return run;
+        },
+
+        ping: async () => true,
+        close: async () => {
+            documents.clear();
+            versions.clear();
+        }
+    };
+};
+
+module.exports = {
+    createMemoryDriver
+};
@@ -0,0 +1,143 @@
+/**
+ * Organization Repository
+ * Organizations in organizations/{orgId}, their members in
+ * organizations/{orgId}/members/{uid} and pending invites in
+ * organizations/{orgId}/invites/{uid}
+ */
+
+const { toRecord, getParentDocumentId } = require('./documents');
+
+const COLLECTION = 'organizations';
+
+/**
+ * Get the member collection of an organization
+ * @param {string} orgId - Organization ID
+ * @returns {string} Collection path
+ */
+const membersPath = (orgId) => `${COLLECTION}/${orgId}/members`;
+
+const INVITES_COLLECTION_ID = 'invites';
+
+/**
+ * Get the invite collection of an organization
+ * @param {string} orgId - Organization ID
+ * @returns {string} Collection path
+ */
+const invitesPath = (orgId) => `${COLLECTION}/${orgId}/${INVITES_COLLECTION_ID}`;
+
+/**
+ * Create the organization repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Organization repository
+ */
+const createOrganizationRepository = (access) => ({
+    /**
+     * Get an organization
+     * @param {string} orgId - Organization ID
+     * @returns {Promise<Object|null>} Organization record
+     */
+    get: async (orgId) => toRecord(await access.get(`${COLLECTION}/${orgId}`)),
+
+    /**
+     * Store a new organization
+     * @param {Object} data - Organization fields
+     * @returns {Promise<string>|string} Organization ID
+     */
+    create: (data) => access.add(COLLECTION, data),
+
+    /**
+     * Update an organization
+     * @param {string} orgId - Organization ID
+     * @param {Object} patch - Fields to change
+     */
+    update: (orgId, patch) => access.update(`${COLLECTION}/${orgId}`, patch),
+
+    /**
+     * Get a member (the record ID is the member's user ID)
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Member user ID
+     * @returns {Promise<Object|null>} Member record
+     */
+    getMember: async (orgId, userId) => toRecord(await access.get(`${membersPath(orgId)}/${userId}`)),
+
+    /**
+     * Create (or replace) a member
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Member user ID
+     * @param {Object} data - Member fields
+     */
+    setMember: (orgId, userId, data) => access.set(`${membersPath(orgId)}/${userId}`, data),
+
+    /**
+     * Update a member
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Member user ID
+     * @param {Object} patch - Fields to change
+     */
+    updateMember: (orgId, userId, patch) => access.update(`${membersPath(orgId)}/${userId}`, patch),
+
+    /**
+     * Remove a member
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Member user ID
+     */
+    deleteMember: (orgId, userId) => access.delete(`${membersPath(orgId)}/${userId}`),
+
+    /**
+     * List an organization's members, optionally only those with a role
+     * @param {string} orgId - Organization ID
+     * @param {Object} options - { role }
+     * @returns {Promise<Array<Object>>} Member records
+     */
+    listMembers: async (orgId, { role } = {}) => {
+        const docs = await access.query(membersPath(orgId), { where: role ? [['role', '==', role]] : [] });
+        return docs.map(toRecord);
+    },
+
+    /**
+     * Get an invite (the record ID is the invited user's ID)
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Invited user ID
+     * @returns {Promise<Object|null>} Invite record
+     */
+    getInvite: async (orgId, userId) => toRecord(await access.get(`${invitesPath(orgId)}/${userId}`)),
+
+    /**
+     * Create (or replace) an invite
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Invited user ID
+     * @param {Object} data - Invite fields
+     */
+    setInvite: (orgId, userId, data) => access.set(`${invitesPath(orgId)}/${userId}`, data),
+
+    /**
+     * Remove an invite
+     * @param {string} orgId - Organization ID
+     * @param {string} userId - Invited user ID
+     */
+    deleteInvite: (orgId, userId) => access.delete(`${invitesPath(orgId)}/${userId}`),
+
+    /**
+     * List an organization's invites
+     * @param {string} orgId - Organization ID
+     * @returns {Promise<Array<Object>>} Invite records
+     */
+    listInvites: async (orgId) => {
+        const docs = await access.query(invitesPath(orgId));
+        return docs.map(toRecord);
+    },
+
+    /**
+     * List a user's invites across organizations (collection group query on invites.userId)
+     * @param {string} userId - Invited user ID
+     * @returns {Promise<Array<Object>>} Invite records, with the organizationId they belong to
+     */
+    listInvitesForUser: async (userId) => {
+        const docs = await access.query(INVITES_COLLECTION_ID, { group: true, where: [['userId', '==', userId]] });
+        return docs.map(doc => ({ ...toRecord(doc), organizationId: getParentDocumentId(doc.path) }));
+    }
+});
+
+module.exports = {
+    createOrganizationRepository
+};
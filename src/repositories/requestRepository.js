@@ -0,0 +1,52 @@
+/**
+ * Request Repository
+ * Logged API requests in requests/{id}, for analytics and exports
+ */
+
+const { toRecord } = require('./documents');
+
+const COLLECTION = 'requests';
+
+/**
+ * Create the request repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} Request repository
+ */
+const createRequestRepository = (access) => ({
+    /**
+     * Log a request
+     * @param {Object} data - Request fields
+     * @returns {Promise<string>|string} Document ID
+     */
+    add: (data) => access.add(COLLECTION, data),
+
+    /**
+     * List logged requests, newest first
+     * @param {Object} options - { userId, since, until, limit, startAfter (document ID) }
+     * @returns {Promise<Array<Object>>} Request records
+     */
+    list: async ({ userId, since, until, limit, startAfter } = {}) => {
+        const where = [];
+        if (userId) {
+            where.push(['userId', '==', userId]);
+        }
+        if (since) {
+            where.push(['timestamp', '>=', since]);
+        }
+        if (until) {
+            where.push(['timestamp', '<', until]);
+        }
+
+        const docs = await access.query(COLLECTION, {
+            where,
+            orderBy: [['timestamp', 'desc']],
+            limit,
+            startAfter: startAfter ? `${COLLECTION}/${startAfter}` : undefined
+        });
+        return docs.map(toRecord);
+    }
+});
+
+module.exports = {
+    createRequestRepository
+};
@@ -0,0 +1,88 @@
+/**
+ * User Repository
+ * Accounts in users/{uid}
+ */
+
+const { toRecord } = require('./documents');
+
+const COLLECTION = 'users';
+
+/**
+ * Create the user repository
+ * @param {Object} access - Driver or transaction document access
+ * @returns {Object} User repository
+ */
+const createUserRepository = (access) => ({
+    /**
+     * Get a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} User record
+     */
+    get: async (userId) => toRecord(await access.get(`${COLLECTION}/${userId}`)),
+
+    /**
+     * Create (or replace) a user
+     * @param {string} userId - User ID
+     * @param {Object} data - User fields
+     */
+    create: (userId, data) => access.set(`${COLLECTION}/${userId}`, data),
+
+    /**
+     * Update an existing user
+     * @param {string} userId - User ID
+     * @param {Object} patch - Fields to change
+     */
+    update: (userId, patch) => access.update(`${COLLECTION}/${userId}`, patch),
+
+    /**
+     * Find a user by email
+     * @param {string} email - Lowercase email
+     * @returns {Promise<Object|null>} User record
+     */
+    findByEmail: async (email) => {
+        const [doc] = await access.query(COLLECTION, { where: [['email', '==', email]], limit: 1 });
+        return toRecord(doc);
+    },
+
+    /**
+     * List users, by email prefix (ordered by email) or by ID
+     * @param {Object} options - { emailPrefix, status, limit, startAfter (user ID) }
+     * @returns {Promise<Array<Object>>} User records
+     */
+    search: async ({ emailPrefix, status, limit, startAfter } = {}) => {
+        const where = [];
+        let orderBy = [['id']];
+        if (emailPrefix) {
+            // Prefix match: every email starting with the query sorts below query + \uf8ff
+            where.push(['email', '>=', emailPrefix], ['email', '<', `${emailPrefix}\uf8ff`]);
+            orderBy = [['email']];
+        }
+        if (status) {
+            where.push(['status', '==', status]);
+        }
+
+        const docs = await access.query(COLLECTION, {
+            where,
+            orderBy,
+            limit,
+            startAfter: startAfter ? `${COLLECTION}/${startAfter}` : undefined
+        });
+        return docs.map(toRecord);
+    },
+
+    /**
+     * Find users holding a key from before the api_keys subcollection
+     * @param {Object} key - { prefix } for hashed user-level keys, or { apiKey } for plaintext ones
+     * @returns {Promise<Array<Object>>} User records
+     */
+    findByLegacyKey: async ({ prefix, apiKey }) => {
+        const docs = await access.query(COLLECTION, prefix
+            ? { where: [['apiKeyPrefix', '==', prefix]], limit: 10 }
+            : { where: [['apiKey', '==', apiKey]], limit: 1 });
+        return docs.map(toRecord);
+    }
+});
+
+module.exports = {
+    createUserRepository
+};
@@ -0,0 +1,338 @@
+/**
+ * Admin Routes
+ * Search users, inspect accounts, and manage credits (including organization
+ * pools), organization plans, status and admin privileges.
+ * Every action is recorded in audit_logs with the acting admin's uid.
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { rateLimitByApiKey, rateLimitByIp } = require('../middleware/rateLimit');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { getUserStats, getUserRequestHistory } = require('../services/userService');
+const {
+    applyCreditTransaction,
+    applyOrganizationCreditTransaction,
+    getUserTransactions,
+    reconcileUserBalance
+} = require('../services/ledgerService');
+const { searchUsers, getAdminUser, setUserStatus, setUserAdmin, ACCOUNT_STATUSES } = require('../services/adminService');
+const { setOrganizationPlan } = require('../services/organizationService');
+const { auditRequest } = require('../services/auditService');
+const { validatePagination, validateCursor, sanitizeString } = require('../utils/validators');
+
+const router = express.Router();
+
+// Credit changes an admin can make; usage is only recorded by billing
+const ADMIN_CREDIT_TYPES = ['grant', 'purchase', 'refund', 'adjustment'];
+
+// Admin actions need an admin-scoped API key; dashboard sessions don't carry that scope
+router.use(rateLimitByIp, authenticate({ accept: ['api_key'] }), rateLimitByApiKey, requireAdmin);
+
+router.param('userId', (req, res, next, userId) => {
+    if (!/^[A-Za-z0-9_-]{1,128}$/.test(userId)) {
+        return next(new ValidationError('Invalid user ID format'));
+    }
+    next();
+});
+
+router.param('orgId', (req, res, next, orgId) => {
+    if (!/^[A-Za-z0-9_-]{1,128}$/.test(orgId)) {
+        return next(new ValidationError('Invalid organization ID format'));
+    }
+    next();
+});
+
+/**
+ * Record an admin action against the affected user
+ * @param {Object} req - Express request object
+ * @param {Object} event - Audit event (action, details)
+ * @returns {Promise<string|null>} Audit entry ID
+ */
+const auditAdminAction = (req, event) => auditRequest(req, {
+    actor: `admin:${req.user.uid}`,
+    userId: req.params.userId || null,
+    targetType: 'user',
+    targetId: req.params.userId || null,
+    ...event
+});
+
+/**
+ * Read an optional free-text reason from the request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Sanitized reason
+ */
+const getReason = (body) => {
+    if (body.reason === undefined) {
+        return null;
+    }
+    if (typeof body.reason !== 'string') {
+        throw new ValidationError('reason must be a string');
+    }
+    return sanitizeString(body.reason, { maxLength: 500 });
+};
+
+/**
+ * GET /api/admin/users
+ * Search users (?email=<prefix>&status=&limit=&cursor=)
+ */
+router.get('/users', asyncHandler(async (req, res) => {
+    const { limit } = validatePagination({ limit: req.query.limit || 20 });
+    const cursor = req.query.cursor !== undefined ? validateCursor(req.query.cursor) : undefined;
+    const { status } = req.query;
+    const email = req.query.email !== undefined ? String(req.query.email).toLowerCase().trim() : undefined;
+
+    if (status !== undefined && !ACCOUNT_STATUSES.includes(status)) {
+        throw new ValidationError(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`);
+    }
+
+    const page = await searchUsers({ email, status, limit, cursor });
+
+    await auditAdminAction(req, {
+        action: 'admin.user_search',
+        targetType: 'user',
+        details: { email: email || null, status: status || null }
+    });
+
+    res.json({
+        success: true,
+        users: page.users,
+        next_cursor: page.nextCursor,
+        has_more: page.nextCursor !== null
+    });
+}));
+
+/**
+ * GET /api/admin/users/:userId
+ * Get a user's account and stats
+ */
+router.get('/users/:userId', asyncHandler(async (req, res) => {
+    const [user, stats] = await Promise.all([
+        getAdminUser(req.params.userId),
+        getUserStats(req.params.userId)
+    ]);
+
+    await auditAdminAction(req, { action: 'admin.user_view' });
+
+    res.json({
+        success: true,
+        user,
+        stats
+    });
+}));
+
+/**
+ * GET /api/admin/users/:userId/requests
+ * Get a user's recent requests (?limit=)
+ */
+router.get('/users/:userId/requests', asyncHandler(async (req, res) => {
+    const { limit } = validatePagination({ limit: req.query.limit || 20 });
+    await getAdminUser(req.params.userId);
+
+    const requests = await getUserRequestHistory(req.params.userId, limit);
+
+    await auditAdminAction(req, { action: 'admin.user_requests_view' });
+
+    res.json({
+        success: true,
+        requests
+    });
+}));
+
+/**
+ * GET /api/admin/users/:userId/transactions
+ * Page through a user's credit ledger (?limit=&cursor=) with a balance reconciliation
+ */
+router.get('/users/:userId/transactions', asyncHandler(async (req, res) => {
+    const { limit } = validatePagination({ limit: req.query.limit || 20 });
+    const cursor = req.query.cursor !== undefined ? validateCursor(req.query.cursor) : undefined;
+
+    const [page, reconciliation] = await Promise.all([
+        getUserTransactions(req.params.userId, { limit, cursor }),
+        reconcileUserBalance(req.params.userId)
+    ]);
+
+    await auditAdminAction(req, { action: 'admin.user_transactions_view' });
+
+    res.json({
+        success: true,
+        transactions: page.transactions,
+        next_cursor: page.nextCursor,
+        has_more: page.nextCursor !== null,
+        reconciliation
+    });
+}));
+
+/**
+ * Read a credit change (amount and type) from the request body
+ * @param {Object} body - Request body
+ * @returns {{type: string, amount: number, reason: string|null}} Credit change
+ */
+const getCreditChange = (body) => {
+    const { amount } = body;
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+        throw new ValidationError('amount must be a non-zero number');
+    }
+
+    const type = body.type || (amount > 0 ? 'grant' : 'adjustment');
+    if (!ADMIN_CREDIT_TYPES.includes(type)) {
+        throw new ValidationError(`type must be one of: ${ADMIN_CREDIT_TYPES.join(', ')}`);
+    }
+    if (type !== 'adjustment' && amount < 0) {
+        throw new ValidationError(`A ${type} must have a positive amount; use an adjustment to remove credits`);
+    }
+
+    return { type, amount, reason: getReason(body) };
+};
+
+/**
+ * POST /api/admin/users/:userId/credits
+ * Grant (positive amount) or revoke (negative amount) credits through the ledger
+ */
+router.post('/users/:userId/credits', asyncHandler(async (req, res) => {
+    const { type, amount, reason } = getCreditChange(req.body);
+    const result = await applyCreditTransaction(req.params.userId, {
+        type,
+        amount,
+        actor: `admin:${req.user.uid}`,
+        description: reason
+    });
+
+    await auditAdminAction(req, {
+        action: 'admin.credits_change',
+        details: { type, amount, reason, transaction_id: result.transactionId, balance: result.balance }
+    });
+
+    res.status(201).json({
+        success: true,
+        transaction_id: result.transactionId,
+        credits: result.balance
+    });
+}));
+
+/**
+ * POST /api/admin/organizations/:orgId/credits
+ * Grant (positive amount) or revoke (negative amount) credits in an organization's pool
+ */
+router.post('/organizations/:orgId/credits', asyncHandler(async (req, res) => {
+    const { type, amount, reason } = getCreditChange(req.body);
+    const result = await applyOrganizationCreditTransaction(req.params.orgId, {
+        type,
+        amount,
+        actor: `admin:${req.user.uid}`,
+        description: reason
+    });
+
+    await auditAdminAction(req, {
+        action: 'admin.organization_credits_change',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { type, amount, reason, transaction_id: result.transactionId, balance: result.balance }
+    });
+
+    res.status(201).json({
+        success: true,
+        transaction_id: result.transactionId,
+        credits: result.balance
+    });
+}));
+
+/**
+ * POST /api/admin/organizations/:orgId/plan
+ * Move an organization to another plan ({ plan })
+ */
+router.post('/organizations/:orgId/plan', asyncHandler(async (req, res) => {
+    const { before, organization } = await setOrganizationPlan(req.params.orgId, req.body.plan);
+
+    await auditAdminAction(req, {
+        action: 'admin.organization_plan_change',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { plan: organization.plan, previous_plan: before.plan }
+    });
+
+    res.json({
+        success: true,
+        organization
+    });
+}));
+
+/**
+ * POST /api/admin/users/:userId/suspend
+ * Suspend an account; its API keys stop working immediately
+ */
+router.post('/users/:userId/suspend', asyncHandler(async (req, res) => {
+    const reason = getReason(req.body);
+    const { before, user } = await setUserStatus(req.params.userId, 'suspended', {
+        reason,
+        adminId: req.user.uid
+    });
+
+    await auditAdminAction(req, {
+        action: 'admin.user_suspend',
+        details: { reason, previous_status: before.status }
+    });
+
+    res.json({
+        success: true,
+        user
+    });
+}));
+
+/**
+ * POST /api/admin/users/:userId/reactivate
+ * Reactivate a suspended account
+ */
+router.post('/users/:userId/reactivate', asyncHandler(async (req, res) => {
+    const reason = getReason(req.body);
+    const { before, user } = await setUserStatus(req.params.userId, 'active', { adminId: req.user.uid });
+
+    await auditAdminAction(req, {
+        action: 'admin.user_reactivate',
+        details: { reason, previous_status: before.status }
+    });
+
+    res.json({
+        success: true,
+        user
+    });
+}));
+
+/**
+ * POST /api/admin/users/:userId/promote
+ * Give a user admin privileges
+ */
+router.post('/users/:userId/promote', asyncHandler(async (req, res) => {
+    const { before, user } = await setUserAdmin(req.params.userId, true, { adminId: req.user.uid });
+
+    await auditAdminAction(req, {
+        action: 'admin.user_promote',
+        details: { was_admin: before.is_admin }
+    });
+
+    res.json({
+        success: true,
+        user
+    });
+}));
+
+/**
+ * POST /api/admin/users/:userId/demote
+ * Remove a user's admin privileges
+ */
+router.post('/users/:userId/demote', asyncHandler(async (req, res) => {
+    const { before, user } = await setUserAdmin(req.params.userId, false, { adminId: req.user.uid });
+
+    await auditAdminAction(req, {
+        action: 'admin.user_demote',
+        details: { was_admin: before.is_admin }
+    });
+
+    res.json({
+        success: true,
+        user
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,151 @@
+/**
+ * Auth Routes
+ * Account registration and dashboard access with a Firebase ID token.
+ * Accounts, starting credits and keys are provisioned here, never by the client.
+ */
+
+const express = require('express');
+const { config } = require('../config/env');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { rateLimitByIp } = require('../middleware/rateLimit');
+const { asyncHandler, ApiError, ValidationError } = require('../middleware/errorHandler');
+const { createUser, getUserStats, getAccountStatus } = require('../services/userService');
+const {
+    createApiKey,
+    listApiKeys,
+    toIssuedApiKey,
+    DEFAULT_SCOPES
+} = require('../services/apiKeyService');
+const { recordAuditEvent, getRequestActor } = require('../services/auditService');
+const { sanitizeString } = require('../utils/validators');
+
+const router = express.Router();
+
+// The first key can manage the account's other keys and its organization
+const REGISTRATION_KEY_SCOPES = [...DEFAULT_SCOPES, 'keys:manage', 'orgs:manage'];
+
+router.use(rateLimitByIp, verifyFirebaseToken);
+
+/**
+ * Record an audit event for the signed-in Firebase user
+ * @param {Object} req - Express request object
+ * @param {Object} event - Audit event (action, targetType, targetId, details)
+ * @returns {Promise<string|null>} Audit entry ID
+ */
+const auditFirebaseUser = (req, event) => recordAuditEvent({
+    ...getRequestActor(req),
+    actor: `user:${req.firebaseUser.uid}`,
+    userId: req.firebaseUser.uid,
+    ...event
+});
+
+/**
+ * Fail unless the signed-in user has registered an account
+ * @param {Object} req - Express request object
+ * @param {Object} options - Options
+ * @param {boolean} options.active - Also fail for suspended accounts, as authenticate does
+ */
+const requireRegisteredAccount = async (req, { active = false } = {}) => {
+    const status = await getAccountStatus(req.firebaseUser.uid);
+
+    if (!status) {
+        throw new ApiError('Account not registered. Call POST /api/auth/register first.', 404, 'ACCOUNT_NOT_REGISTERED');
+    }
+    if (active && status === 'suspended') {
+        throw new ApiError('Account suspended. Please contact support.', 403, 'ACCOUNT_SUSPENDED');
+    }
+};
+
+/**
+ * POST /api/auth/register
+ * Create the account for the signed-in Firebase user, with starting credits and a first API key
+ */
+router.post('/register', asyncHandler(async (req, res) => {
+    const { uid, email, name } = req.firebaseUser;
+
+    if (!email) {
+        throw new ValidationError('The Firebase account must have an email address');
+    }
+
+    const displayName = typeof req.body.display_name === 'string'
+        ? sanitizeString(req.body.display_name, { maxLength: 100 })
+        : name;
+
+    const user = await createUser(uid, {
+        email,
+        displayName,
+        credits: config.registration.initialCredits,
+        actor: 'system:registration'
+    });
+    const key = await createApiKey(uid, { name: 'Default', scopes: REGISTRATION_KEY_SCOPES });
+
+    await auditFirebaseUser(req, {
+        action: 'account.register',
+        targetType: 'user',
+        targetId: uid,
+        details: { email: user.email, credits: user.credits, key_id: key.id }
+    });
+
+    res.status(201).json({
+        success: true,
+        user: {
+            uid,
+            email: user.email,
+            display_name: user.displayName,
+            credits: user.credits
+        },
+        key: toIssuedApiKey(key),
+        message: 'Store this API key now. It will not be shown again.'
+    });
+}));
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user's account and keys (masked)
+ */
+router.get('/me', asyncHandler(async (req, res) => {
+    await requireRegisteredAccount(req);
+
+    const [stats, keys] = await Promise.all([
+        getUserStats(req.firebaseUser.uid),
+        listApiKeys(req.firebaseUser.uid)
+    ]);
+
+    res.json({
+        success: true,
+        user: {
+            uid: req.firebaseUser.uid,
+            ...stats
+        },
+        keys
+    });
+}));
+
+/**
+ * POST /api/auth/keys
+ * Issue a new API key for the signed-in user (e.g. when the old one was lost)
+ */
+router.post('/keys', asyncHandler(async (req, res) => {
+    await requireRegisteredAccount(req, { active: true });
+
+    const name = typeof req.body.name === 'string' && req.body.name.trim().length > 0
+        ? sanitizeString(req.body.name, { maxLength: 100 })
+        : 'Dashboard';
+
+    const key = await createApiKey(req.firebaseUser.uid, { name, scopes: REGISTRATION_KEY_SCOPES });
+
+    await auditFirebaseUser(req, {
+        action: 'api_key.create',
+        targetType: 'api_key',
+        targetId: key.id,
+        details: { name: key.name, prefix: key.prefix, scopes: key.scopes, via: 'id_token' }
+    });
+
+    res.status(201).json({
+        success: true,
+        key: toIssuedApiKey(key),
+        message: 'Store this API key now. It will not be shown again.'
+    });
+}));
+
+module.exports = router;
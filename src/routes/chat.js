@@ -4,41 +4,337 @@
  */
 
 const express = require('express');
-const { verifyApiKey } = require('../middleware/auth');
+const { authenticate, requireScope, requireCredits } = require('../middleware/auth');
+const { rateLimitByApiKey, rateLimitByIp } = require('../middleware/rateLimit');
+const { enforceQuota } = require('../middleware/quota');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { generateAIResponse } = require('../services/geminiService');
-const { deductCredits, logUserRequest } = require('../services/userService');
+const { resolveModel, generateAIResponse, streamAIResponse, listAvailableModels } = require('../services/geminiService');
+const {
+    generateRequestId,
+    reserveCredits,
+    captureCredits,
+    releaseCredits,
+    logUserRequest
+} = require('../services/userService');
+const { calculateCost, estimateMaxCost, formatUsage } = require('../services/billingService');
+const { getQuotaAccount, recordTokenUsage } = require('../services/quotaService');
+const {
+    createConversation,
+    getConversation,
+    getConversationHistory,
+    appendConversationTurns,
+    estimateTokens
+} = require('../services/conversationService');
+const { validateMessage, validateConversationId } = require('../utils/validators');
 
 const router = express.Router();
 
+// Servers use API keys; the dashboard can chat with its signed-in session
+const authenticateUser = authenticate({ accept: ['api_key', 'id_token'] });
+
 /**
- * POST /api/chat
- * Send a message to AI and get response
+ * Get the model features a chat request relies on
+ * @param {Object} body - Request body
+ * @param {Object} flags - Extra feature flags the route needs (e.g. { streaming: true })
+ * @returns {Array<string>} Required feature names
+ */
+const getRequiredFeatures = (body, flags = {}) => {
+    const features = { ...flags, googleSearch: body.enableGoogleSearch === true };
+    return Object.keys(features).filter(feature => features[feature]);
+};
+
+/**
+ * Validate a chat request before it is counted against the caller's quotas
+ * Sets req.chat ({ message, model, conversationId, streaming }).
+ * @param {Object} flags - Route flags ({ streaming: true } for routes that always stream)
+ * @returns {Function} Express middleware
+ */
+const parseChatRequest = ({ streaming = false } = {}) => (req, res, next) => {
+    const isStreaming = streaming || req.body.stream === true;
+    const { conversation_id: conversationId } = req.body;
+
+    req.chat = {
+        message: validateMessage(req.body.message),
+        model: resolveModel(req.body.model, getRequiredFeatures(req.body, { streaming: isStreaming })),
+        conversationId: conversationId !== undefined ? validateConversationId(conversationId) : undefined,
+        streaming: isStreaming
+    };
+    next();
+};
+
+/**
+ * Hold the most a chat request can cost before calling the model
+ * @param {string} userId - User ID
+ * @param {Object} model - Model catalog entry
+ * @param {string} message - User message
+ * @param {Array} history - Conversation history sent with the message
+ * @param {string} requestId - Request ID the hold is placed for
+ * @returns {Promise<Object>} Hold details from reserveCredits
+ */
+const holdChatCredits = (userId, model, message, history, requestId) => {
+    return reserveCredits(userId, estimateMaxCost(model, message, history), { model: model.id, requestId });
+};
+
+/**
+ * Hold credits for a chat request, then open its conversation
+ * An existing conversation is loaded first since its history counts towards
+ * the hold; a new one is only created once the hold succeeds, so refused
+ * requests don't leave empty conversations behind.
+ * @param {Object} req - Express request object (req.chat is set by parseChatRequest)
+ * @param {string} requestId - Request ID the hold is placed for
+ * @returns {Promise<{conversation: Object, history: Array, hold: Object}>} Chat context
+ */
+const startChat = async (req, requestId) => {
+    const { message, model, conversationId } = req.chat;
+    const userId = req.user.uid;
+
+    const existing = conversationId !== undefined ? await getConversation(userId, conversationId) : null;
+    const history = existing
+        ? await getConversationHistory(existing.id, { reservedTokens: estimateTokens(message) })
+        : [];
+
+    const hold = await holdChatCredits(userId, model, message, history, requestId);
+
+    try {
+        const conversation = existing || await createConversation(userId, message);
+        return { conversation, history, hold };
+    } catch (error) {
+        await releaseCredits(hold.holdId, 'conversation_error');
+        throw error;
+    }
+};
+
+/**
+ * Count a chat request's tokens against the caller's token quotas
+ * @param {Object} req - Express request object (req.quotaAccount is set by enforceQuota)
+ * @param {Object} usage - Token usage
+ */
+const recordChatTokens = async (req, usage) => {
+    const { quotas } = req.quotaAccount || await getQuotaAccount(req.user);
+    await recordTokenUsage(quotas, usage.totalTokens);
+};
+
+/**
+ * Charge a chat request's hold for the credits it used
+ * Gives the hold back if the charge fails, so it doesn't stay reserved until it expires.
+ * @param {Object} req - Express request object
+ * @param {Object} hold - Hold from holdChatCredits
+ * @param {Object} cost - Cost from calculateCost
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Updated user data from captureCredits
+ */
+const captureChatCredits = async (req, hold, cost, requestId) => {
+    try {
+        return await captureCredits(hold.holdId, cost.totalCredits, {
+            requestId,
+            actor: `user:${req.user.uid}`
+        });
+    } catch (error) {
+        await releaseCredits(hold.holdId, 'finalize_error');
+        throw error;
+    }
+};
+
+/**
+ * Record a chat request that was answered and charged
+ * Counts its tokens, logs it for analytics and adds its turns to the
+ * conversation. Best effort: the answer is already paid for, so a failed
+ * write is logged instead of failing the response.
+ * @param {Object} req - Express request object
+ * @param {Object} record - What to record
+ * @param {string} record.requestId - Request ID
+ * @param {Object} record.requestLog - Request log entry (see logUserRequest)
+ * @param {string} record.conversationId - Conversation ID
+ * @param {Array|null} record.turns - Turns to add to the conversation, if any
+ */
+const recordAnsweredChat = async (req, { requestId, requestLog, conversationId, turns }) => {
+    const results = await Promise.allSettled([
+        recordChatTokens(req, requestLog.usage),
+        logUserRequest(req.user.uid, requestLog),
+        turns ? appendConversationTurns(conversationId, turns, requestId) : null
+    ]);
+
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error(`Chat request ${requestId} record error:`, result.reason));
+};
+
+/**
+ * Write a Server-Sent Event, opening the event stream on first use
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const sendEvent = (res, event, data) => {
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+
+    if (!res.headersSent) {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering
+        });
+        res.flushHeaders();
+    }
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream a chat response as Server-Sent Events
+ * Emits `chunk` events with text, then a final `done` event. Credits are
+ * held up front, captured and the request logged once the stream finishes or
+ * the client disconnects, and released if the model call fails.
+ * @param {Object} req - Express request object (req.chat is set by parseChatRequest)
+ * @param {Object} res - Express response object
  */
-router.post('/', verifyApiKey, asyncHandler(async (req, res) => {
-    const { message, enableGoogleSearch = false } = req.body;
+const streamChat = async (req, res) => {
+    const { message, model } = req.chat;
+    const { enableGoogleSearch = false } = req.body;
     const startTime = Date.now();
+    const requestId = generateRequestId();
 
+    const { conversation, history, hold } = await startChat(req, requestId);
+
+    // Stop the upstream request if the client goes away mid-stream
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
+        }
+    });
+
+    let aiResponseData;
     try {
-        // Calculate credits based on word count
-        const wordCount = message.trim().split(/\s+/).length;
-        const creditsToDeduct = wordCount * 0.008;
+        aiResponseData = await streamAIResponse(message, {
+            enableGoogleSearch,
+            history,
+            model,
+            userId: req.user.uid,
+            signal: abortController.signal
+        }, (text) => sendEvent(res, 'chunk', { text }));
+    } catch (error) {
+        await releaseCredits(hold.holdId, 'ai_error');
 
-        // Generate AI response
-        const aiResponseData = await generateAIResponse(message, { enableGoogleSearch });
-        
-        // Deduct credits from user
-        const updatedUser = await deductCredits(req.user.uid, creditsToDeduct);
-        
-        // Log the request for analytics
-        const requestId = await logUserRequest(req.user.uid, {
+        // Nothing streamed yet, so let the error middleware answer with JSON
+        if (!res.headersSent) {
+            throw error;
+        }
+        sendEvent(res, 'error', { success: false, error: error.message, code: error.code || 'AI_SERVICE_ERROR' });
+        return res.end();
+    }
+
+    // Charge for the tokens actually used, including partial answers
+    const cost = calculateCost(model, aiResponseData.usage);
+    let updatedUser;
+    try {
+        updatedUser = await captureChatCredits(req, hold, cost, requestId);
+    } catch (error) {
+        console.error('Chat stream finalize error:', error);
+        sendEvent(res, 'error', { success: false, error: error.message, code: error.code || 'INTERNAL_ERROR' });
+        return res.end();
+    }
+
+    await recordAnsweredChat(req, {
+        requestId,
+        requestLog: {
+            requestId,
             message,
             responseLength: aiResponseData.response.length,
             responseTime: aiResponseData.responseTime,
-            creditsUsed: creditsToDeduct,
+            creditsUsed: cost.totalCredits,
+            usage: aiResponseData.usage,
+            cost,
             model: aiResponseData.model,
             ip: req.ip,
-            userAgent: req.get('User-Agent')
+            userAgent: req.get('User-Agent'),
+            conversationId: conversation.id,
+            streamed: true,
+            aborted: aiResponseData.aborted
+        },
+        conversationId: conversation.id,
+        // Only keep completed answers in the conversation history
+        turns: aiResponseData.aborted ? null : [
+            { role: 'user', text: message },
+            { role: 'model', text: aiResponseData.response }
+        ]
+    });
+
+    const totalTime = Date.now() - startTime;
+
+    sendEvent(res, 'done', {
+        success: true,
+        credits_used: cost.totalCredits,
+        credits_remaining: parseFloat(updatedUser.credits.toFixed(3)),
+        usage: formatUsage(aiResponseData.usage, cost),
+        request_id: requestId,
+        conversation_id: conversation.id,
+        history_turns: history.length,
+        model: aiResponseData.model,
+        first_chunk_time_ms: aiResponseData.firstChunkTime,
+        queue_time_ms: aiResponseData.queueTime,
+        response_time_ms: aiResponseData.responseTime,
+        total_time_ms: totalTime,
+        timestamp: aiResponseData.timestamp
+    });
+
+    console.log(`💬 Streamed chat request ${aiResponseData.aborted ? 'aborted' : 'completed'} in ${totalTime}ms`);
+    res.end();
+};
+
+/**
+ * POST /api/chat
+ * Send a message to AI and get response (set `stream: true` for SSE)
+ */
+router.post('/', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('chat'), requireCredits, parseChatRequest(), enforceQuota, asyncHandler(async (req, res) => {
+    if (req.chat.streaming) {
+        return streamChat(req, res);
+    }
+
+    const { message, model } = req.chat;
+    const { enableGoogleSearch = false } = req.body;
+    const startTime = Date.now();
+    const requestId = generateRequestId();
+
+    try {
+        const { conversation, history, hold } = await startChat(req, requestId);
+
+        // Generate AI response, giving the held credits back if it fails or times out
+        let aiResponseData;
+        try {
+            aiResponseData = await generateAIResponse(message, { enableGoogleSearch, history, model, userId: req.user.uid });
+        } catch (error) {
+            await releaseCredits(hold.holdId, 'ai_error');
+            throw error;
+        }
+        
+        // Charge input and output tokens at the model's rates
+        const cost = calculateCost(model, aiResponseData.usage);
+        const updatedUser = await captureChatCredits(req, hold, cost, requestId);
+
+        await recordAnsweredChat(req, {
+            requestId,
+            requestLog: {
+                requestId,
+                message,
+                responseLength: aiResponseData.response.length,
+                responseTime: aiResponseData.responseTime,
+                creditsUsed: cost.totalCredits,
+                usage: aiResponseData.usage,
+                cost,
+                model: aiResponseData.model,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                conversationId: conversation.id
+            },
+            conversationId: conversation.id,
+            turns: [
+                { role: 'user', text: message },
+                { role: 'model', text: aiResponseData.response }
+            ]
         });
 
         const totalTime = Date.now() - startTime;
@@ -47,9 +343,14 @@ router.post('/', verifyApiKey, asyncHandler(async (req, res) => {
         res.json({
             success: true,
             response: aiResponseData.response,
+            credits_used: cost.totalCredits,
             credits_remaining: parseFloat(updatedUser.credits.toFixed(3)),
+            usage: formatUsage(aiResponseData.usage, cost),
             request_id: requestId,
+            conversation_id: conversation.id,
+            history_turns: history.length,
             model: aiResponseData.model,
+            queue_time_ms: aiResponseData.queueTime,
             response_time_ms: aiResponseData.responseTime,
             total_time_ms: totalTime,
             timestamp: aiResponseData.timestamp
@@ -62,30 +363,21 @@ router.post('/', verifyApiKey, asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * POST /api/chat/stream
+ * Send a message to AI and stream the response as Server-Sent Events
+ */
+router.post('/stream', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('chat'), requireCredits, parseChatRequest({ streaming: true }), enforceQuota, asyncHandler(streamChat));
+
 /**
  * GET /api/chat/models
  * Get available AI models information
  */
-router.get('/models', asyncHandler(async (req, res) => {
+router.get('/models', rateLimitByIp, asyncHandler(async (req, res) => {
     res.json({
         success: true,
-        models: [
-            {
-                id: 'gemini-2.0-flash',
-                name: 'Gemini 2.0 Flash',
-                description: 'Fast and efficient AI model optimized for educational content',
-                max_tokens: 2048,
-                features: [
-                    'Text generation',
-                    'Code assistance', 
-                    'Mathematical problem solving',
-                    'Sri Lankan curriculum support',
-                    'LaTeX formatting'
-                ],
-                cost_per_word: 0.008
-            }
-        ],
-        default_model: 'gemini-2.0-flash'
+        models: listAvailableModels(),
+        default_model: resolveModel().id
     });
 }));
 
@@ -5,7 +5,7 @@
 
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { testConnection } = require('../config/database');
+const { getStorage } = require('../repositories');
 const { checkServiceHealth } = require('../services/geminiService');
 const { getMemoryStatus } = require('../utils/memoryMonitor');
 
@@ -49,20 +49,23 @@ router.get('/detailed', asyncHandler(async (req, res) => {
         checks: {}
     };
 
+    const storage = getStorage();
+    const storageService = storage.name === 'firestore' ? 'Firebase Firestore' : 'In-memory storage';
     try {
         // Check database connection
         console.log('🔍 Checking database health...');
-        const dbHealthy = await testConnection();
+        const dbHealthStart = Date.now();
+        await storage.ping();
         results.checks.database = {
-            status: dbHealthy ? 'healthy' : 'unhealthy',
-            response_time_ms: Date.now() - Date.now(), // Reset timer for each check
-            service: 'Firebase Firestore'
+            status: 'healthy',
+            response_time_ms: Date.now() - dbHealthStart,
+            service: storageService
         };
     } catch (error) {
         results.checks.database = {
             status: 'unhealthy',
             error: error.message,
-            service: 'Firebase Firestore'
+            service: storageService
         };
         results.status = 'degraded';
     }
@@ -128,14 +131,8 @@ router.get('/detailed', asyncHandler(async (req, res) => {
 router.get('/ready', asyncHandler(async (req, res) => {
     try {
         // Quick readiness check - ensure app can handle requests
-        const db = getDatabase();
-        if (!db) {
-            return res.status(503).json({
-                success: false,
-                status: 'not_ready',
-                message: 'Database not initialized'
-            });
-        }
+        // (getStorage throws if the configured backend can't be created)
+        getStorage();
 
         res.json({
             success: true,
@@ -0,0 +1,203 @@
+/**
+ * API Key Routes
+ * Create, list, restrict, rotate and revoke the caller's API keys
+ */
+
+const express = require('express');
+const { config } = require('../config/env');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { rateLimitByApiKey, rateLimitByIp } = require('../middleware/rateLimit');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+    createApiKey,
+    listApiKeys,
+    rotateApiKey,
+    updateApiKeyRestrictions,
+    revokeApiKey,
+    validateScopes,
+    assertGrantableScopes,
+    toIssuedApiKey
+} = require('../services/apiKeyService');
+const { auditRequest } = require('../services/auditService');
+const { sanitizeString, validateRange } = require('../utils/validators');
+
+const router = express.Router();
+
+router.use(rateLimitByIp, authenticate({ accept: ['api_key', 'id_token'] }), rateLimitByApiKey, requireScope('keys:manage'));
+
+router.param('keyId', (req, res, next, keyId) => {
+    if (!/^[A-Za-z0-9_-]{1,128}$/.test(keyId)) {
+        return next(new ValidationError('Invalid key ID format'));
+    }
+    next();
+});
+
+/**
+ * Get the caller, as the grantor of scopes to new keys
+ * @param {Object} req - Express request object
+ * @returns {Object} Grantor ({ scopes, isAdmin })
+ */
+const getGrantor = (req) => ({ scopes: req.auth.scopes, isAdmin: Boolean(req.user.isAdmin) });
+
+/**
+ * Validate the scopes requested for a new key
+ * @param {Object} req - Express request object
+ * @param {any} scopes - Requested scopes
+ * @returns {Array<string>} Validated scopes
+ */
+const validateGrantableScopes = (req, scopes) => {
+    const validScopes = validateScopes(scopes);
+    assertGrantableScopes(validScopes, getGrantor(req));
+    return validScopes;
+};
+
+/**
+ * POST /api/keys
+ * Create a key. The secret (and signing secret) is returned once and can't be retrieved again.
+ * With require_signature, the key only works for signed requests; allowed_ips
+ * (CIDRs) and allowed_origins limit where it can be used from.
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const {
+        name,
+        scopes,
+        require_signature: requireSignature = false,
+        allowed_ips: allowedIps,
+        allowed_origins: allowedOrigins
+    } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new ValidationError('name is required and must be a string');
+    }
+    if (typeof requireSignature !== 'boolean') {
+        throw new ValidationError('require_signature must be a boolean');
+    }
+
+    const key = await createApiKey(req.user.uid, {
+        name: sanitizeString(name, { maxLength: 100 }),
+        scopes: validateGrantableScopes(req, scopes),
+        requireSignature,
+        allowedIps,
+        allowedOrigins
+    });
+
+    await auditRequest(req, {
+        action: 'api_key.create',
+        targetType: 'api_key',
+        targetId: key.id,
+        details: {
+            name: key.name,
+            prefix: key.prefix,
+            scopes: key.scopes,
+            require_signature: key.requireSignature,
+            allowed_ips: key.allowedIps,
+            allowed_origins: key.allowedOrigins
+        }
+    });
+
+    res.status(201).json({
+        success: true,
+        key: toIssuedApiKey(key),
+        message: 'Store this API key now. It will not be shown again.'
+    });
+}));
+
+/**
+ * GET /api/keys
+ * List keys with masked values (?include_revoked=true to include revoked and expired keys)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const keys = await listApiKeys(req.user.uid, {
+        includeRevoked: req.query.include_revoked === 'true'
+    });
+
+    await auditRequest(req, { action: 'api_key.list', targetType: 'api_key' });
+
+    res.json({
+        success: true,
+        keys,
+        current_key_id: req.auth.keyId
+    });
+}));
+
+/**
+ * POST /api/keys/:keyId/rotate
+ * Issue a replacement key; the old key keeps working for grace_period_seconds.
+ * Like POST /, the caller must be able to grant the key's scopes.
+ */
+router.post('/:keyId/rotate', asyncHandler(async (req, res) => {
+    const { grace_period_seconds: gracePeriod } = req.body;
+    const gracePeriodSeconds = gracePeriod === undefined
+        ? config.apiKeys.rotationGraceSeconds
+        : validateRange(Number(gracePeriod), 0, config.apiKeys.maxRotationGraceSeconds, 'grace_period_seconds');
+
+    const key = await rotateApiKey(req.user.uid, req.params.keyId, {
+        gracePeriodSeconds,
+        grantor: getGrantor(req)
+    });
+
+    await auditRequest(req, {
+        action: 'api_key.rotate',
+        targetType: 'api_key',
+        targetId: req.params.keyId,
+        details: { new_key_id: key.id, new_prefix: key.prefix, grace_period_seconds: gracePeriodSeconds }
+    });
+
+    res.status(201).json({
+        success: true,
+        key: toIssuedApiKey(key),
+        previous_key: {
+            id: req.params.keyId,
+            expires_at: key.oldKeyExpiresAt.toISOString()
+        },
+        message: 'Store this API key now. It will not be shown again.'
+    });
+}));
+
+/**
+ * PATCH /api/keys/:keyId
+ * Replace a key's allowed_ips and/or allowed_origins (an empty array removes the restriction)
+ */
+router.patch('/:keyId', asyncHandler(async (req, res) => {
+    const { allowed_ips: allowedIps, allowed_origins: allowedOrigins } = req.body;
+
+    if (allowedIps === undefined && allowedOrigins === undefined) {
+        throw new ValidationError('allowed_ips or allowed_origins is required');
+    }
+
+    const key = await updateApiKeyRestrictions(req.user.uid, req.params.keyId, { allowedIps, allowedOrigins });
+
+    await auditRequest(req, {
+        action: 'api_key.restrict',
+        targetType: 'api_key',
+        targetId: key.id,
+        details: { prefix: key.prefix, allowed_ips: key.allowed_ips, allowed_origins: key.allowed_origins }
+    });
+
+    res.json({
+        success: true,
+        key
+    });
+}));
+
+/**
+ * DELETE /api/keys/:keyId
+ * Revoke a key immediately
+ */
+router.delete('/:keyId', asyncHandler(async (req, res) => {
+    const key = await revokeApiKey(req.user.uid, req.params.keyId);
+
+    await auditRequest(req, {
+        action: 'api_key.revoke',
+        targetType: 'api_key',
+        targetId: key.id,
+        details: { prefix: key.prefix }
+    });
+
+    res.json({
+        success: true,
+        key
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,271 @@
+/**
+ * Organization Routes
+ * Create organizations, invite members and manage them. Members spend from
+ * the organization's shared credit pool, within their spending cap.
+ */
+
+const express = require('express');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { rateLimitByApiKey, rateLimitByIp } = require('../middleware/rateLimit');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+    createOrganization,
+    getOrganizationForMember,
+    listMembers,
+    inviteMember,
+    listInvites,
+    listUserInvites,
+    acceptInvite,
+    deleteInvite,
+    updateMember,
+    removeMember,
+    validateRole,
+    validateSpendingCap
+} = require('../services/organizationService');
+const { auditRequest } = require('../services/auditService');
+const { sanitizeString, validateEmail } = require('../utils/validators');
+
+const router = express.Router();
+
+router.use(rateLimitByIp, authenticate({ accept: ['api_key', 'id_token'] }), rateLimitByApiKey);
+
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Reject malformed organization and user IDs in the path
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} id - Path parameter value
+ */
+const validateIdParam = (req, res, next, id) => {
+    if (!DOCUMENT_ID_PATTERN.test(id)) {
+        return next(new ValidationError('Invalid ID format'));
+    }
+    next();
+};
+
+router.param('orgId', validateIdParam);
+router.param('userId', validateIdParam);
+
+/**
+ * POST /api/orgs
+ * Create an organization with the caller as owner
+ */
+router.post('/', requireScope('orgs:manage'), asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new ValidationError('name is required and must be a string');
+    }
+
+    const organization = await createOrganization(req.user.uid, {
+        name: sanitizeString(name, { maxLength: 100 })
+    });
+
+    await auditRequest(req, {
+        action: 'organization.create',
+        targetType: 'organization',
+        targetId: organization.id,
+        details: { name: organization.name }
+    });
+
+    res.status(201).json({
+        success: true,
+        organization
+    });
+}));
+
+/**
+ * GET /api/orgs/invites
+ * List the invites the caller can accept
+ */
+router.get('/invites', requireScope('stats:read'), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        invites: await listUserInvites(req.user.uid)
+    });
+}));
+
+/**
+ * GET /api/orgs/:orgId
+ * Get an organization and the caller's role in it
+ */
+router.get('/:orgId', requireScope('stats:read'), asyncHandler(async (req, res) => {
+    const { organization, membership } = await getOrganizationForMember(req.params.orgId, req.user.uid);
+
+    res.json({
+        success: true,
+        organization,
+        role: membership.role
+    });
+}));
+
+/**
+ * GET /api/orgs/:orgId/members
+ * List members with their roles, spending caps and spend
+ */
+router.get('/:orgId/members', requireScope('stats:read'), asyncHandler(async (req, res) => {
+    await getOrganizationForMember(req.params.orgId, req.user.uid);
+
+    res.json({
+        success: true,
+        members: await listMembers(req.params.orgId)
+    });
+}));
+
+/**
+ * POST /api/orgs/:orgId/invites
+ * Invite a user by user_id or email (admin or owner); they join once they accept
+ */
+router.post('/:orgId/invites', requireScope('orgs:manage'), asyncHandler(async (req, res) => {
+    const { membership } = await getOrganizationForMember(req.params.orgId, req.user.uid, 'admin');
+    const { user_id: userId, email, role = 'member', spending_cap: spendingCap = null } = req.body;
+
+    if (!userId && !email) {
+        throw new ValidationError('user_id or email is required');
+    }
+    if (userId && (typeof userId !== 'string' || !DOCUMENT_ID_PATTERN.test(userId))) {
+        throw new ValidationError('Invalid user_id format');
+    }
+
+    const invite = await inviteMember(req.params.orgId, {
+        userId,
+        email: userId ? undefined : validateEmail(email),
+        role: validateRole(role),
+        spendingCap: validateSpendingCap(spendingCap)
+    }, { userId: req.user.uid, role: membership.role });
+
+    await auditRequest(req, {
+        action: 'organization.member_invite',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { invitee_id: invite.user_id, role: invite.role, spending_cap: invite.spending_cap }
+    });
+
+    res.status(201).json({
+        success: true,
+        invite
+    });
+}));
+
+/**
+ * GET /api/orgs/:orgId/invites
+ * List invites that haven't been accepted yet (admin or owner)
+ */
+router.get('/:orgId/invites', requireScope('stats:read'), asyncHandler(async (req, res) => {
+    await getOrganizationForMember(req.params.orgId, req.user.uid, 'admin');
+
+    res.json({
+        success: true,
+        invites: await listInvites(req.params.orgId)
+    });
+}));
+
+/**
+ * POST /api/orgs/:orgId/invites/accept
+ * Accept an invite and join the organization, moving your available credits into its pool
+ */
+router.post('/:orgId/invites/accept', requireScope('orgs:manage'), asyncHandler(async (req, res) => {
+    const { member, creditsTransferred } = await acceptInvite(req.params.orgId, req.user.uid);
+
+    await auditRequest(req, {
+        action: 'organization.invite_accept',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { role: member.role, spending_cap: member.spending_cap, credits_transferred: creditsTransferred }
+    });
+
+    res.status(201).json({
+        success: true,
+        member,
+        credits_transferred: creditsTransferred
+    });
+}));
+
+/**
+ * DELETE /api/orgs/:orgId/invites/:userId
+ * Revoke an invite (admin or owner), or decline your own
+ */
+router.delete('/:orgId/invites/:userId', requireScope('orgs:manage'), asyncHandler(async (req, res) => {
+    const isSelf = req.params.userId === req.user.uid;
+    const actor = { userId: req.user.uid, role: null };
+
+    // The invited user isn't a member yet, so only check the role of others
+    if (!isSelf) {
+        const { membership } = await getOrganizationForMember(req.params.orgId, req.user.uid, 'admin');
+        actor.role = membership.role;
+    }
+
+    const invite = await deleteInvite(req.params.orgId, req.params.userId, actor);
+
+    await auditRequest(req, {
+        action: isSelf ? 'organization.invite_decline' : 'organization.invite_revoke',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { invitee_id: invite.user_id, role: invite.role }
+    });
+
+    res.json({
+        success: true,
+        invite
+    });
+}));
+
+/**
+ * PATCH /api/orgs/:orgId/members/:userId
+ * Change a member's role or spending cap (admin or owner)
+ */
+router.patch('/:orgId/members/:userId', requireScope('orgs:manage'), asyncHandler(async (req, res) => {
+    const { membership } = await getOrganizationForMember(req.params.orgId, req.user.uid, 'admin');
+    const { role, spending_cap: spendingCap } = req.body;
+
+    if (role === undefined && spendingCap === undefined) {
+        throw new ValidationError('role or spending_cap is required');
+    }
+
+    const member = await updateMember(req.params.orgId, req.params.userId, {
+        role: role === undefined ? undefined : validateRole(role),
+        spendingCap: spendingCap === undefined ? undefined : validateSpendingCap(spendingCap)
+    }, { userId: req.user.uid, role: membership.role });
+
+    await auditRequest(req, {
+        action: 'organization.member_update',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { member_id: member.user_id, role: role ?? null, spending_cap: spendingCap ?? null }
+    });
+
+    res.json({
+        success: true,
+        member
+    });
+}));
+
+/**
+ * DELETE /api/orgs/:orgId/members/:userId
+ * Remove a member (admin or owner), or leave the organization
+ */
+router.delete('/:orgId/members/:userId', requireScope('orgs:manage'), asyncHandler(async (req, res) => {
+    const isSelf = req.params.userId === req.user.uid;
+    const { membership } = await getOrganizationForMember(req.params.orgId, req.user.uid, isSelf ? 'viewer' : 'admin');
+
+    const member = await removeMember(req.params.orgId, req.params.userId, {
+        userId: req.user.uid,
+        role: membership.role
+    });
+
+    await auditRequest(req, {
+        action: 'organization.member_remove',
+        targetType: 'organization',
+        targetId: req.params.orgId,
+        details: { member_id: member.user_id, role: member.role }
+    });
+
+    res.json({
+        success: true,
+        member
+    });
+}));
+
+module.exports = router;
@@ -4,24 +4,73 @@
  */
 
 const express = require('express');
-const { verifyApiKey, optionalAuth } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, optionalAuth, requireScope } = require('../middleware/auth');
+const { rateLimitByApiKey, rateLimitByIp } = require('../middleware/rateLimit');
+const { asyncHandler, ApiError, ValidationError } = require('../middleware/errorHandler');
 const { getUserStats, getUserRequestHistory } = require('../services/userService');
+const { getUserTransactions, getOrganizationTransactions, TRANSACTION_TYPES } = require('../services/ledgerService');
+const { getOrganizationForMember, getOrganizationUsage } = require('../services/organizationService');
+const { maskApiKey } = require('../services/apiKeyService');
+const { getQuotaUsage, getQuotaAccount } = require('../services/quotaService');
+const { getPlan, toPublicRateLimits } = require('../config/plans');
+const { validatePagination, validateCursor } = require('../utils/validators');
+const { listAvailableModels } = require('../services/geminiService');
 
 const router = express.Router();
 
+// Stats are available to API keys and to the dashboard's signed-in session
+const authenticateUser = authenticate({ accept: ['api_key', 'id_token'] });
+
+/**
+ * Parse ledger page options from the query string (?limit=&cursor=&type=)
+ * @param {Object} query - Express request query
+ * @returns {Object} Page options ({ limit, cursor, type })
+ */
+const parseTransactionQuery = (query) => {
+    const { limit } = validatePagination({ limit: query.limit || 20 });
+    const cursor = query.cursor !== undefined ? validateCursor(query.cursor) : undefined;
+    const { type } = query;
+
+    if (type !== undefined && !TRANSACTION_TYPES.includes(type)) {
+        throw new ValidationError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    return { limit, cursor, type };
+};
+
+/**
+ * Get the caller's organization, or fail if they don't belong to one
+ * @param {Object} req - Express request object
+ * @returns {Promise<string>} Organization ID
+ */
+const requireOrganization = async (req) => {
+    if (!req.user.organizationId) {
+        throw new ApiError('You are not a member of an organization', 404, 'ORGANIZATION_NOT_FOUND');
+    }
+
+    await getOrganizationForMember(req.user.organizationId, req.user.uid);
+    return req.user.organizationId;
+};
+
 /**
  * GET /api/stats
  * Get user account statistics
  */
-router.get('/', verifyApiKey, asyncHandler(async (req, res) => {
+router.get('/', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('stats:read'), asyncHandler(async (req, res) => {
     try {
         const stats = await getUserStats(req.user.uid);
         
         res.json({
             success: true,
             ...stats,
-            account_status: stats.status || 'active'
+            account_status: stats.status || 'active',
+            auth_type: req.auth.type,
+            api_key: req.apiKey ? {
+                id: req.apiKey.id,
+                name: req.apiKey.name,
+                key: maskApiKey(req.apiKey.prefix),
+                scopes: req.apiKey.scopes
+            } : null
         });
     } catch (error) {
         console.error('Stats route error:', error);
@@ -33,7 +82,7 @@ router.get('/', verifyApiKey, asyncHandler(async (req, res) => {
  * GET /api/stats/usage
  * Get detailed usage statistics
  */
-router.get('/usage', verifyApiKey, asyncHandler(async (req, res) => {
+router.get('/usage', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('stats:read'), asyncHandler(async (req, res) => {
     try {
         const { limit = 10 } = req.query;
         const parsedLimit = Math.min(parseInt(limit) || 10, 50); // Max 50 records
@@ -67,14 +116,24 @@ router.get('/usage', verifyApiKey, asyncHandler(async (req, res) => {
                     message_preview: req.message?.substring(0, 100) + (req.message?.length > 100 ? '...' : ''),
                     response_length: req.responseLength,
                     response_time_ms: req.responseTime,
-                    credits_used: req.creditsUsed || 1,
+                    credits_used: req.creditsUsed || 0,
+                    prompt_tokens: req.promptTokens || 0,
+                    candidate_tokens: req.candidatesTokens || 0,
+                    total_tokens: req.totalTokens || 0,
                     model: req.model
                 }))
             },
             limits: {
                 max_message_length: 10000,
-                max_requests_per_hour: 1000,
-                cost_per_request: 1
+                plan: getPlan(req.user.plan).id,
+                ...toPublicRateLimits(getPlan(req.user.plan))
+            },
+            pricing: {
+                unit: 'credits per 1,000 tokens',
+                models: listAvailableModels().map(model => ({
+                    model: model.id,
+                    ...model.pricing
+                }))
             }
         });
     } catch (error) {
@@ -85,18 +144,22 @@ router.get('/usage', verifyApiKey, asyncHandler(async (req, res) => {
 
 /**
  * GET /api/stats/summary
- * Get quick stats summary (lighter endpoint)
+ * Get quick stats summary (lighter endpoint), including plan quota consumption
  */
-router.get('/summary', verifyApiKey, asyncHandler(async (req, res) => {
+router.get('/summary', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('stats:read'), asyncHandler(async (req, res) => {
     try {
         const stats = await getUserStats(req.user.uid);
+        const quotaAccount = await getQuotaAccount(req.user);
+        const quotas = await getQuotaUsage(quotaAccount.quotas);
         
         res.json({
             success: true,
             credits_remaining: stats.credits_remaining,
             total_requests: stats.total_requests || 0,
             account_status: stats.status || 'active',
-            last_used: stats.last_used
+            last_used: stats.last_used,
+            plan: quotaAccount.plan.id,
+            quotas
         });
     } catch (error) {
         console.error('Summary stats route error:', error);
@@ -104,11 +167,71 @@ router.get('/summary', verifyApiKey, asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * GET /api/stats/transactions
+ * Page through the credit ledger, newest first (?limit=&cursor=&type=)
+ */
+router.get('/transactions', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('stats:read'), asyncHandler(async (req, res) => {
+    try {
+        const page = await getUserTransactions(req.user.uid, parseTransactionQuery(req.query));
+
+        res.json({
+            success: true,
+            transactions: page.transactions,
+            next_cursor: page.nextCursor,
+            has_more: page.nextCursor !== null
+        });
+    } catch (error) {
+        console.error('Transactions route error:', error);
+        throw error;
+    }
+}));
+
+/**
+ * GET /api/stats/organization
+ * Usage rollups for the caller's organization: pool balance and spend per member
+ */
+router.get('/organization', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('stats:read'), asyncHandler(async (req, res) => {
+    try {
+        const orgId = await requireOrganization(req);
+        const usage = await getOrganizationUsage(orgId);
+
+        res.json({
+            success: true,
+            ...usage
+        });
+    } catch (error) {
+        console.error('Organization stats route error:', error);
+        throw error;
+    }
+}));
+
+/**
+ * GET /api/stats/organization/transactions
+ * Page through the organization pool's ledger, newest first (?limit=&cursor=&type=)
+ */
+router.get('/organization/transactions', rateLimitByIp, authenticateUser, rateLimitByApiKey, requireScope('stats:read'), asyncHandler(async (req, res) => {
+    try {
+        const orgId = await requireOrganization(req);
+        const page = await getOrganizationTransactions(orgId, parseTransactionQuery(req.query));
+
+        res.json({
+            success: true,
+            transactions: page.transactions,
+            next_cursor: page.nextCursor,
+            has_more: page.nextCursor !== null
+        });
+    } catch (error) {
+        console.error('Organization transactions route error:', error);
+        throw error;
+    }
+}));
+
 /**
  * GET /api/stats/public
  * Get public platform statistics (no auth required)
  */
-router.get('/public', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/public', rateLimitByIp, optionalAuth, asyncHandler(async (req, res) => {
     // This would typically come from a cache or aggregated data
     res.json({
         success: true,
@@ -0,0 +1,155 @@
+/**
+ * Admin Service
+ * User search and account changes for the admin API
+ */
+
+const { getStorage, serverTimestamp, deleteField } = require('../repositories');
+const { ApiError, ValidationError } = require('../middleware/errorHandler');
+const { roundCredits } = require('./billingService');
+
+const ACCOUNT_STATUSES = ['active', 'suspended'];
+
+/**
+ * Format a user for admin responses (never includes key material)
+ * @param {Object} user - User record
+ * @returns {Object} User in response format
+ */
+const toAdminUser = (user) => {
+    return {
+        id: user.id,
+        email: user.email || null,
+        display_name: user.displayName || null,
+        status: user.status || 'active',
+        is_admin: Boolean(user.isAdmin),
+        plan: user.plan || null,
+        organization_id: user.organizationId || null,
+        credits: roundCredits(user.credits || 0),
+        credits_reserved: roundCredits(user.reservedCredits || 0),
+        total_requests: user.totalRequests || 0,
+        created_at: user.createdAt || null,
+        last_used: user.lastUsed || null,
+        suspended_at: user.suspendedAt || null,
+        suspension_reason: user.suspensionReason || null
+    };
+};
+
+/**
+ * Search users, one page at a time
+ * @param {Object} options - Search options
+ * @param {string} options.email - Email prefix (lowercase)
+ * @param {string} options.status - Only users with this status
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - ID of the last user of the previous page
+ * @returns {Promise<{users: Array, nextCursor: string|null}>} Page of users
+ */
+const searchUsers = async (options = {}) => {
+    const { email, status, limit = 20, cursor } = options;
+    const { users } = getStorage();
+
+    if (cursor && !await users.get(cursor)) {
+        throw new ApiError('Invalid cursor', 400, 'INVALID_CURSOR');
+    }
+
+    try {
+        const matches = await users.search({ emailPrefix: email, status, limit: limit + 1, startAfter: cursor });
+        const page = matches.slice(0, limit);
+
+        return {
+            users: page.map(toAdminUser),
+            nextCursor: matches.length > limit ? page[page.length - 1].id : null
+        };
+    } catch (error) {
+        console.error('User search error:', error);
+        throw new ApiError('Failed to search users', 500, 'USER_SEARCH_ERROR');
+    }
+};
+
+/**
+ * Get a user for admin responses
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User in response format
+ */
+const getAdminUser = async (userId) => {
+    const user = await getStorage().users.get(userId);
+
+    if (!user) {
+        throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    return toAdminUser(user);
+};
+
+/**
+ * Update a user document and return the updated user
+ * @param {string} userId - User ID
+ * @param {Object} update - Fields to update
+ * @returns {Promise<{before: Object, user: Object}>} User before and after the change
+ */
+const updateUser = async (userId, update) => {
+    const before = await getStorage().runTransaction(async (tx) => {
+        const user = await tx.users.get(userId);
+
+        if (!user) {
+            throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+        }
+
+        tx.users.update(userId, update);
+        return toAdminUser(user);
+    });
+
+    return { before, user: await getAdminUser(userId) };
+};
+
+/**
+ * Suspend or reactivate an account
+ * Suspended accounts are rejected by verifyApiKey.
+ * @param {string} userId - User ID
+ * @param {string} status - active or suspended
+ * @param {Object} details - Change details ({ reason, adminId })
+ * @returns {Promise<{before: Object, user: Object}>} User before and after the change
+ */
+const setUserStatus = (userId, status, details = {}) => {
+    if (!ACCOUNT_STATUSES.includes(status)) {
+        throw new ValidationError(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`);
+    }
+    if (userId === details.adminId) {
+        throw new ApiError('Admins can\'t change the status of their own account', 409, 'SELF_MODIFICATION');
+    }
+
+    return updateUser(userId, status === 'suspended'
+        ? {
+            status,
+            suspendedAt: serverTimestamp(),
+            suspendedBy: details.adminId || null,
+            suspensionReason: details.reason || null
+        }
+        : {
+            status,
+            suspendedAt: deleteField(),
+            suspendedBy: deleteField(),
+            suspensionReason: deleteField()
+        });
+};
+
+/**
+ * Grant or remove admin privileges
+ * @param {string} userId - User ID
+ * @param {boolean} isAdmin - Whether the user should be an admin
+ * @param {Object} details - Change details ({ adminId })
+ * @returns {Promise<{before: Object, user: Object}>} User before and after the change
+ */
+const setUserAdmin = (userId, isAdmin, details = {}) => {
+    if (userId === details.adminId) {
+        throw new ApiError('Admins can\'t change their own admin privileges', 409, 'SELF_MODIFICATION');
+    }
+
+    return updateUser(userId, { isAdmin });
+};
+
+module.exports = {
+    ACCOUNT_STATUSES,
+    searchUsers,
+    getAdminUser,
+    setUserStatus,
+    setUserAdmin
+};
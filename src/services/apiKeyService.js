@@ -0,0 +1,713 @@
+/**
+ * API Key Service
+ * Issue named, scoped API keys and verify them against salted hashes
+ *
+ * Keys look like `apl_live_<prefix>_<secret>` and live in the
+ * users/{uid}/api_keys subcollection. Only the public part (`apl_live_<prefix>`)
+ * is stored in clear for lookup; the full key is stored as a salted SHA-256
+ * hash and compared in constant time.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { getStorage, serverTimestamp, deleteField } = require('../repositories');
+const { config } = require('../config/env');
+const { ApiError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { deriveSigningSecret, isSigningEnabled } = require('./requestSigningService');
+const { validateCidr, validateOrigin } = require('../utils/validators');
+
+const KEY_TYPE = 'apl_live';
+const KEY_PATTERN = /^(apl_live_[0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+const PREFIX_PATTERN = /^apl_live_[0-9a-f]{12}$/;
+
+// Keys created by the old dashboard (`apk_...`) have no real prefix, so they
+// are looked up by their first characters once migrated
+const LEGACY_PREFIX_LENGTH = 8;
+
+/**
+ * Scopes a key can carry
+ *   chat        - POST /api/chat and streaming
+ *   stats:read  - read account statistics and the credit ledger
+ *   keys:manage - create, list, rotate and revoke the account's keys
+ *   orgs:manage - create organizations, send and accept invites, change and remove members
+ *   admin       - admin operations (the user must also be an admin); implies every other scope
+ */
+const API_KEY_SCOPES = ['chat', 'stats:read', 'keys:manage', 'orgs:manage', 'admin'];
+const DEFAULT_SCOPES = ['chat', 'stats:read'];
+
+// Keys from before scopes existed could do everything the account could
+const MIGRATED_KEY_SCOPES = [...DEFAULT_SCOPES, 'keys:manage', 'orgs:manage'];
+
+// Longest IP or origin allowlist a key can carry
+const MAX_ALLOWLIST_ENTRIES = 20;
+
+// Don't write lastUsedAt on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash an API key with a salt
+ * @param {string} apiKey - Full API key
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashApiKey = (apiKey, salt) => {
+    return crypto.createHash('sha256').update(`${salt}:${apiKey}`).digest('hex');
+};
+
+/**
+ * Compare an API key to a stored hash in constant time
+ * @param {string} apiKey - Full API key
+ * @param {string} salt - Stored salt
+ * @param {string} hash - Stored hash
+ * @returns {boolean} Whether the key matches
+ */
+const verifyApiKeyHash = (apiKey, salt, hash) => {
+    if (!salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(hashApiKey(apiKey, salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get the public lookup prefix of an API key
+ * @param {string} apiKey - Full API key
+ * @returns {string} Public prefix
+ */
+const getKeyPrefix = (apiKey) => {
+    const match = KEY_PATTERN.exec(apiKey);
+    return match ? match[1] : apiKey.slice(0, LEGACY_PREFIX_LENGTH);
+};
+
+/**
+ * Generate a new API key and the values to store for it
+ * @returns {{apiKey: string, prefix: string, salt: string, hash: string}} Key and stored fields
+ */
+const generateApiKey = () => {
+    const prefix = `${KEY_TYPE}_${crypto.randomBytes(6).toString('hex')}`;
+    const apiKey = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    return { apiKey, prefix, salt, hash: hashApiKey(apiKey, salt) };
+};
+
+/**
+ * Validate requested scopes
+ * @param {any} scopes - Scopes to validate
+ * @returns {Array<string>} Validated scopes (defaults to chat + stats:read)
+ * @throws {ValidationError} If a scope is unknown
+ */
+const validateScopes = (scopes) => {
+    if (scopes === undefined) {
+        return [...DEFAULT_SCOPES];
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError('scopes must be a non-empty array');
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+        throw new ValidationError(`Unknown scopes: ${unknownScopes.join(', ')}`, {
+            available_scopes: API_KEY_SCOPES
+        });
+    }
+
+    return [...new Set(scopes)];
+};
+
+/**
+ * Check that a caller may give scopes to a new or rotated key
+ * A key can't hand out scopes it doesn't have. `admin` goes by the account
+ * instead, so a newly promoted admin can issue their first admin key.
+ * @param {Array<string>} scopes - Validated scopes of the new key
+ * @param {Object} grantor - The caller ({ scopes: credential scopes, isAdmin })
+ * @throws {AuthorizationError} If a scope can't be granted
+ */
+const assertGrantableScopes = (scopes, grantor) => {
+    const ungrantable = scopes.filter(scope => (scope === 'admin'
+        ? !grantor.isAdmin
+        : !hasScope(grantor.scopes, scope)));
+
+    if (ungrantable.length > 0) {
+        throw new AuthorizationError(`This API key can't grant: ${ungrantable.join(', ')}`);
+    }
+};
+
+/**
+ * Check whether a set of key scopes grants a scope
+ * @param {Array<string>} scopes - Key scopes
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+const hasScope = (scopes = [], scope) => scopes.includes(scope) || scopes.includes('admin');
+
+/**
+ * Validate one allowlist of a key
+ * @param {any} entries - Entries to validate
+ * @param {Function} validateEntry - Entry validator
+ * @param {string} fieldName - Field name for error messages
+ * @returns {Array<string>} Validated, de-duplicated entries (empty means unrestricted)
+ * @throws {ValidationError} If the list or an entry is invalid
+ */
+const validateAllowlist = (entries, validateEntry, fieldName) => {
+    if (!Array.isArray(entries)) {
+        throw new ValidationError(`${fieldName} must be an array`);
+    }
+    if (entries.length > MAX_ALLOWLIST_ENTRIES) {
+        throw new ValidationError(`${fieldName} can have at most ${MAX_ALLOWLIST_ENTRIES} entries`);
+    }
+
+    return [...new Set(entries.map(validateEntry))];
+};
+
+/**
+ * Validate a key's network restrictions
+ * Lists that are undefined are left out, so the result can be used as a partial update.
+ * @param {Object} restrictions - Restrictions ({ allowedIps: CIDRs, allowedOrigins: browser origins })
+ * @returns {{allowedIps?: Array<string>, allowedOrigins?: Array<string>}} Validated restrictions
+ * @throws {ValidationError} If a list or an entry is invalid
+ */
+const validateKeyRestrictions = (restrictions = {}) => {
+    const validated = {};
+
+    if (restrictions.allowedIps !== undefined) {
+        validated.allowedIps = validateAllowlist(restrictions.allowedIps, validateCidr, 'allowed_ips');
+    }
+    if (restrictions.allowedOrigins !== undefined) {
+        validated.allowedOrigins = validateAllowlist(restrictions.allowedOrigins, validateOrigin, 'allowed_origins');
+    }
+
+    return validated;
+};
+
+/**
+ * Check whether an IP address is inside any of a list of CIDR blocks
+ * @param {string} ip - Client IP (IPv4-mapped IPv6 addresses are treated as IPv4)
+ * @param {Array<string>} cidrs - Validated CIDR blocks
+ * @returns {boolean} Whether the address is allowed
+ */
+const isIpAllowed = (ip, cidrs) => {
+    const address = typeof ip === 'string' && ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7))
+        ? ip.substring(7)
+        : ip;
+    const version = net.isIP(address || '');
+    if (!version) {
+        return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const cidr of cidrs) {
+        const [network, bits] = cidr.split('/');
+        blockList.addSubnet(network, Number(bits), net.isIPv6(network) ? 'ipv6' : 'ipv4');
+    }
+
+    return blockList.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check a request against a key's IP and origin allowlists
+ * @param {Object} key - Key document data
+ * @param {Object} client - Request details ({ ip, origin }); ip must already respect trust proxy
+ * @returns {string|null} Why the key can't be used from here, or null if it can
+ */
+const getKeyRestrictionViolation = (key, { ip, origin }) => {
+    if (key.allowedIps?.length > 0 && !isIpAllowed(ip, key.allowedIps)) {
+        return `This API key can't be used from IP address ${ip}`;
+    }
+
+    // A key limited to browser origins can't be used without one, e.g. from a copied curl command
+    if (key.allowedOrigins?.length > 0 && !key.allowedOrigins.includes(origin)) {
+        return origin
+            ? `This API key can't be used from origin ${origin}`
+            : 'This API key can only be used from an allowed browser origin';
+    }
+
+    return null;
+};
+
+/**
+ * Stored fields for a hashed key document
+ * @param {Object} key - Key values ({ prefix, salt, hash })
+ * @param {Object} details - Key details ({ name, scopes, requireSignature, allowedIps, allowedOrigins })
+ * @returns {Object} Stored fields
+ */
+const toKeyDocument = ({ prefix, salt, hash }, details) => ({
+    name: details.name,
+    prefix,
+    salt,
+    hash,
+    scopes: details.scopes,
+    requireSignature: Boolean(details.requireSignature),
+    allowedIps: details.allowedIps || [],
+    allowedOrigins: details.allowedOrigins || [],
+    status: 'active',
+    createdAt: serverTimestamp(),
+    lastUsedAt: null,
+    revokedAt: null,
+    expiresAt: null,
+    rotatedTo: null
+});
+
+/**
+ * Check whether a stored key can still authenticate
+ * Rotated keys keep working until their grace period ends.
+ * @param {Object} key - Key document data
+ * @returns {boolean} Whether the key is usable
+ */
+const isKeyUsable = (key) => {
+    if (key.status !== 'active') {
+        return false;
+    }
+    return !key.expiresAt || key.expiresAt.getTime() > Date.now();
+};
+
+/**
+ * Get the display status of a stored key
+ * @param {Object} key - Key document data
+ * @returns {string} active, rotating, expired or revoked
+ */
+const getKeyStatus = (key) => {
+    if (key.status !== 'active') {
+        return key.status;
+    }
+    if (!key.expiresAt) {
+        return 'active';
+    }
+    return isKeyUsable(key) ? 'rotating' : 'expired';
+};
+
+/**
+ * Create a named API key for a user
+ * The plaintext key and signing secret are only returned here; they are never stored.
+ * @param {string} userId - User ID
+ * @param {Object} options - Key options ({ name, scopes, requireSignature, allowedIps, allowedOrigins })
+ * @returns {Promise<{id: string, apiKey: string, prefix: string, name: string, scopes: Array<string>, requireSignature: boolean, allowedIps: Array<string>, allowedOrigins: Array<string>, signingSecret: string|null}>} New key
+ */
+const createApiKey = async (userId, options = {}) => {
+    const name = (options.name || 'Default').trim().substring(0, 100);
+    const scopes = validateScopes(options.scopes);
+    const requireSignature = Boolean(options.requireSignature);
+    const { allowedIps = [], allowedOrigins = [] } = validateKeyRestrictions(options);
+
+    if (requireSignature && !isSigningEnabled()) {
+        throw new ApiError('Signed requests are not enabled on this server', 400, 'REQUEST_SIGNING_DISABLED');
+    }
+
+    try {
+        const { apiKey, prefix, salt, hash } = generateApiKey();
+        const keyId = await getStorage().apiKeys.create(userId, toKeyDocument(
+            { prefix, salt, hash },
+            { name, scopes, requireSignature, allowedIps, allowedOrigins }
+        ));
+
+        console.log(`🔑 API key created: ${prefix} (${scopes.join(', ')})`);
+        return {
+            id: keyId,
+            apiKey,
+            prefix,
+            name,
+            scopes,
+            requireSignature,
+            allowedIps,
+            allowedOrigins,
+            signingSecret: deriveSigningSecret(prefix, salt)
+        };
+    } catch (error) {
+        console.error('API key create error:', error);
+        throw new ApiError('Failed to create API key', 500, 'API_KEY_CREATE_ERROR');
+    }
+};
+
+/**
+ * Store a known plaintext key for a user (seed fixtures for the emulator and tests)
+ * @param {string} userId - User ID
+ * @param {string} apiKey - Full API key in the current format
+ * @param {Object} options - Key options ({ name, scopes, requireSignature, allowedIps, allowedOrigins })
+ * @returns {Promise<{id: string, prefix: string}>} Stored key
+ * @throws {ValidationError} If the key isn't in the current format
+ */
+const importApiKey = async (userId, apiKey, options = {}) => {
+    const match = KEY_PATTERN.exec(apiKey || '');
+    if (!match) {
+        throw new ValidationError('API key must look like apl_live_<12 hex>_<43 base64url characters>');
+    }
+
+    if (options.requireSignature && !isSigningEnabled()) {
+        throw new ApiError('Signed requests are not enabled on this server', 400, 'REQUEST_SIGNING_DISABLED');
+    }
+
+    const prefix = match[1];
+    const salt = crypto.randomBytes(16).toString('hex');
+    const keyId = await getStorage().apiKeys.create(userId, toKeyDocument(
+        { prefix, salt, hash: hashApiKey(apiKey, salt) },
+        {
+            name: (options.name || 'Default').trim().substring(0, 100),
+            scopes: validateScopes(options.scopes),
+            requireSignature: Boolean(options.requireSignature),
+            ...validateKeyRestrictions(options)
+        }
+    ));
+
+    return { id: keyId, prefix };
+};
+
+/**
+ * Move a key stored on the user document (plaintext, or hashed user-level
+ * fields) into the api_keys subcollection as the user's "Default" key
+ * @param {Object} user - User record
+ * @param {string} apiKey - The key that was just used
+ * @returns {Promise<Object|null>} New key record, or null if migration failed
+ */
+const migrateUserApiKey = async (user, apiKey) => {
+    try {
+        const storage = getStorage();
+        const salt = crypto.randomBytes(16).toString('hex');
+        const scopes = user.isAdmin ? [...MIGRATED_KEY_SCOPES, 'admin'] : [...MIGRATED_KEY_SCOPES];
+
+        const keyId = await storage.runTransaction(async (tx) => {
+            const newKeyId = tx.apiKeys.create(user.id, toKeyDocument(
+                { prefix: getKeyPrefix(apiKey), salt, hash: hashApiKey(apiKey, salt) },
+                { name: 'Default', scopes }
+            ));
+            tx.users.update(user.id, {
+                apiKey: deleteField(),
+                apiKeyPrefix: deleteField(),
+                apiKeySalt: deleteField(),
+                apiKeyHash: deleteField(),
+                apiKeyCreatedAt: deleteField()
+            });
+            return newKeyId;
+        });
+
+        console.log(`🔐 Migrated API key for user ${user.id} to api_keys`);
+        return storage.apiKeys.get(user.id, keyId);
+    } catch (error) {
+        // The old key keeps working; migration is retried on next use
+        console.error('API key migration error:', error);
+        return null;
+    }
+};
+
+/**
+ * Find a user-level key from before the api_keys subcollection
+ * @param {string} apiKey - Full API key
+ * @returns {Promise<Object|null>} User record
+ */
+const findLegacyKeyOwner = async (apiKey) => {
+    const { users } = getStorage();
+
+    const hashedCandidates = await users.findByLegacyKey({ prefix: getKeyPrefix(apiKey) });
+    const hashedMatch = hashedCandidates.find(user => verifyApiKeyHash(apiKey, user.apiKeySalt, user.apiKeyHash));
+
+    if (hashedMatch || KEY_PATTERN.test(apiKey)) {
+        return hashedMatch || null;
+    }
+
+    const [plaintextMatch] = await users.findByLegacyKey({ apiKey });
+    return plaintextMatch || null;
+};
+
+/**
+ * Record that a key was used (at most once per LAST_USED_UPDATE_INTERVAL_MS)
+ * @param {Object} key - Key record
+ */
+const touchApiKey = (key) => {
+    const lastUsedAt = key.lastUsedAt?.getTime() || 0;
+    if (Date.now() - lastUsedAt < LAST_USED_UPDATE_INTERVAL_MS) {
+        return;
+    }
+
+    getStorage().apiKeys.update(key.userId, key.id, { lastUsedAt: serverTimestamp() })
+        .catch(error => console.error('API key last-used update error:', error));
+};
+
+/**
+ * Find the key and user an API key belongs to
+ * Looks up by public prefix across all users' api_keys and checks the hash in
+ * constant time. Keys stored on the user document are migrated on first use.
+ * @param {string} apiKey - Full API key
+ * @returns {Promise<{user: Object, key: Object|null}|null>} Records, or null if the key is invalid or revoked
+ */
+const findApiKey = async (apiKey) => {
+    const storage = getStorage();
+
+    const candidates = await storage.apiKeys.findByPrefix(getKeyPrefix(apiKey));
+    let key = candidates.find(candidate => verifyApiKeyHash(apiKey, candidate.salt, candidate.hash));
+
+    let user = null;
+    if (!key) {
+        user = await findLegacyKeyOwner(apiKey);
+        if (!user) {
+            return null;
+        }
+
+        key = await migrateUserApiKey(user, apiKey);
+        if (!key) {
+            // Migration failed: honour the old key with default scopes this time
+            return { user, key: null };
+        }
+    }
+
+    if (!isKeyUsable(key)) {
+        return null;
+    }
+
+    user = user || await storage.users.get(key.userId);
+    if (!user) {
+        return null;
+    }
+
+    touchApiKey(key);
+    return { user, key };
+};
+
+/**
+ * Find a usable key by its prefix, for signed requests
+ * Only current-format keys can sign; their prefixes are unique. The caller
+ * verifies the signature, then records the use with touchApiKey.
+ * @param {string} prefix - Public prefix (the key ID of a signed request)
+ * @returns {Promise<{user: Object, key: Object, signingSecret: string|null}|null>} Records, or null if no usable key has this prefix
+ */
+const findApiKeyByPrefix = async (prefix) => {
+    if (!PREFIX_PATTERN.test(prefix)) {
+        return null;
+    }
+
+    const storage = getStorage();
+    const [key] = await storage.apiKeys.findByPrefix(prefix, 1);
+    if (!key || !isKeyUsable(key)) {
+        return null;
+    }
+
+    const user = await storage.users.get(key.userId);
+    if (!user) {
+        return null;
+    }
+
+    return { user, key, signingSecret: deriveSigningSecret(prefix, key.salt) };
+};
+
+/**
+ * Mask an API key prefix for display
+ * @param {string} prefix - Public prefix
+ * @returns {string|null} Masked key
+ */
+const maskApiKey = (prefix) => (prefix ? `${prefix}_${'*'.repeat(8)}` : null);
+
+/**
+ * Format a newly issued key (the only response that contains the secret)
+ * @param {Object} key - Key from createApiKey/rotateApiKey
+ * @returns {Object} Response payload
+ */
+const toIssuedApiKey = (key) => ({
+    id: key.id,
+    name: key.name,
+    api_key: key.apiKey,
+    key: maskApiKey(key.prefix),
+    prefix: key.prefix,
+    scopes: key.scopes,
+    require_signature: Boolean(key.requireSignature),
+    allowed_ips: key.allowedIps || [],
+    allowed_origins: key.allowedOrigins || [],
+    signing_secret: key.signingSecret || null
+});
+
+/**
+ * Format a key record for API responses (never includes the hash)
+ * @param {Object} key - Key record
+ * @returns {Object} Public key description
+ */
+const toPublicApiKey = (key) => {
+    return {
+        id: key.id,
+        name: key.name,
+        key: maskApiKey(key.prefix),
+        prefix: key.prefix,
+        scopes: key.scopes || [],
+        require_signature: Boolean(key.requireSignature),
+        allowed_ips: key.allowedIps || [],
+        allowed_origins: key.allowedOrigins || [],
+        status: getKeyStatus(key),
+        created_at: key.createdAt,
+        last_used_at: key.lastUsedAt,
+        expires_at: key.expiresAt || null,
+        revoked_at: key.revokedAt,
+        rotated_to: key.rotatedTo || null
+    };
+};
+
+/**
+ * Get one of a user's keys
+ * @param {string} userId - User ID
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object>} Key record
+ * @throws {ApiError} If the key doesn't exist
+ */
+const getUserApiKey = async (userId, keyId) => {
+    const key = await getStorage().apiKeys.get(userId, keyId);
+
+    if (!key) {
+        throw new ApiError('API key not found', 404, 'API_KEY_NOT_FOUND');
+    }
+
+    return key;
+};
+
+/**
+ * List a user's keys, newest first (masked)
+ * @param {string} userId - User ID
+ * @param {Object} options - List options ({ includeRevoked })
+ * @returns {Promise<Array<Object>>} Public key descriptions
+ */
+const listApiKeys = async (userId, options = {}) => {
+    try {
+        const keys = await getStorage().apiKeys.listForUser(userId);
+
+        return keys
+            .filter(key => options.includeRevoked || isKeyUsable(key))
+            .map(toPublicApiKey);
+    } catch (error) {
+        console.error('API key list error:', error);
+        throw new ApiError('Failed to list API keys', 500, 'API_KEY_LIST_ERROR');
+    }
+};
+
+/**
+ * Rotate a key: issue a replacement with the same name and scopes, and let the
+ * old key keep working for a grace period
+ * @param {string} userId - User ID
+ * @param {string} keyId - Key to rotate
+ * @param {Object} options - Rotation options
+ * @param {number} options.gracePeriodSeconds - How long the old key keeps working
+ * @param {Object} options.grantor - Caller ({ scopes, isAdmin }); rotation fails if it can't grant the key's scopes
+ * @returns {Promise<{id: string, apiKey: string, prefix: string, name: string, scopes: Array<string>, requireSignature: boolean, allowedIps: Array<string>, allowedOrigins: Array<string>, signingSecret: string|null, oldKeyExpiresAt: Date}>} New key
+ */
+const rotateApiKey = async (userId, keyId, options = {}) => {
+    const gracePeriodSeconds = options.gracePeriodSeconds ?? config.apiKeys.rotationGraceSeconds;
+    const { apiKey, prefix, salt, hash } = generateApiKey();
+    const oldKeyExpiresAt = new Date(Date.now() + gracePeriodSeconds * 1000);
+
+    const result = await getStorage().runTransaction(async (tx) => {
+        const oldKey = await tx.apiKeys.get(userId, keyId);
+
+        if (!oldKey) {
+            throw new ApiError('API key not found', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        if (!isKeyUsable(oldKey) || oldKey.rotatedTo) {
+            throw new ApiError('Only active keys that have not been rotated can be rotated', 409, 'API_KEY_NOT_ROTATABLE', {
+                status: getKeyStatus(oldKey)
+            });
+        }
+
+        // Rotating mints a new key, so the caller must be allowed to grant its scopes
+        if (options.grantor) {
+            assertGrantableScopes(oldKey.scopes || [...DEFAULT_SCOPES], options.grantor);
+        }
+
+        const newKeyId = tx.apiKeys.create(userId, toKeyDocument({ prefix, salt, hash }, {
+            name: oldKey.name,
+            scopes: oldKey.scopes,
+            requireSignature: Boolean(oldKey.requireSignature),
+            allowedIps: oldKey.allowedIps || [],
+            allowedOrigins: oldKey.allowedOrigins || []
+        }));
+        tx.apiKeys.update(userId, keyId, {
+            expiresAt: oldKeyExpiresAt,
+            rotatedTo: newKeyId
+        });
+
+        return {
+            id: newKeyId,
+            apiKey,
+            prefix,
+            name: oldKey.name,
+            scopes: oldKey.scopes,
+            requireSignature: Boolean(oldKey.requireSignature),
+            allowedIps: oldKey.allowedIps || [],
+            allowedOrigins: oldKey.allowedOrigins || [],
+            signingSecret: deriveSigningSecret(prefix, salt),
+            oldKeyExpiresAt
+        };
+    });
+
+    console.log(`🔁 API key rotated: ${keyId} -> ${prefix} (grace ${gracePeriodSeconds}s)`);
+    return result;
+};
+
+/**
+ * Replace a key's IP and/or origin allowlists
+ * @param {string} userId - User ID
+ * @param {string} keyId - Key to change
+ * @param {Object} restrictions - New allowlists ({ allowedIps, allowedOrigins }); omitted lists are kept
+ * @returns {Promise<Object>} Public description of the updated key
+ */
+const updateApiKeyRestrictions = async (userId, keyId, restrictions) => {
+    const update = validateKeyRestrictions(restrictions);
+    const key = await getUserApiKey(userId, keyId);
+
+    if (!isKeyUsable(key)) {
+        throw new ApiError('Only usable keys can be changed', 409, 'API_KEY_NOT_USABLE', {
+            status: getKeyStatus(key)
+        });
+    }
+
+    if (Object.keys(update).length > 0) {
+        await getStorage().apiKeys.update(userId, keyId, update);
+        console.log(`🔒 API key restrictions updated: ${key.prefix}`);
+    }
+
+    return toPublicApiKey(await getUserApiKey(userId, keyId));
+};
+
+/**
+ * Revoke a key immediately
+ * @param {string} userId - User ID
+ * @param {string} keyId - Key to revoke
+ * @returns {Promise<Object>} Public description of the revoked key
+ */
+const revokeApiKey = async (userId, keyId) => {
+    const key = await getUserApiKey(userId, keyId);
+
+    if (key.status === 'revoked') {
+        return toPublicApiKey(key);
+    }
+
+    await getStorage().apiKeys.update(userId, keyId, {
+        status: 'revoked',
+        revokedAt: serverTimestamp()
+    });
+
+    console.log(`🚫 API key revoked: ${key.prefix}`);
+    return toPublicApiKey(await getUserApiKey(userId, keyId));
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    DEFAULT_SCOPES,
+    generateApiKey,
+    createApiKey,
+    importApiKey,
+    findApiKey,
+    findApiKeyByPrefix,
+    touchApiKey,
+    getUserApiKey,
+    listApiKeys,
+    rotateApiKey,
+    updateApiKeyRestrictions,
+    revokeApiKey,
+    validateScopes,
+    assertGrantableScopes,
+    validateKeyRestrictions,
+    getKeyRestrictionViolation,
+    hasScope,
+    hashApiKey,
+    verifyApiKeyHash,
+    getKeyPrefix,
+    maskApiKey,
+    toIssuedApiKey,
+    toPublicApiKey
+};
@@ -0,0 +1,79 @@
+/**
+ * Audit Service
+ * Record security-relevant actions (key management, admin changes) in audit_logs
+ */
+
+const { getStorage, serverTimestamp } = require('../repositories');
+
+/**
+ * Describe who made a request, for audit entries
+ * @param {Object} req - Express request object (after authentication)
+ * @returns {Object} Actor details
+ */
+const getRequestActor = (req) => ({
+    actor: req.user ? `user:${req.user.uid}` : 'anonymous',
+    authType: req.auth?.type || null,
+    apiKeyId: req.apiKey?.id || null,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null
+});
+
+/**
+ * Record an audit event
+ * @param {Object} event - Audit event
+ * @param {string} event.action - What happened (e.g. "api_key.create")
+ * @param {string} event.actor - Who did it (e.g. "user:<uid>", "admin:<uid>", "system")
+ * @param {string} event.userId - Account the action affected
+ * @param {string} event.targetType - Type of the affected resource (e.g. "api_key")
+ * @param {string} event.targetId - ID of the affected resource
+ * @param {Object} event.details - Extra details (never secrets)
+ * @param {string} event.authType - Credential the actor authenticated with (api_key, id_token)
+ * @param {string} event.apiKeyId - Key the actor authenticated with
+ * @param {string} event.ip - Client IP
+ * @param {string} event.userAgent - Client user agent
+ * @returns {Promise<string|null>} Audit entry ID
+ */
+const recordAuditEvent = async (event) => {
+    try {
+        const entryId = await getStorage().auditLogs.add({
+            action: event.action,
+            actor: event.actor || 'system',
+            userId: event.userId || null,
+            targetType: event.targetType || null,
+            targetId: event.targetId || null,
+            details: event.details || {},
+            authType: event.authType || null,
+            apiKeyId: event.apiKeyId || null,
+            ip: event.ip || null,
+            userAgent: event.userAgent || null,
+            timestamp: serverTimestamp()
+        });
+
+        console.log(`📝 Audit: ${event.action} by ${event.actor || 'system'}`);
+        return entryId;
+    } catch (error) {
+        console.error('Audit logging error:', error);
+        // Don't fail the action because the audit write failed, just log it
+        return null;
+    }
+};
+
+/**
+ * Record an audit event for the user making a request
+ * @param {Object} req - Express request object (after authentication)
+ * @param {Object} event - Audit event (action, targetType, targetId, details, userId)
+ * @returns {Promise<string|null>} Audit entry ID
+ */
+const auditRequest = (req, event) => {
+    return recordAuditEvent({
+        userId: req.user?.uid,
+        ...getRequestActor(req),
+        ...event
+    });
+};
+
+module.exports = {
+    recordAuditEvent,
+    auditRequest,
+    getRequestActor
+};
@@ -0,0 +1,94 @@
+/**
+ * Billing Service
+ * Token-based pricing for AI requests
+ */
+
+const { SYSTEM_PROMPT } = require('../config/gemini');
+const { estimateTokens } = require('./conversationService');
+
+/**
+ * Round a credit amount to avoid floating point noise
+ * @param {number} credits - Credit amount
+ * @returns {number} Rounded credits
+ */
+const roundCredits = (credits) => Math.round(credits * 1e6) / 1e6;
+
+/**
+ * Estimate token usage when the provider doesn't report it
+ * @param {string} message - User message
+ * @param {Array<{role: string, text: string}>} history - Conversation history sent with the message
+ * @param {string} responseText - Generated response text
+ * @returns {Object} Estimated usage
+ */
+const estimateUsage = (message, history = [], responseText = '') => {
+    // The system prompt is sent (and billed upstream) with every request
+    const promptTokens = estimateTokens(SYSTEM_PROMPT) +
+        estimateTokens(message) +
+        history.reduce((sum, turn) => sum + estimateTokens(turn.text), 0);
+    const candidatesTokens = estimateTokens(responseText);
+
+    return {
+        promptTokens,
+        candidatesTokens,
+        totalTokens: promptTokens + candidatesTokens,
+        estimated: true
+    };
+};
+
+/**
+ * Calculate the credit cost of a request from its token usage
+ * @param {Object} model - Model catalog entry
+ * @param {Object} usage - Token usage ({ promptTokens, candidatesTokens, totalTokens })
+ * @returns {{inputCredits: number, outputCredits: number, totalCredits: number}} Cost breakdown
+ */
+const calculateCost = (model, usage) => {
+    const inputCredits = (usage.promptTokens / 1000) * model.pricing.inputCreditsPer1kTokens;
+    const outputCredits = (usage.candidatesTokens / 1000) * model.pricing.outputCreditsPer1kTokens;
+
+    return {
+        inputCredits: roundCredits(inputCredits),
+        outputCredits: roundCredits(outputCredits),
+        totalCredits: roundCredits(inputCredits + outputCredits)
+    };
+};
+
+/**
+ * Estimate the most a request can cost: its prompt plus a full-length answer
+ * Used to size the credit hold placed before calling the model.
+ * @param {Object} model - Model catalog entry
+ * @param {string} message - User message
+ * @param {Array<{role: string, text: string}>} history - Conversation history sent with the message
+ * @returns {number} Maximum credits
+ */
+const estimateMaxCost = (model, message, history = []) => {
+    const { promptTokens } = estimateUsage(message, history);
+    return calculateCost(model, {
+        promptTokens,
+        candidatesTokens: model.maxTokens,
+        totalTokens: promptTokens + model.maxTokens
+    }).totalCredits;
+};
+
+/**
+ * Format usage and cost for API responses
+ * @param {Object} usage - Token usage
+ * @param {Object} cost - Cost breakdown from calculateCost
+ * @returns {Object} Usage in response format
+ */
+const formatUsage = (usage, cost) => ({
+    prompt_tokens: usage.promptTokens,
+    candidate_tokens: usage.candidatesTokens,
+    total_tokens: usage.totalTokens,
+    estimated: usage.estimated || false,
+    input_credits: cost.inputCredits,
+    output_credits: cost.outputCredits,
+    total_credits: cost.totalCredits
+});
+
+module.exports = {
+    estimateUsage,
+    calculateCost,
+    estimateMaxCost,
+    formatUsage,
+    roundCredits
+};
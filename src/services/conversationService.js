@@ -0,0 +1,184 @@
+/**
+ * Conversation Service
+ * Store chat turns and rebuild conversation history for multi-turn chats
+ */
+
+const { getStorage, serverTimestamp } = require('../repositories');
+const { config } = require('../config/env');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+const estimateTokens = (text = '') => {
+    return Math.ceil(text.length / 4);
+};
+
+/**
+ * Trim conversation history so it fits in a token budget
+ * Keeps the most recent turns and makes sure history starts with a user turn
+ * @param {Array<{role: string, text: string}>} turns - Turns, oldest first
+ * @param {number} tokenBudget - Maximum tokens allowed for history
+ * @returns {Array<{role: string, text: string}>} Trimmed turns, oldest first
+ */
+const trimHistoryToBudget = (turns, tokenBudget) => {
+    const trimmed = [];
+    let usedTokens = 0;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const turnTokens = estimateTokens(turns[i].text);
+        if (usedTokens + turnTokens > tokenBudget) {
+            break;
+        }
+        usedTokens += turnTokens;
+        trimmed.unshift(turns[i]);
+    }
+
+    // Gemini expects the conversation to open with a user turn
+    while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+        trimmed.shift();
+    }
+
+    return trimmed;
+};
+
+/**
+ * Create a new conversation for a user
+ * @param {string} userId - User ID
+ * @param {string} firstMessage - First message, used as the conversation title
+ * @returns {Promise<Object>} Created conversation
+ */
+const createConversation = async (userId, firstMessage = '') => {
+    try {
+        const conversationData = {
+            userId,
+            title: firstMessage.trim().substring(0, 100),
+            turnCount: 0,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        };
+
+        const conversationId = await getStorage().conversations.create(conversationData);
+
+        console.log(`🗨️  Conversation created: ${conversationId}`);
+        return {
+            id: conversationId,
+            ...conversationData,
+            turnCount: 0
+        };
+    } catch (error) {
+        console.error('Create conversation error:', error);
+        throw new ApiError('Failed to create conversation', 500, 'CONVERSATION_CREATE_ERROR');
+    }
+};
+
+/**
+ * Get a conversation owned by a user
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Conversation data
+ */
+const getConversation = async (userId, conversationId) => {
+    try {
+        const conversation = await getStorage().conversations.get(conversationId);
+
+        // Don't reveal whether someone else's conversation exists
+        if (!conversation || conversation.userId !== userId) {
+            throw new ApiError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+        }
+
+        return conversation;
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        console.error('Get conversation error:', error);
+        throw new ApiError('Failed to retrieve conversation', 500, 'CONVERSATION_ERROR');
+    }
+};
+
+/**
+ * Load conversation history trimmed to the configured token budget
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Optional configuration
+ * @param {number} options.tokenBudget - Token budget for history
+ * @param {number} options.maxTurns - Maximum number of turns to load
+ * @param {number} options.reservedTokens - Tokens already taken by the new message
+ * @returns {Promise<Array<{role: string, text: string}>>} History, oldest first
+ */
+const getConversationHistory = async (conversationId, options = {}) => {
+    const {
+        tokenBudget = config.conversations.historyTokenBudget,
+        maxTurns = config.conversations.maxTurns,
+        reservedTokens = 0
+    } = options;
+
+    try {
+        const recentTurns = await getStorage().conversations.listRecentTurns(conversationId, maxTurns);
+
+        const turns = recentTurns
+            .reverse()
+            .map(turn => ({ role: turn.role, text: turn.text }));
+
+        return trimHistoryToBudget(turns, Math.max(tokenBudget - reservedTokens, 0));
+    } catch (error) {
+        console.error('Get conversation history error:', error);
+        throw new ApiError('Failed to retrieve conversation history', 500, 'CONVERSATION_HISTORY_ERROR');
+    }
+};
+
+/**
+ * Append turns to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<{role: string, text: string}>} turns - Turns to append, oldest first
+ * @param {string} requestId - Request ID the turns belong to
+ * @returns {Promise<number>} New turn count
+ */
+const appendConversationTurns = async (conversationId, turns, requestId = null) => {
+    try {
+        const turnCount = await getStorage().runTransaction(async (tx) => {
+            const conversation = await tx.conversations.get(conversationId);
+
+            if (!conversation) {
+                throw new ApiError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+            }
+
+            const startIndex = conversation.turnCount || 0;
+
+            turns.forEach((turn, offset) => {
+                tx.conversations.addTurn(conversationId, {
+                    index: startIndex + offset,
+                    role: turn.role,
+                    text: turn.text,
+                    requestId,
+                    createdAt: serverTimestamp()
+                });
+            });
+
+            const newTurnCount = startIndex + turns.length;
+            tx.conversations.update(conversationId, {
+                turnCount: newTurnCount,
+                updatedAt: serverTimestamp()
+            });
+
+            return newTurnCount;
+        });
+
+        return turnCount;
+    } catch (error) {
+        // The user already got (and paid for) the answer, so don't fail the request
+        console.error('Append conversation turns error:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    estimateTokens,
+    trimHistoryToBudget,
+    createConversation,
+    getConversation,
+    getConversationHistory,
+    appendConversationTurns
+};
@@ -1,125 +1,288 @@
 /**
  * Gemini AI Service
- * Handle all Gemini AI API interactions
+ * Handle all AI interactions through the configured LLM provider
  */
 
-const { generateResponse, testGeminiConnection } = require('../config/gemini');
+const { config } = require('../config/env');
+const { getModel, listModels, getDefaultModelId, toPublicModel } = require('../config/models');
 const { ApiError } = require('../middleware/errorHandler');
+const { getProvider, getEnabledProviders } = require('../providers');
+const { estimateUsage } = require('./billingService');
+const { getRetryAfterMs } = require('../utils/resilience');
+const { createConcurrencyLimiter } = require('../utils/concurrencyLimiter');
+const { validateMessage } = require('../utils/validators');
+
+/**
+ * Pool every upstream AI call goes through
+ * Bounds simultaneous calls; users waiting for a slot take turns, so one
+ * heavy user can't use up the upstream quota for everyone.
+ */
+const aiCallLimiter = createConcurrencyLimiter({
+    name: 'ai',
+    maxConcurrent: config.ai.concurrency.maxConcurrent,
+    maxQueueSize: config.ai.concurrency.maxQueueSize,
+    maxQueuedPerKey: config.ai.concurrency.maxQueuedPerUser,
+    maxQueueWaitMs: config.ai.concurrency.maxQueueWaitMs,
+    errorMessage: 'AI service is busy. Please try again shortly.',
+    errorCode: 'AI_BUSY'
+});
+
+/**
+ * Resolve a model ID from a request against the model catalog
+ * @param {string} modelId - Requested model ID (defaults to the default model)
+ * @param {Array<string>} requiredFeatures - Feature flags the request needs (e.g. 'streaming')
+ * @returns {Object} Model catalog entry
+ * @throws {ApiError} If the model is unknown, disabled or lacks a feature
+ */
+const resolveModel = (modelId, requiredFeatures = []) => {
+    const id = modelId === undefined || modelId === null ? getDefaultModelId() : modelId;
+    const model = typeof id === 'string' ? getModel(id) : null;
+
+    if (!model || !config.ai.enabledProviders.includes(model.provider)) {
+        throw new ApiError(
+            `Unknown model "${id}"`,
+            400,
+            'UNKNOWN_MODEL',
+            { available_models: listModels().map(entry => entry.id) }
+        );
+    }
+
+    const missingFeatures = requiredFeatures.filter(feature => !model.features[feature]);
+    if (missingFeatures.length > 0) {
+        throw new ApiError(
+            `Model "${model.id}" does not support: ${missingFeatures.join(', ')}`,
+            400,
+            'MODEL_FEATURE_UNSUPPORTED',
+            { model: model.id, unsupported_features: missingFeatures }
+        );
+    }
+
+    return model;
+};
+
+/**
+ * Convert an upstream error into an ApiError
+ * @param {Error} error - Error thrown while calling the AI
+ * @returns {ApiError} Error safe to return to the client
+ */
+const toApiError = (error) => {
+    // Handle specific provider API errors
+    if (error.response && error.response.data) {
+        const apiError = new ApiError(
+            `AI service error: ${error.response.data.error?.message || 'Unknown error'}`,
+            error.response.status || 500,
+            error.response.data.error?.code || 'AI_SERVICE_ERROR'
+        );
+
+        // Pass the upstream's Retry-After on to the client
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs !== null) {
+            apiError.retryAfter = Math.ceil(retryAfterMs / 1000);
+        }
+        return apiError;
+    }
+
+    // Handle timeout errors
+    if (error.code === 'ECONNABORTED') {
+        return new ApiError(
+            'AI service timeout. Please try again with a shorter message.',
+            408,
+            'AI_TIMEOUT'
+        );
+    }
+
+    // Pass ApiError instances through
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    // Generic error
+    return new ApiError(
+        'AI service temporarily unavailable. Please try again later.',
+        503,
+        'AI_SERVICE_UNAVAILABLE'
+    );
+};
 
 /**
  * Generate AI response from user message
  * @param {string} message - User message
- * @param {Object} options - Optional configuration
+ * @param {Object} options - Optional configuration (options.model is a resolved catalog entry, options.userId the fair-queue key)
  * @returns {Promise<Object>} AI response data
+ * @throws {ApiError} 503 AI_BUSY if no upstream slot frees up in time
  */
 const generateAIResponse = async (message, options = {}) => {
     try {
-        // Validate message
-        if (!message || typeof message !== 'string') {
-            throw new ApiError('Message is required and must be a string', 400, 'INVALID_MESSAGE');
-        }
+        validateMessage(message);
+        const model = options.model || resolveModel();
+        const provider = getProvider(model.provider);
 
-        if (message.trim().length === 0) {
-            throw new ApiError('Message cannot be empty', 400, 'EMPTY_MESSAGE');
-        }
+        console.log(`🤖 Generating AI response (${provider.name}) for message: ${message.substring(0, 100)}...`);
 
-        if (message.length > 10000) {
-            throw new ApiError('Message too long. Maximum 10,000 characters allowed.', 400, 'MESSAGE_TOO_LONG');
-        }
-
-        console.log(`🤖 Generating AI response for message: ${message.substring(0, 100)}...`);
-
-        const startTime = Date.now();
-        const aiResponse = await generateResponse(message, options);
+        const queuedAt = Date.now();
+        let startTime;
+        const aiResponse = await aiCallLimiter.run(options.userId || 'anonymous', () => {
+            startTime = Date.now();
+            return provider.generate(message, { ...options, model });
+        });
         const responseTime = Date.now() - startTime;
+        const queueTime = startTime - queuedAt;
 
         console.log(`✅ AI response generated in ${responseTime}ms`);
 
         return {
-            response: aiResponse,
+            response: aiResponse.text,
+            usage: aiResponse.usage || estimateUsage(message, options.history, aiResponse.text),
             responseTime,
-            model: "gemini-2.0-flash",
+            queueTime,
+            model: aiResponse.model,
+            provider: provider.name,
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Gemini service error:', error);
-
-        // Handle specific Gemini API errors
-        if (error.response && error.response.data) {
-            throw new ApiError(
-                `AI service error: ${error.response.data.error?.message || 'Unknown error'}`,
-                error.response.status || 500,
-                error.response.data.error?.code || 'AI_SERVICE_ERROR'
-            );
-        }
-
-        // Handle timeout errors
-        if (error.code === 'ECONNABORTED') {
-            throw new ApiError(
-                'AI service timeout. Please try again with a shorter message.',
-                408,
-                'AI_TIMEOUT'
-            );
-        }
-
-        // Re-throw ApiError instances
-        if (error instanceof ApiError) {
-            throw error;
-        }
-
-        // Generic error
-        throw new ApiError(
-            'AI service temporarily unavailable. Please try again later.',
-            503,
-            'AI_SERVICE_UNAVAILABLE'
-        );
+        console.error('AI service error:', error);
+        throw toApiError(error);
     }
 };
 
 /**
- * Test Gemini AI service health
- * @returns {Promise<Object>} Service health status
+ * Stream AI response from user message
+ * The upstream slot is held until the stream ends.
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (options.signal cancels the stream, options.userId the fair-queue key)
+ * @param {Function} onChunk - Called with each text chunk as it arrives
+ * @returns {Promise<Object>} AI response data once the stream ends or is aborted
+ * @throws {ApiError} 503 AI_BUSY if no upstream slot frees up in time
  */
-const checkServiceHealth = async () => {
+const streamAIResponse = async (message, options = {}, onChunk = () => {}) => {
     try {
-        const isHealthy = await testGeminiConnection();
+        validateMessage(message);
+        const model = options.model || resolveModel();
+        const provider = getProvider(model.provider);
+
+        console.log(`🤖 Streaming AI response (${provider.name}) for message: ${message.substring(0, 100)}...`);
+
+        const queuedAt = Date.now();
+        let startTime;
+        let firstChunkTime = null;
+
+        const { text, aborted, usage } = await aiCallLimiter.run(options.userId || 'anonymous', () => {
+            startTime = Date.now();
+            return provider.stream(message, { ...options, model }, (chunk) => {
+                if (firstChunkTime === null) {
+                    firstChunkTime = Date.now() - startTime;
+                }
+                onChunk(chunk);
+            });
+        }, { signal: options.signal });
+        const responseTime = Date.now() - startTime;
+        const queueTime = startTime - queuedAt;
+
+        console.log(`${aborted ? '⚠️ AI stream aborted' : '✅ AI response streamed'} in ${responseTime}ms`);
+
         return {
-            service: 'gemini',
-            status: isHealthy ? 'healthy' : 'unhealthy',
+            response: text,
+            usage: usage || estimateUsage(message, options.history, text),
+            aborted,
+            responseTime,
+            queueTime,
+            firstChunkTime,
+            model: model.id,
+            provider: provider.name,
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Gemini health check failed:', error);
-        return {
-            service: 'gemini',
-            status: 'unhealthy',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        };
+        console.error('AI stream service error:', error);
+        throw toApiError(error);
+    }
+};
+
+/**
+ * Count tokens for a message with the model's provider
+ * @param {string} message - User message
+ * @param {Object} options - Optional configuration (options.history, options.model)
+ * @returns {Promise<number>} Token count
+ */
+const countMessageTokens = async (message, options = {}) => {
+    try {
+        const model = options.model || resolveModel();
+        return await getProvider(model.provider).countTokens(message, { ...options, model });
+    } catch (error) {
+        console.error('AI token count error:', error);
+        throw toApiError(error);
     }
 };
 
+/**
+ * Describe a provider's circuit breaker, for providers that have one
+ * @param {Object} provider - AI provider
+ * @returns {Object} { circuit_breaker } or an empty object
+ */
+const getCircuitBreaker = (provider) => {
+    if (typeof provider.getCircuitBreakerState !== 'function') {
+        return {};
+    }
+    return { circuit_breaker: provider.getCircuitBreakerState() };
+};
+
+/**
+ * Test AI service health for every enabled provider
+ * @returns {Promise<Object>} Service health status
+ */
+const checkServiceHealth = async () => {
+    const providerChecks = await Promise.all(getEnabledProviders().map(async (provider) => {
+        try {
+            const isHealthy = await provider.health();
+            return { provider: provider.name, status: isHealthy ? 'healthy' : 'unhealthy', ...getCircuitBreaker(provider) };
+        } catch (error) {
+            console.error(`AI provider health check failed (${provider.name}):`, error);
+            return { provider: provider.name, status: 'unhealthy', error: error.message, ...getCircuitBreaker(provider) };
+        }
+    }));
+
+    // The default provider decides the overall status
+    const defaultCheck = providerChecks[0] || { status: 'unhealthy', error: 'No AI provider enabled' };
+
+    return {
+        service: defaultCheck.provider || 'none',
+        status: defaultCheck.status,
+        ...(defaultCheck.error && { error: defaultCheck.error }),
+        ...(defaultCheck.circuit_breaker && { circuit_breaker: defaultCheck.circuit_breaker }),
+        concurrency: aiCallLimiter.getStats(),
+        providers: providerChecks,
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * List catalog models served by enabled providers
+ * @returns {Array<Object>} Public model descriptions
+ */
+const listAvailableModels = () => {
+    return listModels().map(toPublicModel);
+};
+
 /**
  * Get service statistics
  * @returns {Object} Service statistics
  */
 const getServiceStats = () => {
+    const model = resolveModel();
+
     return {
-        service: 'gemini',
-        model: 'gemini-2.0-flash',
-        maxTokens: 2048,
-        timeout: 30000,
-        features: [
-            'Text generation',
-            'Code assistance',
-            'Math solutions',
-            'Sri Lankan curriculum support'
-        ]
+        service: model.provider,
+        model: model.id,
+        maxTokens: model.maxTokens,
+        features: model.capabilities
     };
 };
 
 module.exports = {
+    resolveModel,
     generateAIResponse,
+    streamAIResponse,
+    countMessageTokens,
     checkServiceHealth,
+    listAvailableModels,
     getServiceStats
 };
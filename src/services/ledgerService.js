@@ -0,0 +1,315 @@
+/**
+ * Ledger Service
+ * Append-only credit ledger: every balance change is recorded in credit_transactions
+ */
+
+const { getStorage, serverTimestamp } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { roundCredits } = require('./billingService');
+
+/**
+ * Ledger entry types
+ * amount is signed: grants, purchases and refunds add credits, usage removes
+ * them, adjustments can go either way. A transfer moves credits between a
+ * user and an organization pool and is recorded on both accounts. An
+ * opening_balance records what a user held before their ledger started.
+ */
+const TRANSACTION_TYPES = ['opening_balance', 'grant', 'purchase', 'usage', 'refund', 'adjustment', 'transfer'];
+
+/**
+ * Add a ledger entry inside an existing storage transaction
+ * Call this in the same transaction that updates users.credits so the ledger
+ * and the balance can't disagree.
+ * @param {Object} tx - Transactional repositories (from getStorage().runTransaction)
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.userId - User ID (for changes to a user's own balance)
+ * @param {string} entry.organizationId - Organization ID (for changes to an organization's pool)
+ * @param {string} entry.memberId - Member who spent from the organization's pool, if any
+ * @param {string} entry.type - One of TRANSACTION_TYPES
+ * @param {number} entry.amount - Signed credit change
+ * @param {number} entry.balanceAfter - User or pool balance after the change
+ * @param {string} entry.actor - Who caused the change (e.g. "user:<uid>", "admin:<uid>", "system")
+ * @param {string} entry.requestId - Related request ID, if any
+ * @param {string} entry.description - Optional human-readable reason
+ * @returns {string} Ledger entry ID
+ */
+const addLedgerEntry = (tx, entry) => {
+    if (!TRANSACTION_TYPES.includes(entry.type)) {
+        throw new Error(`Unknown credit transaction type "${entry.type}"`);
+    }
+
+    return tx.ledger.add({
+        userId: entry.userId || null,
+        organizationId: entry.organizationId || null,
+        memberId: entry.memberId || null,
+        type: entry.type,
+        amount: roundCredits(entry.amount),
+        balanceAfter: roundCredits(entry.balanceAfter),
+        actor: entry.actor || 'system',
+        requestId: entry.requestId || null,
+        description: entry.description || null,
+        createdAt: serverTimestamp()
+    });
+};
+
+/**
+ * Start the ledger of a user created before the ledger existed
+ * Writes an opening_balance entry for the credits the ledger doesn't account
+ * for. Call it inside the transaction that changes the user's balance, after
+ * its reads and before its writes, and merge the returned fields into the
+ * user update. Users created with createUser already have a ledger.
+ * @param {Object} tx - Transactional repositories
+ * @param {string} userId - User ID
+ * @param {Object} user - User record read in the transaction
+ * @returns {Promise<Object>} Fields to add to the user update
+ */
+const openUserLedger = async (tx, userId, user) => {
+    if (user.ledgerOpened) {
+        return {};
+    }
+
+    const entries = await tx.ledger.listAmountsForUser(userId);
+    const ledgerBalance = entries.reduce((sum, { amount = 0 }) => sum + amount, 0);
+    const openingBalance = roundCredits((user.credits || 0) - ledgerBalance);
+
+    if (openingBalance !== 0) {
+        addLedgerEntry(tx, {
+            userId,
+            type: 'opening_balance',
+            amount: openingBalance,
+            balanceAfter: openingBalance,
+            description: 'Balance before the ledger started'
+        });
+    }
+
+    return { ledgerOpened: true };
+};
+
+/**
+ * Ledger accounts: the ledger field naming the account, where its balance is
+ * stored and the error when it doesn't exist
+ */
+const LEDGER_ACCOUNTS = {
+    userId: { repository: 'users', notFound: ['User not found', 404, 'USER_NOT_FOUND'] },
+    organizationId: { repository: 'organizations', notFound: ['Organization not found', 404, 'ORGANIZATION_NOT_FOUND'] }
+};
+
+/**
+ * Change the balance of a user or organization pool and record it in the ledger
+ * @param {string} field - Account field (userId or organizationId)
+ * @param {string} accountId - User or organization ID
+ * @param {Object} change - Balance change (see applyCreditTransaction)
+ * @returns {Promise<{transactionId: string, balance: number}>} Ledger entry ID and new balance
+ */
+const applyAccountTransaction = async (field, accountId, change) => {
+    const { repository, notFound } = LEDGER_ACCOUNTS[field];
+
+    try {
+        const result = await getStorage().runTransaction(async (tx) => {
+            const account = await tx[repository].get(accountId);
+
+            if (!account) {
+                throw new ApiError(...notFound);
+            }
+
+            const balance = roundCredits((account.credits || 0) + change.amount);
+            if (balance < 0) {
+                throw new ApiError('Insufficient credits', 403, 'INSUFFICIENT_CREDITS');
+            }
+
+            const ledgerFields = field === 'userId' ? await openUserLedger(tx, accountId, account) : {};
+            tx[repository].update(accountId, { credits: balance, ...ledgerFields });
+            const transactionId = addLedgerEntry(tx, {
+                ...change,
+                [field]: accountId,
+                balanceAfter: balance
+            });
+
+            return { transactionId, balance };
+        });
+
+        console.log(`📒 Credit ${change.type}: ${change.amount} (${result.balance} balance)`);
+        return result;
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        console.error('Credit transaction error:', error);
+        throw new ApiError('Failed to apply credit transaction', 500, 'CREDIT_TRANSACTION_ERROR');
+    }
+};
+
+/**
+ * Change a user's balance and record it in the ledger
+ * Used for grants, purchases, refunds and manual adjustments; usage is
+ * recorded when a credit hold is captured.
+ * @param {string} userId - User ID
+ * @param {Object} change - Balance change
+ * @param {string} change.type - One of TRANSACTION_TYPES
+ * @param {number} change.amount - Signed credit change
+ * @param {string} change.actor - Who made the change
+ * @param {string} change.requestId - Related request ID, if any
+ * @param {string} change.description - Optional reason
+ * @returns {Promise<{transactionId: string, balance: number}>} Ledger entry ID and new balance
+ */
+const applyCreditTransaction = (userId, change) => applyAccountTransaction('userId', userId, change);
+
+/**
+ * Change an organization pool's balance and record it in the ledger
+ * This is how pools get credits: members only spend from them.
+ * @param {string} orgId - Organization ID
+ * @param {Object} change - Balance change (see applyCreditTransaction)
+ * @returns {Promise<{transactionId: string, balance: number}>} Ledger entry ID and new balance
+ */
+const applyOrganizationCreditTransaction = (orgId, change) => applyAccountTransaction('organizationId', orgId, change);
+
+/**
+ * Format a ledger entry for API responses
+ * @param {Object} entry - Ledger entry record
+ * @returns {Object} Ledger entry in response format
+ */
+const toPublicTransaction = (entry) => {
+    return {
+        id: entry.id,
+        type: entry.type,
+        amount: entry.amount,
+        balance_after: entry.balanceAfter,
+        request_id: entry.requestId,
+        member_id: entry.memberId || null,
+        actor: entry.actor,
+        description: entry.description,
+        created_at: entry.createdAt
+    };
+};
+
+/**
+ * Page through the ledger of one account, newest first
+ * @param {string} field - Account field (userId or organizationId)
+ * @param {string} accountId - Account ID
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - ID of the last entry of the previous page
+ * @param {string} options.type - Only return entries of this type
+ * @returns {Promise<{transactions: Array, nextCursor: string|null}>} Page of entries
+ */
+const getLedgerPage = async (field, accountId, options = {}) => {
+    const { limit = 20, cursor, type } = options;
+    const storage = getStorage();
+
+    if (cursor) {
+        const cursorEntry = await storage.ledger.get(cursor);
+        if (!cursorEntry || cursorEntry[field] !== accountId) {
+            throw new ApiError('Invalid cursor', 400, 'INVALID_CURSOR');
+        }
+    }
+
+    try {
+        const entries = await storage.ledger.listForAccount({ [field]: accountId }, {
+            type,
+            limit: limit + 1,
+            startAfter: cursor
+        });
+        const page = entries.slice(0, limit);
+
+        return {
+            transactions: page.map(toPublicTransaction),
+            nextCursor: entries.length > limit ? page[page.length - 1].id : null
+        };
+    } catch (error) {
+        console.error('Get transactions error:', error);
+        throw new ApiError('Failed to retrieve credit transactions', 500, 'TRANSACTION_HISTORY_ERROR');
+    }
+};
+
+/**
+ * Page through a user's ledger, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - Page options ({ limit, cursor, type })
+ * @returns {Promise<{transactions: Array, nextCursor: string|null}>} Page of entries
+ */
+const getUserTransactions = (userId, options) => getLedgerPage('userId', userId, options);
+
+/**
+ * Page through an organization pool's ledger, newest first
+ * @param {string} orgId - Organization ID
+ * @param {Object} options - Page options ({ limit, cursor, type })
+ * @returns {Promise<{transactions: Array, nextCursor: string|null}>} Page of entries
+ */
+const getOrganizationTransactions = (orgId, options) => getLedgerPage('organizationId', orgId, options);
+
+/**
+ * Recompute a user's balance from the ledger and compare it to users.credits
+ * Users created before the ledger get their opening balance first, so the
+ * ledger starts from what they held rather than from zero.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Reconciliation report (drift = recorded - ledger)
+ */
+const reconcileUserBalance = async (userId) => {
+    try {
+        const storage = getStorage();
+        let user = await storage.users.get(userId);
+
+        if (!user) {
+            throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+        }
+
+        if (!user.ledgerOpened) {
+            user = await storage.runTransaction(async (tx) => {
+                const current = await tx.users.get(userId);
+                if (!current) {
+                    throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+                }
+
+                const ledgerFields = await openUserLedger(tx, userId, current);
+
+                if (ledgerFields.ledgerOpened) {
+                    tx.users.update(userId, ledgerFields);
+                }
+                return { ...current, ...ledgerFields };
+            });
+        }
+
+        const ledger = await storage.ledger.listAmountsForUser(userId);
+
+        const totals = Object.fromEntries(TRANSACTION_TYPES.map(type => [type, 0]));
+        ledger.forEach(({ amount = 0, type }) => {
+            totals[type] = roundCredits((totals[type] || 0) + amount);
+        });
+
+        const ledgerBalance = roundCredits(Object.values(totals).reduce((sum, amount) => sum + amount, 0));
+        const recordedBalance = roundCredits(user.credits || 0);
+        const drift = roundCredits(recordedBalance - ledgerBalance);
+
+        if (drift !== 0) {
+            console.warn(`⚠️ Ledger drift for ${userId}: ${drift} credits`);
+        }
+
+        return {
+            userId,
+            openingBalance: totals.opening_balance,
+            recordedBalance,
+            ledgerBalance,
+            drift,
+            consistent: drift === 0,
+            entryCount: ledger.length,
+            totals
+        };
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        console.error('Ledger reconciliation error:', error);
+        throw new ApiError('Failed to reconcile credit ledger', 500, 'LEDGER_RECONCILIATION_ERROR');
+    }
+};
+
+module.exports = {
+    TRANSACTION_TYPES,
+    addLedgerEntry,
+    openUserLedger,
+    applyCreditTransaction,
+    applyOrganizationCreditTransaction,
+    getUserTransactions,
+    getOrganizationTransactions,
+    reconcileUserBalance
+};
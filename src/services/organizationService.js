@@ -0,0 +1,703 @@
+/**
+ * Organization Service
+ * Organizations share a credit pool between their members. Members are stored
+ * in organizations/{orgId}/members/{uid}; the user document's organizationId
+ * points at the organization that pays for the user's requests. Users join
+ * by accepting an invite from an admin or owner.
+ */
+
+const { getStorage, serverTimestamp, deleteField } = require('../repositories');
+const { ApiError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { getPlan, PLAN_CATALOG } = require('../config/plans');
+const { roundCredits } = require('./billingService');
+const { addLedgerEntry, openUserLedger } = require('./ledgerService');
+
+/**
+ * Member roles, lowest to highest
+ * viewer: read org stats; member: also spend from the pool;
+ * admin: also manage members; owner: also manage admins.
+ */
+const ORGANIZATION_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+/**
+ * Lowest role allowed to spend from the pool
+ */
+const SPENDING_ROLE = 'member';
+
+/**
+ * How long an invite can be accepted
+ */
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a role is at least another role
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Required role
+ * @returns {boolean} Whether the role is high enough
+ */
+const hasOrganizationRole = (role, minimumRole) => {
+    return ORGANIZATION_ROLES.indexOf(role) >= ORGANIZATION_ROLES.indexOf(minimumRole);
+};
+
+/**
+ * Get the credits left in an organization's pool (balance minus active holds)
+ * @param {Object} orgData - Organization document data
+ * @returns {number} Available credits
+ */
+const getPoolAvailableCredits = (orgData) => {
+    return (orgData.credits || 0) - (orgData.reservedCredits || 0);
+};
+
+/**
+ * Get the credits a member can still spend from the pool
+ * @param {Object} orgData - Organization document data
+ * @param {Object} memberData - Member document data
+ * @returns {number} Spendable credits (pool availability, limited by the spending cap)
+ */
+const getMemberSpendableCredits = (orgData, memberData) => {
+    const poolCredits = getPoolAvailableCredits(orgData);
+    if (memberData.spendingCap === null || memberData.spendingCap === undefined) {
+        return poolCredits;
+    }
+    const capCredits = memberData.spendingCap - (memberData.creditsUsed || 0) - (memberData.reservedCredits || 0);
+    return Math.min(poolCredits, capCredits);
+};
+
+/**
+ * Load a member's pool inside a storage transaction
+ * @param {Object} tx - Transactional repositories
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Member user ID
+ * @returns {Promise<Object>} { orgId, userId, orgData, memberData } (orgData/memberData null if missing)
+ */
+const loadMemberPool = async (tx, orgId, userId) => {
+    const [orgData, memberData] = await Promise.all([
+        tx.organizations.get(orgId),
+        tx.organizations.getMember(orgId, userId)
+    ]);
+
+    return { orgId, userId, orgData, memberData };
+};
+
+/**
+ * Check that a member may spend an amount from the pool
+ * @param {Object} pool - Pool from loadMemberPool
+ * @param {number} amount - Credits to spend
+ * @throws {ApiError} If the member can't spend, the cap is reached or the pool is empty
+ */
+const assertMemberCanSpend = (pool, amount) => {
+    const { orgData, memberData } = pool;
+
+    if (!orgData || !memberData) {
+        throw new AuthorizationError('You are no longer a member of this organization');
+    }
+    if (orgData.status === 'suspended') {
+        throw new ApiError('Organization suspended. Please contact support.', 403, 'ORGANIZATION_SUSPENDED');
+    }
+    if (!hasOrganizationRole(memberData.role, SPENDING_ROLE)) {
+        throw new ApiError(`The ${memberData.role} role can't spend organization credits`, 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+    }
+
+    if (memberData.spendingCap !== null && memberData.spendingCap !== undefined) {
+        const capCredits = memberData.spendingCap - (memberData.creditsUsed || 0) - (memberData.reservedCredits || 0);
+        if (capCredits < amount) {
+            throw new ApiError('Spending cap reached for this organization member', 403, 'SPENDING_CAP_EXCEEDED', {
+                spending_cap: memberData.spendingCap,
+                credits_used: roundCredits(memberData.creditsUsed || 0),
+                credits_required: amount
+            });
+        }
+    }
+
+    const poolCredits = getPoolAvailableCredits(orgData);
+    if (poolCredits < amount) {
+        throw new ApiError('Insufficient organization credits for this request', 403, 'INSUFFICIENT_CREDITS', {
+            credits_available: roundCredits(Math.max(poolCredits, 0)),
+            credits_required: amount
+        });
+    }
+};
+
+/**
+ * Validate a spending cap
+ * @param {any} spendingCap - Cap in credits, or null for no cap
+ * @returns {number|null} Validated cap
+ */
+const validateSpendingCap = (spendingCap) => {
+    if (spendingCap === null) {
+        return null;
+    }
+    if (typeof spendingCap !== 'number' || !Number.isFinite(spendingCap) || spendingCap < 0) {
+        throw new ValidationError('spending_cap must be a non-negative number or null');
+    }
+    return roundCredits(spendingCap);
+};
+
+/**
+ * Validate a member role
+ * @param {any} role - Role
+ * @returns {string} Validated role
+ */
+const validateRole = (role) => {
+    if (!ORGANIZATION_ROLES.includes(role)) {
+        throw new ValidationError(`role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+    }
+    return role;
+};
+
+/**
+ * Format an organization for API responses
+ * @param {string} orgId - Organization ID
+ * @param {Object} orgData - Organization document data
+ * @returns {Object} Organization in response format
+ */
+const toPublicOrganization = (orgId, orgData) => ({
+    id: orgId,
+    name: orgData.name,
+    owner_id: orgData.ownerId,
+    plan: getPlan(orgData.plan).id,
+    status: orgData.status || 'active',
+    credits: roundCredits(orgData.credits || 0),
+    credits_reserved: roundCredits(orgData.reservedCredits || 0),
+    created_at: orgData.createdAt
+});
+
+/**
+ * Format a member for API responses
+ * @param {Object} member - Member record (its ID is the user ID)
+ * @returns {Object} Member in response format
+ */
+const toPublicMember = (member) => {
+    return {
+        user_id: member.id,
+        email: member.email || null,
+        role: member.role,
+        spending_cap: member.spendingCap ?? null,
+        credits_used: roundCredits(member.creditsUsed || 0),
+        credits_reserved: roundCredits(member.reservedCredits || 0),
+        total_requests: member.totalRequests || 0,
+        joined_at: member.joinedAt,
+        last_used: member.lastUsed || null
+    };
+};
+
+/**
+ * Format an invite for API responses
+ * @param {string} orgId - Organization ID
+ * @param {Object} invite - Invite record (its ID is the invited user's ID)
+ * @param {Object} orgData - Organization document data, to name the organization
+ * @returns {Object} Invite in response format
+ */
+const toPublicInvite = (orgId, invite, orgData = null) => ({
+    organization_id: orgId,
+    organization_name: orgData ? orgData.name : undefined,
+    user_id: invite.id,
+    email: invite.email || null,
+    role: invite.role,
+    spending_cap: invite.spendingCap ?? null,
+    invited_by: invite.invitedBy,
+    created_at: invite.createdAt,
+    expires_at: invite.expiresAt
+});
+
+/**
+ * Check whether an invite can still be accepted
+ * @param {Object} invite - Invite record
+ * @returns {boolean} Whether the invite has not expired
+ */
+const isInviteActive = (invite) => invite.expiresAt > new Date();
+
+/**
+ * Build a new member document
+ * @param {Object} userData - Member's user document data
+ * @param {Object} member - Membership settings ({ role, spendingCap, addedBy })
+ * @returns {Object} Member document
+ */
+const toMemberDocument = (userData, member) => ({
+    role: member.role,
+    email: userData.email || null,
+    spendingCap: member.spendingCap ?? null,
+    creditsUsed: 0,
+    reservedCredits: 0,
+    totalRequests: 0,
+    addedBy: member.addedBy || null,
+    joinedAt: serverTimestamp(),
+    lastUsed: null
+});
+
+/**
+ * Create an organization with the caller as owner
+ * A user belongs to at most one organization, since it pays for their requests.
+ * The owner's available personal credits move into the new pool, since their
+ * requests are charged to the pool from now on. The organization starts on the
+ * owner's plan, whose quotas its members share.
+ * @param {string} ownerId - Owner user ID
+ * @param {Object} options - Organization settings ({ name })
+ * @returns {Promise<Object>} Organization in response format
+ */
+const createOrganization = async (ownerId, options = {}) => {
+    const orgData = {
+        name: options.name,
+        ownerId,
+        status: 'active',
+        credits: 0,
+        reservedCredits: 0,
+        creditsUsed: 0,
+        totalRequests: 0,
+        createdAt: serverTimestamp()
+    };
+
+    const orgId = await getStorage().runTransaction(async (tx) => {
+        const user = await tx.users.get(ownerId);
+
+        if (!user) {
+            throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+        }
+        if (user.organizationId) {
+            throw new ApiError('You already belong to an organization', 409, 'ALREADY_IN_ORGANIZATION');
+        }
+
+        orgData.plan = getPlan(user.plan).id;
+
+        // Credits held by in-flight personal requests stay with the user to settle them
+        const transferred = roundCredits(Math.max((user.credits || 0) - (user.reservedCredits || 0), 0));
+        orgData.credits = transferred;
+        const ledgerFields = await openUserLedger(tx, ownerId, user);
+
+        const newOrgId = tx.organizations.create(orgData);
+        tx.organizations.setMember(newOrgId, ownerId, toMemberDocument(user, {
+            role: 'owner',
+            addedBy: ownerId
+        }));
+        tx.users.update(ownerId, {
+            organizationId: newOrgId,
+            credits: roundCredits((user.credits || 0) - transferred),
+            ...ledgerFields
+        });
+
+        if (transferred > 0) {
+            addLedgerEntry(tx, {
+                userId: ownerId,
+                type: 'transfer',
+                amount: -transferred,
+                balanceAfter: (user.credits || 0) - transferred,
+                actor: `user:${ownerId}`,
+                description: `Moved to organization ${newOrgId}`
+            });
+            addLedgerEntry(tx, {
+                organizationId: newOrgId,
+                memberId: ownerId,
+                type: 'transfer',
+                amount: transferred,
+                balanceAfter: transferred,
+                actor: `user:${ownerId}`,
+                description: 'Moved from the owner\'s personal balance'
+            });
+        }
+
+        return newOrgId;
+    });
+
+    console.log(`🏫 Organization created: ${orgId} (${options.name})`);
+    return toPublicOrganization(orgId, { ...orgData, createdAt: new Date() });
+};
+
+/**
+ * Get an organization and the caller's membership, requiring a minimum role
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Caller user ID
+ * @param {string} minimumRole - Required role
+ * @returns {Promise<{organization: Object, orgData: Object, membership: Object}>} Organization and membership
+ */
+const getOrganizationForMember = async (orgId, userId, minimumRole = 'viewer') => {
+    const { organizations } = getStorage();
+    const [orgData, membership] = await Promise.all([organizations.get(orgId), organizations.getMember(orgId, userId)]);
+
+    // Don't reveal organizations the caller isn't part of
+    if (!orgData || !membership) {
+        throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+    }
+
+    if (!hasOrganizationRole(membership.role, minimumRole)) {
+        throw new ApiError(`This action requires the ${minimumRole} role or higher`, 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+    }
+
+    return {
+        organization: toPublicOrganization(orgId, orgData),
+        orgData,
+        membership
+    };
+};
+
+/**
+ * List an organization's members
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Array<Object>>} Members in response format
+ */
+const listMembers = async (orgId) => {
+    const members = await getStorage().organizations.listMembers(orgId);
+    return members.map(toPublicMember);
+};
+
+/**
+ * Check that an actor may give a member a role
+ * Admins manage viewers and members; only owners manage admins and owners.
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} role - Role being granted or changed
+ */
+const assertCanManageRole = (actorRole, role) => {
+    if (hasOrganizationRole(role, 'admin') && actorRole !== 'owner') {
+        throw new ApiError('Only owners can manage admins and owners', 403, 'INSUFFICIENT_ORGANIZATION_ROLE');
+    }
+};
+
+/**
+ * Find a user by ID or email
+ * @param {Object} identity - { userId } or { email }
+ * @returns {Promise<Object>} User record
+ */
+const findUser = async ({ userId, email }) => {
+    const { users } = getStorage();
+    const user = userId ? await users.get(userId) : email ? await users.findByEmail(email) : null;
+
+    if (user) {
+        return user;
+    }
+
+    throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+};
+
+/**
+ * Check that a user can join an organization
+ * @param {Object} user - User document data
+ * @param {string} orgId - Organization ID
+ * @throws {ApiError} 409 if the user already belongs to this or another organization
+ */
+const assertCanJoin = (user, orgId) => {
+    if (user.organizationId === orgId) {
+        throw new ApiError('User is already a member of this organization', 409, 'ALREADY_MEMBER');
+    }
+    if (user.organizationId) {
+        throw new ApiError('User already belongs to an organization', 409, 'ALREADY_IN_ORGANIZATION');
+    }
+};
+
+/**
+ * Invite a user to an organization
+ * The user joins only when they accept; inviting them again replaces the invite.
+ * @param {string} orgId - Organization ID
+ * @param {Object} invitee - Invited user ({ userId | email, role, spendingCap })
+ * @param {Object} actor - Member sending the invite ({ userId, role })
+ * @returns {Promise<Object>} Invite in response format
+ */
+const inviteMember = async (orgId, invitee, actor) => {
+    assertCanManageRole(actor.role, invitee.role);
+
+    const storage = getStorage();
+    const { id: userId } = await findUser(invitee);
+
+    const invite = await storage.runTransaction(async (tx) => {
+        const user = await tx.users.get(userId);
+        assertCanJoin(user, orgId);
+
+        const inviteData = {
+            userId,
+            email: user.email || null,
+            role: invitee.role,
+            spendingCap: invitee.spendingCap ?? null,
+            invitedBy: actor.userId,
+            expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+        };
+        tx.organizations.setInvite(orgId, userId, { ...inviteData, createdAt: serverTimestamp() });
+        return { id: userId, ...inviteData, createdAt: new Date() };
+    });
+
+    console.log(`✉️ Member invited to ${orgId}: ${userId} (${invitee.role})`);
+    return toPublicInvite(orgId, invite);
+};
+
+/**
+ * List an organization's invites that can still be accepted
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Array<Object>>} Invites in response format
+ */
+const listInvites = async (orgId) => {
+    const invites = await getStorage().organizations.listInvites(orgId);
+    return invites.filter(isInviteActive).map(invite => toPublicInvite(orgId, invite));
+};
+
+/**
+ * List the invites a user can still accept
+ * @param {string} userId - Invited user ID
+ * @returns {Promise<Array<Object>>} Invites in response format, with organization names
+ */
+const listUserInvites = async (userId) => {
+    const { organizations } = getStorage();
+    const invites = (await organizations.listInvitesForUser(userId)).filter(isInviteActive);
+
+    return Promise.all(invites.map(async (invite) => (
+        toPublicInvite(invite.organizationId, invite, await organizations.get(invite.organizationId))
+    )));
+};
+
+/**
+ * Accept an invite, joining the organization with the invited role and cap.
+ * The user's available personal credits move into the pool, as when creating an organization.
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Invited user ID (the caller)
+ * @returns {Promise<{member: Object, creditsTransferred: number}>} Member in response format and the credits moved
+ */
+const acceptInvite = async (orgId, userId) => {
+    const storage = getStorage();
+
+    const creditsTransferred = await storage.runTransaction(async (tx) => {
+        const [invite, user, orgData] = await Promise.all([
+            tx.organizations.getInvite(orgId, userId),
+            tx.users.get(userId),
+            tx.organizations.get(orgId)
+        ]);
+
+        if (!invite || !isInviteActive(invite) || !orgData) {
+            throw new ApiError('Invite not found or expired', 404, 'INVITE_NOT_FOUND');
+        }
+        if (!user) {
+            throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+        }
+        assertCanJoin(user, orgId);
+
+        // Credits held by in-flight personal requests stay with the user to settle them
+        const transferred = roundCredits(Math.max((user.credits || 0) - (user.reservedCredits || 0), 0));
+        const ledgerFields = await openUserLedger(tx, userId, user);
+
+        tx.organizations.setMember(orgId, userId, toMemberDocument(user, {
+            role: invite.role,
+            spendingCap: invite.spendingCap,
+            addedBy: invite.invitedBy
+        }));
+        tx.organizations.deleteInvite(orgId, userId);
+        tx.users.update(userId, {
+            organizationId: orgId,
+            credits: roundCredits((user.credits || 0) - transferred),
+            ...ledgerFields
+        });
+
+        if (transferred > 0) {
+            const poolBalance = roundCredits((orgData.credits || 0) + transferred);
+
+            tx.organizations.update(orgId, { credits: poolBalance });
+            addLedgerEntry(tx, {
+                userId,
+                type: 'transfer',
+                amount: -transferred,
+                balanceAfter: (user.credits || 0) - transferred,
+                actor: `user:${userId}`,
+                description: `Moved to organization ${orgId}`
+            });
+            addLedgerEntry(tx, {
+                organizationId: orgId,
+                memberId: userId,
+                type: 'transfer',
+                amount: transferred,
+                balanceAfter: poolBalance,
+                actor: `user:${userId}`,
+                description: 'Moved from a joining member\'s personal balance'
+            });
+        }
+
+        return transferred;
+    });
+
+    console.log(`👥 Invite accepted for ${orgId}: ${userId} (${creditsTransferred} credits moved to the pool)`);
+    return {
+        member: toPublicMember(await storage.organizations.getMember(orgId, userId)),
+        creditsTransferred
+    };
+};
+
+/**
+ * Decline an invite (the invited user) or revoke it (an admin or owner)
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Invited user ID
+ * @param {Object} actor - Caller ({ userId, role }; role is null for the invited user)
+ * @returns {Promise<Object>} Removed invite in response format
+ */
+const deleteInvite = async (orgId, userId, actor) => {
+    const removed = await getStorage().runTransaction(async (tx) => {
+        const invite = await tx.organizations.getInvite(orgId, userId);
+
+        if (!invite) {
+            throw new ApiError('Invite not found or expired', 404, 'INVITE_NOT_FOUND');
+        }
+        if (userId !== actor.userId) {
+            assertCanManageRole(actor.role, invite.role);
+        }
+
+        tx.organizations.deleteInvite(orgId, userId);
+        return toPublicInvite(orgId, invite);
+    });
+
+    console.log(`✉️ Invite to ${orgId} removed: ${userId}`);
+    return removed;
+};
+
+/**
+ * Change a member's role or spending cap
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Member user ID
+ * @param {Object} changes - { role, spendingCap } (omitted fields are kept)
+ * @param {Object} actor - Member making the change ({ userId, role })
+ * @returns {Promise<Object>} Member in response format
+ */
+const updateMember = async (orgId, userId, changes, actor) => {
+    const storage = getStorage();
+
+    await storage.runTransaction(async (tx) => {
+        const current = await tx.organizations.getMember(orgId, userId);
+
+        if (!current) {
+            throw new ApiError('Member not found', 404, 'MEMBER_NOT_FOUND');
+        }
+
+        assertCanManageRole(actor.role, current.role);
+
+        const update = {};
+        if (changes.role !== undefined && changes.role !== current.role) {
+            assertCanManageRole(actor.role, changes.role);
+
+            if (current.role === 'owner') {
+                const owners = await tx.organizations.listMembers(orgId, { role: 'owner' });
+                if (owners.length <= 1) {
+                    throw new ApiError('An organization must keep at least one owner', 409, 'LAST_OWNER');
+                }
+            }
+            update.role = changes.role;
+        }
+        if (changes.spendingCap !== undefined) {
+            update.spendingCap = changes.spendingCap;
+        }
+
+        if (Object.keys(update).length > 0) {
+            tx.organizations.updateMember(orgId, userId, update);
+        }
+    });
+
+    return toPublicMember(await storage.organizations.getMember(orgId, userId));
+};
+
+/**
+ * Remove a member from an organization
+ * Their in-flight holds are still settled against the pool.
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - Member user ID
+ * @param {Object} actor - Member making the change ({ userId, role })
+ * @returns {Promise<Object>} Removed member in response format
+ */
+const removeMember = async (orgId, userId, actor) => {
+    const removed = await getStorage().runTransaction(async (tx) => {
+        const [member, user] = await Promise.all([tx.organizations.getMember(orgId, userId), tx.users.get(userId)]);
+
+        if (!member) {
+            throw new ApiError('Member not found', 404, 'MEMBER_NOT_FOUND');
+        }
+
+        // Members can always leave; removing others needs a higher role
+        if (userId !== actor.userId) {
+            assertCanManageRole(actor.role, member.role);
+        }
+
+        if (member.role === 'owner') {
+            const owners = await tx.organizations.listMembers(orgId, { role: 'owner' });
+            if (owners.length <= 1) {
+                throw new ApiError('An organization must keep at least one owner', 409, 'LAST_OWNER');
+            }
+        }
+
+        tx.organizations.deleteMember(orgId, userId);
+        if (user && user.organizationId === orgId) {
+            tx.users.update(userId, { organizationId: deleteField() });
+        }
+
+        return toPublicMember(member);
+    });
+
+    console.log(`👥 Member removed from ${orgId}: ${userId}`);
+    return removed;
+};
+
+/**
+ * Move an organization to another plan
+ * The plan sets the quotas of every member.
+ * @param {string} orgId - Organization ID
+ * @param {string} planId - Plan ID from the plan catalog
+ * @returns {Promise<{before: Object, organization: Object}>} Organization before and after the change
+ */
+const setOrganizationPlan = async (orgId, planId) => {
+    if (!Object.prototype.hasOwnProperty.call(PLAN_CATALOG, planId)) {
+        throw new ValidationError(`plan must be one of: ${Object.keys(PLAN_CATALOG).join(', ')}`);
+    }
+
+    const storage = getStorage();
+    const before = await storage.runTransaction(async (tx) => {
+        const orgData = await tx.organizations.get(orgId);
+
+        if (!orgData) {
+            throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+        }
+
+        tx.organizations.update(orgId, { plan: planId });
+        return toPublicOrganization(orgId, orgData);
+    });
+
+    console.log(`🏫 Organization ${orgId} moved to the ${planId} plan`);
+    return { before, organization: toPublicOrganization(orgId, await storage.organizations.get(orgId)) };
+};
+
+/**
+ * Get usage rollups for an organization: pool balance and per-member spend
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} Usage in response format
+ */
+const getOrganizationUsage = async (orgId) => {
+    const [orgData, members] = await Promise.all([getStorage().organizations.get(orgId), listMembers(orgId)]);
+
+    if (!orgData) {
+        throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+    }
+
+    return {
+        organization: toPublicOrganization(orgId, orgData),
+        pool: {
+            credits_remaining: roundCredits(orgData.credits || 0),
+            credits_reserved: roundCredits(orgData.reservedCredits || 0),
+            credits_available: roundCredits(Math.max(getPoolAvailableCredits(orgData), 0)),
+            credits_used: roundCredits(orgData.creditsUsed || 0),
+            total_requests: orgData.totalRequests || 0
+        },
+        members: members.sort((a, b) => b.credits_used - a.credits_used)
+    };
+};
+
+module.exports = {
+    ORGANIZATION_ROLES,
+    SPENDING_ROLE,
+    INVITE_TTL_MS,
+    hasOrganizationRole,
+    getPoolAvailableCredits,
+    getMemberSpendableCredits,
+    loadMemberPool,
+    assertMemberCanSpend,
+    validateRole,
+    validateSpendingCap,
+    createOrganization,
+    getOrganizationForMember,
+    listMembers,
+    inviteMember,
+    listInvites,
+    listUserInvites,
+    acceptInvite,
+    deleteInvite,
+    updateMember,
+    removeMember,
+    setOrganizationPlan,
+    getOrganizationUsage
+};
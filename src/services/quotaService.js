@@ -0,0 +1,205 @@
+/**
+ * Quota Service
+ * Hard usage caps per plan (requests per day, tokens per month, ...), counted
+ * per calendar period in UTC in the shared counter store. Organization
+ * members get their organization's plan; each quota's scope decides whether
+ * it is counted per member or for the whole organization.
+ */
+
+const { getPlan } = require('../config/plans');
+const { getStore } = require('../stores');
+const { getStorage } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Get the current period of a quota
+ * @param {string} period - day or month
+ * @param {Date} now - Current time
+ * @returns {{periodKey: string, resetsAt: Date}} Period key and when the next period starts
+ */
+const getQuotaPeriod = (period, now = new Date()) => {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+
+    if (period === 'month') {
+        return {
+            periodKey: `${year}-${String(month + 1).padStart(2, '0')}`,
+            resetsAt: new Date(Date.UTC(year, month + 1, 1))
+        };
+    }
+
+    return {
+        periodKey: now.toISOString().slice(0, 10),
+        resetsAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1))
+    };
+};
+
+/**
+ * Counter key for a quota in the current period
+ * @param {string} subject - Who the quota applies to (e.g. "user:<uid>")
+ * @param {Object} quota - Quota ({ metric, period })
+ * @param {string} periodKey - Current period key
+ * @returns {string} Counter key
+ */
+const getQuotaKey = (subject, quota, periodKey) => `quota:${subject}:${quota.metric}:${quota.period}:${periodKey}`;
+
+/**
+ * Build a QUOTA_EXCEEDED error
+ * @param {Object} quota - Quota that was hit
+ * @param {number} used - Current consumption
+ * @param {Date} resetsAt - When the quota resets
+ * @returns {ApiError} Error (429, with retryAfter)
+ */
+const quotaExceededError = (quota, used, resetsAt) => {
+    const error = new ApiError(
+        `Quota exceeded: ${quota.limit} ${quota.metric} per ${quota.period}. Resets at ${resetsAt.toISOString()}.`,
+        429,
+        'QUOTA_EXCEEDED',
+        {
+            metric: quota.metric,
+            period: quota.period,
+            limit: quota.limit,
+            used,
+            resets_at: resetsAt.toISOString()
+        }
+    );
+    error.retryAfter = Math.ceil((resetsAt.getTime() - Date.now()) / 1000);
+    return error;
+};
+
+/**
+ * Check a caller's quotas and count one request against the request quotas
+ * Token quotas are only checked here; tokens are counted after the response.
+ * Nothing is counted unless every quota has room.
+ * @param {Array<Object>} quotas - Quotas to enforce, with their subject (from getQuotaAccount)
+ * @throws {ApiError} QUOTA_EXCEEDED if any quota is used up
+ */
+const consumeRequestQuota = async (quotas = []) => {
+    const store = getStore();
+
+    for (const quota of quotas.filter(q => q.metric !== 'requests')) {
+        const { periodKey, resetsAt } = getQuotaPeriod(quota.period);
+        const counter = await store.get(getQuotaKey(quota.subject, quota, periodKey));
+        if (counter && counter.value >= quota.limit) {
+            throw quotaExceededError(quota, counter.value, resetsAt);
+        }
+    }
+
+    const counted = [];
+    try {
+        for (const quota of quotas.filter(q => q.metric === 'requests')) {
+            const { periodKey, resetsAt } = getQuotaPeriod(quota.period);
+            const key = getQuotaKey(quota.subject, quota, periodKey);
+            const ttlMs = resetsAt.getTime() - Date.now();
+
+            const counter = await store.increment(key, 1, ttlMs);
+            counted.push({ key, ttlMs });
+            if (counter.value > quota.limit) {
+                throw quotaExceededError(quota, counter.value - 1, resetsAt);
+            }
+        }
+    } catch (error) {
+        // Rejected requests don't count
+        await Promise.all(counted.map(({ key, ttlMs }) => store.increment(key, -1, ttlMs)));
+        throw error;
+    }
+};
+
+/**
+ * Count tokens used by a request against a caller's token quotas
+ * @param {Array<Object>} quotas - Quotas to count against, with their subject (from getQuotaAccount)
+ * @param {number} tokens - Tokens used
+ */
+const recordTokenUsage = async (quotas = [], tokens = 0) => {
+    if (!tokens) {
+        return;
+    }
+
+    try {
+        const store = getStore();
+        for (const quota of quotas.filter(q => q.metric === 'tokens')) {
+            const { periodKey, resetsAt } = getQuotaPeriod(quota.period);
+            await store.increment(getQuotaKey(quota.subject, quota, periodKey), tokens, resetsAt.getTime() - Date.now());
+        }
+    } catch (error) {
+        // The request already succeeded; don't fail it over quota bookkeeping
+        console.error('Token quota update error:', error);
+    }
+};
+
+/**
+ * Get current consumption of a caller's quotas
+ * @param {Array<Object>} quotas - Quotas to report, with their subject (from getQuotaAccount)
+ * @returns {Promise<Array<Object>>} Quota usage in response format
+ */
+const getQuotaUsage = async (quotas = []) => {
+    const store = getStore();
+
+    return Promise.all(quotas.map(async (quota) => {
+        const { periodKey, resetsAt } = getQuotaPeriod(quota.period);
+        const counter = await store.get(getQuotaKey(quota.subject, quota, periodKey));
+        const used = counter ? counter.value : 0;
+
+        return {
+            metric: quota.metric,
+            period: quota.period,
+            limit: quota.limit,
+            shared_with_organization: quota.subject.startsWith('org:'),
+            used,
+            remaining: Math.max(quota.limit - used, 0),
+            resets_at: resetsAt.toISOString()
+        };
+    }));
+};
+
+/**
+ * Attach to each quota of a plan the subject it is counted against
+ * @param {Array<Object>} quotas - Plan quotas
+ * @param {Object} subjects - Subject per scope ({ member, organization })
+ * @returns {Array<Object>} Quotas with their subject
+ */
+const withSubjects = (quotas = [], subjects) => quotas.map(quota => ({
+    ...quota,
+    subject: subjects[quota.scope] || subjects.member
+}));
+
+/**
+ * Get a user's plan and quotas, each with the subject it is counted against
+ * Organization members get the organization's plan: member-scoped quotas are
+ * counted for the user and organization-scoped ones for the organization.
+ * @param {Object} user - User data (req.user)
+ * @returns {Promise<{plan: Object, quotas: Array<Object>}>} Quota account
+ */
+const getQuotaAccount = async (user) => {
+    const userSubject = `user:${user.uid}`;
+
+    if (user.organizationId) {
+        try {
+            const organization = await getStorage().organizations.get(user.organizationId);
+            if (organization) {
+                const plan = getPlan(organization.plan);
+                return {
+                    plan,
+                    quotas: withSubjects(plan.quotas, { member: userSubject, organization: `org:${user.organizationId}` })
+                };
+            }
+        } catch (error) {
+            // Count against the user instead of failing the request
+            console.error('Organization quota lookup error:', error);
+        }
+    }
+
+    const plan = getPlan(user.plan);
+    return {
+        plan,
+        quotas: withSubjects(plan.quotas, { member: userSubject, organization: userSubject })
+    };
+};
+
+module.exports = {
+    getQuotaPeriod,
+    getQuotaAccount,
+    consumeRequestQuota,
+    recordTokenUsage,
+    getQuotaUsage
+};
@@ -0,0 +1,209 @@
+/**
+ * Request Signing Service
+ * HMAC-SHA256 signed requests for server-to-server clients. Unlike a bearer
+ * API key, a signed request can't be replayed if it leaks into a log.
+ *
+ *   Authorization: APL-HMAC-SHA256 keyId=<key prefix>, timestamp=<unix seconds>, nonce=<random>, signature=<hex>
+ *
+ * The signature is an HMAC of METHOD\nPATH\nTIMESTAMP\nNONCE\nSHA256(body),
+ * where PATH includes the query string. The server accepts a timestamp within
+ * REQUEST_SIGNING_MAX_SKEW_SECONDS of its clock and each nonce once.
+ *
+ * A key's signing secret is derived from REQUEST_SIGNING_SECRET and the key's
+ * salt, so it is never stored; it is shown once, next to the key.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config/env');
+const { getStore } = require('../stores');
+const { ApiError } = require('../middleware/errorHandler');
+
+const SIGNATURE_SCHEME = 'APL-HMAC-SHA256';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Check whether signed requests are enabled
+ * @returns {boolean} Whether REQUEST_SIGNING_SECRET is set
+ */
+const isSigningEnabled = () => Boolean(config.requestSigning.secret);
+
+/**
+ * Derive the signing secret of an API key
+ * @param {string} prefix - Key prefix (the key ID clients sign with)
+ * @param {string} salt - Key salt
+ * @returns {string|null} Base64url signing secret, or null if signing is disabled
+ */
+const deriveSigningSecret = (prefix, salt) => {
+    if (!isSigningEnabled() || !prefix || !salt) {
+        return null;
+    }
+
+    return crypto.createHmac('sha256', config.requestSigning.secret)
+        .update(`${prefix}:${salt}`)
+        .digest('base64url');
+};
+
+/**
+ * Build the canonical string a request signature covers
+ * @param {Object} request - Request parts
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path with query string
+ * @param {number|string} request.timestamp - Unix time in seconds
+ * @param {string} request.nonce - Client-chosen nonce
+ * @param {Buffer|string} request.body - Raw request body (empty if none)
+ * @returns {string} String to sign
+ */
+const buildStringToSign = ({ method, path, timestamp, nonce, body }) => {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), path, String(timestamp), nonce, bodyHash].join('\n');
+};
+
+/**
+ * Sign a request (what clients do; used by tests and scripts)
+ * @param {string} signingSecret - Key's signing secret
+ * @param {Object} request - Request parts (see buildStringToSign)
+ * @returns {string} Hex signature
+ */
+const signRequest = (signingSecret, request) => {
+    return crypto.createHmac('sha256', signingSecret).update(buildStringToSign(request)).digest('hex');
+};
+
+/**
+ * Build the Authorization header for a signed request
+ * @param {string} keyId - Key prefix
+ * @param {string} signingSecret - Key's signing secret
+ * @param {Object} request - Request parts ({ method, path, body }); timestamp and nonce are generated if missing
+ * @returns {string} Authorization header value
+ */
+const buildAuthorizationHeader = (keyId, signingSecret, request) => {
+    const timestamp = request.timestamp ?? Math.floor(Date.now() / 1000);
+    const nonce = request.nonce || crypto.randomBytes(16).toString('base64url');
+    const signature = signRequest(signingSecret, { ...request, timestamp, nonce });
+
+    return `${SIGNATURE_SCHEME} keyId=${keyId}, timestamp=${timestamp}, nonce=${nonce}, signature=${signature}`;
+};
+
+/**
+ * Check whether an Authorization header uses the signature scheme
+ * @param {string} authHeader - Authorization header
+ * @returns {boolean} Whether the request is signed
+ */
+const isSignedAuthorization = (authHeader) => typeof authHeader === 'string' && authHeader.startsWith(`${SIGNATURE_SCHEME} `);
+
+/**
+ * Parse a signed Authorization header
+ * @param {string} authHeader - Authorization header
+ * @returns {{keyId: string, timestamp: number, nonce: string, signature: string}} Signature parameters
+ * @throws {ApiError} If a parameter is missing or malformed
+ */
+const parseSignatureHeader = (authHeader) => {
+    const params = {};
+    for (const part of authHeader.substring(SIGNATURE_SCHEME.length + 1).split(',')) {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            params[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+        }
+    }
+
+    const { keyId, nonce, signature } = params;
+    const timestamp = Number(params.timestamp);
+
+    if (!keyId || !Number.isInteger(timestamp) || !NONCE_PATTERN.test(nonce || '') || !SIGNATURE_PATTERN.test(signature || '')) {
+        throw new ApiError(
+            `Malformed signature. Use: Authorization: ${SIGNATURE_SCHEME} keyId=..., timestamp=..., nonce=..., signature=...`,
+            401,
+            'INVALID_SIGNATURE_FORMAT'
+        );
+    }
+
+    return { keyId, timestamp, nonce, signature };
+};
+
+/**
+ * Reject timestamps outside the allowed clock skew
+ * @param {number} timestamp - Unix time in seconds
+ * @throws {ApiError} If the timestamp is too old or too far in the future
+ */
+const assertFreshTimestamp = (timestamp) => {
+    const skewSeconds = Math.abs(Date.now() / 1000 - timestamp);
+
+    if (skewSeconds > config.requestSigning.maxSkewSeconds) {
+        throw new ApiError('Request timestamp is outside the allowed clock skew', 401, 'SIGNATURE_EXPIRED', {
+            max_skew_seconds: config.requestSigning.maxSkewSeconds
+        });
+    }
+};
+
+/**
+ * Compare a signature to the expected one in constant time
+ * @param {string} signingSecret - Key's signing secret
+ * @param {Object} request - Request parts (see buildStringToSign)
+ * @param {string} signature - Hex signature sent by the client
+ * @returns {boolean} Whether the signature matches
+ */
+const verifySignature = (signingSecret, request, signature) => {
+    const expected = Buffer.from(signRequest(signingSecret, request), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Record a nonce, failing if the key already used it
+ * Nonces are kept for twice the clock skew, so a replay is either a seen nonce or a stale timestamp.
+ * @param {string} keyId - Key prefix
+ * @param {string} nonce - Client-chosen nonce
+ * @throws {ApiError} If the nonce was already used
+ */
+const claimNonce = async (keyId, nonce) => {
+    const ttlMs = config.requestSigning.maxSkewSeconds * 2 * 1000;
+    const { value } = await getStore().increment(`nonce:${keyId}:${nonce}`, 1, ttlMs);
+
+    if (value > 1) {
+        throw new ApiError('Nonce already used', 401, 'REPLAYED_REQUEST');
+    }
+};
+
+/**
+ * Verify a signed request against its key
+ * Checks the clock skew and the signature before claiming the nonce, so
+ * forged requests can't burn a client's nonces. The body is signed as the raw
+ * bytes kept by the body parsers (req.rawBody).
+ * @param {Object} req - Express request object (with rawBody)
+ * @param {Object} signature - Parsed signature parameters
+ * @param {string} signingSecret - Signing secret of the key named in the signature
+ * @throws {ApiError} If the request is stale, forged or replayed
+ */
+const verifySignedRequest = async (req, { keyId, timestamp, nonce, signature }, signingSecret) => {
+    assertFreshTimestamp(timestamp);
+
+    // A body parsed without its raw bytes would reach the route unsigned
+    if (!req.rawBody && req.body && Object.keys(req.body).length > 0) {
+        throw new ApiError('Signed requests must send a JSON or form body', 415, 'UNSIGNED_BODY');
+    }
+
+    const request = {
+        method: req.method,
+        path: req.originalUrl,
+        timestamp,
+        nonce,
+        body: req.rawBody
+    };
+    if (!signingSecret || !verifySignature(signingSecret, request, signature)) {
+        throw new ApiError('Invalid request signature', 401, 'INVALID_SIGNATURE');
+    }
+
+    await claimNonce(keyId, nonce);
+};
+
+module.exports = {
+    SIGNATURE_SCHEME,
+    isSigningEnabled,
+    deriveSigningSecret,
+    buildStringToSign,
+    signRequest,
+    buildAuthorizationHeader,
+    isSignedAuthorization,
+    parseSignatureHeader,
+    verifySignedRequest
+};
@@ -3,28 +3,109 @@
  * Handle user-related operations and credit management
  */
 
-const { getDatabase, admin } = require('../config/database');
+const { getStorage, serverTimestamp } = require('../repositories');
+const { config } = require('../config/env');
 const { ApiError } = require('../middleware/errorHandler');
+const { roundCredits } = require('./billingService');
+const { addLedgerEntry, openUserLedger } = require('./ledgerService');
+const { loadMemberPool, assertMemberCanSpend, getMemberSpendableCredits } = require('./organizationService');
 
 /**
- * Deduct credits from user account
+ * Generate a unique request ID
+ * @returns {string} Request ID
+ */
+const generateRequestId = () => `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Charge an organization's pool for a member's request inside a transaction
+ * Updates the pool, the member's spend and the ledger; the caller updates the user.
+ * @param {Object} tx - Transactional repositories
+ * @param {Object} pool - Pool from loadMemberPool
+ * @param {Object} charge - Charge details
+ * @param {string} charge.userId - Member who made the request
+ * @param {number} charge.amount - Credits to charge
+ * @param {number} charge.heldAmount - Credits the request was holding (0 without a hold)
+ * @param {string} charge.requestId - Related request ID
+ * @param {string} charge.actor - Who caused the charge
+ * @returns {number} Pool balance after the charge
+ */
+const chargeOrganizationPool = (tx, pool, charge) => {
+    const { orgData, memberData } = pool;
+    const newCredits = roundCredits((orgData.credits || 0) - charge.amount);
+
+    tx.organizations.update(pool.orgId, {
+        credits: newCredits,
+        reservedCredits: roundCredits(Math.max((orgData.reservedCredits || 0) - charge.heldAmount, 0)),
+        creditsUsed: roundCredits((orgData.creditsUsed || 0) + charge.amount),
+        totalRequests: (orgData.totalRequests || 0) + 1
+    });
+
+    // The member may have been removed while the request was running
+    if (memberData) {
+        tx.organizations.updateMember(pool.orgId, pool.userId, {
+            creditsUsed: roundCredits((memberData.creditsUsed || 0) + charge.amount),
+            reservedCredits: roundCredits(Math.max((memberData.reservedCredits || 0) - charge.heldAmount, 0)),
+            totalRequests: (memberData.totalRequests || 0) + 1,
+            lastUsed: serverTimestamp()
+        });
+    }
+
+    if (charge.amount > 0) {
+        addLedgerEntry(tx, {
+            organizationId: pool.orgId,
+            memberId: charge.userId,
+            type: 'usage',
+            amount: -charge.amount,
+            balanceAfter: newCredits,
+            actor: charge.actor || `user:${charge.userId}`,
+            requestId: charge.requestId
+        });
+    }
+
+    return newCredits;
+};
+
+/**
+ * Deduct credits from user account, or from the organization pool for organization members
  * @param {string} userId - User ID
  * @param {number} creditsToDeduct - Number of credits to deduct
+ * @param {Object} details - Ledger details (requestId, actor)
  * @returns {Promise<Object>} Updated user data
  */
-const deductCredits = async (userId, creditsToDeduct = 0) => {
+const deductCredits = async (userId, creditsToDeduct = 0, details = {}) => {
     try {
-        const db = getDatabase();
-        const userRef = db.collection('users').doc(userId);
-        
-        const result = await db.runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
+        const result = await getStorage().runTransaction(async (tx) => {
+            const userData = await tx.users.get(userId);
             
-            if (!userDoc.exists) {
+            if (!userData) {
                 throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
             }
             
-            const userData = userDoc.data();
+            const newTotalRequests = (userData.totalRequests || 0) + 1;
+
+            if (userData.organizationId) {
+                const pool = await loadMemberPool(tx, userData.organizationId, userId);
+                assertMemberCanSpend(pool, creditsToDeduct);
+
+                const poolCredits = chargeOrganizationPool(tx, pool, {
+                    userId,
+                    amount: creditsToDeduct,
+                    heldAmount: 0,
+                    requestId: details.requestId,
+                    actor: details.actor
+                });
+                tx.users.update(userId, {
+                    totalRequests: newTotalRequests,
+                    lastUsed: serverTimestamp()
+                });
+
+                return {
+                    ...userData,
+                    credits: poolCredits,
+                    totalRequests: newTotalRequests
+                };
+            }
+
             const currentCredits = userData.credits || 0;
             
             if (currentCredits < creditsToDeduct) {
@@ -32,13 +113,25 @@ const deductCredits = async (userId, creditsToDeduct = 0) => {
             }
             
             const newCredits = currentCredits - creditsToDeduct;
-            const newTotalRequests = (userData.totalRequests || 0) + 1;
+            const ledgerFields = await openUserLedger(tx, userId, userData);
             
-            transaction.update(userRef, {
+            tx.users.update(userId, {
                 credits: newCredits,
                 totalRequests: newTotalRequests,
-                lastUsed: admin.firestore.FieldValue.serverTimestamp()
+                lastUsed: serverTimestamp(),
+                ...ledgerFields
             });
+
+            if (creditsToDeduct > 0) {
+                addLedgerEntry(tx, {
+                    userId,
+                    type: 'usage',
+                    amount: -creditsToDeduct,
+                    balanceAfter: newCredits,
+                    actor: details.actor || `user:${userId}`,
+                    requestId: details.requestId
+                });
+            }
             
             return {
                 ...userData,
@@ -58,6 +151,302 @@ const deductCredits = async (userId, creditsToDeduct = 0) => {
     }
 };
 
+/**
+ * Get the credits a user can still spend (balance minus active holds)
+ * @param {Object} userData - User document data
+ * @returns {number} Available credits
+ */
+const getAvailableCredits = (userData) => {
+    return (userData.credits || 0) - (userData.reservedCredits || 0);
+};
+
+/**
+ * Release a user's holds that outlived their TTL (e.g. the server died mid-request)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of holds released
+ */
+const releaseExpiredHolds = async (userId) => {
+    try {
+        const expiredHolds = await getStorage().holds.findExpired(userId, new Date());
+
+        for (const hold of expiredHolds) {
+            await releaseCredits(hold.id, 'expired');
+        }
+
+        return expiredHolds.length;
+    } catch (error) {
+        console.error('Expired hold cleanup error:', error);
+        // Don't block new requests on cleanup failures
+        return 0;
+    }
+};
+
+/**
+ * Reserve credits for a request before calling the AI model
+ * The hold counts against the user's available credits until it is captured
+ * or released, so concurrent requests can't spend the same credits twice.
+ * Organization members hold credits in the organization's pool instead.
+ * @param {string} userId - User ID
+ * @param {number} amount - Credits to hold (the request's estimated maximum cost)
+ * @param {Object} options - Optional hold settings (ttlMs, model, requestId)
+ * @returns {Promise<{holdId: string, amount: number, expiresAt: Date, availableCredits: number}>} Hold details
+ */
+const reserveCredits = async (userId, amount, options = {}) => {
+    await releaseExpiredHolds(userId);
+
+    try {
+        const expiresAt = new Date(Date.now() + (options.ttlMs || config.billing.holdTtlMs));
+
+        const result = await getStorage().runTransaction(async (tx) => {
+            const userData = await tx.users.get(userId);
+
+            if (!userData) {
+                throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+            }
+
+            const hold = {
+                userId,
+                organizationId: userData.organizationId || null,
+                amount,
+                status: 'held',
+                model: options.model || null,
+                requestId: options.requestId || null,
+                createdAt: serverTimestamp(),
+                expiresAt
+            };
+
+            if (userData.organizationId) {
+                const pool = await loadMemberPool(tx, userData.organizationId, userId);
+                assertMemberCanSpend(pool, amount);
+
+                const holdId = tx.holds.create(hold);
+                tx.organizations.update(pool.orgId, {
+                    reservedCredits: roundCredits((pool.orgData.reservedCredits || 0) + amount)
+                });
+                tx.organizations.updateMember(pool.orgId, userId, {
+                    reservedCredits: roundCredits((pool.memberData.reservedCredits || 0) + amount)
+                });
+
+                return {
+                    holdId,
+                    amount,
+                    expiresAt,
+                    availableCredits: roundCredits(getMemberSpendableCredits(pool.orgData, pool.memberData) - amount)
+                };
+            }
+
+            const availableCredits = getAvailableCredits(userData);
+
+            if (availableCredits < amount) {
+                throw new ApiError('Insufficient credits for this request', 403, 'INSUFFICIENT_CREDITS', {
+                    credits_available: roundCredits(Math.max(availableCredits, 0)),
+                    credits_required: amount
+                });
+            }
+
+            const holdId = tx.holds.create(hold);
+            tx.users.update(userId, {
+                reservedCredits: roundCredits((userData.reservedCredits || 0) + amount)
+            });
+
+            return {
+                holdId,
+                amount,
+                expiresAt,
+                availableCredits: roundCredits(availableCredits - amount)
+            };
+        });
+
+        console.log(`🔒 Credits held: ${amount} (${result.availableCredits} available)`);
+        return result;
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        console.error('Credit hold error:', error);
+        throw new ApiError('Failed to reserve credits', 500, 'CREDIT_HOLD_ERROR');
+    }
+};
+
+/**
+ * Capture a hold, charging the request's actual cost and freeing the rest
+ * A hold that already expired is charged against the available balance instead.
+ * @param {string} holdId - Hold ID from reserveCredits
+ * @param {number} actualAmount - Actual credits to charge
+ * @param {Object} details - Ledger details (requestId, actor)
+ * @returns {Promise<Object>} Updated user data (credits is the pool balance for organization holds)
+ */
+const captureCredits = async (holdId, actualAmount = 0, details = {}) => {
+    try {
+        const result = await getStorage().runTransaction(async (tx) => {
+            const hold = await tx.holds.get(holdId);
+
+            if (!hold) {
+                throw new ApiError('Credit hold not found', 404, 'HOLD_NOT_FOUND');
+            }
+
+            if (hold.status === 'captured') {
+                throw new ApiError('Credit hold was already captured', 409, 'HOLD_ALREADY_CAPTURED');
+            }
+
+            const userData = await tx.users.get(hold.userId);
+
+            if (!userData) {
+                throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
+            }
+
+            const isHeld = hold.status === 'held';
+            const newTotalRequests = (userData.totalRequests || 0) + 1;
+
+            // Settle organization holds against the pool they were taken from
+            if (hold.organizationId) {
+                const pool = await loadMemberPool(tx, hold.organizationId, hold.userId);
+
+                if (!pool.orgData) {
+                    throw new ApiError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+                }
+
+                const heldAmount = isHeld ? hold.amount : 0;
+                const poolReserved = Math.max((pool.orgData.reservedCredits || 0) - heldAmount, 0);
+                const charged = roundCredits(Math.min(actualAmount, Math.max((pool.orgData.credits || 0) - poolReserved, 0)));
+                if (charged < actualAmount) {
+                    console.warn(`⚠️ Hold ${holdId} undercharged: ${charged} of ${actualAmount} credits`);
+                }
+
+                const poolCredits = chargeOrganizationPool(tx, pool, {
+                    userId: hold.userId,
+                    amount: charged,
+                    heldAmount,
+                    requestId: details.requestId,
+                    actor: details.actor
+                });
+                tx.users.update(hold.userId, {
+                    totalRequests: newTotalRequests,
+                    lastUsed: serverTimestamp()
+                });
+                tx.holds.update(holdId, {
+                    status: 'captured',
+                    capturedAmount: charged,
+                    capturedAt: serverTimestamp()
+                });
+
+                return {
+                    ...userData,
+                    credits: poolCredits,
+                    totalRequests: newTotalRequests
+                };
+            }
+
+            const reservedCredits = Math.max((userData.reservedCredits || 0) - (isHeld ? hold.amount : 0), 0);
+
+            // Never take credits other requests are holding, or go below zero
+            const spendableCredits = Math.max((userData.credits || 0) - reservedCredits, 0);
+            const charged = roundCredits(Math.min(actualAmount, spendableCredits));
+            if (charged < actualAmount) {
+                console.warn(`⚠️ Hold ${holdId} undercharged: ${charged} of ${actualAmount} credits`);
+            }
+
+            const newCredits = roundCredits((userData.credits || 0) - charged);
+            const ledgerFields = await openUserLedger(tx, hold.userId, userData);
+
+            tx.users.update(hold.userId, {
+                credits: newCredits,
+                reservedCredits: roundCredits(reservedCredits),
+                totalRequests: newTotalRequests,
+                lastUsed: serverTimestamp(),
+                ...ledgerFields
+            });
+            tx.holds.update(holdId, {
+                status: 'captured',
+                capturedAmount: charged,
+                capturedAt: serverTimestamp()
+            });
+
+            if (charged > 0) {
+                addLedgerEntry(tx, {
+                    userId: hold.userId,
+                    type: 'usage',
+                    amount: -charged,
+                    balanceAfter: newCredits,
+                    actor: details.actor || `user:${hold.userId}`,
+                    requestId: details.requestId
+                });
+            }
+
+            return {
+                ...userData,
+                credits: newCredits,
+                reservedCredits: roundCredits(reservedCredits),
+                totalRequests: newTotalRequests
+            };
+        });
+
+        console.log(`💳 Credits captured: ${actualAmount} (${result.credits} remaining)`);
+        return result;
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        console.error('Credit capture error:', error);
+        throw new ApiError('Failed to process credit deduction', 500, 'CREDIT_DEDUCTION_ERROR');
+    }
+};
+
+/**
+ * Release a hold without charging anything (the AI call failed or timed out)
+ * Releasing a hold that is no longer active is a no-op.
+ * @param {string} holdId - Hold ID from reserveCredits
+ * @param {string} reason - Why the hold was released
+ * @returns {Promise<boolean>} Whether the hold was released
+ */
+const releaseCredits = async (holdId, reason = 'released') => {
+    try {
+        const released = await getStorage().runTransaction(async (tx) => {
+            const hold = await tx.holds.get(holdId);
+
+            if (!hold || hold.status !== 'held') {
+                return false;
+            }
+
+            if (hold.organizationId) {
+                const pool = await loadMemberPool(tx, hold.organizationId, hold.userId);
+                if (pool.orgData) {
+                    const reservedCredits = Math.max((pool.orgData.reservedCredits || 0) - hold.amount, 0);
+                    tx.organizations.update(pool.orgId, { reservedCredits: roundCredits(reservedCredits) });
+                }
+                if (pool.memberData) {
+                    const reservedCredits = Math.max((pool.memberData.reservedCredits || 0) - hold.amount, 0);
+                    tx.organizations.updateMember(pool.orgId, hold.userId, { reservedCredits: roundCredits(reservedCredits) });
+                }
+            } else {
+                const user = await tx.users.get(hold.userId);
+
+                if (user) {
+                    const reservedCredits = Math.max((user.reservedCredits || 0) - hold.amount, 0);
+                    tx.users.update(hold.userId, { reservedCredits: roundCredits(reservedCredits) });
+                }
+            }
+
+            tx.holds.update(holdId, {
+                status: reason === 'expired' ? 'expired' : 'released',
+                releaseReason: reason,
+                releasedAt: serverTimestamp()
+            });
+
+            return true;
+        });
+
+        if (released) {
+            console.log(`🔓 Credit hold released: ${holdId} (${reason})`);
+        }
+        return released;
+    } catch (error) {
+        console.error('Credit release error:', error);
+        // Don't throw: the hold expires on its own if it can't be released now
+        return false;
+    }
+};
+
 /**
  * Get user statistics
  * @param {string} userId - User ID
@@ -65,23 +454,21 @@ const deductCredits = async (userId, creditsToDeduct = 0) => {
  */
 const getUserStats = async (userId) => {
     try {
-        const db = getDatabase();
-        const userDoc = await db.collection('users').doc(userId).get();
+        const userData = await getStorage().users.get(userId);
         
-        if (!userDoc.exists) {
+        if (!userData) {
             throw new ApiError('User not found', 404, 'USER_NOT_FOUND');
         }
         
-        const userData = userDoc.data();
-        
         return {
             credits_remaining: parseFloat((userData.credits || 0).toFixed(3)),
+            credits_reserved: parseFloat((userData.reservedCredits || 0).toFixed(3)),
             total_requests: userData.totalRequests || 0,
             email: userData.email,
-            api_key: userData.apiKey,
             created_at: userData.createdAt,
             last_used: userData.lastUsed,
-            status: userData.status || 'active'
+            status: userData.status || 'active',
+            organization_id: userData.organizationId || null
         };
     } catch (error) {
         if (error instanceof ApiError) {
@@ -100,10 +487,8 @@ const getUserStats = async (userId) => {
  */
 const logUserRequest = async (userId, requestData) => {
     try {
-        const db = getDatabase();
-        
-        // Generate unique request ID
-        const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // Use the ID the caller charged the request under, if any
+        const requestId = requestData.requestId || generateRequestId();
         
         const requestLogData = {
             userId: userId,
@@ -111,14 +496,23 @@ const logUserRequest = async (userId, requestData) => {
             message: requestData.message?.substring(0, 500), // First 500 chars
             responseLength: requestData.responseLength || 0,
             responseTime: requestData.responseTime || 0,
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            timestamp: serverTimestamp(),
             creditsUsed: requestData.creditsUsed || 0,
+            promptTokens: requestData.usage?.promptTokens || 0,
+            candidatesTokens: requestData.usage?.candidatesTokens || 0,
+            totalTokens: requestData.usage?.totalTokens || 0,
+            tokensEstimated: requestData.usage?.estimated || false,
+            inputCredits: requestData.cost?.inputCredits || 0,
+            outputCredits: requestData.cost?.outputCredits || 0,
             model: requestData.model || 'gemini-2.0-flash',
             ip: requestData.ip,
-            userAgent: requestData.userAgent
+            userAgent: requestData.userAgent,
+            conversationId: requestData.conversationId || null,
+            streamed: requestData.streamed || false,
+            aborted: requestData.aborted || false
         };
         
-        await db.collection('requests').add(requestLogData);
+        await getStorage().requests.add(requestLogData);
         
         console.log(`📊 Request logged: ${requestId}`);
         return requestId;
@@ -137,8 +531,7 @@ const logUserRequest = async (userId, requestData) => {
  */
 const updateUserProfile = async (userId, updateData) => {
     try {
-        const db = getDatabase();
-        const userRef = db.collection('users').doc(userId);
+        const { users } = getStorage();
         
         // Validate update data
         const allowedFields = ['email', 'displayName', 'preferences', 'settings'];
@@ -154,13 +547,13 @@ const updateUserProfile = async (userId, updateData) => {
             throw new ApiError('No valid fields to update', 400, 'NO_VALID_FIELDS');
         }
         
-        sanitizedData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        sanitizedData.updatedAt = serverTimestamp();
         
-        await userRef.update(sanitizedData);
+        await users.update(userId, sanitizedData);
         
         // Return updated user data
-        const updatedDoc = await userRef.get();
-        return updatedDoc.data();
+        const { id, ...updatedUser } = await users.get(userId);
+        return updatedUser;
     } catch (error) {
         if (error instanceof ApiError) {
             throw error;
@@ -170,6 +563,66 @@ const updateUserProfile = async (userId, updateData) => {
     }
 };
 
+/**
+ * Create a user document, recording any starting credits as a ledger grant
+ * @param {string} userId - User ID (the Firebase Auth uid)
+ * @param {Object} userData - New user fields
+ * @param {string} userData.email - Email address
+ * @param {string} userData.displayName - Optional display name
+ * @param {string} userData.plan - Optional plan ID
+ * @param {boolean} userData.isAdmin - Whether the user is an admin
+ * @param {number} userData.credits - Starting credits
+ * @param {string} userData.actor - Who created the user (for the ledger)
+ * @returns {Promise<Object>} Created user data
+ */
+const createUser = async (userId, userData = {}) => {
+    try {
+        const credits = roundCredits(userData.credits || 0);
+
+        const newUser = {
+            email: userData.email ? userData.email.toLowerCase() : null,
+            displayName: userData.displayName || null,
+            credits,
+            reservedCredits: 0,
+            totalRequests: 0,
+            status: 'active',
+            isAdmin: Boolean(userData.isAdmin),
+            ledgerOpened: true,
+            createdAt: serverTimestamp()
+        };
+        if (userData.plan) {
+            newUser.plan = userData.plan;
+        }
+
+        await getStorage().runTransaction(async (tx) => {
+            if (await tx.users.get(userId)) {
+                throw new ApiError('User already exists', 409, 'USER_EXISTS');
+            }
+
+            tx.users.create(userId, newUser);
+            if (credits > 0) {
+                addLedgerEntry(tx, {
+                    userId,
+                    type: 'grant',
+                    amount: credits,
+                    balanceAfter: credits,
+                    actor: userData.actor || 'system',
+                    description: 'Starting credits'
+                });
+            }
+        });
+
+        console.log(`👤 User created: ${userId} (${credits} credits)`);
+        return { uid: userId, ...newUser };
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        console.error('Create user error:', error);
+        throw new ApiError('Failed to create user', 500, 'CREATE_USER_ERROR');
+    }
+};
+
 /**
  * Check if user exists
  * @param {string} userId - User ID
@@ -177,15 +630,23 @@ const updateUserProfile = async (userId, updateData) => {
  */
 const userExists = async (userId) => {
     try {
-        const db = getDatabase();
-        const userDoc = await db.collection('users').doc(userId).get();
-        return userDoc.exists;
+        return Boolean(await getStorage().users.get(userId));
     } catch (error) {
         console.error('User exists check error:', error);
         return false;
     }
 };
 
+/**
+ * Get the status of an account
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} active or suspended, or null if the user doesn't exist
+ */
+const getAccountStatus = async (userId) => {
+    const userData = await getStorage().users.get(userId);
+    return userData ? userData.status || 'active' : null;
+};
+
 /**
  * Get user request history
  * @param {string} userId - User ID
@@ -194,20 +655,7 @@ const userExists = async (userId) => {
  */
 const getUserRequestHistory = async (userId, limit = 10) => {
     try {
-        const db = getDatabase();
-        
-        const requestsSnapshot = await db.collection('requests')
-            .where('userId', '==', userId)
-            .orderBy('timestamp', 'desc')
-            .limit(limit)
-            .get();
-        
-        const requests = requestsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
-        
-        return requests;
+        return await getStorage().requests.list({ userId, limit });
     } catch (error) {
         console.error('Get request history error:', error);
         throw new ApiError('Failed to retrieve request history', 500, 'REQUEST_HISTORY_ERROR');
@@ -215,10 +663,18 @@ const getUserRequestHistory = async (userId, limit = 10) => {
 };
 
 module.exports = {
+    generateRequestId,
     deductCredits,
+    getAvailableCredits,
+    reserveCredits,
+    captureCredits,
+    releaseCredits,
+    releaseExpiredHolds,
     getUserStats,
     logUserRequest,
     updateUserProfile,
+    createUser,
     userExists,
+    getAccountStatus,
     getUserRequestHistory
 };
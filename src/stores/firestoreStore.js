@@ -0,0 +1,210 @@
+/**
+ * Firestore Counter Store
+ * Counters and token buckets shared by every instance through Firestore.
+ *
+ * Counters are sharded: each increment goes to one of N shard documents, so a
+ * busy counter isn't limited by Firestore's per-document write rate. A counter
+ * document records the current window (start and expiry); shards are tagged
+ * with their window, so starting a new window doesn't have to clear old shards.
+ * Set a TTL policy on `expiresAt` for the `counters`, `shards` and
+ * `token_buckets` collection groups to garbage-collect old documents.
+ */
+
+const { getDatabase, admin } = require('../config/database');
+
+const DEFAULT_SHARD_COUNT = 10;
+
+/**
+ * Turn a store key into a valid Firestore document ID
+ * @param {string} key - Store key
+ * @returns {string} Document ID
+ */
+const toDocumentId = (key) => encodeURIComponent(key);
+
+/**
+ * Create a Firestore-backed store
+ * @param {Object} options - Store options
+ * @param {number} options.shardCount - Shards per counter
+ * @param {string} options.collection - Collection prefix (e.g. for tests)
+ * @returns {Object} Store implementing the counter store interface
+ */
+const createFirestoreStore = (options = {}) => {
+    const shardCount = options.shardCount || parseInt(process.env.COUNTER_SHARD_COUNT) || DEFAULT_SHARD_COUNT;
+    const prefix = options.collection || '';
+    const countersCollection = () => getDatabase().collection(`${prefix}counters`);
+    const bucketsCollection = () => getDatabase().collection(`${prefix}token_buckets`);
+
+    /**
+     * Get the counter's current window, starting a new one if it is missing or expired
+     * @param {Object} counterRef - Counter document reference
+     * @param {number} ttlMs - Lifetime of a new window
+     * @returns {Promise<{windowStart: number, expiresAt: number}>} Current window
+     */
+    const getOrStartWindow = (counterRef, ttlMs) => {
+        return getDatabase().runTransaction(async (transaction) => {
+            const counterDoc = await transaction.get(counterRef);
+            const now = Date.now();
+
+            if (counterDoc.exists && counterDoc.data().expiresAt.toMillis() > now) {
+                const { windowStart, expiresAt } = counterDoc.data();
+                return { windowStart, expiresAt: expiresAt.toMillis() };
+            }
+
+            const window = { windowStart: now, expiresAt: now + ttlMs };
+            transaction.set(counterRef, {
+                windowStart: window.windowStart,
+                expiresAt: new Date(window.expiresAt)
+            });
+            return window;
+        });
+    };
+
+    /**
+     * Sum the shards of a counter window
+     * @param {Object} counterRef - Counter document reference
+     * @param {number} windowStart - Window start
+     * @returns {Promise<number>} Counter value
+     */
+    const sumShards = async (counterRef, windowStart) => {
+        const shards = await counterRef.collection('shards')
+            .where('windowStart', '==', windowStart)
+            .get();
+        return shards.docs.reduce((sum, doc) => sum + (doc.data().value || 0), 0);
+    };
+
+    /**
+     * Add to a counter, starting a new window if it is missing or expired
+     * @param {string} key - Counter key
+     * @param {number} amount - Amount to add
+     * @param {number} ttlMs - Lifetime of a new window
+     * @returns {Promise<{value: number, expiresAt: number}>} Counter after the increment
+     */
+    const increment = async (key, amount, ttlMs) => {
+        const counterRef = countersCollection().doc(toDocumentId(key));
+        const { windowStart, expiresAt } = await getOrStartWindow(counterRef, ttlMs);
+
+        const shardId = `${windowStart}_${Math.floor(Math.random() * shardCount)}`;
+        await counterRef.collection('shards').doc(shardId).set({
+            windowStart,
+            value: admin.firestore.FieldValue.increment(amount),
+            expiresAt: new Date(expiresAt)
+        }, { merge: true });
+
+        return { value: await sumShards(counterRef, windowStart), expiresAt };
+    };
+
+    /**
+     * Read a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<{value: number, expiresAt: number}|null>} Counter, or null if missing or expired
+     */
+    const get = async (key) => {
+        const counterRef = countersCollection().doc(toDocumentId(key));
+        const counterDoc = await counterRef.get();
+
+        if (!counterDoc.exists || counterDoc.data().expiresAt.toMillis() <= Date.now()) {
+            return null;
+        }
+
+        const { windowStart, expiresAt } = counterDoc.data();
+        return { value: await sumShards(counterRef, windowStart), expiresAt: expiresAt.toMillis() };
+    };
+
+    /**
+     * Take tokens from a bucket if enough are available
+     * Buckets are single documents updated in a transaction, so one key
+     * sustains roughly one write per second before transactions start retrying.
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - Bucket spec ({ capacity, refillPerMs })
+     * @param {number} cost - Tokens to take
+     * @returns {Promise<Object>} { allowed, remaining, resetMs, retryAfterMs }
+     */
+    const consume = (key, bucket, cost = 1) => {
+        const bucketRef = bucketsCollection().doc(toDocumentId(key));
+
+        return getDatabase().runTransaction(async (transaction) => {
+            const bucketDoc = await transaction.get(bucketRef);
+            const now = Date.now();
+
+            const tokens = bucketDoc.exists
+                ? Math.min(bucket.capacity, bucketDoc.data().tokens + (now - bucketDoc.data().updatedAt) * bucket.refillPerMs)
+                : bucket.capacity;
+            const allowed = tokens >= cost;
+            const remaining = allowed ? tokens - cost : tokens;
+            const resetMs = Math.ceil((bucket.capacity - remaining) / bucket.refillPerMs);
+
+            transaction.set(bucketRef, {
+                tokens: remaining,
+                updatedAt: now,
+                expiresAt: new Date(now + resetMs)
+            });
+
+            return {
+                allowed,
+                remaining: Math.floor(remaining),
+                resetMs,
+                retryAfterMs: allowed ? 0 : Math.ceil((cost - remaining) / bucket.refillPerMs)
+            };
+        });
+    };
+
+    /**
+     * Give back tokens taken from a bucket
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - Bucket spec ({ capacity, refillPerMs })
+     * @param {number} amount - Tokens to give back
+     */
+    const refund = (key, bucket, amount = 1) => {
+        const bucketRef = bucketsCollection().doc(toDocumentId(key));
+
+        return getDatabase().runTransaction(async (transaction) => {
+            const bucketDoc = await transaction.get(bucketRef);
+            if (!bucketDoc.exists) {
+                return; // A missing bucket is already full
+            }
+
+            const now = Date.now();
+            const tokens = Math.min(
+                bucket.capacity,
+                bucketDoc.data().tokens + (now - bucketDoc.data().updatedAt) * bucket.refillPerMs + amount
+            );
+
+            transaction.set(bucketRef, {
+                tokens,
+                updatedAt: now,
+                expiresAt: new Date(now + Math.ceil((bucket.capacity - tokens) / bucket.refillPerMs))
+            });
+        });
+    };
+
+    /**
+     * Delete a counter and bucket
+     * @param {string} key - Store key
+     */
+    const reset = async (key) => {
+        const counterRef = countersCollection().doc(toDocumentId(key));
+        const shards = await counterRef.collection('shards').get();
+        const refs = [...shards.docs.map(doc => doc.ref), counterRef, bucketsCollection().doc(toDocumentId(key))];
+
+        // Batches are capped at 500 writes
+        for (let i = 0; i < refs.length; i += 400) {
+            const batch = getDatabase().batch();
+            refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+            await batch.commit();
+        }
+    };
+
+    return {
+        name: 'firestore',
+        increment,
+        get,
+        consume,
+        refund,
+        reset,
+        close: async () => {}
+    };
+};
+
+module.exports = {
+    createFirestoreStore
+};
@@ -0,0 +1,73 @@
+/**
+ * Counter Store Registry
+ * Shared storage for rate-limit and quota counters, selected with
+ * RATE_LIMIT_STORE. Every store implements:
+ *   increment(key, amount, ttlMs) -> Promise<{ value, expiresAt }>
+ *       Atomically adds amount to the counter. If the counter is missing or
+ *       expired, a new window starts at amount and expires ttlMs from now;
+ *       otherwise the expiry is left unchanged. Concurrent increments must
+ *       never be lost. expiresAt is in epoch ms.
+ *   get(key)                      -> Promise<{ value, expiresAt } | null>
+ *       Reads a counter; null if missing or expired.
+ *   consume(key, bucket, cost)    -> Promise<{ allowed, remaining, resetMs, retryAfterMs }>
+ *       Token bucket: bucket is { capacity, refillPerMs }. Takes cost tokens
+ *       if available; a rejected call takes nothing.
+ *   refund(key, bucket, amount)   -> Promise<void>
+ *       Gives back tokens taken by consume, never filling past capacity.
+ *   reset(key)                    -> Promise<void>
+ *       Deletes the counter and bucket stored under key.
+ *   close()                       -> Promise<void>
+ * tests/unit/counterStore.test.js checks every store against this contract.
+ */
+
+const { config } = require('../config/env');
+const { createMemoryStore } = require('./memoryStore');
+const { createFirestoreStore } = require('./firestoreStore');
+
+const STORE_METHODS = ['increment', 'get', 'consume', 'refund', 'reset', 'close'];
+
+const storeFactories = new Map();
+const storeInstances = new Map();
+
+/**
+ * Register a store backend
+ * @param {string} name - Store name
+ * @param {Function} factory - Creates the store
+ */
+const registerStore = (name, factory) => {
+    storeFactories.set(name, factory);
+};
+
+/**
+ * Get the shared instance of a store
+ * @param {string} name - Store name (defaults to the configured store)
+ * @returns {Object} Store
+ */
+const getStore = (name = config.rateLimit.store) => {
+    if (storeInstances.has(name)) {
+        return storeInstances.get(name);
+    }
+
+    const factory = storeFactories.get(name);
+    if (!factory) {
+        throw new Error(`Unknown counter store "${name}"`);
+    }
+
+    const store = factory();
+    const missingMethods = STORE_METHODS.filter(method => typeof store[method] !== 'function');
+    if (missingMethods.length > 0) {
+        throw new Error(`Invalid counter store "${name}": missing ${missingMethods.join(', ')}`);
+    }
+
+    storeInstances.set(name, store);
+    return store;
+};
+
+registerStore('memory', createMemoryStore);
+registerStore('firestore', createFirestoreStore);
+
+module.exports = {
+    registerStore,
+    getStore,
+    STORE_METHODS
+};
@@ -0,0 +1,141 @@
+/**
+ * In-memory Counter Store
+ * Counters and token buckets kept in process memory. Fast and dependency-free,
+ * but each instance counts on its own, so limits are per replica.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Refill a bucket up to now
+ * @param {Object} state - Stored bucket state ({ tokens, updatedAt })
+ * @param {Object} bucket - Bucket spec ({ capacity, refillPerMs })
+ * @param {number} now - Current time in ms
+ * @returns {number} Tokens available now
+ */
+const refillTokens = (state, bucket, now) => {
+    if (!state) {
+        return bucket.capacity;
+    }
+    return Math.min(bucket.capacity, state.tokens + (now - state.updatedAt) * bucket.refillPerMs);
+};
+
+/**
+ * Create an in-memory store
+ * @returns {Object} Store implementing the counter store interface
+ */
+const createMemoryStore = () => {
+    const buckets = new Map();
+    const counters = new Map();
+
+    // Forget expired counters and buckets that have refilled completely; they hold no information
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, state] of buckets) {
+            if (refillTokens(state, state.bucket, now) >= state.bucket.capacity) {
+                buckets.delete(key);
+            }
+        }
+        for (const [key, counter] of counters) {
+            if (counter.expiresAt <= now) {
+                counters.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    /**
+     * Get a counter that hasn't expired
+     * @param {string} key - Counter key
+     * @param {number} now - Current time in ms
+     * @returns {Object|undefined} Counter ({ value, expiresAt })
+     */
+    const getLiveCounter = (key, now) => {
+        const counter = counters.get(key);
+        return counter && counter.expiresAt > now ? counter : undefined;
+    };
+
+    /**
+     * Add to a counter, starting a new window if it is missing or expired
+     * @param {string} key - Counter key
+     * @param {number} amount - Amount to add
+     * @param {number} ttlMs - Lifetime of a new window
+     * @returns {Promise<{value: number, expiresAt: number}>} Counter after the increment
+     */
+    const increment = async (key, amount, ttlMs) => {
+        const now = Date.now();
+        const counter = getLiveCounter(key, now) || { value: 0, expiresAt: now + ttlMs };
+
+        counter.value += amount;
+        counters.set(key, counter);
+
+        return { value: counter.value, expiresAt: counter.expiresAt };
+    };
+
+    /**
+     * Read a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<{value: number, expiresAt: number}|null>} Counter, or null if missing or expired
+     */
+    const get = async (key) => {
+        const counter = getLiveCounter(key, Date.now());
+        return counter ? { value: counter.value, expiresAt: counter.expiresAt } : null;
+    };
+
+    /**
+     * Take tokens from a bucket if enough are available
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - Bucket spec ({ capacity, refillPerMs })
+     * @param {number} cost - Tokens to take
+     * @returns {Promise<Object>} { allowed, remaining, resetMs, retryAfterMs }
+     */
+    const consume = async (key, bucket, cost = 1) => {
+        const now = Date.now();
+        const tokens = refillTokens(buckets.get(key), bucket, now);
+        const allowed = tokens >= cost;
+        const remaining = allowed ? tokens - cost : tokens;
+
+        buckets.set(key, { tokens: remaining, updatedAt: now, bucket });
+
+        return {
+            allowed,
+            remaining: Math.floor(remaining),
+            resetMs: Math.ceil((bucket.capacity - remaining) / bucket.refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((cost - remaining) / bucket.refillPerMs)
+        };
+    };
+
+    /**
+     * Give back tokens taken from a bucket
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - Bucket spec ({ capacity, refillPerMs })
+     * @param {number} amount - Tokens to give back
+     */
+    const refund = async (key, bucket, amount = 1) => {
+        const now = Date.now();
+        const tokens = Math.min(bucket.capacity, refillTokens(buckets.get(key), bucket, now) + amount);
+
+        buckets.set(key, { tokens, updatedAt: now, bucket });
+    };
+
+    return {
+        name: 'memory',
+        increment,
+        get,
+        consume,
+        refund,
+        reset: async (key) => {
+            buckets.delete(key);
+            counters.delete(key);
+        },
+        close: async () => {
+            clearInterval(sweepTimer);
+            buckets.clear();
+            counters.clear();
+        }
+    };
+};
+
+module.exports = {
+    createMemoryStore
+};
@@ -0,0 +1,182 @@
+/**
+ * Concurrency Limiter
+ * Bounds how many calls run at once. Calls over the limit wait in per-key
+ * queues that are served round-robin, so one busy key can't starve the others.
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Create a concurrency limiter
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name (for logs and health)
+ * @param {number} options.maxConcurrent - Calls allowed to run at once
+ * @param {number} options.maxQueueSize - Calls allowed to wait, across all keys
+ * @param {number} options.maxQueuedPerKey - Calls allowed to wait for one key
+ * @param {number} options.maxQueueWaitMs - How long a call may wait for a slot
+ * @param {string} options.errorMessage - Message of the error thrown on overflow
+ * @param {string} options.errorCode - Code of the error thrown on overflow
+ * @returns {Object} Limiter ({ run, getStats })
+ */
+const createConcurrencyLimiter = (options) => {
+    const {
+        name,
+        maxConcurrent,
+        maxQueueSize,
+        maxQueuedPerKey,
+        maxQueueWaitMs,
+        errorMessage = `${name} is busy`,
+        errorCode = 'BUSY'
+    } = options;
+
+    let active = 0;
+    let queued = 0;
+    // Key -> waiting calls, oldest first; Map order is the round-robin order
+    const queues = new Map();
+
+    /**
+     * Build the error thrown when a call can't get a slot
+     * @param {string} reason - queue_full, key_queue_full or queue_timeout
+     * @returns {ApiError} 503 with Retry-After
+     */
+    const createBusyError = (reason) => {
+        const retryAfterSeconds = Math.max(1, Math.ceil(maxQueueWaitMs / 1000));
+        const error = new ApiError(errorMessage, 503, errorCode, { reason, retry_after_seconds: retryAfterSeconds });
+        error.retryAfter = retryAfterSeconds;
+        return error;
+    };
+
+    /**
+     * Take a waiting call out of its queue
+     * @param {Object} waiter - Queued call
+     * @returns {boolean} Whether it was still queued
+     */
+    const removeWaiter = (waiter) => {
+        const queue = queues.get(waiter.key);
+        const index = queue ? queue.indexOf(waiter) : -1;
+        if (index === -1) {
+            return false;
+        }
+
+        queue.splice(index, 1);
+        queued -= 1;
+        if (queue.length === 0) {
+            queues.delete(waiter.key);
+        }
+        return true;
+    };
+
+    /**
+     * Start waiting calls while slots are free, one key at a time
+     */
+    const dispatch = () => {
+        while (active < maxConcurrent && queues.size > 0) {
+            const [key, queue] = queues.entries().next().value;
+            const waiter = queue.shift();
+            queued -= 1;
+
+            // Move the key to the back so every other key goes first next time
+            queues.delete(key);
+            if (queue.length > 0) {
+                queues.set(key, queue);
+            }
+
+            waiter.start();
+        }
+    };
+
+    /**
+     * Wait for a free slot
+     * @param {string} key - Fairness key (e.g. user ID)
+     * @param {AbortSignal} signal - Gives up the place in the queue when aborted
+     * @returns {Promise<void>} Resolves once the slot is taken
+     */
+    const acquire = (key, signal) => new Promise((resolve, reject) => {
+        if (active < maxConcurrent && queued === 0) {
+            active += 1;
+            resolve();
+            return;
+        }
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const queue = queues.get(key) || [];
+        if (queued >= maxQueueSize) {
+            reject(createBusyError('queue_full'));
+            return;
+        }
+        if (queue.length >= maxQueuedPerKey) {
+            reject(createBusyError('key_queue_full'));
+            return;
+        }
+
+        const waiter = { key };
+        const cleanup = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            if (removeWaiter(waiter)) {
+                cleanup();
+                reject(signal.reason);
+            }
+        };
+        const timer = setTimeout(() => {
+            if (removeWaiter(waiter)) {
+                cleanup();
+                console.warn(`⏳ ${name}: call for ${key} waited ${maxQueueWaitMs}ms without a slot`);
+                reject(createBusyError('queue_timeout'));
+            }
+        }, maxQueueWaitMs);
+
+        waiter.start = () => {
+            cleanup();
+            active += 1;
+            resolve();
+        };
+
+        queue.push(waiter);
+        queues.set(key, queue);
+        queued += 1;
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return {
+        /**
+         * Run a call once a slot is free
+         * @param {string} key - Fairness key (e.g. user ID)
+         * @param {Function} fn - Call to run
+         * @param {Object} runOptions - Run options (runOptions.signal leaves the queue when aborted)
+         * @returns {Promise<any>} Result of fn
+         * @throws {ApiError} 503 when the queue is full or the wait runs out
+         */
+        run: async (key, fn, runOptions = {}) => {
+            await acquire(key, runOptions.signal);
+            try {
+                return await fn();
+            } finally {
+                active -= 1;
+                dispatch();
+            }
+        },
+
+        /**
+         * Describe the limiter for health checks
+         * @returns {Object} Limiter usage
+         */
+        getStats: () => ({
+            name,
+            active,
+            queued,
+            queued_keys: queues.size,
+            max_concurrent: maxConcurrent,
+            max_queue_size: maxQueueSize
+        })
+    };
+};
+
+module.exports = {
+    createConcurrencyLimiter
+};
@@ -0,0 +1,288 @@
+/**
+ * Resilience Utilities
+ * Retries with jittered exponential backoff (honoring Retry-After) and a
+ * circuit breaker for calls to upstream services
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+
+// Upstream answers worth trying again
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// Network errors worth trying again (timeouts are not: the caller already waited the full timeout)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Check whether a failed call should be retried
+ * @param {Object} error - Axios error
+ * @returns {boolean} Whether the failure looks transient
+ */
+const isRetryableError = (error) => {
+    const status = error.response?.status;
+    if (status) {
+        return RETRYABLE_STATUS_CODES.includes(status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Check whether a failed call means the upstream service is unhealthy
+ * @param {Object} error - Axios error
+ * @returns {boolean} Whether the failure counts towards opening the circuit
+ */
+const isUpstreamFailure = (error) => isRetryableError(error) || error.code === 'ECONNABORTED';
+
+/**
+ * Read how long the upstream asked us to wait
+ * Uses the Retry-After header (seconds or HTTP date), or a google.rpc.RetryInfo
+ * detail ({ retryDelay: "7s" }) in the error body.
+ * @param {Object} error - Axios error
+ * @returns {number|null} Wait in ms, or null if the upstream didn't say
+ */
+const getRetryAfterMs = (error) => {
+    const header = error.response?.headers?.['retry-after'];
+    if (header !== undefined) {
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    const details = error.response?.data?.error?.details;
+    const retryInfo = Array.isArray(details) ? details.find(detail => typeof detail?.retryDelay === 'string') : null;
+    if (retryInfo) {
+        const seconds = parseFloat(retryInfo.retryDelay);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Get the backoff before a retry
+ * Exponential with "equal jitter": half the step is fixed, half is random, so
+ * clients that failed together don't retry together.
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in ms
+ */
+const getBackoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+    const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(step / 2 + Math.random() * (step / 2));
+};
+
+/**
+ * Wait, returning early if the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve) => {
+    if (signal?.aborted) {
+        resolve();
+        return;
+    }
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Call a function, retrying transient failures
+ * @param {Function} fn - Called with the attempt number (1-based)
+ * @param {Object} options - Retry options
+ * @param {number} options.maxAttempts - Attempts in total (1 disables retries)
+ * @param {number} options.baseDelayMs - Backoff before the first retry (before jitter)
+ * @param {number} options.maxDelayMs - Longest backoff
+ * @param {number} options.maxRetryAfterMs - Longest Retry-After to wait for; longer ones fail straight away
+ * @param {AbortSignal} options.signal - Stops retrying when aborted
+ * @param {Function} options.isRetryable - Decides which errors are retried (default isRetryableError)
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before each retry
+ * @returns {Promise<any>} Result of fn
+ */
+const withRetry = async (fn, options) => {
+    const { maxAttempts, maxRetryAfterMs, signal, isRetryable = isRetryableError, onRetry } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= maxAttempts || signal?.aborted || !isRetryable(error)) {
+                throw error;
+            }
+
+            const retryAfterMs = getRetryAfterMs(error);
+            if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {
+                throw error;
+            }
+
+            const delayMs = retryAfterMs !== null ? retryAfterMs : getBackoffDelay(attempt, options);
+            if (onRetry) {
+                onRetry(error, attempt, delayMs);
+            }
+
+            await sleep(delayMs, signal);
+            if (signal?.aborted) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Create a circuit breaker
+ * After failureThreshold upstream failures in a row the circuit opens and calls
+ * fail fast. Once resetTimeoutMs has passed one trial call is let through
+ * (half open): success closes the circuit, failure opens it again.
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Upstream name (for logs and health)
+ * @param {number} options.failureThreshold - Failures in a row that open the circuit
+ * @param {number} options.resetTimeoutMs - How long the circuit stays open before a trial call
+ * @param {Function} options.isFailure - Decides which errors count (default isUpstreamFailure)
+ * @param {string} options.errorMessage - Message of the error thrown while open
+ * @param {string} options.errorCode - Code of the error thrown while open
+ * @returns {Object} Circuit breaker ({ execute, getState, reset })
+ */
+const createCircuitBreaker = (options) => {
+    const {
+        name,
+        failureThreshold,
+        resetTimeoutMs,
+        isFailure = isUpstreamFailure,
+        errorMessage = `${name} is temporarily unavailable`,
+        errorCode = 'SERVICE_UNAVAILABLE'
+    } = options;
+
+    let state = CIRCUIT_STATES.CLOSED;
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+    let lastFailure = null;
+
+    /**
+     * Build the error thrown while the circuit is open
+     * @returns {ApiError} 503 with Retry-After
+     */
+    const createOpenError = () => {
+        const retryAfterSeconds = Math.max(1, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000));
+        const error = new ApiError(errorMessage, 503, errorCode, { circuit: name, retry_after_seconds: retryAfterSeconds });
+        error.retryAfter = retryAfterSeconds;
+        return error;
+    };
+
+    const close = () => {
+        if (state !== CIRCUIT_STATES.CLOSED) {
+            console.log(`🔌 Circuit ${name} closed`);
+        }
+        state = CIRCUIT_STATES.CLOSED;
+        consecutiveFailures = 0;
+        openedAt = null;
+        trialInFlight = false;
+    };
+
+    const open = () => {
+        state = CIRCUIT_STATES.OPEN;
+        openedAt = Date.now();
+        trialInFlight = false;
+        console.warn(`🔌 Circuit ${name} opened after ${consecutiveFailures} failures; failing fast for ${resetTimeoutMs}ms`);
+    };
+
+    return {
+        /**
+         * Run a call through the breaker
+         * @param {Function} fn - Upstream call
+         * @returns {Promise<any>} Result of fn
+         * @throws {ApiError} 503 while the circuit is open
+         */
+        execute: async (fn) => {
+            if (state === CIRCUIT_STATES.OPEN) {
+                if (Date.now() - openedAt < resetTimeoutMs) {
+                    throw createOpenError();
+                }
+                state = CIRCUIT_STATES.HALF_OPEN;
+                console.log(`🔌 Circuit ${name} half open: trying one call`);
+            }
+
+            const isTrial = state === CIRCUIT_STATES.HALF_OPEN;
+            if (isTrial) {
+                if (trialInFlight) {
+                    throw createOpenError();
+                }
+                trialInFlight = true;
+            }
+
+            try {
+                const result = await fn();
+                close();
+                return result;
+            } catch (error) {
+                if (isFailure(error)) {
+                    consecutiveFailures += 1;
+                    lastFailure = { message: error.message, at: new Date().toISOString() };
+                    if (isTrial || consecutiveFailures >= failureThreshold) {
+                        open();
+                    }
+                } else if (error.response) {
+                    // The upstream answered (e.g. a 400), so it is up
+                    close();
+                } else if (isTrial) {
+                    // Cancelled before we learned anything: let another call try
+                    trialInFlight = false;
+                }
+                throw error;
+            }
+        },
+
+        /**
+         * Describe the breaker for health checks
+         * @returns {Object} Breaker state
+         */
+        getState: () => ({
+            name,
+            state,
+            consecutive_failures: consecutiveFailures,
+            failure_threshold: failureThreshold,
+            opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+            retry_at: openedAt ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+            last_failure: lastFailure
+        }),
+
+        /**
+         * Close the circuit and forget past failures
+         */
+        reset: () => {
+            close();
+            lastFailure = null;
+        }
+    };
+};
+
+module.exports = {
+    withRetry,
+    createCircuitBreaker,
+    isRetryableError,
+    isUpstreamFailure,
+    getRetryAfterMs,
+    getBackoffDelay,
+    CIRCUIT_STATES,
+    RETRYABLE_STATUS_CODES
+};
@@ -3,6 +3,7 @@
  * Common validation functions for request data
  */
 
+const net = require('net');
 const { ValidationError } = require('../middleware/errorHandler');
 
 /**
@@ -103,6 +104,91 @@ const validateApiKey = (apiKey) => {
     return trimmedKey;
 };
 
+/**
+ * Validate an IP allowlist entry: a CIDR block or a single address
+ * @param {any} cidr - CIDR to validate (e.g. "203.0.113.0/24", "2001:db8::/32", "198.51.100.7")
+ * @returns {string} Validated CIDR (single addresses get /32 or /128)
+ * @throws {ValidationError} If validation fails
+ */
+const validateCidr = (cidr) => {
+    if (typeof cidr !== 'string') {
+        throw new ValidationError('IP allowlist entries must be strings');
+    }
+
+    const [address, prefixLength, ...rest] = cidr.trim().split('/');
+    const version = net.isIP(address);
+    const maxPrefixLength = version === 6 ? 128 : 32;
+
+    if (!version || rest.length > 0 || (prefixLength !== undefined && !/^\d{1,3}$/.test(prefixLength))) {
+        throw new ValidationError(`Invalid CIDR: ${cidr}`);
+    }
+
+    const bits = prefixLength === undefined ? maxPrefixLength : Number(prefixLength);
+    if (bits > maxPrefixLength) {
+        throw new ValidationError(`Invalid CIDR: ${cidr} (prefix length must be at most ${maxPrefixLength})`);
+    }
+
+    return `${address}/${bits}`;
+};
+
+/**
+ * Validate a browser origin (scheme://host[:port], no path)
+ * @param {any} origin - Origin to validate
+ * @returns {string} Validated origin, as browsers send it
+ * @throws {ValidationError} If validation fails
+ */
+const validateOrigin = (origin) => {
+    if (typeof origin !== 'string') {
+        throw new ValidationError('Origins must be strings');
+    }
+
+    let url;
+    try {
+        url = new URL(origin.trim());
+    } catch (error) {
+        throw new ValidationError(`Invalid origin: ${origin}`);
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || url.pathname !== '/' || url.search || url.hash || url.username) {
+        throw new ValidationError(`Invalid origin: ${origin} (use scheme://host[:port])`);
+    }
+
+    return url.origin;
+};
+
+/**
+ * Validate conversation ID format
+ * @param {any} conversationId - Conversation ID to validate
+ * @returns {string} Validated conversation ID
+ * @throws {ValidationError} If validation fails
+ */
+const validateConversationId = (conversationId) => {
+    if (typeof conversationId !== 'string') {
+        throw new ValidationError('conversation_id must be a string');
+    }
+
+    const idRegex = /^[A-Za-z0-9_-]{1,128}$/;
+    if (!idRegex.test(conversationId)) {
+        throw new ValidationError('Invalid conversation_id format');
+    }
+
+    return conversationId;
+};
+
+/**
+ * Validate a pagination cursor (the ID of the last item of the previous page)
+ * @param {any} cursor - Cursor to validate
+ * @returns {string} Validated cursor
+ * @throws {ValidationError} If validation fails
+ */
+const validateCursor = (cursor) => {
+    if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(cursor)) {
+        throw new ValidationError('Invalid cursor format');
+    }
+
+    return cursor;
+};
+
 /**
  * Validate pagination parameters
  * @param {Object} params - Parameters to validate
@@ -233,6 +319,10 @@ module.exports = {
     validateMessage,
     validateEmail,
     validateApiKey,
+    validateCidr,
+    validateOrigin,
+    validateConversationId,
+    validateCursor,
     validatePagination,
     validateBodySize,
     sanitizeString,
@@ -1,13 +1,61 @@
 /**
  * Integration Tests for API Endpoints
  * Tests the full API functionality and integration between components
+ *
+ * Authenticated flows run when FIRESTORE_EMULATOR_HOST points at an emulator:
+ * the fixtures in tests/fixtures/seed.json are seeded into it first. Gemini
+ * calls go to the mock Gemini server, so no test reaches the real API.
  */
 
 const TestHelper = require('../utils/testHelper');
+const { loadFixtures } = require('../../scripts/seed');
 
 class APIIntegrationTests {
     constructor() {
         this.testHelper = new TestHelper();
+        this.fixtures = loadFixtures();
+    }
+
+    /**
+     * Seed the emulator with the fixtures the authenticated tests use
+     * @returns {Promise<boolean>} Whether authenticated flows can run
+     */
+    async seedEmulator() {
+        if (!process.env.FIRESTORE_EMULATOR_HOST) {
+            console.log('⚪ Skipping authenticated flows (set FIRESTORE_EMULATOR_HOST to seed the emulator)');
+            return false;
+        }
+
+        const { initializeDatabase } = require('../../src/config/database');
+        const { seedFixtures } = require('../../scripts/seed');
+        initializeDatabase();
+        await seedFixtures(this.fixtures);
+        return true;
+    }
+
+    /**
+     * Get a fixture user's API key by key name
+     * @param {string} uid - Fixture user ID
+     * @param {string} name - Key name
+     * @returns {string} Plaintext API key
+     */
+    fixtureKey(uid, name = 'Default') {
+        const user = this.fixtures.users.find(fixture => fixture.uid === uid);
+        return user.apiKeys.find(key => key.name === name).apiKey;
+    }
+
+    /**
+     * Make a request with a fixture API key
+     * @param {string} apiKey - Plaintext API key
+     * @param {string} path - Request path
+     * @param {string} method - HTTP method
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} Response object
+     */
+    authedRequest(apiKey, path, method = 'GET', body = null) {
+        return this.testHelper.makeRequest(path, method, body ? JSON.stringify(body) : null, 5000, {
+            Authorization: `Bearer ${apiKey}`
+        });
     }
 
     async runAll() {
@@ -16,6 +64,9 @@ class APIIntegrationTests {
         this.testHelper.setupGracefulExit();
         
         try {
+            const seeded = await this.seedEmulator();
+            this.mockGemini = await this.testHelper.startMockGemini();
+
             // Start server for testing
             await this.testHelper.startServer();
             await this.testHelper.wait(3000); // Allow full startup with all integrations
@@ -30,6 +81,21 @@ class APIIntegrationTests {
                 { name: 'Memory Monitoring Integration', fn: () => this.testMemoryMonitoringIntegration() },
                 { name: 'Logging Integration', fn: () => this.testLoggingIntegration() }
             ];
+
+            if (seeded) {
+                tests.push(
+                    { name: 'Stats With Seeded API Key', fn: () => this.testSeededStats() },
+                    { name: 'Usage Shows Seeded Request History', fn: () => this.testSeededRequestHistory() },
+                    { name: 'Key Management Requires Scope', fn: () => this.testKeyManagementScope() },
+                    { name: 'Organization Changes Require Their Own Scope', fn: () => this.testOrganizationScope() },
+                    { name: 'Unknown API Key Is Rejected', fn: () => this.testUnknownApiKey() },
+                    { name: 'Chat Without Credits Is Refused', fn: () => this.testChatWithoutCredits() },
+                    { name: 'Invalid Message Holds No Credits', fn: () => this.testChatInvalidMessage() },
+                    { name: 'Chat Answers From Mock Gemini', fn: () => this.testChatWithMockGemini() },
+                    { name: 'Upstream Rate Limit Releases Held Credits', fn: () => this.testChatUpstreamRateLimit() },
+                    { name: 'Admin Key Searches Users', fn: () => this.testAdminSearch() }
+                );
+            }
             
             const results = await this.testHelper.runTestSuite(tests);
             
@@ -249,6 +315,122 @@ class APIIntegrationTests {
             console.log('Request ID tracking detected');
         }
     }
+
+    async testSeededStats() {
+        const response = await this.authedRequest(this.fixtureKey('seed-alice'), '/api/stats');
+
+        this.testHelper.assert(response.statusCode === 200, `Expected 200, got ${response.statusCode}`);
+        this.testHelper.assert(response.data.email === 'alice@example.com', 'Stats should belong to the key owner');
+        this.testHelper.assert(response.data.auth_type === 'api_key', 'Stats should report API key auth');
+        this.testHelper.assert(response.data.api_key.name === 'Default', 'Stats should name the key used');
+    }
+
+    async testSeededRequestHistory() {
+        const response = await this.authedRequest(this.fixtureKey('seed-alice'), '/api/stats/usage?limit=50');
+        const seededMessages = this.fixtures.users.find(user => user.uid === 'seed-alice').requests.map(request => request.message);
+        const previews = response.data.usage.request_history.map(request => request.message_preview);
+
+        this.testHelper.assert(response.statusCode === 200, `Expected 200, got ${response.statusCode}`);
+        this.testHelper.assert(
+            seededMessages.every(message => previews.includes(message)),
+            'Usage should list the seeded requests'
+        );
+    }
+
+    async testKeyManagementScope() {
+        const allowed = await this.authedRequest(this.fixtureKey('seed-alice'), '/api/keys');
+        const denied = await this.authedRequest(this.fixtureKey('seed-alice', 'Dashboard (read only)'), '/api/keys');
+
+        this.testHelper.assert(allowed.statusCode === 200, `Expected 200 with keys:manage, got ${allowed.statusCode}`);
+        this.testHelper.assert(allowed.data.keys.length >= 2, 'Key list should include both seeded keys');
+        this.testHelper.assert(allowed.data.keys.every(key => key.key.endsWith('********')), 'Listed keys should be masked');
+        this.testHelper.assert(denied.statusCode === 403, `Expected 403 without keys:manage, got ${denied.statusCode}`);
+        this.testHelper.assert(denied.data.code === 'INSUFFICIENT_SCOPE', 'Denied request should name the missing scope');
+    }
+
+    async testOrganizationScope() {
+        const created = await this.authedRequest(this.fixtureKey('seed-alice'), '/api/keys', 'POST', {
+            name: 'Key manager',
+            scopes: ['keys:manage']
+        });
+        this.testHelper.assert(created.statusCode === 201, `Expected 201, got ${created.statusCode}`);
+
+        const denied = await this.authedRequest(created.data.key.api_key, '/api/orgs', 'POST', { name: 'Not Allowed' });
+
+        this.testHelper.assert(denied.statusCode === 403, `Expected 403 without orgs:manage, got ${denied.statusCode}`);
+        this.testHelper.assert(denied.data.required_scope === 'orgs:manage', 'Denied request should name orgs:manage');
+    }
+
+    async testUnknownApiKey() {
+        const seededKey = this.fixtureKey('seed-alice');
+        const wrongSecret = `${seededKey.slice(0, -4)}AAAA`;
+        const response = await this.authedRequest(wrongSecret, '/api/stats');
+
+        this.testHelper.assert(response.statusCode === 401, `Expected 401, got ${response.statusCode}`);
+        this.testHelper.assert(response.data.code === 'INVALID_API_KEY', `Expected INVALID_API_KEY, got ${response.data.code}`);
+    }
+
+    async testChatWithoutCredits() {
+        const response = await this.authedRequest(this.fixtureKey('seed-bob'), '/api/chat', 'POST', { message: 'Hello' });
+        const stats = await this.authedRequest(this.fixtureKey('seed-bob'), '/api/stats');
+
+        this.testHelper.assert(response.statusCode === 403, `Expected 403, got ${response.statusCode}`);
+        this.testHelper.assert(response.data.code === 'INSUFFICIENT_CREDITS', `Expected INSUFFICIENT_CREDITS, got ${response.data.code}`);
+        this.testHelper.assert(stats.statusCode === 200, `Non-billable routes should work without credits, got ${stats.statusCode}`);
+    }
+
+    async testChatInvalidMessage() {
+        const apiKey = this.fixtureKey('seed-alice');
+
+        for (const body of [{ message: 123 }, {}, { stream: true }]) {
+            const response = await this.authedRequest(apiKey, '/api/chat', 'POST', body);
+            this.testHelper.assert(response.statusCode === 400, `Expected 400 for ${JSON.stringify(body)}, got ${response.statusCode}`);
+            this.testHelper.assert(response.data.code === 'VALIDATION_ERROR', `Expected VALIDATION_ERROR, got ${response.data.code}`);
+        }
+
+        const stats = await this.authedRequest(apiKey, '/api/stats');
+        this.testHelper.assert(stats.data.credits_reserved === 0, 'Rejected messages should not hold credits');
+    }
+
+    async testChatWithMockGemini() {
+        this.mockGemini.enqueue({
+            text: 'Photosynthesis turns light into chemical energy.',
+            usageMetadata: { promptTokenCount: 400, candidatesTokenCount: 200, totalTokenCount: 600 }
+        });
+
+        const response = await this.authedRequest(this.fixtureKey('seed-alice'), '/api/chat', 'POST', { message: 'What is photosynthesis?' });
+
+        this.testHelper.assert(response.statusCode === 200, `Expected 200, got ${response.statusCode}`);
+        this.testHelper.assert(
+            response.data.response === 'Photosynthesis turns light into chemical energy.',
+            'Chat should return the scripted Gemini answer'
+        );
+        this.testHelper.assert(response.data.usage.total_tokens === 600, 'Chat should bill the reported usageMetadata');
+        this.testHelper.assert(response.data.credits_used > 0, 'Chat should charge credits');
+    }
+
+    async testChatUpstreamRateLimit() {
+        const apiKey = this.fixtureKey('seed-alice');
+        // Longer than GEMINI_RETRY_MAX_WAIT_MS, so the server gives up instead of retrying
+        this.mockGemini.enqueue({ fault: 429, retryAfterSeconds: 60 });
+
+        const response = await this.authedRequest(apiKey, '/api/chat', 'POST', { message: 'Hello again' });
+        const stats = await this.authedRequest(apiKey, '/api/stats');
+
+        this.testHelper.assert(response.statusCode === 429, `Expected 429, got ${response.statusCode}`);
+        this.testHelper.assert(response.headers['retry-after'] === '60', 'The upstream Retry-After should be passed on');
+        this.testHelper.assert(stats.data.credits_reserved === 0, 'Credits held for the failed request should be released');
+    }
+
+    async testAdminSearch() {
+        const adminKey = this.fixtureKey('seed-admin', 'Operator');
+        const search = await this.authedRequest(adminKey, '/api/admin/users?email=alice@');
+        const denied = await this.authedRequest(this.fixtureKey('seed-alice'), '/api/admin/users');
+
+        this.testHelper.assert(search.statusCode === 200, `Expected 200, got ${search.statusCode}`);
+        this.testHelper.assert(search.data.users.some(user => user.id === 'seed-alice'), 'Search should find the seeded user');
+        this.testHelper.assert(denied.statusCode === 403, `Non-admin key should get 403, got ${denied.statusCode}`);
+    }
 }
 
 // Run tests if this file is executed directly
@@ -4,10 +4,33 @@
  */
 
 const HealthTests = require('./unit/health.test');
+const CounterStoreTests = require('./unit/counterStore.test');
+const StorageTests = require('./unit/storage.test');
+const RequestSigningTests = require('./unit/requestSigning.test');
+const GeminiClientTests = require('./unit/geminiClient.test');
+const ResilienceTests = require('./unit/resilience.test');
+const ConcurrencyLimiterTests = require('./unit/concurrencyLimiter.test');
+const ApiKeyTests = require('./unit/apiKeys.test');
+const BillingTests = require('./unit/billing.test');
+const OrganizationTests = require('./unit/organizations.test');
 const APIIntegrationTests = require('./integration/api.test');
 const StressTests = require('./load/stress.test');
 const E2ESystemTests = require('./e2e/full-system.test');
 
+// Unit suites, in the order they run
+const UNIT_TEST_SUITES = [
+    HealthTests,
+    CounterStoreTests,
+    StorageTests,
+    RequestSigningTests,
+    GeminiClientTests,
+    ResilienceTests,
+    ConcurrencyLimiterTests,
+    ApiKeyTests,
+    BillingTests,
+    OrganizationTests
+];
+
 class TestRunner {
     constructor() {
         this.results = {
@@ -47,8 +70,18 @@ class TestRunner {
                 testSuites.push({
                     name: 'Unit Tests',
                     runner: async () => {
-                        const healthTests = new HealthTests();
-                        return await healthTests.runAll();
+                        const suiteResults = [];
+                        for (const TestSuite of UNIT_TEST_SUITES) {
+                            suiteResults.push(await new TestSuite().runAll());
+                        }
+
+                        return {
+                            total: suiteResults.reduce((sum, results) => sum + results.total, 0),
+                            passed: suiteResults.reduce((sum, results) => sum + results.passed, 0),
+                            failed: suiteResults.reduce((sum, results) => sum + results.failed, 0),
+                            results: suiteResults.flatMap(results => results.results),
+                            success: suiteResults.every(results => results.success)
+                        };
                     }
                 });
             }
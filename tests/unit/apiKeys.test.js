@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for API Keys
+ * Key hashing, scope grants and rotation of apiKeyService, using the memory storage backend.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { config } = require('../../src/config/env');
+const { getStorage } = require('../../src/repositories');
+const {
+    createApiKey,
+    findApiKey,
+    rotateApiKey,
+    assertGrantableScopes,
+    hashApiKey,
+    verifyApiKeyHash
+} = require('../../src/services/apiKeyService');
+const { createUser } = require('../../src/services/userService');
+
+class ApiKeyTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.userIndex = 0;
+    }
+
+    async runAll() {
+        console.log('🔑 API Key Tests\n');
+
+        // Services read the backend from config, so point them at memory for this suite
+        const previousBackend = config.storage.backend;
+        config.storage.backend = 'memory';
+
+        const results = await this.testHelper.runTestSuite([
+            { name: 'Keys Are Stored As Salted Hashes', fn: () => this.testKeyHashing() },
+            { name: 'Keys Grant Only Scopes They Have', fn: () => this.testScopeGrants() },
+            { name: 'Only Admin Accounts Grant Admin', fn: () => this.testAdminGrant() },
+            { name: 'Rotation Keeps Name And Scopes', fn: () => this.testRotation() },
+            { name: 'Rotation Refuses Ungrantable Scopes', fn: () => this.testRotationScopeCheck() },
+            { name: 'Rotated Key Can Not Be Rotated Again', fn: () => this.testRotateTwice() }
+        ]);
+
+        config.storage.backend = previousBackend;
+
+        if (results.success) {
+            console.log('\n🎉 All API key tests passed!');
+        } else {
+            console.log('\n⚠️  Some API key tests failed');
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a user with a fresh ID
+     * @param {Object} userData - User fields
+     * @returns {Promise<string>} User ID
+     */
+    async createTestUser(userData = {}) {
+        this.userIndex += 1;
+        const userId = `api-key-test-${Date.now()}-${this.userIndex}`;
+        await createUser(userId, { email: `${userId}@example.com`, ...userData });
+        return userId;
+    }
+
+    /**
+     * Await a promise and return the error it rejects with
+     * @param {Promise} promise - Promise expected to reject
+     * @returns {Promise<Error>} Rejection error
+     */
+    async expectFailure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    }
+
+    async testKeyHashing() {
+        const userId = await this.createTestUser();
+        const key = await createApiKey(userId, { name: 'Hashed' });
+        const stored = await getStorage().apiKeys.get(userId, key.id);
+        const found = await findApiKey(key.apiKey);
+
+        this.testHelper.assert(!JSON.stringify(stored).includes(key.apiKey), 'The plaintext key should not be stored');
+        this.testHelper.assert(stored.hash === hashApiKey(key.apiKey, stored.salt), 'The stored hash should match the key');
+        this.testHelper.assert(!verifyApiKeyHash(`${key.apiKey}x`, stored.salt, stored.hash), 'A different key should not verify');
+        this.testHelper.assert(found && found.key.id === key.id, 'The key should be found by its plaintext');
+    }
+
+    async testScopeGrants() {
+        const grantor = { scopes: ['keys:manage', 'stats:read'], isAdmin: false };
+
+        assertGrantableScopes(['stats:read'], grantor);
+        const error = await this.expectFailure(Promise.resolve().then(() => assertGrantableScopes(['chat'], grantor)));
+
+        this.testHelper.assert(error.statusCode === 403, `Expected 403, got ${error.statusCode}`);
+        this.testHelper.assert(error.message.includes('chat'), 'The error should name the ungrantable scope');
+    }
+
+    async testAdminGrant() {
+        assertGrantableScopes(['admin'], { scopes: ['keys:manage'], isAdmin: true });
+        const error = await this.expectFailure(Promise.resolve().then(() => (
+            assertGrantableScopes(['admin'], { scopes: ['admin'], isAdmin: false })
+        )));
+
+        this.testHelper.assert(error.statusCode === 403, 'A non-admin account should not grant admin, whatever its key says');
+    }
+
+    async testRotation() {
+        const userId = await this.createTestUser();
+        const oldKey = await createApiKey(userId, { name: 'Server', scopes: ['chat', 'stats:read'] });
+
+        const newKey = await rotateApiKey(userId, oldKey.id, {
+            gracePeriodSeconds: 60,
+            grantor: { scopes: ['chat', 'stats:read', 'keys:manage'], isAdmin: false }
+        });
+        const stored = await getStorage().apiKeys.get(userId, oldKey.id);
+
+        this.testHelper.assert(newKey.name === 'Server', 'The new key should keep the name');
+        this.testHelper.assert(newKey.scopes.join(',') === 'chat,stats:read', `Unexpected scopes ${newKey.scopes}`);
+        this.testHelper.assert(stored.rotatedTo === newKey.id, 'The old key should point at its replacement');
+        this.testHelper.assert((await findApiKey(oldKey.apiKey)) !== null, 'The old key should work during the grace period');
+    }
+
+    async testRotationScopeCheck() {
+        const userId = await this.createTestUser({ isAdmin: true });
+        const chatKey = await createApiKey(userId, { name: 'Chat', scopes: ['chat'] });
+        const adminKey = await createApiKey(userId, { name: 'Admin', scopes: ['admin'] });
+        const keysOnly = { scopes: ['keys:manage'], isAdmin: false };
+
+        const chatError = await this.expectFailure(rotateApiKey(userId, chatKey.id, { grantor: keysOnly }));
+        const adminError = await this.expectFailure(rotateApiKey(userId, adminKey.id, { grantor: keysOnly }));
+        const keys = await getStorage().apiKeys.listForUser(userId);
+
+        this.testHelper.assert(chatError.statusCode === 403, `Rotating a chat key should need chat, got ${chatError.statusCode}`);
+        this.testHelper.assert(adminError.statusCode === 403, `Rotating an admin key should need an admin account, got ${adminError.statusCode}`);
+        this.testHelper.assert(keys.length === 2, `Refused rotations should not create keys, found ${keys.length}`);
+        this.testHelper.assert(keys.every(key => !key.rotatedTo), 'Refused rotations should not touch the old keys');
+    }
+
+    async testRotateTwice() {
+        const userId = await this.createTestUser();
+        const oldKey = await createApiKey(userId, { name: 'Twice' });
+        const grantor = { scopes: ['chat', 'stats:read'], isAdmin: false };
+
+        await rotateApiKey(userId, oldKey.id, { grantor });
+        const error = await this.expectFailure(rotateApiKey(userId, oldKey.id, { grantor }));
+
+        this.testHelper.assert(error.code === 'API_KEY_NOT_ROTATABLE', `Expected API_KEY_NOT_ROTATABLE, got ${error.code}`);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const apiKeyTests = new ApiKeyTests();
+
+    apiKeyTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 API key tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = ApiKeyTests;
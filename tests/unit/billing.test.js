@@ -0,0 +1,268 @@
+/**
+ * Unit Tests for Billing
+ * Token pricing of billingService and the credit holds of userService
+ * (reserve, capture, release and expiry), and the ledger opening balance of
+ * users created before the ledger, using the memory storage backend.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { config } = require('../../src/config/env');
+const { getStorage } = require('../../src/repositories');
+const { calculateCost, estimateMaxCost, estimateUsage } = require('../../src/services/billingService');
+const { applyCreditTransaction, reconcileUserBalance } = require('../../src/services/ledgerService');
+const {
+    createUser,
+    reserveCredits,
+    captureCredits,
+    releaseCredits,
+    releaseExpiredHolds
+} = require('../../src/services/userService');
+
+// Round prices keep the expected costs easy to check by hand
+const TEST_MODEL = {
+    id: 'test-model',
+    maxTokens: 1000,
+    pricing: {
+        inputCreditsPer1kTokens: 1,
+        outputCreditsPer1kTokens: 2
+    }
+};
+
+class BillingTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.userIndex = 0;
+    }
+
+    async runAll() {
+        console.log('💳 Billing Tests\n');
+
+        // Services read the backend from config, so point them at memory for this suite
+        const previousBackend = config.storage.backend;
+        config.storage.backend = 'memory';
+
+        const results = await this.testHelper.runTestSuite([
+            { name: 'Cost Follows Token Prices', fn: () => this.testCalculateCost() },
+            { name: 'Maximum Cost Covers A Full Answer', fn: () => this.testEstimateMaxCost() },
+            { name: 'Hold Reserves Available Credits', fn: () => this.testReserve() },
+            { name: 'Hold Over Available Credits Is Refused', fn: () => this.testReserveInsufficient() },
+            { name: 'Capture Charges The Actual Cost', fn: () => this.testCapture() },
+            { name: 'Capture Never Takes Held Credits', fn: () => this.testCaptureCap() },
+            { name: 'Hold Is Captured Only Once', fn: () => this.testCaptureTwice() },
+            { name: 'Release Frees The Hold Once', fn: () => this.testRelease() },
+            { name: 'Expired Holds Are Released', fn: () => this.testExpiry() },
+            { name: 'Legacy Balance Opens The Ledger', fn: () => this.testOpeningBalance() },
+            { name: 'Reconciling A Legacy User Opens The Ledger', fn: () => this.testReconcileOpensLedger() }
+        ]);
+
+        config.storage.backend = previousBackend;
+
+        if (results.success) {
+            console.log('\n🎉 All billing tests passed!');
+        } else {
+            console.log('\n⚠️  Some billing tests failed');
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a user with a fresh ID
+     * @param {number} credits - Starting credits
+     * @returns {Promise<string>} User ID
+     */
+    async createTestUser(credits) {
+        this.userIndex += 1;
+        const userId = `billing-test-${Date.now()}-${this.userIndex}`;
+        await createUser(userId, { email: `${userId}@example.com`, credits });
+        return userId;
+    }
+
+    /**
+     * Create a user document the way it was stored before the ledger existed
+     * @param {number} credits - Balance without any ledger entries
+     * @returns {Promise<string>} User ID
+     */
+    async createLegacyUser(credits) {
+        this.userIndex += 1;
+        const userId = `billing-legacy-${Date.now()}-${this.userIndex}`;
+        await getStorage().users.create(userId, { email: `${userId}@example.com`, credits, reservedCredits: 0, status: 'active' });
+        return userId;
+    }
+
+    /**
+     * Await a promise and return the error it rejects with
+     * @param {Promise} promise - Promise expected to reject
+     * @returns {Promise<Error>} Rejection error
+     */
+    async expectFailure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    }
+
+    async testCalculateCost() {
+        const cost = calculateCost(TEST_MODEL, { promptTokens: 500, candidatesTokens: 250, totalTokens: 750 });
+
+        this.testHelper.assert(cost.inputCredits === 0.5, `Expected 0.5 input credits, got ${cost.inputCredits}`);
+        this.testHelper.assert(cost.outputCredits === 0.5, `Expected 0.5 output credits, got ${cost.outputCredits}`);
+        this.testHelper.assert(cost.totalCredits === 1, `Expected 1 credit, got ${cost.totalCredits}`);
+    }
+
+    async testEstimateMaxCost() {
+        const history = [{ role: 'user', text: 'Earlier question' }, { role: 'model', text: 'Earlier answer' }];
+        const { promptTokens } = estimateUsage('Hello there', history);
+        const maxCost = estimateMaxCost(TEST_MODEL, 'Hello there', history);
+        const expected = calculateCost(TEST_MODEL, { promptTokens, candidatesTokens: TEST_MODEL.maxTokens }).totalCredits;
+
+        this.testHelper.assert(maxCost === expected, `Expected ${expected}, got ${maxCost}`);
+        this.testHelper.assert(maxCost > estimateMaxCost(TEST_MODEL, 'Hello there'), 'History should raise the estimate');
+    }
+
+    async testReserve() {
+        const userId = await this.createTestUser(10);
+
+        const hold = await reserveCredits(userId, 4, { model: TEST_MODEL.id, requestId: 'req_reserve' });
+        const user = await getStorage().users.get(userId);
+        const storedHold = await getStorage().holds.get(hold.holdId);
+
+        this.testHelper.assert(hold.availableCredits === 6, `Expected 6 available, got ${hold.availableCredits}`);
+        this.testHelper.assert(user.credits === 10, 'A hold should not change the balance');
+        this.testHelper.assert(user.reservedCredits === 4, `Expected 4 reserved, got ${user.reservedCredits}`);
+        this.testHelper.assert(storedHold.status === 'held' && storedHold.requestId === 'req_reserve', 'The hold should be stored');
+    }
+
+    async testReserveInsufficient() {
+        const userId = await this.createTestUser(10);
+
+        await reserveCredits(userId, 7);
+        const error = await this.expectFailure(reserveCredits(userId, 4));
+
+        this.testHelper.assert(error.code === 'INSUFFICIENT_CREDITS', `Expected INSUFFICIENT_CREDITS, got ${error.code}`);
+        this.testHelper.assert(error.details.credits_available === 3, `Expected 3 available, got ${error.details.credits_available}`);
+    }
+
+    async testCapture() {
+        const userId = await this.createTestUser(10);
+        const hold = await reserveCredits(userId, 4);
+
+        const updated = await captureCredits(hold.holdId, 1.5, { requestId: 'req_capture' });
+        const user = await getStorage().users.get(userId);
+        const entries = await getStorage().ledger.listForAccount({ userId }, { type: 'usage' });
+
+        this.testHelper.assert(updated.credits === 8.5, `Expected 8.5 credits, got ${updated.credits}`);
+        this.testHelper.assert(user.reservedCredits === 0, 'The unused part of the hold should be freed');
+        this.testHelper.assert(user.totalRequests === 1, 'The request should be counted');
+        this.testHelper.assert(entries.length === 1 && entries[0].amount === -1.5, 'The charge should be in the ledger');
+        this.testHelper.assert(entries[0].requestId === 'req_capture', 'The ledger entry should name the request');
+    }
+
+    async testCaptureCap() {
+        const userId = await this.createTestUser(10);
+        const hold = await reserveCredits(userId, 4);
+        const otherHold = await reserveCredits(userId, 5);
+
+        // Only 5 credits are not held by the other request
+        const updated = await captureCredits(hold.holdId, 6);
+        const storedHold = await getStorage().holds.get(hold.holdId);
+
+        this.testHelper.assert(updated.credits === 5, `Expected 5 credits, got ${updated.credits}`);
+        this.testHelper.assert(updated.reservedCredits === 5, 'The other hold should stay reserved');
+        this.testHelper.assert(storedHold.capturedAmount === 5, `Expected 5 captured, got ${storedHold.capturedAmount}`);
+
+        await captureCredits(otherHold.holdId, 5);
+        const user = await getStorage().users.get(userId);
+        this.testHelper.assert(user.credits === 0 && user.reservedCredits === 0, 'The other hold should still be payable');
+    }
+
+    async testCaptureTwice() {
+        const userId = await this.createTestUser(10);
+        const hold = await reserveCredits(userId, 4);
+
+        await captureCredits(hold.holdId, 2);
+        const error = await this.expectFailure(captureCredits(hold.holdId, 2));
+        const user = await getStorage().users.get(userId);
+
+        this.testHelper.assert(error.statusCode === 409 && error.code === 'HOLD_ALREADY_CAPTURED', `Expected 409, got ${error.code}`);
+        this.testHelper.assert(user.credits === 8, `The second capture should not charge, got ${user.credits}`);
+    }
+
+    async testRelease() {
+        const userId = await this.createTestUser(10);
+        const hold = await reserveCredits(userId, 4);
+
+        const released = await releaseCredits(hold.holdId, 'ai_error');
+        const releasedAgain = await releaseCredits(hold.holdId, 'ai_error');
+        const user = await getStorage().users.get(userId);
+        const storedHold = await getStorage().holds.get(hold.holdId);
+
+        this.testHelper.assert(released && !releasedAgain, 'Only the first release should count');
+        this.testHelper.assert(user.credits === 10 && user.reservedCredits === 0, 'A release should not charge');
+        this.testHelper.assert(storedHold.status === 'released' && storedHold.releaseReason === 'ai_error', 'The hold should record why');
+    }
+
+    async testExpiry() {
+        const userId = await this.createTestUser(10);
+        const hold = await reserveCredits(userId, 4, { ttlMs: 1 });
+        await this.testHelper.wait(10);
+
+        const releasedCount = await releaseExpiredHolds(userId);
+        const user = await getStorage().users.get(userId);
+        const storedHold = await getStorage().holds.get(hold.holdId);
+
+        this.testHelper.assert(releasedCount === 1, `Expected 1 expired hold, got ${releasedCount}`);
+        this.testHelper.assert(user.reservedCredits === 0, 'The expired hold should free its credits');
+        this.testHelper.assert(storedHold.status === 'expired', `Expected expired, got ${storedHold.status}`);
+
+        // A late capture of an expired hold is charged against the available balance
+        const updated = await captureCredits(hold.holdId, 2);
+        this.testHelper.assert(updated.credits === 8, `Expected 8 credits, got ${updated.credits}`);
+    }
+
+    async testOpeningBalance() {
+        const userId = await this.createLegacyUser(10);
+        const hold = await reserveCredits(userId, 4);
+
+        await captureCredits(hold.holdId, 3);
+        await applyCreditTransaction(userId, { type: 'grant', amount: 5 });
+        const openings = await getStorage().ledger.listForAccount({ userId }, { type: 'opening_balance' });
+        const reconciliation = await reconcileUserBalance(userId);
+
+        this.testHelper.assert(openings.length === 1, `Expected one opening entry, got ${openings.length}`);
+        this.testHelper.assert(openings[0].amount === 10, `Expected an opening balance of 10, got ${openings[0].amount}`);
+        this.testHelper.assert(reconciliation.consistent, `The ledger should start from the opening balance, drift ${reconciliation.drift}`);
+        this.testHelper.assert(reconciliation.ledgerBalance === 12, `Expected 12 credits, got ${reconciliation.ledgerBalance}`);
+    }
+
+    async testReconcileOpensLedger() {
+        const legacyId = await this.createLegacyUser(7);
+        const userId = await this.createTestUser(7);
+
+        const legacy = await reconcileUserBalance(legacyId);
+        const again = await reconcileUserBalance(legacyId);
+        const user = await reconcileUserBalance(userId);
+
+        this.testHelper.assert(legacy.consistent && legacy.openingBalance === 7, `Expected an opening balance of 7, got ${legacy.openingBalance}`);
+        this.testHelper.assert(again.entryCount === 1, 'The opening balance should only be written once');
+        this.testHelper.assert(user.consistent && user.openingBalance === 0, 'New users start their ledger with a grant');
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const billingTests = new BillingTests();
+
+    billingTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Billing tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = BillingTests;
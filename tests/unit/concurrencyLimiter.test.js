@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for the Concurrency Limiter
+ * Slot limits, round-robin fairness between keys, queue overflow and queue timeouts
+ * of src/utils/concurrencyLimiter.js.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { createConcurrencyLimiter } = require('../../src/utils/concurrencyLimiter');
+
+class ConcurrencyLimiterTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+    }
+
+    async runAll() {
+        console.log('🚦 Concurrency Limiter Tests\n');
+
+        const results = await this.testHelper.runTestSuite([
+            { name: 'Calls Over The Limit Wait', fn: () => this.testLimit() },
+            { name: 'Waiting Keys Take Turns', fn: () => this.testFairness() },
+            { name: 'Full Key Queue Is Rejected', fn: () => this.testKeyQueueFull() },
+            { name: 'Full Queue Is Rejected', fn: () => this.testQueueFull() },
+            { name: 'Queue Wait Times Out', fn: () => this.testQueueTimeout() },
+            { name: 'Aborted Call Leaves The Queue', fn: () => this.testAbort() }
+        ]);
+
+        if (results.success) {
+            console.log('\n🎉 All concurrency limiter tests passed!');
+        } else {
+            console.log('\n⚠️  Some concurrency limiter tests failed');
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a limiter with test-sized limits
+     * @param {Object} overrides - Option overrides
+     * @returns {Object} Concurrency limiter
+     */
+    createLimiter(overrides = {}) {
+        return createConcurrencyLimiter({
+            name: 'test',
+            maxConcurrent: 1,
+            maxQueueSize: 10,
+            maxQueuedPerKey: 5,
+            maxQueueWaitMs: 1000,
+            errorCode: 'AI_BUSY',
+            ...overrides
+        });
+    }
+
+    /**
+     * Create a call that runs until released
+     * @returns {{fn: Function, release: Function}} Call and its release
+     */
+    createHeldCall() {
+        let release;
+        const done = new Promise(resolve => {
+            release = resolve;
+        });
+        return { fn: () => done, release };
+    }
+
+    /**
+     * Await a promise and return the error it rejects with
+     * @param {Promise} promise - Promise expected to reject
+     * @returns {Promise<Error>} Rejection error
+     */
+    async expectFailure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    }
+
+    async testLimit() {
+        const limiter = this.createLimiter({ maxConcurrent: 2 });
+        const calls = [this.createHeldCall(), this.createHeldCall(), this.createHeldCall()];
+
+        const runs = calls.map((call, index) => limiter.run(`user-${index}`, call.fn));
+        await this.testHelper.wait(10);
+
+        this.testHelper.assert(limiter.getStats().active === 2, `Expected 2 active calls, got ${limiter.getStats().active}`);
+        this.testHelper.assert(limiter.getStats().queued === 1, `Expected 1 queued call, got ${limiter.getStats().queued}`);
+
+        calls.forEach(call => call.release());
+        await Promise.all(runs);
+
+        this.testHelper.assert(limiter.getStats().active === 0, 'All slots should be free again');
+    }
+
+    async testFairness() {
+        const limiter = this.createLimiter();
+        const blocker = this.createHeldCall();
+        const order = [];
+        const record = (label) => () => {
+            order.push(label);
+            return Promise.resolve();
+        };
+
+        const blocked = limiter.run('heavy', blocker.fn);
+        const runs = [
+            limiter.run('heavy', record('heavy-1')),
+            limiter.run('heavy', record('heavy-2')),
+            limiter.run('heavy', record('heavy-3')),
+            limiter.run('light', record('light-1'))
+        ];
+
+        blocker.release();
+        await Promise.all([blocked, ...runs]);
+
+        this.testHelper.assert(
+            order.join(',') === 'heavy-1,light-1,heavy-2,heavy-3',
+            `The light user should not wait behind the heavy one, got ${order.join(',')}`
+        );
+    }
+
+    async testKeyQueueFull() {
+        const limiter = this.createLimiter({ maxQueuedPerKey: 1 });
+        const blocker = this.createHeldCall();
+
+        const blocked = limiter.run('heavy', blocker.fn);
+        const queued = limiter.run('heavy', () => Promise.resolve());
+        const error = await this.expectFailure(limiter.run('heavy', () => Promise.resolve()));
+        const otherUser = limiter.run('light', () => Promise.resolve('served'));
+
+        this.testHelper.assert(error.code === 'AI_BUSY' && error.statusCode === 503, `Expected 503 AI_BUSY, got ${error.code}`);
+        this.testHelper.assert(error.details.reason === 'key_queue_full', `Unexpected reason ${error.details.reason}`);
+
+        blocker.release();
+        const results = await Promise.all([blocked, queued, otherUser]);
+        this.testHelper.assert(results[2] === 'served', 'Other users should still be queued');
+    }
+
+    async testQueueFull() {
+        const limiter = this.createLimiter({ maxQueueSize: 1 });
+        const blocker = this.createHeldCall();
+
+        const blocked = limiter.run('a', blocker.fn);
+        const queued = limiter.run('b', () => Promise.resolve());
+        const error = await this.expectFailure(limiter.run('c', () => Promise.resolve()));
+
+        this.testHelper.assert(error.details.reason === 'queue_full', `Unexpected reason ${error.details.reason}`);
+        this.testHelper.assert(error.retryAfter === 1, `Retry-After should cover the queue wait, got ${error.retryAfter}`);
+
+        blocker.release();
+        await Promise.all([blocked, queued]);
+    }
+
+    async testQueueTimeout() {
+        const limiter = this.createLimiter({ maxQueueWaitMs: 50 });
+        const blocker = this.createHeldCall();
+        let ran = false;
+
+        const blocked = limiter.run('a', blocker.fn);
+        const error = await this.expectFailure(limiter.run('b', () => {
+            ran = true;
+            return Promise.resolve();
+        }));
+
+        this.testHelper.assert(error.details.reason === 'queue_timeout', `Unexpected reason ${error.details.reason}`);
+        this.testHelper.assert(limiter.getStats().queued === 0, 'The timed out call should leave the queue');
+
+        blocker.release();
+        await blocked;
+        this.testHelper.assert(!ran, 'A timed out call should never run');
+    }
+
+    async testAbort() {
+        const limiter = this.createLimiter();
+        const blocker = this.createHeldCall();
+        const abortController = new AbortController();
+
+        const blocked = limiter.run('a', blocker.fn);
+        const queued = limiter.run('b', () => Promise.resolve(), { signal: abortController.signal });
+        abortController.abort();
+        const error = await this.expectFailure(queued);
+
+        this.testHelper.assert(error.name === 'AbortError', `Expected an AbortError, got ${error.name}`);
+        this.testHelper.assert(limiter.getStats().queued === 0, 'The aborted call should leave the queue');
+
+        blocker.release();
+        await blocked;
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const concurrencyLimiterTests = new ConcurrencyLimiterTests();
+
+    concurrencyLimiterTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Concurrency limiter tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = ConcurrencyLimiterTests;
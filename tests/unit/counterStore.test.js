@@ -0,0 +1,256 @@
+/**
+ * Unit Tests for Counter Stores
+ * One contract suite (see src/stores/index.js) run against every store backend.
+ * The Firestore store runs when FIRESTORE_EMULATOR_HOST points at an emulator.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { consumeRateLimits } = require('../../src/middleware/rateLimit');
+
+/**
+ * Store backends to check, created lazily so the Firestore store isn't loaded without an emulator
+ */
+const STORE_BACKENDS = [
+    {
+        name: 'memory',
+        enabled: () => true,
+        create: () => require('../../src/stores/memoryStore').createMemoryStore()
+    },
+    {
+        name: 'firestore',
+        enabled: () => Boolean(process.env.FIRESTORE_EMULATOR_HOST),
+        create: () => {
+            const { initializeDatabase } = require('../../src/config/database');
+            const { createFirestoreStore } = require('../../src/stores/firestoreStore');
+            initializeDatabase();
+            return createFirestoreStore({ collection: `test_${Date.now()}_`, shardCount: 4 });
+        }
+    }
+];
+
+class CounterStoreTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.store = null;
+        this.keyIndex = 0;
+    }
+
+    async runAll() {
+        console.log('🧮 Counter Store Contract Tests\n');
+
+        const summary = { total: 0, passed: 0, failed: 0, results: [], success: true };
+
+        for (const backend of STORE_BACKENDS) {
+            if (!backend.enabled()) {
+                console.log(`⚪ Skipping ${backend.name} store (not configured)`);
+                continue;
+            }
+
+            this.store = backend.create();
+
+            try {
+                const results = await this.testHelper.runTestSuite(
+                    this.getTests().map(test => ({ name: `[${backend.name}] ${test.name}`, fn: test.fn }))
+                );
+
+                summary.total += results.total;
+                summary.passed += results.passed;
+                summary.failed += results.failed;
+                summary.results.push(...results.results);
+            } finally {
+                await this.store.close();
+            }
+        }
+
+        summary.success = summary.failed === 0;
+
+        if (summary.success) {
+            console.log('\n🎉 All counter store tests passed!');
+        } else {
+            console.log('\n⚠️  Some counter store tests failed');
+        }
+
+        return summary;
+    }
+
+    getTests() {
+        return [
+            { name: 'Increment Starts A Window', fn: () => this.testIncrementStartsWindow() },
+            { name: 'Increment Accumulates Within Window', fn: () => this.testIncrementAccumulates() },
+            { name: 'Expired Counter Restarts', fn: () => this.testExpiredCounterRestarts() },
+            { name: 'Concurrent Increments Are Not Lost', fn: () => this.testConcurrentIncrements() },
+            { name: 'Get Missing And Expired Counters', fn: () => this.testGetMissingAndExpired() },
+            { name: 'Keys Are Isolated', fn: () => this.testKeysAreIsolated() },
+            { name: 'Consume Allows Up To Capacity', fn: () => this.testConsumeCapacity() },
+            { name: 'Rejected Consume Takes Nothing', fn: () => this.testRejectedConsume() },
+            { name: 'Consume Refills Over Time', fn: () => this.testConsumeRefills() },
+            { name: 'Refund Returns Tokens Up To Capacity', fn: () => this.testRefund() },
+            { name: 'Rejected Rate Limit Takes From No Bucket', fn: () => this.testRateLimitsAllOrNothing() },
+            { name: 'Reset Clears Counter And Bucket', fn: () => this.testReset() }
+        ];
+    }
+
+    nextKey() {
+        this.keyIndex += 1;
+        return `test:${process.pid}:${this.keyIndex}`;
+    }
+
+    async testIncrementStartsWindow() {
+        const before = Date.now();
+        const counter = await this.store.increment(this.nextKey(), 3, 60000);
+
+        this.testHelper.assert(counter.value === 3, `Expected value 3, got ${counter.value}`);
+        this.testHelper.assert(
+            counter.expiresAt >= before + 60000 && counter.expiresAt <= Date.now() + 60000,
+            'expiresAt should be ttlMs after the first increment'
+        );
+    }
+
+    async testIncrementAccumulates() {
+        const key = this.nextKey();
+        const first = await this.store.increment(key, 2, 60000);
+        const second = await this.store.increment(key, 5, 1000);
+
+        this.testHelper.assert(second.value === 7, `Expected value 7, got ${second.value}`);
+        this.testHelper.assert(
+            second.expiresAt === first.expiresAt,
+            'Increments within a window must not move its expiry'
+        );
+    }
+
+    async testExpiredCounterRestarts() {
+        const key = this.nextKey();
+        await this.store.increment(key, 4, 100);
+        await this.testHelper.wait(200);
+
+        const counter = await this.store.increment(key, 1, 60000);
+        this.testHelper.assert(counter.value === 1, `Expected a new window at 1, got ${counter.value}`);
+    }
+
+    async testConcurrentIncrements() {
+        const key = this.nextKey();
+        await Promise.all(Array.from({ length: 20 }, () => this.store.increment(key, 1, 60000)));
+
+        const counter = await this.store.get(key);
+        this.testHelper.assert(counter && counter.value === 20, `Expected value 20, got ${counter?.value}`);
+    }
+
+    async testGetMissingAndExpired() {
+        const missing = await this.store.get(this.nextKey());
+        this.testHelper.assert(missing === null, 'Missing counter should read as null');
+
+        const key = this.nextKey();
+        await this.store.increment(key, 1, 100);
+        await this.testHelper.wait(200);
+
+        const expired = await this.store.get(key);
+        this.testHelper.assert(expired === null, 'Expired counter should read as null');
+    }
+
+    async testKeysAreIsolated() {
+        const keyA = this.nextKey();
+        const keyB = this.nextKey();
+        await this.store.increment(keyA, 5, 60000);
+        await this.store.increment(keyB, 1, 60000);
+
+        const counterA = await this.store.get(keyA);
+        this.testHelper.assert(counterA.value === 5, `Expected value 5, got ${counterA.value}`);
+    }
+
+    async testConsumeCapacity() {
+        const key = this.nextKey();
+        const bucket = { capacity: 3, refillPerMs: 3 / 60000 };
+
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await this.store.consume(key, bucket));
+        }
+
+        this.testHelper.assert(results.slice(0, 3).every(result => result.allowed), 'First 3 requests should be allowed');
+        this.testHelper.assert(results[2].remaining === 0, `Expected 0 remaining, got ${results[2].remaining}`);
+        this.testHelper.assert(!results[3].allowed, '4th request should be rejected');
+        this.testHelper.assert(results[3].retryAfterMs > 0, 'Rejected request should carry retryAfterMs');
+    }
+
+    async testRejectedConsume() {
+        const key = this.nextKey();
+        const bucket = { capacity: 5, refillPerMs: 5 / 60000 };
+
+        await this.store.consume(key, bucket, 4);
+        const rejected = await this.store.consume(key, bucket, 3);
+        const allowed = await this.store.consume(key, bucket, 1);
+
+        this.testHelper.assert(!rejected.allowed, 'Request costing more than what is left should be rejected');
+        this.testHelper.assert(allowed.allowed, 'A rejected request must not take tokens');
+    }
+
+    async testConsumeRefills() {
+        const key = this.nextKey();
+        const bucket = { capacity: 2, refillPerMs: 2 / 200 };
+
+        await this.store.consume(key, bucket, 2);
+        await this.testHelper.wait(300);
+
+        const result = await this.store.consume(key, bucket, 2);
+        this.testHelper.assert(result.allowed, 'Bucket should refill over time');
+    }
+
+    async testRefund() {
+        const key = this.nextKey();
+        const bucket = { capacity: 3, refillPerMs: 3 / 60000 };
+
+        await this.store.consume(key, bucket, 3);
+        await this.store.refund(key, bucket, 2);
+        const allowed = await this.store.consume(key, bucket, 2);
+
+        await this.store.refund(key, bucket, 10);
+        const full = await this.store.consume(key, bucket, 3);
+        const overfilled = await this.store.consume(key, bucket, 1);
+
+        this.testHelper.assert(allowed.allowed, 'Refunded tokens should be available again');
+        this.testHelper.assert(full.allowed && !overfilled.allowed, 'A refund must not fill past capacity');
+    }
+
+    async testRateLimitsAllOrNothing() {
+        const key = this.nextKey();
+        const minute = { window: 'minute', limit: 5, windowMs: 60000 };
+        const second = { window: 'second', limit: 1, windowMs: 60000 };
+
+        await consumeRateLimits(this.store, key, [second]);
+        const rejected = await consumeRateLimits(this.store, key, [minute, second]);
+        const minuteBucket = await this.store.consume(`ratelimit:${key}:minute`, { capacity: 5, refillPerMs: 5 / 60000 }, 5);
+
+        this.testHelper.assert(!rejected.allowed && rejected.window === 'second', 'The empty bucket should block the request');
+        this.testHelper.assert(minuteBucket.allowed, 'A blocked request should give back what it took from the other buckets');
+    }
+
+    async testReset() {
+        const key = this.nextKey();
+        const bucket = { capacity: 1, refillPerMs: 1 / 60000 };
+        await this.store.increment(key, 3, 60000);
+        await this.store.consume(key, bucket);
+
+        await this.store.reset(key);
+
+        const counter = await this.store.get(key);
+        const result = await this.store.consume(key, bucket);
+        this.testHelper.assert(counter === null, 'Counter should be gone after reset');
+        this.testHelper.assert(result.allowed, 'Bucket should be full after reset');
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const counterStoreTests = new CounterStoreTests();
+
+    counterStoreTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Counter store tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = CounterStoreTests;
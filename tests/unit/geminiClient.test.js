@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for the Gemini Client
+ * Runs src/config/gemini.js against the mock Gemini server (scripts/mock-gemini.js),
+ * covering both wire formats, usageMetadata, injected faults, retries and the
+ * circuit breaker.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { config } = require('../../src/config/env');
+const {
+    generateResponse,
+    streamResponse,
+    countTokens,
+    getCircuitBreakerState,
+    resetCircuitBreaker
+} = require('../../src/config/gemini');
+
+class GeminiClientTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.mock = null;
+    }
+
+    async runAll() {
+        console.log('🤖 Gemini Client Tests\n');
+
+        this.mock = await this.testHelper.startMockGemini();
+
+        try {
+            const tests = [
+                { name: 'Generate Returns Scripted Text', fn: () => this.testScriptedGenerate() },
+                { name: 'Generate Echoes Without A Script', fn: () => this.testDefaultEcho() },
+                { name: 'Usage Metadata Is Reported', fn: () => this.testUsageMetadata() },
+                { name: 'Stream Delivers Chunks In Order', fn: () => this.testStreamChunks() },
+                { name: 'Count Tokens Answers', fn: () => this.testCountTokens() },
+                { name: 'Injected Latency Delays The Answer', fn: () => this.testLatency() },
+                { name: '429 Fault Carries Retry-After', fn: () => this.testRateLimitFault() },
+                { name: '500 Fault Is Raised After Retries', fn: () => this.testServerErrorFault() },
+                { name: 'Timeout Fault Times Out', fn: () => this.testTimeoutFault() },
+                { name: 'Transient 503 Is Retried', fn: () => this.testTransientRetry() },
+                { name: 'Retry Waits For Retry-After', fn: () => this.testRetryAfterHonored() },
+                { name: 'Circuit Opens After Repeated Failures', fn: () => this.testCircuitOpens() }
+            ];
+
+            const results = await this.testHelper.runTestSuite(tests.map(test => ({
+                name: test.name,
+                fn: () => {
+                    this.mock.reset();
+                    resetCircuitBreaker();
+                    return test.fn();
+                }
+            })));
+
+            if (results.success) {
+                console.log('\n🎉 All Gemini client tests passed!');
+            } else {
+                console.log('\n⚠️  Some Gemini client tests failed');
+            }
+
+            return results;
+        } finally {
+            await this.testHelper.stopMockGemini();
+        }
+    }
+
+    /**
+     * Call a client function and return the error it throws
+     * @param {Function} fn - Call expected to fail
+     * @returns {Promise<Error>} Thrown error
+     */
+    async expectFailure(fn) {
+        try {
+            await fn();
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    }
+
+    async testScriptedGenerate() {
+        this.mock.enqueue({ text: 'First answer' }, { text: 'Second answer' });
+
+        const first = await generateResponse('Question 1', { apiUrl: this.mock.getApiUrl() });
+        const second = await generateResponse('Question 2', { apiUrl: this.mock.getApiUrl() });
+
+        this.testHelper.assert(first.text === 'First answer', `Expected the first step, got "${first.text}"`);
+        this.testHelper.assert(second.text === 'Second answer', `Expected the second step, got "${second.text}"`);
+        this.testHelper.assert(this.mock.requests.length === 2, 'The mock should record both requests');
+    }
+
+    async testDefaultEcho() {
+        const { text } = await generateResponse('What is a prime number?', { apiUrl: this.mock.getApiUrl() });
+
+        this.testHelper.assert(
+            text === 'Mock response to: What is a prime number?',
+            `Expected an echo of the message, got "${text}"`
+        );
+    }
+
+    async testUsageMetadata() {
+        const scriptedUsage = { promptTokenCount: 12, candidatesTokenCount: 30, totalTokenCount: 42 };
+        this.mock.enqueue({ text: 'Scripted usage', usageMetadata: scriptedUsage }, { text: 'No usage', usageMetadata: null });
+
+        const scripted = await generateResponse('Hi', { apiUrl: this.mock.getApiUrl() });
+        const missing = await generateResponse('Hi', { apiUrl: this.mock.getApiUrl() });
+        const computed = await generateResponse('Hi', { apiUrl: this.mock.getApiUrl() });
+
+        this.testHelper.assert(scripted.usageMetadata.totalTokenCount === 42, 'Scripted usageMetadata should be returned');
+        this.testHelper.assert(missing.usageMetadata === null, 'usageMetadata: null should leave usage out');
+        this.testHelper.assert(
+            computed.usageMetadata.totalTokenCount === computed.usageMetadata.promptTokenCount + computed.usageMetadata.candidatesTokenCount,
+            'Computed usage should add up'
+        );
+    }
+
+    async testStreamChunks() {
+        this.mock.enqueue({ chunks: ['Once ', 'upon ', 'a time'], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 4, totalTokenCount: 9 } });
+
+        const received = [];
+        const result = await streamResponse('Tell a story', { apiUrl: this.mock.getApiUrl() }, chunk => received.push(chunk));
+
+        this.testHelper.assert(received.join('|') === 'Once |upon |a time', `Unexpected chunks: ${received.join('|')}`);
+        this.testHelper.assert(result.text === 'Once upon a time', `Unexpected text: ${result.text}`);
+        this.testHelper.assert(result.usageMetadata.totalTokenCount === 9, 'Stream should report usageMetadata');
+        this.testHelper.assert(this.mock.requests[0].method === 'streamGenerateContent', 'Stream should call streamGenerateContent');
+    }
+
+    async testCountTokens() {
+        const tokens = await countTokens('Count these tokens please', { apiUrl: this.mock.getApiUrl() });
+
+        this.testHelper.assert(Number.isInteger(tokens) && tokens > 0, `Expected a positive token count, got ${tokens}`);
+    }
+
+    async testLatency() {
+        this.mock.enqueue({ text: 'Slow answer', latencyMs: 300 });
+
+        const startTime = Date.now();
+        await generateResponse('Hi', { apiUrl: this.mock.getApiUrl() });
+        const elapsed = Date.now() - startTime;
+
+        this.testHelper.assert(elapsed >= 300, `Expected at least 300ms, took ${elapsed}ms`);
+    }
+
+    async testRateLimitFault() {
+        // Longer than GEMINI_RETRY_MAX_WAIT_MS, so the 429 is returned without waiting
+        this.mock.enqueue({ fault: 429, retryAfterSeconds: 60 });
+
+        const error = await this.expectFailure(() => generateResponse('Hi', { apiUrl: this.mock.getApiUrl() }));
+
+        this.testHelper.assert(error.response?.status === 429, `Expected 429, got ${error.response?.status}`);
+        this.testHelper.assert(error.response.data.error.status === 'RESOURCE_EXHAUSTED', 'Body should be a Gemini error');
+        this.testHelper.assert(error.response.headers['retry-after'] === '60', 'Retry-After should be sent');
+        this.testHelper.assert(this.mock.requests.length === 1, 'A long Retry-After should not be waited for');
+    }
+
+    async testServerErrorFault() {
+        const { maxAttempts } = config.gemini.retry;
+        this.mock.enqueue(...Array.from({ length: maxAttempts }, () => ({ fault: 500 })));
+
+        const error = await this.expectFailure(() => streamResponse('Hi', { apiUrl: this.mock.getApiUrl() }));
+
+        this.testHelper.assert(error.response?.status === 500, `Expected 500, got ${error.response?.status}`);
+        this.testHelper.assert(error.response.data.error.status === 'INTERNAL', 'Stream error body should be read');
+        this.testHelper.assert(
+            this.mock.requests.length === maxAttempts,
+            `Expected ${maxAttempts} attempts, got ${this.mock.requests.length}`
+        );
+    }
+
+    async testTimeoutFault() {
+        this.mock.enqueue({ fault: 'timeout' });
+
+        const error = await this.expectFailure(() => generateResponse('Hi', { apiUrl: this.mock.getApiUrl(), timeout: 300 }));
+
+        this.testHelper.assert(error.code === 'ECONNABORTED', `Expected ECONNABORTED, got ${error.code}`);
+        this.testHelper.assert(this.mock.requests.length === 1, 'Timeouts should not be retried');
+    }
+
+    async testTransientRetry() {
+        this.mock.enqueue({ fault: 503 }, { text: 'Recovered' });
+
+        const { text } = await generateResponse('Hi', { apiUrl: this.mock.getApiUrl() });
+
+        this.testHelper.assert(text === 'Recovered', `Expected the retried answer, got "${text}"`);
+        this.testHelper.assert(this.mock.requests.length === 2, 'The 503 should be retried once');
+    }
+
+    async testRetryAfterHonored() {
+        this.mock.enqueue({ fault: 429, retryAfterSeconds: 1 }, { text: 'After waiting' });
+
+        const startTime = Date.now();
+        const { text } = await generateResponse('Hi', { apiUrl: this.mock.getApiUrl() });
+        const elapsed = Date.now() - startTime;
+
+        this.testHelper.assert(text === 'After waiting', `Expected the retried answer, got "${text}"`);
+        this.testHelper.assert(elapsed >= 1000, `Expected to wait for Retry-After, took ${elapsed}ms`);
+    }
+
+    async testCircuitOpens() {
+        const { failureThreshold } = config.gemini.circuitBreaker;
+        this.mock.enqueue(...Array.from({ length: failureThreshold }, () => ({ fault: 500 })));
+
+        for (let i = 0; i < failureThreshold; i++) {
+            await this.expectFailure(() => generateResponse('Hi', { apiUrl: this.mock.getApiUrl(), retry: false }));
+        }
+
+        const error = await this.expectFailure(() => generateResponse('Hi', { apiUrl: this.mock.getApiUrl() }));
+        const state = getCircuitBreakerState();
+
+        this.testHelper.assert(error.statusCode === 503, `Expected 503, got ${error.statusCode}`);
+        this.testHelper.assert(error.code === 'AI_SERVICE_UNAVAILABLE', `Expected AI_SERVICE_UNAVAILABLE, got ${error.code}`);
+        this.testHelper.assert(error.retryAfter > 0, 'An open circuit should set Retry-After');
+        this.testHelper.assert(this.mock.requests.length === failureThreshold, 'An open circuit should not call Gemini');
+        this.testHelper.assert(state.state === 'open', `Expected an open circuit, got ${state.state}`);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const geminiClientTests = new GeminiClientTests();
+
+    geminiClientTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Gemini client tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = GeminiClientTests;
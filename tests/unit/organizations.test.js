@@ -0,0 +1,426 @@
+/**
+ * Unit Tests for Organizations
+ * Pool funding, invites, member spending, spending caps, plans and quotas of
+ * organizationService, using the memory storage backend and counter store.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { config } = require('../../src/config/env');
+const { getStorage } = require('../../src/repositories');
+const {
+    createOrganization,
+    inviteMember,
+    listUserInvites,
+    acceptInvite,
+    deleteInvite,
+    setOrganizationPlan
+} = require('../../src/services/organizationService');
+const { applyOrganizationCreditTransaction, reconcileUserBalance } = require('../../src/services/ledgerService');
+const { createUser, reserveCredits, captureCredits } = require('../../src/services/userService');
+const { getQuotaAccount, consumeRequestQuota, recordTokenUsage, getQuotaUsage } = require('../../src/services/quotaService');
+const { PLAN_CATALOG } = require('../../src/config/plans');
+
+class OrganizationTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.userIndex = 0;
+    }
+
+    async runAll() {
+        console.log('🏫 Organization Tests\n');
+
+        // Services read the backends from config, so point them at memory for this suite
+        const previousBackend = config.storage.backend;
+        const previousStore = config.rateLimit.store;
+        config.storage.backend = 'memory';
+        config.rateLimit.store = 'memory';
+
+        const results = await this.testHelper.runTestSuite([
+            { name: 'Owner Credits Move Into The Pool', fn: () => this.testOwnerTransfer() },
+            { name: 'Admins Fund The Pool Through The Ledger', fn: () => this.testPoolGrant() },
+            { name: 'Pool Can Not Go Negative', fn: () => this.testPoolAdjustment() },
+            { name: 'Invited Users Join Only When They Accept', fn: () => this.testInviteAccept() },
+            { name: 'Members Of Other Organizations Are Refused', fn: () => this.testInviteOtherOrganization() },
+            { name: 'Admins Can Not Invite Admins', fn: () => this.testInviteRole() },
+            { name: 'Invites Can Be Declined Or Revoked', fn: () => this.testInviteDelete() },
+            { name: 'Expired Invites Can Not Be Accepted', fn: () => this.testInviteExpiry() },
+            { name: 'Members Spend From The Pool', fn: () => this.testMemberSpending() },
+            { name: 'Spending Cap Limits A Member', fn: () => this.testSpendingCap() },
+            { name: 'Viewers Can Not Spend', fn: () => this.testViewer() },
+            { name: 'Request Quotas Count Each Member', fn: () => this.testMemberQuotas() },
+            { name: 'Token Quotas Count The Organization', fn: () => this.testOrganizationQuotas() },
+            { name: 'Rejected Requests Count Against No Quota', fn: () => this.testRejectedQuota() },
+            { name: 'Admins Change The Organization Plan', fn: () => this.testSetPlan() }
+        ]);
+
+        config.storage.backend = previousBackend;
+        config.rateLimit.store = previousStore;
+
+        if (results.success) {
+            console.log('\n🎉 All organization tests passed!');
+        } else {
+            console.log('\n⚠️  Some organization tests failed');
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a user with a fresh ID
+     * @param {number} credits - Starting credits
+     * @param {string} plan - Plan ID (default plan if omitted)
+     * @returns {Promise<string>} User ID
+     */
+    async createTestUser(credits = 0, plan = undefined) {
+        this.userIndex += 1;
+        const userId = `org-test-${Date.now()}-${this.userIndex}`;
+        await createUser(userId, { email: `${userId}@example.com`, credits, plan });
+        return userId;
+    }
+
+    /**
+     * Create an organization with a funded pool
+     * @param {number} credits - Pool credits granted after creation
+     * @returns {Promise<{orgId: string, ownerId: string}>} Organization and owner IDs
+     */
+    async createFundedOrganization(credits) {
+        const ownerId = await this.createTestUser();
+        const organization = await createOrganization(ownerId, { name: 'Test School' });
+        await applyOrganizationCreditTransaction(organization.id, { type: 'grant', amount: credits, actor: 'system' });
+        return { orgId: organization.id, ownerId };
+    }
+
+    /**
+     * Invite a user and accept the invite
+     * @param {string} orgId - Organization ID
+     * @param {string} ownerId - Owner sending the invite
+     * @param {string} userId - User joining
+     * @param {Object} membership - { role, spendingCap }
+     * @returns {Promise<Object>} Member in response format
+     */
+    async join(orgId, ownerId, userId, { role = 'member', spendingCap = null } = {}) {
+        await inviteMember(orgId, { userId, role, spendingCap }, { userId: ownerId, role: 'owner' });
+        return acceptInvite(orgId, userId);
+    }
+
+    /**
+     * Await a promise and return the error it rejects with
+     * @param {Promise} promise - Promise expected to reject
+     * @returns {Promise<Error>} Rejection error
+     */
+    async expectFailure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    }
+
+    async testOwnerTransfer() {
+        const ownerId = await this.createTestUser(50);
+        // A personal request in flight keeps its credits so it can still be settled
+        const hold = await reserveCredits(ownerId, 10);
+
+        const organization = await createOrganization(ownerId, { name: 'Transfer School' });
+        await captureCredits(hold.holdId, 4);
+
+        const storage = getStorage();
+        const [owner, orgData, poolEntries] = await Promise.all([
+            storage.users.get(ownerId),
+            storage.organizations.get(organization.id),
+            storage.ledger.listForAccount({ organizationId: organization.id }, { type: 'transfer' })
+        ]);
+        const reconciliation = await reconcileUserBalance(ownerId);
+
+        this.testHelper.assert(organization.credits === 40, `Expected 40 pool credits, got ${organization.credits}`);
+        this.testHelper.assert(orgData.credits === 40, 'The transfer should be stored on the pool');
+        this.testHelper.assert(owner.credits === 6 && owner.reservedCredits === 0, `Expected 6 personal credits, got ${owner.credits}`);
+        this.testHelper.assert(poolEntries.length === 1 && poolEntries[0].amount === 40, 'The pool ledger should record the transfer');
+        this.testHelper.assert(reconciliation.consistent, `The owner's ledger should match, drift ${reconciliation.drift}`);
+        this.testHelper.assert(reconciliation.totals.transfer === -40, 'The owner\'s ledger should record the transfer');
+    }
+
+    async testPoolGrant() {
+        const ownerId = await this.createTestUser();
+        const organization = await createOrganization(ownerId, { name: 'Grant School' });
+
+        const result = await applyOrganizationCreditTransaction(organization.id, {
+            type: 'purchase',
+            amount: 500,
+            actor: 'admin:test',
+            description: 'Term top-up'
+        });
+        const [orgData, entry] = await Promise.all([
+            getStorage().organizations.get(organization.id),
+            getStorage().ledger.get(result.transactionId)
+        ]);
+
+        this.testHelper.assert(result.balance === 500 && orgData.credits === 500, `Expected 500 pool credits, got ${orgData.credits}`);
+        this.testHelper.assert(entry.organizationId === organization.id && entry.userId === null, 'The entry should be on the pool');
+        this.testHelper.assert(entry.type === 'purchase' && entry.actor === 'admin:test', 'The entry should record the purchase');
+    }
+
+    async testPoolAdjustment() {
+        const { orgId } = await this.createFundedOrganization(100);
+
+        const overdraw = await this.expectFailure(applyOrganizationCreditTransaction(orgId, { type: 'adjustment', amount: -150 }));
+        const missing = await this.expectFailure(applyOrganizationCreditTransaction('no-such-org', { type: 'grant', amount: 1 }));
+        const orgData = await getStorage().organizations.get(orgId);
+
+        this.testHelper.assert(overdraw.code === 'INSUFFICIENT_CREDITS', `Expected INSUFFICIENT_CREDITS, got ${overdraw.code}`);
+        this.testHelper.assert(missing.code === 'ORGANIZATION_NOT_FOUND', `Expected ORGANIZATION_NOT_FOUND, got ${missing.code}`);
+        this.testHelper.assert(orgData.credits === 100, 'A refused adjustment should not change the pool');
+    }
+
+    async testInviteAccept() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const userId = await this.createTestUser(30);
+
+        const invite = await inviteMember(orgId, { email: `${userId}@example.com`, role: 'member', spendingCap: 25 }, { userId: ownerId, role: 'owner' });
+        const pendingUser = await getStorage().users.get(userId);
+        const pendingHold = await reserveCredits(userId, 5);
+        const invites = await listUserInvites(userId);
+
+        this.testHelper.assert(invite.user_id === userId && invite.expires_at > new Date(), 'The invite should name the user and expire later');
+        this.testHelper.assert(!pendingUser.organizationId, 'An invite alone should not add the user');
+        this.testHelper.assert(pendingHold.availableCredits === 25, 'Before accepting, requests should use personal credits');
+        this.testHelper.assert(invites.length === 1 && invites[0].organization_name === 'Test School', 'The user should see the invite');
+
+        const { member, creditsTransferred } = await acceptInvite(orgId, userId);
+        const [user, org, remainingInvite, userLedger] = await Promise.all([
+            getStorage().users.get(userId),
+            getStorage().organizations.get(orgId),
+            getStorage().organizations.getInvite(orgId, userId),
+            getStorage().ledger.listAmountsForUser(userId)
+        ]);
+        const again = await this.expectFailure(acceptInvite(orgId, userId));
+
+        this.testHelper.assert(member.role === 'member' && member.spending_cap === 25, 'The member should get the invited role and cap');
+        this.testHelper.assert(user.organizationId === orgId, 'Accepting should point the user at the organization');
+        this.testHelper.assert(creditsTransferred === 25 && org.credits === 125, 'Available personal credits should move into the pool');
+        this.testHelper.assert(user.credits === 5 && user.reservedCredits === 5, 'Held credits should stay with the user to settle the hold');
+        this.testHelper.assert(userLedger.some(entry => entry.type === 'transfer' && entry.amount === -25), 'The move should be recorded on the user\'s ledger');
+        this.testHelper.assert(remainingInvite === null, 'Accepting should use up the invite');
+        this.testHelper.assert(again.code === 'INVITE_NOT_FOUND', `Expected INVITE_NOT_FOUND, got ${again.code}`);
+    }
+
+    async testInviteOtherOrganization() {
+        const first = await this.createFundedOrganization(100);
+        const second = await this.createFundedOrganization(100);
+        const userId = await this.createTestUser();
+        const secondOwner = { userId: second.ownerId, role: 'owner' };
+
+        await inviteMember(second.orgId, { userId, role: 'member' }, secondOwner);
+        await this.join(first.orgId, first.ownerId, userId);
+
+        const inviteError = await this.expectFailure(inviteMember(second.orgId, { userId, role: 'member' }, secondOwner));
+        const acceptError = await this.expectFailure(acceptInvite(second.orgId, userId));
+        const ownerError = await this.expectFailure(inviteMember(second.orgId, { userId: first.ownerId, role: 'member' }, secondOwner));
+        const memberError = await this.expectFailure(inviteMember(first.orgId, { userId, role: 'member' }, { userId: first.ownerId, role: 'owner' }));
+        const user = await getStorage().users.get(userId);
+
+        this.testHelper.assert(inviteError.code === 'ALREADY_IN_ORGANIZATION', `Expected ALREADY_IN_ORGANIZATION, got ${inviteError.code}`);
+        this.testHelper.assert(acceptError.code === 'ALREADY_IN_ORGANIZATION', `An earlier invite should not be accepted, got ${acceptError.code}`);
+        this.testHelper.assert(ownerError.code === 'ALREADY_IN_ORGANIZATION', `Owners of other organizations should be refused, got ${ownerError.code}`);
+        this.testHelper.assert(memberError.code === 'ALREADY_MEMBER', `Expected ALREADY_MEMBER, got ${memberError.code}`);
+        this.testHelper.assert(user.organizationId === first.orgId, 'The user should stay in their organization');
+    }
+
+    async testInviteRole() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const adminId = await this.createTestUser();
+        const userId = await this.createTestUser();
+        await this.join(orgId, ownerId, adminId, { role: 'admin' });
+
+        const error = await this.expectFailure(inviteMember(orgId, { userId, role: 'admin' }, { userId: adminId, role: 'admin' }));
+        const invite = await inviteMember(orgId, { userId, role: 'member' }, { userId: adminId, role: 'admin' });
+
+        this.testHelper.assert(error.code === 'INSUFFICIENT_ORGANIZATION_ROLE', `Expected INSUFFICIENT_ORGANIZATION_ROLE, got ${error.code}`);
+        this.testHelper.assert(invite.invited_by === adminId, 'Admins should invite members');
+    }
+
+    async testInviteDelete() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const declinerId = await this.createTestUser();
+        const revokedId = await this.createTestUser();
+        const owner = { userId: ownerId, role: 'owner' };
+        await inviteMember(orgId, { userId: declinerId, role: 'member' }, owner);
+        await inviteMember(orgId, { userId: revokedId, role: 'admin' }, owner);
+
+        await deleteInvite(orgId, declinerId, { userId: declinerId, role: null });
+        const adminError = await this.expectFailure(deleteInvite(orgId, revokedId, { userId: 'some-admin', role: 'admin' }));
+        await deleteInvite(orgId, revokedId, owner);
+        const acceptError = await this.expectFailure(acceptInvite(orgId, declinerId));
+        const revokedError = await this.expectFailure(acceptInvite(orgId, revokedId));
+
+        this.testHelper.assert(adminError.code === 'INSUFFICIENT_ORGANIZATION_ROLE', 'Only owners should revoke admin invites');
+        this.testHelper.assert(acceptError.code === 'INVITE_NOT_FOUND', 'A declined invite should be gone');
+        this.testHelper.assert(revokedError.code === 'INVITE_NOT_FOUND', 'A revoked invite should be gone');
+    }
+
+    async testInviteExpiry() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const userId = await this.createTestUser();
+        await inviteMember(orgId, { userId, role: 'member' }, { userId: ownerId, role: 'owner' });
+        await getStorage().organizations.setInvite(orgId, userId, {
+            ...(await getStorage().organizations.getInvite(orgId, userId)),
+            expiresAt: new Date(Date.now() - 1000)
+        });
+
+        const error = await this.expectFailure(acceptInvite(orgId, userId));
+        const invites = await listUserInvites(userId);
+
+        this.testHelper.assert(error.code === 'INVITE_NOT_FOUND', `Expected INVITE_NOT_FOUND, got ${error.code}`);
+        this.testHelper.assert(invites.length === 0, 'Expired invites should not be listed');
+    }
+
+    async testMemberSpending() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const memberId = await this.createTestUser();
+        await this.join(orgId, ownerId, memberId);
+
+        const hold = await reserveCredits(memberId, 20, { requestId: 'req_member' });
+        const held = await getStorage().organizations.get(orgId);
+        await captureCredits(hold.holdId, 5, { requestId: 'req_member' });
+
+        const storage = getStorage();
+        const [orgData, member, usage] = await Promise.all([
+            storage.organizations.get(orgId),
+            storage.organizations.getMember(orgId, memberId),
+            storage.ledger.listForAccount({ organizationId: orgId }, { type: 'usage' })
+        ]);
+
+        this.testHelper.assert(held.reservedCredits === 20, 'The hold should be placed on the pool');
+        this.testHelper.assert(orgData.credits === 95 && orgData.reservedCredits === 0, `Expected 95 pool credits, got ${orgData.credits}`);
+        this.testHelper.assert(member.creditsUsed === 5 && member.totalRequests === 1, 'The member\'s spend should be tracked');
+        this.testHelper.assert(usage.length === 1 && usage[0].memberId === memberId, 'The pool ledger should name the member');
+    }
+
+    async testSpendingCap() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const memberId = await this.createTestUser();
+        await this.join(orgId, ownerId, memberId, { spendingCap: 10 });
+
+        const hold = await reserveCredits(memberId, 8);
+        const error = await this.expectFailure(reserveCredits(memberId, 3));
+        await captureCredits(hold.holdId, 8);
+        const overCap = await this.expectFailure(reserveCredits(memberId, 3));
+        const withinCap = await reserveCredits(memberId, 2);
+
+        this.testHelper.assert(error.code === 'SPENDING_CAP_EXCEEDED', `Holds should count against the cap, got ${error.code}`);
+        this.testHelper.assert(overCap.code === 'SPENDING_CAP_EXCEEDED', `Spend should count against the cap, got ${overCap.code}`);
+        this.testHelper.assert(withinCap.amount === 2, 'The rest of the cap should still be spendable');
+    }
+
+    async testViewer() {
+        const { orgId, ownerId } = await this.createFundedOrganization(100);
+        const viewerId = await this.createTestUser(30);
+        await this.join(orgId, ownerId, viewerId, { role: 'viewer' });
+
+        const error = await this.expectFailure(reserveCredits(viewerId, 1));
+
+        this.testHelper.assert(error.code === 'INSUFFICIENT_ORGANIZATION_ROLE', `Expected INSUFFICIENT_ORGANIZATION_ROLE, got ${error.code}`);
+    }
+
+    /**
+     * Get the quota account of a user as the quota middleware sees it
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Quota account
+     */
+    async getTestQuotaAccount(userId) {
+        return getQuotaAccount({ uid: userId, ...(await getStorage().users.get(userId)) });
+    }
+
+    /**
+     * Create a school organization with a second member
+     * @returns {Promise<Object>} { organization, ownerId, memberId }
+     */
+    async createSchool() {
+        const ownerId = await this.createTestUser(0, 'school');
+        const organization = await createOrganization(ownerId, { name: 'Quota School' });
+        const memberId = await this.createTestUser(0, 'pro');
+        await this.join(organization.id, ownerId, memberId);
+        return { organization, ownerId, memberId };
+    }
+
+    async testMemberQuotas() {
+        const { organization, ownerId, memberId } = await this.createSchool();
+        const [ownerAccount, memberAccount] = await Promise.all([ownerId, memberId].map(uid => this.getTestQuotaAccount(uid)));
+        const requestQuota = memberAccount.quotas.find(quota => quota.metric === 'requests');
+
+        this.testHelper.assert(organization.plan === 'school', `The organization should start on the owner's plan, got ${organization.plan}`);
+        this.testHelper.assert(memberAccount.plan.id === 'school', 'Members should get the organization\'s plan');
+        this.testHelper.assert(requestQuota.limit === PLAN_CATALOG.school.quotas[0].limit, 'Members should get the plan\'s request quota');
+        this.testHelper.assert(requestQuota.subject === `user:${memberId}`, `Requests should be counted per member, got ${requestQuota.subject}`);
+
+        // One request a day each: the owner's request leaves the member's untouched
+        const dailyQuota = (account) => account.quotas.filter(quota => quota.metric === 'requests').map(quota => ({ ...quota, limit: 1 }));
+        await consumeRequestQuota(dailyQuota(ownerAccount));
+        await consumeRequestQuota(dailyQuota(memberAccount));
+        const error = await this.expectFailure(consumeRequestQuota(dailyQuota(memberAccount)));
+
+        this.testHelper.assert(error.code === 'QUOTA_EXCEEDED', `Expected QUOTA_EXCEEDED, got ${error.code}`);
+    }
+
+    async testOrganizationQuotas() {
+        const { organization, ownerId, memberId } = await this.createSchool();
+        const outsiderId = await this.createTestUser();
+        const [ownerAccount, memberAccount, outsiderAccount] = await Promise.all(
+            [ownerId, memberId, outsiderId].map(uid => this.getTestQuotaAccount(uid))
+        );
+        const tokenQuota = (account) => account.quotas.filter(quota => quota.metric === 'tokens').map(quota => ({ ...quota, limit: 100 }));
+
+        this.testHelper.assert(tokenQuota(memberAccount)[0].subject === `org:${organization.id}`, 'Tokens should be counted for the organization');
+        this.testHelper.assert(outsiderAccount.quotas.every(quota => quota.subject === `user:${outsiderId}`), 'Other users should keep their own quotas');
+
+        // The owner's tokens use up the quota for the member too
+        await recordTokenUsage(tokenQuota(ownerAccount), 100);
+        const error = await this.expectFailure(consumeRequestQuota(tokenQuota(memberAccount)));
+
+        this.testHelper.assert(error.code === 'QUOTA_EXCEEDED', `Expected QUOTA_EXCEEDED, got ${error.code}`);
+    }
+
+    async testRejectedQuota() {
+        const { ownerId, memberId } = await this.createSchool();
+        const [ownerAccount, memberAccount] = await Promise.all([ownerId, memberId].map(uid => this.getTestQuotaAccount(uid)));
+        const withLimit = (account, limit) => account.quotas.map(quota => ({ ...quota, limit }));
+
+        // The organization's tokens are used up, so the member's request is refused
+        await recordTokenUsage(withLimit(ownerAccount, 10), 10);
+        await this.expectFailure(consumeRequestQuota(withLimit(memberAccount, 10)));
+        const [requests] = await getQuotaUsage(memberAccount.quotas);
+
+        this.testHelper.assert(requests.metric === 'requests' && requests.used === 0, `The refused request should not count, got ${requests.used}`);
+    }
+
+    async testSetPlan() {
+        const { organization, memberId } = await this.createSchool();
+
+        const { before, organization: updated } = await setOrganizationPlan(organization.id, 'pro');
+        const memberAccount = await this.getTestQuotaAccount(memberId);
+        const unknown = await this.expectFailure(setOrganizationPlan(organization.id, 'platinum'));
+        const missing = await this.expectFailure(setOrganizationPlan('no-such-org', 'pro'));
+
+        this.testHelper.assert(before.plan === 'school' && updated.plan === 'pro', `Expected school to pro, got ${before.plan} to ${updated.plan}`);
+        this.testHelper.assert(memberAccount.plan.id === 'pro', 'Members should get the new plan');
+        this.testHelper.assert(unknown.statusCode === 400, `Unknown plans should be refused, got ${unknown.statusCode}`);
+        this.testHelper.assert(missing.code === 'ORGANIZATION_NOT_FOUND', `Expected ORGANIZATION_NOT_FOUND, got ${missing.code}`);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const organizationTests = new OrganizationTests();
+
+    organizationTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Organization tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = OrganizationTests;
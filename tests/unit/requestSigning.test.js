@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Signed Requests
+ * Signature, clock-skew and nonce checks of requestSigningService, using the memory counter store.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { config } = require('../../src/config/env');
+const {
+    deriveSigningSecret,
+    buildAuthorizationHeader,
+    parseSignatureHeader,
+    verifySignedRequest
+} = require('../../src/services/requestSigningService');
+
+const KEY_ID = 'apl_live_0123456789ab';
+
+class RequestSigningTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.signingSecret = null;
+    }
+
+    async runAll() {
+        console.log('✍️  Request Signing Tests\n');
+
+        config.requestSigning.secret = 'test-signing-secret';
+        config.requestSigning.maxSkewSeconds = 300;
+        config.rateLimit.store = 'memory';
+        this.signingSecret = deriveSigningSecret(KEY_ID, 'test-salt');
+
+        const results = await this.testHelper.runTestSuite([
+            { name: 'Signing Secret Depends On Key Salt', fn: () => this.testSigningSecretDerivation() },
+            { name: 'Valid Signature Is Accepted', fn: () => this.testValidSignature() },
+            { name: 'Tampered Body Is Rejected', fn: () => this.testTamperedBody() },
+            { name: 'Body Without Raw Bytes Is Rejected', fn: () => this.testUncoveredBody() },
+            { name: 'Stale Timestamp Is Rejected', fn: () => this.testStaleTimestamp() },
+            { name: 'Replayed Nonce Is Rejected', fn: () => this.testReplayedNonce() },
+            { name: 'Malformed Header Is Rejected', fn: () => this.testMalformedHeader() }
+        ]);
+
+        if (results.success) {
+            console.log('\n🎉 All request signing tests passed!');
+        } else {
+            console.log('\n⚠️  Some request signing tests failed');
+        }
+
+        return results;
+    }
+
+    /**
+     * Build a signed request the way the auth middleware sees it
+     * @param {Object} overrides - Request parts to override ({ method, path, body, timestamp, nonce })
+     * @returns {Object} Fake Express request with its parsed signature
+     */
+    signedRequest(overrides = {}) {
+        const request = {
+            method: 'POST',
+            path: '/api/chat',
+            body: JSON.stringify({ message: 'Hello' }),
+            ...overrides
+        };
+        const header = buildAuthorizationHeader(KEY_ID, this.signingSecret, request);
+
+        return {
+            req: { method: request.method, originalUrl: request.path, rawBody: Buffer.from(request.body) },
+            signature: parseSignatureHeader(header)
+        };
+    }
+
+    /**
+     * Expect a promise to fail with an error code
+     * @param {Promise} promise - Promise expected to reject
+     * @param {string} code - Expected error code
+     */
+    async expectErrorCode(promise, code) {
+        try {
+            await promise;
+        } catch (error) {
+            this.testHelper.assert(error.code === code, `Expected ${code}, got ${error.code}`);
+            return;
+        }
+        throw new Error(`Expected ${code}, but the request was accepted`);
+    }
+
+    async testSigningSecretDerivation() {
+        const otherSalt = deriveSigningSecret(KEY_ID, 'rotated-salt');
+        this.testHelper.assert(this.signingSecret && this.signingSecret.length > 0, 'Signing secret should be derived');
+        this.testHelper.assert(this.signingSecret === deriveSigningSecret(KEY_ID, 'test-salt'), 'Derivation should be stable');
+        this.testHelper.assert(otherSalt !== this.signingSecret, 'A new salt should give a new signing secret');
+    }
+
+    async testValidSignature() {
+        const { req, signature } = this.signedRequest();
+        await verifySignedRequest(req, signature, this.signingSecret);
+    }
+
+    async testTamperedBody() {
+        const { req, signature } = this.signedRequest();
+        req.rawBody = Buffer.from(JSON.stringify({ message: 'Something else' }));
+
+        await this.expectErrorCode(verifySignedRequest(req, signature, this.signingSecret), 'INVALID_SIGNATURE');
+    }
+
+    async testUncoveredBody() {
+        const { req, signature } = this.signedRequest({ body: '' });
+        req.rawBody = undefined;
+        req.body = { message: 'Never signed' };
+
+        await this.expectErrorCode(verifySignedRequest(req, signature, this.signingSecret), 'UNSIGNED_BODY');
+    }
+
+    async testStaleTimestamp() {
+        const { req, signature } = this.signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 301 });
+
+        await this.expectErrorCode(verifySignedRequest(req, signature, this.signingSecret), 'SIGNATURE_EXPIRED');
+    }
+
+    async testReplayedNonce() {
+        const { req, signature } = this.signedRequest();
+        await verifySignedRequest(req, signature, this.signingSecret);
+
+        await this.expectErrorCode(verifySignedRequest(req, signature, this.signingSecret), 'REPLAYED_REQUEST');
+    }
+
+    async testMalformedHeader() {
+        await this.expectErrorCode(
+            Promise.resolve().then(() => parseSignatureHeader(`APL-HMAC-SHA256 keyId=${KEY_ID}, timestamp=now`)),
+            'INVALID_SIGNATURE_FORMAT'
+        );
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const requestSigningTests = new RequestSigningTests();
+
+    requestSigningTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Request signing tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = RequestSigningTests;
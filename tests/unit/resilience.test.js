@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for Resilience Utilities
+ * Backoff, Retry-After parsing, withRetry and the circuit breaker states in src/utils/resilience.js.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const {
+    withRetry,
+    createCircuitBreaker,
+    getRetryAfterMs,
+    getBackoffDelay
+} = require('../../src/utils/resilience');
+
+const RETRY_OPTIONS = { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 40, maxRetryAfterMs: 1000 };
+
+/**
+ * Build an axios-like error for an upstream status
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error} Error with a response
+ */
+const upstreamError = (status, headers = {}) => Object.assign(new Error(`Upstream ${status}`), {
+    response: { status, headers, data: { error: { code: status } } }
+});
+
+class ResilienceTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+    }
+
+    async runAll() {
+        console.log('🔁 Resilience Tests\n');
+
+        const results = await this.testHelper.runTestSuite([
+            { name: 'Backoff Grows And Is Capped', fn: () => this.testBackoff() },
+            { name: 'Retry-After Is Parsed', fn: () => this.testRetryAfterParsing() },
+            { name: 'Client Errors Are Not Retried', fn: () => this.testNoRetryOnClientError() },
+            { name: 'Retries Stop At Max Attempts', fn: () => this.testMaxAttempts() },
+            { name: 'Half Open Trial Closes The Circuit', fn: () => this.testHalfOpenSuccess() },
+            { name: 'Half Open Failure Reopens The Circuit', fn: () => this.testHalfOpenFailure() }
+        ]);
+
+        if (results.success) {
+            console.log('\n🎉 All resilience tests passed!');
+        } else {
+            console.log('\n⚠️  Some resilience tests failed');
+        }
+
+        return results;
+    }
+
+    /**
+     * Await a promise and return the error it rejects with
+     * @param {Promise} promise - Promise expected to reject
+     * @returns {Promise<Error>} Rejection error
+     */
+    async expectFailure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    }
+
+    /**
+     * Create a breaker that opens after two failures and resets quickly
+     * @returns {Object} Circuit breaker
+     */
+    createTestBreaker() {
+        return createCircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMs: 50 });
+    }
+
+    async testBackoff() {
+        for (let i = 0; i < 20; i++) {
+            const first = getBackoffDelay(1, RETRY_OPTIONS);
+            const third = getBackoffDelay(3, RETRY_OPTIONS);
+            const tenth = getBackoffDelay(10, RETRY_OPTIONS);
+
+            this.testHelper.assert(first >= 5 && first <= 10, `First backoff out of range: ${first}`);
+            this.testHelper.assert(third >= 20 && third <= 40, `Third backoff out of range: ${third}`);
+            this.testHelper.assert(tenth <= RETRY_OPTIONS.maxDelayMs, `Backoff should be capped, got ${tenth}`);
+        }
+    }
+
+    async testRetryAfterParsing() {
+        const future = new Date(Date.now() + 5000).toUTCString();
+        const fromDate = getRetryAfterMs(upstreamError(503, { 'retry-after': future }));
+        const retryInfo = Object.assign(upstreamError(429), {
+            response: { status: 429, headers: {}, data: { error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '7s' }] } } }
+        });
+
+        this.testHelper.assert(getRetryAfterMs(upstreamError(429, { 'retry-after': '2' })) === 2000, 'Seconds should be parsed');
+        this.testHelper.assert(fromDate > 3000 && fromDate <= 5000, `HTTP date should be parsed, got ${fromDate}`);
+        this.testHelper.assert(getRetryAfterMs(retryInfo) === 7000, 'RetryInfo retryDelay should be parsed');
+        this.testHelper.assert(getRetryAfterMs(upstreamError(500)) === null, 'No Retry-After should give null');
+    }
+
+    async testNoRetryOnClientError() {
+        let calls = 0;
+
+        const error = await this.expectFailure(withRetry(() => {
+            calls += 1;
+            throw upstreamError(400);
+        }, RETRY_OPTIONS));
+
+        this.testHelper.assert(error.response.status === 400, 'The client error should be thrown');
+        this.testHelper.assert(calls === 1, `Expected 1 call, got ${calls}`);
+    }
+
+    async testMaxAttempts() {
+        let calls = 0;
+
+        const error = await this.expectFailure(withRetry(() => {
+            calls += 1;
+            throw upstreamError(503);
+        }, RETRY_OPTIONS));
+
+        this.testHelper.assert(error.response.status === 503, 'The last error should be thrown');
+        this.testHelper.assert(calls === RETRY_OPTIONS.maxAttempts, `Expected ${RETRY_OPTIONS.maxAttempts} calls, got ${calls}`);
+    }
+
+    async testHalfOpenSuccess() {
+        const breaker = this.createTestBreaker();
+        const fail = () => Promise.reject(upstreamError(503));
+
+        await this.expectFailure(breaker.execute(fail));
+        await this.expectFailure(breaker.execute(fail));
+        const openError = await this.expectFailure(breaker.execute(() => Promise.resolve('skipped')));
+
+        this.testHelper.assert(breaker.getState().state === 'open', 'Two failures should open the circuit');
+        this.testHelper.assert(openError.statusCode === 503 && openError.retryAfter >= 1, 'An open circuit should fail fast with Retry-After');
+
+        await this.testHelper.wait(60);
+        const result = await breaker.execute(() => Promise.resolve('trial'));
+
+        this.testHelper.assert(result === 'trial', 'The trial call should run after the reset timeout');
+        this.testHelper.assert(breaker.getState().state === 'closed', 'A successful trial should close the circuit');
+    }
+
+    async testHalfOpenFailure() {
+        const breaker = this.createTestBreaker();
+        const fail = () => Promise.reject(upstreamError(503));
+
+        await this.expectFailure(breaker.execute(fail));
+        await this.expectFailure(breaker.execute(fail));
+        await this.testHelper.wait(60);
+
+        let releaseTrial;
+        const trial = breaker.execute(() => new Promise((resolve, reject) => {
+            releaseTrial = () => reject(upstreamError(503));
+        }));
+        const concurrent = await this.expectFailure(breaker.execute(() => Promise.resolve('skipped')));
+
+        this.testHelper.assert(breaker.getState().state === 'half_open', 'The circuit should be half open during the trial');
+        this.testHelper.assert(concurrent.statusCode === 503, 'Only one trial call should be let through');
+
+        releaseTrial();
+        await this.expectFailure(trial);
+
+        this.testHelper.assert(breaker.getState().state === 'open', 'A failed trial should reopen the circuit');
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const resilienceTests = new ResilienceTests();
+
+    resilienceTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Resilience tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = ResilienceTests;
@@ -0,0 +1,279 @@
+/**
+ * Unit Tests for Storage Repositories
+ * One contract suite (see src/repositories/index.js) run against every storage backend.
+ * The Firestore backend runs when FIRESTORE_EMULATOR_HOST points at an emulator.
+ */
+
+const TestHelper = require('../utils/testHelper');
+const { serverTimestamp, deleteField } = require('../../src/repositories');
+
+/**
+ * Storage backends to check, created lazily so Firestore isn't loaded without an emulator
+ */
+const STORAGE_BACKENDS = [
+    {
+        name: 'memory',
+        enabled: () => true,
+        create: () => require('../../src/repositories').getStorage('memory')
+    },
+    {
+        name: 'firestore',
+        enabled: () => Boolean(process.env.FIRESTORE_EMULATOR_HOST),
+        create: () => {
+            const { initializeDatabase } = require('../../src/config/database');
+            initializeDatabase();
+            return require('../../src/repositories').getStorage('firestore');
+        }
+    }
+];
+
+class StorageTests {
+    constructor() {
+        this.testHelper = new TestHelper();
+        this.storage = null;
+        this.idIndex = 0;
+    }
+
+    async runAll() {
+        console.log('🗄️ Storage Contract Tests\n');
+
+        const summary = { total: 0, passed: 0, failed: 0, results: [], success: true };
+
+        for (const backend of STORAGE_BACKENDS) {
+            if (!backend.enabled()) {
+                console.log(`⚪ Skipping ${backend.name} storage (not configured)`);
+                continue;
+            }
+
+            this.storage = backend.create();
+
+            try {
+                const results = await this.testHelper.runTestSuite(
+                    this.getTests().map(test => ({ name: `[${backend.name}] ${test.name}`, fn: test.fn }))
+                );
+
+                summary.total += results.total;
+                summary.passed += results.passed;
+                summary.failed += results.failed;
+                summary.results.push(...results.results);
+            } finally {
+                await this.storage.close();
+            }
+        }
+
+        summary.success = summary.failed === 0;
+
+        if (summary.success) {
+            console.log('\n🎉 All storage tests passed!');
+        } else {
+            console.log('\n⚠️  Some storage tests failed');
+        }
+
+        return summary;
+    }
+
+    getTests() {
+        return [
+            { name: 'Create And Get A Record', fn: () => this.testCreateAndGet() },
+            { name: 'Missing Records Read As Null', fn: () => this.testMissingRecords() },
+            { name: 'Server Timestamps Read Back As Dates', fn: () => this.testServerTimestamp() },
+            { name: 'Update Changes And Deletes Fields', fn: () => this.testUpdateAndDeleteField() },
+            { name: 'Update Of A Missing Record Fails', fn: () => this.testUpdateMissing() },
+            { name: 'Search By Email Prefix Pages In Order', fn: () => this.testSearchByEmailPrefix() },
+            { name: 'Keys Are Found By Prefix Across Users', fn: () => this.testFindKeyByPrefix() },
+            { name: 'Ledger Lists Newest First With Filters', fn: () => this.testLedgerListing() },
+            { name: 'Members Filter By Role And Delete', fn: () => this.testOrganizationMembers() },
+            { name: 'Transaction Writes Apply Together', fn: () => this.testTransactionCommit() },
+            { name: 'Failed Transaction Writes Nothing', fn: () => this.testTransactionRollback() },
+            { name: 'Concurrent Transactions Are Not Lost', fn: () => this.testConcurrentTransactions() }
+        ];
+    }
+
+    nextId(label = 'id') {
+        this.idIndex += 1;
+        return `test_${label}_${process.pid}_${this.idIndex}`;
+    }
+
+    async testCreateAndGet() {
+        const userId = this.nextId('user');
+        await this.storage.users.create(userId, { email: `${userId}@example.com`, credits: 5, tags: ['a', 'b'] });
+
+        const user = await this.storage.users.get(userId);
+        this.testHelper.assert(user.id === userId, `Expected id ${userId}, got ${user.id}`);
+        this.testHelper.assert(user.credits === 5, `Expected 5 credits, got ${user.credits}`);
+        this.testHelper.assert(user.tags.join(',') === 'a,b', 'Array fields should round-trip');
+    }
+
+    async testMissingRecords() {
+        const user = await this.storage.users.get(this.nextId('user'));
+        const byEmail = await this.storage.users.findByEmail(`${this.nextId('nobody')}@example.com`);
+
+        this.testHelper.assert(user === null, 'Missing user should read as null');
+        this.testHelper.assert(byEmail === null, 'Unmatched email lookup should read as null');
+    }
+
+    async testServerTimestamp() {
+        const before = Date.now();
+        const userId = this.nextId('user');
+        await this.storage.users.create(userId, { createdAt: serverTimestamp() });
+
+        const user = await this.storage.users.get(userId);
+        this.testHelper.assert(user.createdAt instanceof Date, 'createdAt should read back as a Date');
+        // Allow for clock skew between this process and an emulator
+        this.testHelper.assert(user.createdAt.getTime() >= before - 5000, 'createdAt should be the write time');
+    }
+
+    async testUpdateAndDeleteField() {
+        const userId = this.nextId('user');
+        await this.storage.users.create(userId, { credits: 5, suspendedReason: 'test' });
+        await this.storage.users.update(userId, { credits: 8, suspendedReason: deleteField() });
+
+        const user = await this.storage.users.get(userId);
+        this.testHelper.assert(user.credits === 8, `Expected 8 credits, got ${user.credits}`);
+        this.testHelper.assert(!('suspendedReason' in user), 'deleteField() should remove the field');
+    }
+
+    async testUpdateMissing() {
+        let failed = false;
+        try {
+            await this.storage.users.update(this.nextId('user'), { credits: 1 });
+        } catch {
+            failed = true;
+        }
+
+        this.testHelper.assert(failed, 'Updating a missing record should fail');
+    }
+
+    async testSearchByEmailPrefix() {
+        const prefix = this.nextId('search');
+        const emails = [`${prefix}c@example.com`, `${prefix}a@example.com`, `${prefix}b@example.com`];
+        for (const email of emails) {
+            await this.storage.users.create(this.nextId('user'), { email, status: 'active' });
+        }
+        await this.storage.users.create(this.nextId('user'), { email: `other_${prefix}@example.com`, status: 'active' });
+
+        const firstPage = await this.storage.users.search({ emailPrefix: prefix, limit: 2 });
+        const secondPage = await this.storage.users.search({ emailPrefix: prefix, limit: 2, startAfter: firstPage[1].id });
+
+        const found = [...firstPage, ...secondPage].map(user => user.email);
+        this.testHelper.assert(
+            found.join() === [...emails].sort().join(),
+            `Expected emails in order across pages, got ${found.join()}`
+        );
+    }
+
+    async testFindKeyByPrefix() {
+        const prefix = this.nextId('prefix');
+        const userA = this.nextId('user');
+        const userB = this.nextId('user');
+        const keyId = await this.storage.apiKeys.create(userA, { prefix, status: 'active' });
+        await this.storage.apiKeys.create(userB, { prefix: `${prefix}_other`, status: 'active' });
+
+        const keys = await this.storage.apiKeys.findByPrefix(prefix);
+        this.testHelper.assert(keys.length === 1, `Expected 1 key, got ${keys.length}`);
+        this.testHelper.assert(keys[0].id === keyId, 'Found key should carry its ID');
+        this.testHelper.assert(keys[0].userId === userA, 'Found key should carry its owner');
+    }
+
+    async testLedgerListing() {
+        const userId = this.nextId('user');
+        const start = Date.now();
+        const types = ['purchase', 'usage', 'usage', 'refund'];
+        const entryIds = [];
+        for (const [index, type] of types.entries()) {
+            entryIds.push(await this.storage.ledger.add({ userId, type, amount: index + 1, createdAt: new Date(start + index * 1000) }));
+        }
+
+        const firstPage = await this.storage.ledger.listForAccount({ userId }, { limit: 2 });
+        const secondPage = await this.storage.ledger.listForAccount({ userId }, { limit: 2, startAfter: firstPage[1].id });
+        const usage = await this.storage.ledger.listForAccount({ userId }, { type: 'usage' });
+
+        const listed = [...firstPage, ...secondPage].map(entry => entry.id);
+        this.testHelper.assert(listed.join() === [...entryIds].reverse().join(), 'Entries should page newest first');
+        this.testHelper.assert(usage.length === 2 && usage.every(entry => entry.type === 'usage'), 'Type filter should match 2 entries');
+        this.testHelper.assert(firstPage[0].createdAt instanceof Date, 'createdAt should read back as a Date');
+    }
+
+    async testOrganizationMembers() {
+        const orgId = await this.storage.organizations.create({ name: 'Test Org', creditPool: 10 });
+        const ownerId = this.nextId('user');
+        const memberId = this.nextId('user');
+        await this.storage.organizations.setMember(orgId, ownerId, { role: 'owner' });
+        await this.storage.organizations.setMember(orgId, memberId, { role: 'member' });
+
+        const owners = await this.storage.organizations.listMembers(orgId, { role: 'owner' });
+        await this.storage.organizations.deleteMember(orgId, memberId);
+        const remaining = await this.storage.organizations.listMembers(orgId);
+
+        this.testHelper.assert(owners.length === 1 && owners[0].id === ownerId, 'Role filter should return the owner');
+        this.testHelper.assert(remaining.length === 1, `Expected 1 member after delete, got ${remaining.length}`);
+    }
+
+    async testTransactionCommit() {
+        const userId = this.nextId('user');
+        await this.storage.users.create(userId, { credits: 10 });
+
+        const holdId = await this.storage.runTransaction(async (tx) => {
+            const user = await tx.users.get(userId);
+            tx.users.update(userId, { credits: user.credits - 3 });
+            return tx.holds.create({ userId, amount: 3, status: 'reserved' });
+        });
+
+        const user = await this.storage.users.get(userId);
+        const hold = await this.storage.holds.get(holdId);
+        this.testHelper.assert(typeof holdId === 'string' && holdId.length > 0, 'add inside a transaction should return the new ID');
+        this.testHelper.assert(user.credits === 7, `Expected 7 credits, got ${user.credits}`);
+        this.testHelper.assert(hold && hold.amount === 3, 'Hold written in the transaction should exist');
+    }
+
+    async testTransactionRollback() {
+        const userId = this.nextId('user');
+        await this.storage.users.create(userId, { credits: 10 });
+
+        let holdId = null;
+        try {
+            await this.storage.runTransaction(async (tx) => {
+                await tx.users.get(userId);
+                tx.users.update(userId, { credits: 0 });
+                holdId = tx.holds.create({ userId, amount: 10, status: 'reserved' });
+                throw new Error('abort');
+            });
+        } catch {
+            // Expected
+        }
+
+        const user = await this.storage.users.get(userId);
+        const hold = await this.storage.holds.get(holdId);
+        this.testHelper.assert(user.credits === 10, `Expected 10 credits, got ${user.credits}`);
+        this.testHelper.assert(hold === null, 'Hold from a failed transaction should not exist');
+    }
+
+    async testConcurrentTransactions() {
+        const userId = this.nextId('user');
+        await this.storage.users.create(userId, { credits: 0 });
+
+        await Promise.all(Array.from({ length: 10 }, () => this.storage.runTransaction(async (tx) => {
+            const user = await tx.users.get(userId);
+            tx.users.update(userId, { credits: user.credits + 1 });
+        })));
+
+        const user = await this.storage.users.get(userId);
+        this.testHelper.assert(user.credits === 10, `Expected 10 credits, got ${user.credits}`);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const storageTests = new StorageTests();
+
+    storageTests.runAll()
+        .then((results) => {
+            process.exit(results.success ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error('💥 Storage tests failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = StorageTests;
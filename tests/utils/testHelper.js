@@ -5,10 +5,12 @@
 
 const http = require('http');
 const { spawn } = require('child_process');
+const { createMockGeminiServer } = require('../../scripts/mock-gemini');
 
 class TestHelper {
     constructor() {
         this.serverProcess = null;
+        this.mockGemini = null;
         this.baseUrl = 'http://localhost:3000';
         this.testTimeout = 30000; // 30 seconds
     }
@@ -19,9 +21,10 @@ class TestHelper {
      * @param {string} method - HTTP method
      * @param {string} data - Request body data
      * @param {number} timeout - Request timeout in ms
+     * @param {Object} headers - Extra request headers (e.g. Authorization)
      * @returns {Promise<Object>} Response object
      */
-    async makeRequest(path, method = 'GET', data = null, timeout = 5000) {
+    async makeRequest(path, method = 'GET', data = null, timeout = 5000, headers = {}) {
         return new Promise((resolve, reject) => {
             const options = {
                 hostname: 'localhost',
@@ -31,7 +34,8 @@ class TestHelper {
                 timeout: timeout,
                 headers: {
                     'Content-Type': 'application/json',
-                    'User-Agent': 'ApiPlatform-Test/1.0'
+                    'User-Agent': 'ApiPlatform-Test/1.0',
+                    ...headers
                 }
             };
 
@@ -80,6 +84,50 @@ class TestHelper {
         });
     }
 
+    /**
+     * Start the mock Gemini server
+     * Servers started afterwards by startServer() send their Gemini calls to it.
+     * @param {Object} options - Mock options (latencyMs, chunkDelayMs, script)
+     * @returns {Promise<Object>} Mock server (enqueue() steps, inspect requests)
+     */
+    async startMockGemini(options = {}) {
+        await this.stopMockGemini();
+
+        this.mockGemini = createMockGeminiServer(options);
+        await this.mockGemini.start();
+        console.log(`🧪 Mock Gemini started at ${this.mockGemini.getBaseUrl()}`);
+        return this.mockGemini;
+    }
+
+    /**
+     * Stop the mock Gemini server
+     * @returns {Promise<void>}
+     */
+    async stopMockGemini() {
+        if (!this.mockGemini) {
+            return;
+        }
+
+        await this.mockGemini.stop();
+        this.mockGemini = null;
+    }
+
+    /**
+     * Environment that points a server at the mock Gemini server, if it is running
+     * @returns {Object} Environment variables
+     */
+    getMockGeminiEnv() {
+        if (!this.mockGemini) {
+            return {};
+        }
+
+        return {
+            GEMINI_API_URL: this.mockGemini.getApiUrl(),
+            GEMINI_API_BASE_URL: this.mockGemini.getBaseUrl(),
+            GEMINI_API_KEY: process.env.GEMINI_API_KEY || 'mock-gemini-key'
+        };
+    }
+
     /**
      * Start the server for testing
      * @param {Object} options - Server startup options
@@ -103,6 +151,7 @@ class TestHelper {
                     PORT: port.toString(),
                     CONTAINER: 'true',
                     DISABLE_MEMORY_MONITORING: 'true',
+                    ...this.getMockGeminiEnv(),
                     ...env
                 }
             });
@@ -288,6 +337,7 @@ class TestHelper {
      */
     async cleanup() {
         await this.stopServer();
+        await this.stopMockGemini();
         
         // Clean up any other resources
         process.removeAllListeners('SIGINT');